@@ -0,0 +1,15 @@
+'use strict';
+
+// Thrown by ValetudoApi when Valetudo (or the reverse proxy in front of it)
+// refuses the HTTP basic auth credentials.
+class AuthFailedError extends Error {
+
+  constructor(status, { cause } = {}) {
+    super(`Valetudo rejected the login (HTTP ${status})`, { cause });
+    this.name = 'AuthFailedError';
+    this.status = status;
+  }
+
+}
+
+module.exports = AuthFailedError;
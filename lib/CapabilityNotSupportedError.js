@@ -0,0 +1,15 @@
+'use strict';
+
+// Thrown by ValetudoApi before calling a capability the robot does not list,
+// instead of letting the request end in a 404.
+class CapabilityNotSupportedError extends Error {
+
+  constructor(capability) {
+    super(`This robot does not support ${capability}`);
+    this.name = 'CapabilityNotSupportedError';
+    this.capability = capability;
+  }
+
+}
+
+module.exports = CapabilityNotSupportedError;
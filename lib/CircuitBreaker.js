@@ -0,0 +1,59 @@
+'use strict';
+
+const DEFAULT_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 20000;
+
+// Stops ValetudoApi from queueing requests (each waiting for its timeout)
+// at a robot that is not answering, e.g. while it reboots. After
+// `threshold` failed requests in a row the breaker opens and requests fail
+// at once; when `cooldownMs` has passed a single trial request is let
+// through, and its outcome closes or re-opens the breaker.
+class CircuitBreaker {
+
+  constructor({ threshold = DEFAULT_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_MS, now = () => Date.now() } = {}) {
+    this._threshold = threshold;
+    this._cooldownMs = cooldownMs;
+    this._now = now;
+    this._failures = 0;
+    this._openedAt = null;
+    this._trialRunning = false;
+  }
+
+  get open() {
+    return this._openedAt !== null;
+  }
+
+  // Milliseconds until the next trial request, 0 when requests may go out
+  get retryInMs() {
+    if (!this.open) return 0;
+    return Math.max(0, this._openedAt + this._cooldownMs - this._now());
+  }
+
+  allow() {
+    if (!this.open) return true;
+    if (this._trialRunning || this.retryInMs > 0) return false;
+    this._trialRunning = true;
+    return true;
+  }
+
+  success() {
+    this._failures = 0;
+    this._openedAt = null;
+    this._trialRunning = false;
+  }
+
+  failure() {
+    this._failures++;
+    if (this._trialRunning || this._failures >= this._threshold) {
+      this._openedAt = this._now();
+      this._trialRunning = false;
+    }
+  }
+
+  reset() {
+    this.success();
+  }
+
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,17 @@
+'use strict';
+
+// Thrown by RobotCommander when a command was delivered but the robot never
+// reported the state it leads to, or when sending it timed out. The robot
+// may still carry it out, so it is not sent again on another channel.
+class CommandNotConfirmedError extends Error {
+
+  constructor(command, transport, { cause } = {}) {
+    super(`${command} sent over ${transport} but not confirmed: ${cause.message}`, { cause });
+    this.name = 'CommandNotConfirmedError';
+    this.command = command;
+    this.transport = transport;
+  }
+
+}
+
+module.exports = CommandNotConfirmedError;
@@ -0,0 +1,121 @@
+'use strict';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// A floor archive is a gzipped JSON document holding one floor's snapshot
+// files (base64) together with a manifest and the robot it came from, so a
+// floor can be kept in Homey and pushed back after the robot is reset.
+const ARCHIVE_FORMAT = 'valetudo-floor-archive';
+const ARCHIVE_VERSION = 1;
+
+// File names end up in shell commands on the robot — allow plain names only
+const SAFE_FILE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class FloorArchive {
+
+  static hash(algorithm, data) {
+    return crypto.createHash(algorithm).update(data).digest('hex');
+  }
+
+  static buildManifest(files) {
+    return {
+      version: 1,
+      createdAt: new Date().toISOString(),
+      files: files.map(({ name, data }) => ({
+        name, size: data.length, algorithm: 'sha256', hash: FloorArchive.hash('sha256', data),
+      })),
+    };
+  }
+
+  // Returns a list of problems; empty when every manifest entry matches its file
+  static verifyFiles(manifest, files) {
+    const byName = new Map(files.map((f) => [f.name, f.data]));
+    const problems = [];
+    for (const entry of manifest.files) {
+      const data = byName.get(entry.name);
+      if (!data) {
+        problems.push(`${entry.name} missing`);
+      } else if (data.length !== entry.size) {
+        problems.push(`${entry.name} size ${data.length} (expected ${entry.size})`);
+      } else if (FloorArchive.hash(entry.algorithm, data) !== entry.hash) {
+        problems.push(`${entry.name} checksum mismatch`);
+      }
+    }
+    return problems;
+  }
+
+  static pack({
+    floor, robot, manifest, files,
+  }) {
+    const doc = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      floor,
+      robot,
+      manifest,
+      files: files.map(({ name, data }) => ({ name, data: data.toString('base64') })),
+    };
+    return zlib.gzipSync(JSON.stringify(doc));
+  }
+
+  static unpack(buffer) {
+    let doc;
+    try {
+      doc = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+    } catch {
+      throw new Error('Not a floor archive (could not decompress or parse it)');
+    }
+
+    if (!doc || doc.format !== ARCHIVE_FORMAT) {
+      throw new Error('Not a floor archive');
+    }
+    if (doc.version > ARCHIVE_VERSION) {
+      throw new Error(`Floor archive version ${doc.version} is newer than this app supports — update the app`);
+    }
+    if (!doc.floor || !doc.floor.name) {
+      throw new Error('Floor archive has no floor name');
+    }
+    if (!doc.manifest || !Array.isArray(doc.manifest.files) || !Array.isArray(doc.files)) {
+      throw new Error('Floor archive has no manifest');
+    }
+
+    const files = doc.files.map(({ name, data }) => {
+      if (typeof name !== 'string' || !SAFE_FILE_NAME.test(name) || name === 'manifest.json') {
+        throw new Error(`Floor archive contains an invalid file name: ${name}`);
+      }
+      return { name, data: Buffer.from(data || '', 'base64') };
+    });
+    if (files.length === 0) {
+      throw new Error('Floor archive does not contain any map files');
+    }
+
+    const problems = FloorArchive.verifyFiles(doc.manifest, files);
+    if (problems.length > 0) {
+      throw new Error(`Floor archive is damaged: ${problems.join('; ')}`);
+    }
+
+    return {
+      createdAt: doc.createdAt,
+      floor: doc.floor,
+      robot: doc.robot || {},
+      manifest: doc.manifest,
+      files,
+    };
+  }
+
+  // Map files are firmware specific; returns a reason when the archive was
+  // made on a different model, or null when it can be restored here.
+  // Archives or robots with an unknown model are not blocked.
+  static incompatibilityReason(archiveRobot, robot) {
+    const known = (model) => model && model !== 'Unknown';
+    if (!known(archiveRobot && archiveRobot.model) || !known(robot && robot.model)) return null;
+    if (archiveRobot.model.toLowerCase() === robot.model.toLowerCase()) return null;
+    return `Archive was exported from a ${archiveRobot.manufacturer || ''} ${archiveRobot.model}, but this robot is a ${robot.manufacturer || ''} ${robot.model}`
+      .replace(/ {2,}/g, ' ');
+  }
+
+}
+
+module.exports = FloorArchive;
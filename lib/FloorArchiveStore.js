@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ARCHIVE_EXTENSION = '.floor.gz';
+
+// Floor archives kept on Homey (app userdata) so they survive a robot reset.
+// Shared by all devices — an archive may be restored onto a replacement robot.
+class FloorArchiveStore {
+
+  constructor({ dir, log }) {
+    this._dir = dir;
+    this._log = log || console.log;
+  }
+
+  _resolve(filename) {
+    if (path.basename(filename) !== filename || !filename.endsWith(ARCHIVE_EXTENSION)) {
+      throw new Error(`Invalid archive name "${filename}"`);
+    }
+    return path.join(this._dir, filename);
+  }
+
+  async save(floorId, buffer) {
+    await fs.promises.mkdir(this._dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    const filename = `${floorId}-${stamp}${ARCHIVE_EXTENSION}`;
+    await fs.promises.writeFile(this._resolve(filename), buffer);
+    this._log(`Stored floor archive ${filename} (${buffer.length} bytes)`);
+    return filename;
+  }
+
+  // Newest first
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this._dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const archives = [];
+    for (const filename of names.filter((n) => n.endsWith(ARCHIVE_EXTENSION))) {
+      const stat = await fs.promises.stat(this._resolve(filename));
+      archives.push({ filename, size: stat.size, createdAt: stat.mtime.toISOString() });
+    }
+    return archives.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async read(filename) {
+    try {
+      return await fs.promises.readFile(this._resolve(filename));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error(`Floor archive "${filename}" not found`);
+      throw err;
+    }
+  }
+
+  async remove(filename) {
+    await fs.promises.rm(this._resolve(filename), { force: true });
+  }
+
+}
+
+module.exports = FloorArchiveStore;
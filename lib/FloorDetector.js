@@ -0,0 +1,151 @@
+'use strict';
+
+// Fingerprints are coarse occupancy grids of a map's walls and floor area,
+// small enough to keep in the floor config. Comparing the live map against
+// them tells which saved floor the robot is actually on.
+const FINGERPRINT_VERSION = 1;
+const CELL_CM = 50;
+
+// A live map needs this many wall cells before a comparison means anything —
+// right after a relocalization failure the firmware's fresh map is tiny.
+const MIN_WALL_CELLS = 30;
+
+// Share of the live map that must land on a saved floor for it to count as
+// that floor, and how far it must beat the active floor's score.
+const MATCH_THRESHOLD = 0.7;
+const MATCH_MARGIN = 0.25;
+
+const WALL_WEIGHT = 0.6;
+
+class FloorDetector {
+
+  constructor({ floorManager, log }) {
+    this._floorManager = floorManager;
+    this._log = log || console.log;
+  }
+
+  static _layerPixels(layer) {
+    if (layer.pixels && layer.pixels.length > 0) return layer.pixels;
+    // RLE triplets [xStart, y, count]
+    const compressed = layer.compressedPixels || [];
+    const pixels = [];
+    for (let i = 0; i < compressed.length; i += 3) {
+      for (let x = compressed[i]; x < compressed[i] + compressed[i + 2]; x++) {
+        pixels.push(x, compressed[i + 1]);
+      }
+    }
+    return pixels;
+  }
+
+  static fingerprint(map) {
+    const pixelSize = map.pixelSize || 5;
+    const walls = new Set();
+    const floor = new Set();
+    for (const layer of map.layers || []) {
+      let target = null;
+      if (layer.type === 'wall') target = walls;
+      else if (layer.type === 'floor' || layer.type === 'segment') target = floor;
+      if (!target) continue;
+      const pixels = FloorDetector._layerPixels(layer);
+      for (let i = 0; i < pixels.length; i += 2) {
+        const cx = Math.floor((pixels[i] * pixelSize) / CELL_CM);
+        const cy = Math.floor((pixels[i + 1] * pixelSize) / CELL_CM);
+        target.add(`${cx},${cy}`);
+      }
+    }
+
+    // Entity points are already in cm
+    const charger = (map.entities || []).find((e) => e.type === 'charger_location');
+    const points = charger && charger.points;
+
+    const flatten = (cells) => [...cells].flatMap((key) => key.split(',').map(Number));
+    return {
+      version: FINGERPRINT_VERSION,
+      cellSize: CELL_CM,
+      wall: flatten(walls),
+      floor: flatten(floor),
+      charger: points && points.length >= 2
+        ? [Math.floor(points[0] / CELL_CM), Math.floor(points[1] / CELL_CM)]
+        : null,
+    };
+  }
+
+  // Share of `live` cells (shifted by dx/dy) that fall on `saved` cells,
+  // allowing one cell of slack for relocalization drift.
+  static _containment(live, saved, dx, dy) {
+    const count = live.length / 2;
+    if (count === 0) return 0;
+    const grid = new Set();
+    for (let i = 0; i < saved.length; i += 2) {
+      for (let ox = -1; ox <= 1; ox++) {
+        for (let oy = -1; oy <= 1; oy++) grid.add(`${saved[i] + ox},${saved[i + 1] + oy}`);
+      }
+    }
+    let hits = 0;
+    for (let i = 0; i < live.length; i += 2) {
+      if (grid.has(`${live[i] + dx},${live[i + 1] + dy}`)) hits++;
+    }
+    return hits / count;
+  }
+
+  // 0..1 — how well the live map fits inside a saved floor. A fresh map the
+  // firmware started after getting lost has its own origin, so the dock
+  // position is also tried as an alignment anchor.
+  static similarity(live, saved) {
+    if (!saved || saved.version !== FINGERPRINT_VERSION) return null;
+    const offsets = [[0, 0]];
+    if (live.charger && saved.charger) {
+      offsets.push([saved.charger[0] - live.charger[0], saved.charger[1] - live.charger[1]]);
+    }
+
+    let best = 0;
+    for (const [dx, dy] of offsets) {
+      const wall = FloorDetector._containment(live.wall, saved.wall, dx, dy);
+      const area = live.floor.length > 0 ? FloorDetector._containment(live.floor, saved.floor, dx, dy) : wall;
+      best = Math.max(best, WALL_WEIGHT * wall + (1 - WALL_WEIGHT) * area);
+    }
+    return best;
+  }
+
+  // Compares a live map against every saved floor's fingerprint. Returns null
+  // when the live map is too small to judge, otherwise the fingerprint plus
+  // `activeScore` and — when another floor clearly fits better —
+  // `suspectedFloorId` and `confidence`.
+  detect(map) {
+    const fingerprint = FloorDetector.fingerprint(map);
+    if (fingerprint.wall.length / 2 < MIN_WALL_CELLS) return null;
+
+    const activeId = this._floorManager.getActiveFloor();
+    let activeScore = null;
+    let best = null;
+    for (const floor of this._floorManager.getFloors()) {
+      const score = FloorDetector.similarity(fingerprint, floor.fingerprint);
+      if (score === null) continue;
+      if (floor.id === activeId) {
+        activeScore = score;
+      } else if (!best || score > best.score) {
+        best = { floorId: floor.id, score };
+      }
+    }
+
+    const mismatch = !!best && best.score >= MATCH_THRESHOLD
+      && best.score - (activeScore || 0) >= MATCH_MARGIN;
+    if (mismatch) {
+      const active = activeScore === null ? 'no fingerprint' : `${Math.round(activeScore * 100)}%`;
+      this._log(`Live map fits floor "${best.floorId}" (${Math.round(best.score * 100)}%) better than active floor "${activeId}" (${active})`);
+    }
+
+    return {
+      fingerprint,
+      activeScore,
+      mismatch,
+      suspectedFloorId: mismatch ? best.floorId : null,
+      confidence: mismatch ? best.score : null,
+    };
+  }
+
+}
+
+FloorDetector.MATCH_THRESHOLD = MATCH_THRESHOLD;
+
+module.exports = FloorDetector;
@@ -1,35 +1,81 @@
 'use strict';
 
-const MAP_BASE = '/mnt/data/rockrobo';
-const FLOORS_DIR = `${MAP_BASE}/floors`;
-const ROBOT_DB = `${MAP_BASE}/robot.db`;
-
-// Core map files to backup/restore per floor.
-// PersistData_N.data files are discovered dynamically (see _discoverPersistDataFiles).
-const MAP_FILES = [
-  'last_map',
-  'ChargerPos.data',
-];
-
-// Files that must be removed before restoring a different floor's map
-const CONFLICT_FILES = [
-  'StartPos.data',
-  'user_map0',
-];
-
-const ROBO_CFG = `${MAP_BASE}/RoboController.cfg`;
+const FloorArchive = require('./FloorArchive');
+const FloorOperation = require('./FloorOperation');
+const FloorSwitchError = require('./FloorSwitchError');
+const MapStorageProfile = require('./MapStorageProfile');
+const OperationCancelledError = require('./OperationCancelledError');
+
+// Map file locations, config patches and reboot command come from the
+// robot's MapStorageProfile (Roborock layout unless told otherwise).
+
+// Integrity manifest written into every floors/<id> directory on save
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Outgoing map files are staged in the profile's rollbackDir during a floor
+// switch so the previous floor can be restored if any step fails.
+
+// Previous snapshots of each floor, one timestamped directory per version:
+// <historyDir>/<floorId>/<versionId>/. Oldest versions beyond the
+// retention limit are pruned after every archive.
+const DEFAULT_HISTORY_VERSIONS = 3;
+
+// Steps reported to the FloorOperation of a switch. A cancel is honoured
+// until the first step that changes the robot's live map.
+const SWITCH_STEPS = ['backup', 'check', 'stop', 'stage', 'restore', 'verify', 'patch', 'reboot', 'waiting', 'map-loaded'];
+
+// Cleaning preferences a floor can carry (floor.preferences), applied by the
+// device after switching to it. Values are Valetudo presets or on/off.
+const FLOOR_PREFERENCES = {
+  fanSpeed: ['off', 'min', 'low', 'medium', 'high', 'turbo', 'max'],
+  waterUsage: ['off', 'min', 'low', 'medium', 'high', 'max'],
+  operationMode: ['vacuum', 'mop', 'vacuum_and_mop', 'vacuum_then_mop'],
+  carpetMode: [true, false],
+  dnd: [true, false],
+};
+
+// Map entity types Valetudo draws virtual walls and restricted zones as
+const RESTRICTION_ENTITY_TYPES = ['virtual_wall', 'no_go_area', 'no_mop_area'];
+const ZONE_CORNERS = ['pA', 'pB', 'pC', 'pD'];
 
 const POLL_INTERVAL_MS = 10000;
 const MAX_POLL_ATTEMPTS = 60; // 10 minutes max wait
+const MAP_POLL_INTERVAL_MS = 2000;
+const MAX_MAP_POLL_ATTEMPTS = 15; // 30 seconds max wait for map layers
 
 class FloorManager {
 
-  constructor({ device, ssh, api, mqttClient, log }) {
+  constructor({
+    device, ssh, api, mqttClient, log, historyVersions, storageProfile,
+  }) {
     this._device = device;
     this._ssh = ssh;
     this._api = api;
     this._mqtt = mqttClient;
     this._log = log || console.log;
+    this._lastSwitchResult = null;
+    this._historyVersions = Number.isInteger(historyVersions) && historyVersions >= 1 ? historyVersions : DEFAULT_HISTORY_VERSIONS;
+    this._profile = storageProfile || MapStorageProfile.get('roborock');
+  }
+
+  getStorageProfile() {
+    return this._profile;
+  }
+
+  // Free space where floor snapshots are written. The map directory is on the
+  // same filesystem and, unlike the floors directory, always exists.
+  async getStorageSpace() {
+    return this._ssh.diskSpace(this._profile.mapBase);
+  }
+
+  // Called once the robot's manufacturer is known. Refused mid-switch, when
+  // files are spread over the old profile's directories.
+  setStorageProfile(profile) {
+    if (profile.id === this._profile.id) return;
+    if (this.isSwitching()) throw new Error('Cannot change the map storage profile during a floor switch');
+    this._log(`Using ${profile.name} map storage layout (${profile.mapBase})`);
+    this._profile = profile;
   }
 
   _getStore() {
@@ -86,6 +132,129 @@ class FloorManager {
     await this._setStore(config);
   }
 
+  getFloorPreferences(floorId) {
+    const floor = this._getStore().floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+    return { ...floor.preferences };
+  }
+
+  // Merges `changes` into the floor's preferences; null removes a preference
+  async setFloorPreferences(floorId, changes) {
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+
+    const preferences = { ...floor.preferences };
+    for (const [key, value] of Object.entries(changes)) {
+      if (!FLOOR_PREFERENCES[key]) throw new Error(`Unknown floor preference "${key}"`);
+      if (value === null) {
+        delete preferences[key];
+      } else if (FLOOR_PREFERENCES[key].includes(value)) {
+        preferences[key] = value;
+      } else {
+        throw new Error(`Invalid value "${value}" for floor preference "${key}"`);
+      }
+    }
+
+    floor.preferences = preferences;
+    await this._setStore(config);
+    return { ...preferences };
+  }
+
+  // Named sets of virtual walls and restricted zones (floor.restrictionSets,
+  // in CombinedVirtualRestrictionsCapability format). Once a floor has sets,
+  // the enabled ones are all the robot gets on that floor.
+  getRestrictionSets(floorId) {
+    const floor = this._getStore().floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+    return JSON.parse(JSON.stringify(floor.restrictionSets || []));
+  }
+
+  // Replaces a set with the same name (keeping whether it is enabled)
+  async saveRestrictionSet(floorId, name, { virtualWalls = [], restrictedZones = [] }) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('A restriction set needs a name');
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+
+    const sets = floor.restrictionSets || [];
+    const existing = sets.find((set) => set.name.toLowerCase() === trimmed.toLowerCase());
+    const saved = {
+      name: trimmed,
+      enabled: existing ? existing.enabled : true,
+      virtualWalls,
+      restrictedZones,
+    };
+    floor.restrictionSets = existing ? sets.map((set) => (set === existing ? saved : set)) : [...sets, saved];
+    await this._setStore(config);
+    return saved;
+  }
+
+  async setRestrictionSetEnabled(floorId, name, enabled) {
+    const config = this._getStore();
+    const set = this._findRestrictionSet(config, floorId, name);
+    set.enabled = enabled;
+    await this._setStore(config);
+  }
+
+  async deleteRestrictionSet(floorId, name) {
+    const config = this._getStore();
+    const set = this._findRestrictionSet(config, floorId, name);
+    const floor = config.floors.find((f) => f.id === floorId);
+    floor.restrictionSets = floor.restrictionSets.filter((s) => s !== set);
+    await this._setStore(config);
+  }
+
+  _findRestrictionSet(config, floorId, name) {
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+    const set = (floor.restrictionSets || []).find((s) => s.name.toLowerCase() === String(name).toLowerCase());
+    if (!set) throw new Error(`Restriction set "${name}" not found on floor "${floor.name}"`);
+    return set;
+  }
+
+  // Every enabled set combined, or null for a floor without sets — its
+  // restrictions are left as they are in Valetudo.
+  getFloorRestrictions(floorId) {
+    const sets = this.getRestrictionSets(floorId);
+    if (sets.length === 0) return null;
+    const enabled = sets.filter((set) => set.enabled);
+    return {
+      virtualWalls: enabled.flatMap((set) => set.virtualWalls),
+      restrictedZones: enabled.flatMap((set) => set.restrictedZones),
+    };
+  }
+
+  // A stored map of the floor with its restriction entities replaced by the
+  // ones the enabled sets will apply after switching to it.
+  overlayRestrictions(map, floorId) {
+    const restrictions = this.getFloorRestrictions(floorId);
+    if (!map || !restrictions) return map;
+    const coords = (points, corners) => corners.flatMap((corner) => [points[corner].x, points[corner].y]);
+    const entities = [
+      ...restrictions.virtualWalls.map((wall) => ({
+        type: 'virtual_wall',
+        points: coords(wall.points, ['pA', 'pB']),
+      })),
+      ...restrictions.restrictedZones.map((zone) => ({
+        type: zone.type === 'mop' ? 'no_mop_area' : 'no_go_area',
+        points: coords(zone.points, ZONE_CORNERS),
+      })),
+    ];
+    const kept = (map.entities || []).filter((entity) => !RESTRICTION_ENTITY_TYPES.includes(entity.type));
+    return { ...map, entities: [...kept, ...entities] };
+  }
+
+  async setFloorFingerprint(floorId, fingerprint) {
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+    if (JSON.stringify(floor.fingerprint) === JSON.stringify(fingerprint)) return;
+    floor.fingerprint = fingerprint;
+    await this._setStore(config);
+  }
+
   async addFloor(id, name) {
     const config = this._getStore();
     if (config.floors.find((f) => f.id === id)) {
@@ -104,9 +273,9 @@ class FloorManager {
     }
     await this._setStore(config);
 
-    // Remove stored map files
+    // Remove stored map files and their history
     try {
-      await this._ssh.exec(`rm -rf "${FLOORS_DIR}/${id}"`);
+      await this._ssh.exec(`rm -rf "${this._profile.floorsDir}/${id}" "${this._profile.historyDir}/${id}"`);
     } catch (err) {
       this._log(`Failed to remove floor files for ${id}:`, err.message);
     }
@@ -114,48 +283,159 @@ class FloorManager {
     return config;
   }
 
-  // --- Dynamic PersistData discovery ---
-  // Roborock firmware uses PersistData_N.data (not PersistentData) for
-  // per-slot persistent navigation data. The number of files varies by model.
+  // --- Dynamic map file discovery ---
+  // Regular files in mapBase matching the profile's filePatterns, excluding
+  // the fixed mapFiles and the database (handled separately).
 
-  async _discoverPersistDataFiles() {
+  async _discoverPatternFiles() {
+    const {
+      mapBase, filePatterns, mapFiles, database,
+    } = this._profile;
+    if (filePatterns.length === 0) return [];
     try {
       const output = await this._ssh.exec(
-        `ls -1 "${MAP_BASE}"/PersistData_*.data 2>/dev/null || true`,
+        `cd "${mapBase}" 2>/dev/null && for f in ${filePatterns.join(' ')}; do [ -f "$f" ] && echo "$f"; done; true`,
       );
       return output.trim().split('\n')
-        .filter(Boolean)
-        .map((path) => path.split('/').pop());
+        .filter((name) => name && !mapFiles.includes(name) && name !== database);
+    } catch {
+      return [];
+    }
+  }
+
+  // Every snapshot holds the profile's primary file; profiles without one
+  // count any saved map file.
+  async _hasSnapshot(dir) {
+    const { primaryFile } = this._profile;
+    if (primaryFile) return this._ssh.fileExists(`${dir}/${primaryFile}`);
+    const files = await this._listFloorFiles(dir);
+    return files.some((f) => f !== MANIFEST_FILE && f !== this._profile.database);
+  }
+
+  // --- Map database backup/restore ---
+  // e.g. robot.db on Roborock, whose bakmaps table holds the room
+  // segmentation of each firmware map slot.
+
+  async _backupDatabase(floorDir) {
+    const { database } = this._profile;
+    if (!database) return;
+    try {
+      await this._ssh.copyFile(this._profile.livePath(database), `${floorDir}/${database}`);
+      this._log(`  Saved ${database}`);
+    } catch (err) {
+      this._log(`Warning: ${database} backup failed:`, err.message);
+    }
+  }
+
+  // --- Snapshot integrity manifest ---
+  // Sizes and checksums are computed on the robot so a truncated copy (e.g.
+  // after a power blip mid-save) is caught before it is restored.
+
+  async _listFloorFiles(floorDir) {
+    try {
+      const output = await this._ssh.exec(`ls -1 "${floorDir}" 2>/dev/null || true`);
+      return output.trim().split('\n').filter(Boolean);
     } catch {
       return [];
     }
   }
 
-  // --- robot.db bakmaps backup/restore ---
-  // The bakmaps table in robot.db stores segment/room definitions for each
-  // firmware map slot. Without the correct bakmap entry, restored maps lose
-  // their room segmentation.
+  async _writeManifest(floorDir) {
+    const files = (await this._listFloorFiles(floorDir)).filter((f) => f !== MANIFEST_FILE);
+    const entries = [];
+    for (const name of files) {
+      const path = `${floorDir}/${name}`;
+      const size = await this._ssh.fileSize(path);
+      const { algorithm, hash } = await this._ssh.checksum(path);
+      entries.push({
+        name, size, algorithm, hash,
+      });
+    }
+    const manifest = {
+      version: MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      files: entries,
+    };
+    await this._ssh.writeFile(`${floorDir}/${MANIFEST_FILE}`, JSON.stringify(manifest, null, 2));
+    this._log(`  Wrote manifest (${entries.length} files)`);
+    return manifest;
+  }
 
-  async _backupBakmaps(floorDir) {
+  // Returns { status, problems } where status is one of:
+  //   ok         — every file matches the manifest
+  //   unverified — snapshot exists but predates manifests
+  //   damaged    — manifest unreadable or a file is missing/truncated/changed
+  //   missing    — no snapshot on the robot
+  async _verifyManifest(floorDir) {
+    if (!(await this._hasSnapshot(floorDir))) {
+      return { status: 'missing', problems: [] };
+    }
+    if (!(await this._ssh.fileExists(`${floorDir}/${MANIFEST_FILE}`))) {
+      return { status: 'unverified', problems: [] };
+    }
+
+    let manifest;
     try {
-      await this._ssh.copyFile(ROBOT_DB, `${floorDir}/robot.db`);
-      this._log('  Saved robot.db (bakmaps)');
+      manifest = JSON.parse(await this._ssh.readFile(`${floorDir}/${MANIFEST_FILE}`));
     } catch (err) {
-      this._log('Warning: robot.db backup failed:', err.message);
+      return { status: 'damaged', problems: [`manifest unreadable: ${err.message}`] };
+    }
+    if (!manifest || !Array.isArray(manifest.files)) {
+      return { status: 'damaged', problems: ['manifest has no file list'] };
+    }
+
+    const problems = [];
+    for (const entry of manifest.files) {
+      const path = `${floorDir}/${entry.name}`;
+      if (!(await this._ssh.fileExists(path))) {
+        problems.push(`${entry.name} missing`);
+        continue;
+      }
+      const size = await this._ssh.fileSize(path);
+      if (size !== entry.size) {
+        problems.push(`${entry.name} size ${size} (expected ${entry.size})`);
+        continue;
+      }
+      const { algorithm, hash } = await this._ssh.checksum(path);
+      if (algorithm !== entry.algorithm || hash !== entry.hash) {
+        problems.push(`${entry.name} checksum mismatch`);
+      }
+    }
+
+    return { status: problems.length > 0 ? 'damaged' : 'ok', problems };
+  }
+
+  async checkFloorIntegrity(floorId) {
+    const result = await this._verifyManifest(`${this._profile.floorsDir}/${floorId}`);
+
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (floor && floor.snapshotStatus !== result.status) {
+      floor.snapshotStatus = result.status;
+      await this._setStore(config);
     }
+
+    if (result.status === 'damaged') {
+      this._log(`Floor "${floorId}" snapshot is damaged: ${result.problems.join('; ')}`);
+    }
+    return result;
   }
 
-  async _restoreBakmaps(floorDir) {
+  async _restoreDatabase(floorDir) {
+    const { database } = this._profile;
+    if (!database) return false;
     try {
-      const exists = await this._ssh.fileExists(`${floorDir}/robot.db`);
+      const exists = await this._ssh.fileExists(`${floorDir}/${database}`);
       if (!exists) {
-        this._log('  No robot.db backup for this floor (pre-fix floor)');
-        return;
+        this._log(`  No ${database} backup for this floor (pre-fix floor)`);
+        return false;
       }
-      await this._ssh.copyFile(`${floorDir}/robot.db`, ROBOT_DB);
-      this._log('  Restored robot.db (bakmaps)');
+      await this._ssh.copyFile(`${floorDir}/${database}`, this._profile.livePath(database));
+      this._log(`  Restored ${database}`);
+      return true;
     } catch (err) {
-      this._log('Warning: robot.db restore failed:', err.message);
+      this._log(`Warning: ${database} restore failed:`, err.message);
+      return false;
     }
   }
 
@@ -167,8 +447,8 @@ class FloorManager {
     let savedCount = 0;
 
     // Core map files
-    for (const file of MAP_FILES) {
-      const src = `${MAP_BASE}/${file}`;
+    for (const file of this._profile.mapFiles) {
+      const src = this._profile.livePath(file);
       const exists = await this._ssh.fileExists(src);
       if (exists) {
         await this._ssh.copyFile(src, `${floorDir}/${file}`);
@@ -177,74 +457,356 @@ class FloorManager {
       }
     }
 
-    // Dynamically discovered PersistData files
-    const persistFiles = await this._discoverPersistDataFiles();
-    for (const file of persistFiles) {
-      const src = `${MAP_BASE}/${file}`;
-      await this._ssh.copyFile(src, `${floorDir}/${file}`);
+    // Dynamically discovered files (e.g. PersistData_N.data)
+    for (const file of await this._discoverPatternFiles()) {
+      await this._ssh.copyFile(this._profile.livePath(file), `${floorDir}/${file}`);
       this._log(`  Saved ${file}`);
       savedCount++;
     }
 
-    // robot.db (contains bakmaps with segment definitions)
-    await this._backupBakmaps(floorDir);
+    await this._backupDatabase(floorDir);
 
-    return savedCount;
+    let manifest = null;
+    if (savedCount > 0) {
+      try {
+        manifest = await this._writeManifest(floorDir);
+      } catch (err) {
+        this._log('Warning: floor manifest could not be written:', err.message);
+      }
+    }
+
+    return { savedCount, manifest };
   }
 
   async _removeActiveMapFiles() {
-    for (const file of MAP_FILES) {
-      await this._ssh.removeFile(`${MAP_BASE}/${file}`);
+    for (const file of this._profile.mapFiles) {
+      await this._ssh.removeFile(this._profile.livePath(file));
     }
-    const persistFiles = await this._discoverPersistDataFiles();
-    for (const file of persistFiles) {
-      await this._ssh.removeFile(`${MAP_BASE}/${file}`);
+    for (const file of await this._discoverPatternFiles()) {
+      await this._ssh.removeFile(this._profile.livePath(file));
     }
   }
 
-  async _restoreMapFiles(floorDir) {
-    let files;
-    try {
-      const output = await this._ssh.exec(`ls -1 "${floorDir}" 2>/dev/null || true`);
-      files = output.trim().split('\n').filter(Boolean);
-    } catch {
-      files = [];
+  async _removeConflictFiles() {
+    for (const file of this._profile.conflictFiles) {
+      await this._ssh.removeFile(this._profile.livePath(file));
     }
+  }
 
-    // Restore all map-related files (skip robot.db — handled separately)
+  async _restoreMapFiles(floorDir) {
+    const files = await this._listFloorFiles(floorDir);
+
+    // Restore all map-related files (skip the database — handled separately)
+    const { database } = this._profile;
+    const restored = [];
     for (const file of files) {
-      if (file === 'robot.db') continue;
+      if (file === database || file === MANIFEST_FILE) continue;
       const src = `${floorDir}/${file}`;
-      await this._ssh.copyFile(src, `${MAP_BASE}/${file}`);
+      await this._ssh.copyFile(src, this._profile.livePath(file));
       this._log(`  Restored ${file}`);
+      restored.push(file);
+    }
+
+    if (await this._restoreDatabase(floorDir)) {
+      restored.push(database);
+    }
+    return restored;
+  }
+
+  // Byte-compare copied files against their source; throws on the first mismatch.
+  async _verifyCopiedFiles(srcDir, dstDir, files) {
+    for (const file of files) {
+      try {
+        await this._ssh.exec(`cmp -s "${srcDir}/${file}" "${dstDir}/${file}"`);
+      } catch {
+        throw new Error(`Verification failed — ${file} does not match its source`);
+      }
+    }
+  }
+
+  // --- Rollback staging for floor switches ---
+
+  async _stageRollback() {
+    const { mapBase, rollbackDir, database } = this._profile;
+    await this._ssh.exec(`rm -rf "${rollbackDir}" && mkdir -p "${rollbackDir}"`);
+
+    const candidates = [
+      ...this._profile.mapFiles,
+      ...this._profile.conflictFiles,
+      ...(await this._discoverPatternFiles()),
+      ...(database ? [database] : []),
+    ];
+    const staged = [];
+    for (const file of candidates) {
+      const src = this._profile.livePath(file);
+      if (!(await this._ssh.fileExists(src))) continue;
+      await this._ssh.copyFile(src, `${rollbackDir}/${file}`);
+      staged.push(file);
+    }
+
+    await this._verifyCopiedFiles(mapBase, rollbackDir, staged);
+    this._log(`  Staged ${staged.length} file(s) for rollback`);
+    return staged;
+  }
+
+  async _rollback(stagedFiles, rebooted, result) {
+    this._log('Rolling back to previous floor map...');
+    const { mapBase, rollbackDir } = this._profile;
+    try {
+      await this._removeConflictFiles();
+      await this._removeActiveMapFiles();
+      for (const file of stagedFiles) {
+        await this._ssh.copyFile(`${rollbackDir}/${file}`, this._profile.livePath(file));
+      }
+      await this._verifyCopiedFiles(rollbackDir, mapBase, stagedFiles);
+      await this._patchConfig();
+
+      // The firmware only reloads map files on boot, so a switch that already
+      // rebooted into the target floor needs a second reboot to go back.
+      if (rebooted) {
+        this._log('Rebooting robot to reload previous floor...');
+        await this._ssh.reboot(this._profile.rebootCommand);
+        await this._waitForOnline();
+      }
+
+      result.rolledBack = true;
+      this._log('Rollback complete — previous floor map restored');
+    } catch (err) {
+      result.rollbackError = err.message;
+      this._log('Rollback failed:', err.message);
     }
+  }
 
-    await this._restoreBakmaps(floorDir);
+  async _clearRollback() {
+    try {
+      await this._ssh.exec(`rm -rf "${this._profile.rollbackDir}"`);
+    } catch (err) {
+      this._log('Warning: failed to remove rollback files:', err.message);
+    }
+  }
+
+  // --- Floor version history ---
+
+  setHistoryRetention(versions) {
+    if (!Number.isInteger(versions) || versions < 1) {
+      throw new Error(`Floor map history must keep at least 1 version, got "${versions}"`);
+    }
+    this._historyVersions = versions;
   }
 
-  async saveCurrentFloor(floorId) {
+  async _countSegments() {
+    try {
+      const segments = await this._api.getSegments();
+      return Array.isArray(segments) ? segments.length : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Floor entry fields describing the snapshot that was just saved
+  async _snapshotMeta(manifest) {
+    return {
+      snapshotStatus: manifest ? 'ok' : 'unverified',
+      savedAt: new Date().toISOString(),
+      size: manifest ? manifest.files.reduce((sum, f) => sum + f.size, 0) : null,
+      segmentCount: await this._countSegments(),
+    };
+  }
+
+  // Archives the existing snapshot unless it already holds the live map
+  // (e.g. the pre-switch backup right after a previous save). Never fails the save.
+  async _archiveBeforeSave(floorId, floorDir) {
+    if (!this.getFloorName(floorId)) return;
+    if (await this._matchesLiveMap(floorDir)) return;
+    try {
+      await this._archiveFloorVersion(floorId);
+    } catch (err) {
+      this._log('Warning: previous floor snapshot could not be archived:', err.message);
+    }
+  }
+
+  // Profiles with a primary file compare just that; otherwise every file of
+  // the snapshot must still match its live counterpart.
+  async _matchesLiveMap(floorDir) {
+    const { primaryFile } = this._profile;
+    const files = primaryFile
+      ? [primaryFile]
+      : (await this._listFloorFiles(floorDir)).filter((f) => f !== MANIFEST_FILE && f !== this._profile.database);
+    if (files.length === 0) return false;
+    try {
+      await this._verifyCopiedFiles(this._profile.mapBase, floorDir, files);
+      return true;
+    } catch {
+      return false; // Differs or no snapshot yet
+    }
+  }
+
+  // Copies floors/<id> into the history. Returns the new version id, or null
+  // when the floor has no snapshot.
+  async _archiveFloorVersion(floorId) {
+    const floorDir = `${this._profile.floorsDir}/${floorId}`;
+    if (!(await this._hasSnapshot(floorDir))) return null;
+
+    const archivedAt = new Date();
+    const versionId = archivedAt.toISOString().replace(/[-:.]/g, '');
+    const floorHistoryDir = `${this._profile.historyDir}/${floorId}`;
+    await this._ssh.exec(`mkdir -p "${floorHistoryDir}" && cp -r "${floorDir}" "${floorHistoryDir}/${versionId}"`);
+
     const config = this._getStore();
-    let floor = config.floors.find((f) => f.id === floorId);
-    if (!floor) {
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (floor) {
+      floor.versions = [{
+        id: versionId,
+        savedAt: floor.savedAt || null,
+        archivedAt: archivedAt.toISOString(),
+        size: floor.size ?? null,
+        segmentCount: floor.segmentCount ?? null,
+      }, ...(floor.versions || [])];
+      await this._setStore(config);
+    }
+    this._log(`  Archived previous snapshot of "${floorId}" as version ${versionId}`);
+
+    await this._pruneFloorVersions(floorId);
+    return versionId;
+  }
+
+  async _pruneFloorVersions(floorId) {
+    const floorHistoryDir = `${this._profile.historyDir}/${floorId}`;
+    // Version ids are timestamps, so lexical order is chronological
+    const ids = (await this._listFloorFiles(floorHistoryDir)).sort().reverse();
+    const expired = ids.slice(this._historyVersions);
+    for (const id of expired) {
+      await this._ssh.exec(`rm -rf "${floorHistoryDir}/${id}"`);
+      this._log(`  Pruned version ${id} of "${floorId}"`);
+    }
+
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (floor && floor.versions) {
+      floor.versions = floor.versions
+        .filter((v) => !expired.includes(v.id))
+        .slice(0, this._historyVersions);
+      await this._setStore(config);
+    }
+  }
+
+  // Newest first. Versions found on the robot without stored metadata (e.g.
+  // after a Homey reset) are listed with null details.
+  async listFloorVersions(floorId) {
+    const floor = this._getStore().floors.find((f) => f.id === floorId);
+    if (!floor) throw new Error(`Floor "${floorId}" not found`);
+
+    const ids = (await this._listFloorFiles(`${this._profile.historyDir}/${floorId}`)).sort().reverse();
+    const known = new Map((floor.versions || []).map((v) => [v.id, v]));
+    return ids.map((id) => known.get(id) || {
+      id, savedAt: null, archivedAt: null, size: null, segmentCount: null,
+    });
+  }
+
+  // Replaces the floor's snapshot with an archived version. The snapshot being
+  // replaced is archived first, so a restore can itself be undone. Restoring
+  // the active floor also loads the version onto the robot (reboot), reporting
+  // to `operation` like a floor switch.
+  // `versionId` may be 'previous' for the newest archived version.
+  async restoreFloorVersion(floorId, versionId, { operation = null } = {}) {
+    const floorName = this.getFloorName(floorId);
+    if (!floorName) throw new Error(`Floor "${floorId}" not found`);
+    if (this.isSwitching()) throw new Error('Cannot restore a floor version during a floor switch');
+
+    const versions = await this.listFloorVersions(floorId);
+    const version = versionId === 'previous' ? versions[0] : versions.find((v) => v.id === versionId);
+    if (!version) {
+      throw new Error(versionId === 'previous'
+        ? `Floor "${floorName}" has no previous versions`
+        : `Version "${versionId}" of floor "${floorName}" not found`);
+    }
+
+    const versionDir = `${this._profile.historyDir}/${floorId}/${version.id}`;
+    const integrity = await this._verifyManifest(versionDir);
+    if (integrity.status === 'damaged' || integrity.status === 'missing') {
+      throw new Error(`Version ${version.id} of "${floorName}" is ${integrity.status}${integrity.problems.length ? ` (${integrity.problems.join('; ')})` : ''}`);
+    }
+
+    const isActive = this.getActiveFloor() === floorId;
+    this._log(`Restoring floor "${floorName}" to version ${version.id}${isActive ? ' (active floor — robot will reboot)' : ''}`);
+
+    // Copy the version out of the history first so archiving the current
+    // snapshot cannot prune it. Hidden so floor directory scans skip it.
+    const floorDir = `${this._profile.floorsDir}/${floorId}`;
+    const stagingDir = `${this._profile.floorsDir}/.${floorId}.restore`;
+    await this._ssh.exec(`rm -rf "${stagingDir}" && cp -r "${versionDir}" "${stagingDir}"`);
+
+    let previousVersionId;
+    try {
+      // The active floor's snapshot may be stale — capture the live map first,
+      // archived once below rather than also by the save
+      if (isActive) await this.saveCurrentFloor(floorId, { archive: false });
+      previousVersionId = await this._archiveFloorVersion(floorId);
+      await this._ssh.exec(`rm -rf "${floorDir}" && mv "${stagingDir}" "${floorDir}"`);
+    } catch (err) {
+      await this._ssh.exec(`rm -rf "${stagingDir}"`).catch(() => {});
+      throw err;
+    }
+
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    Object.assign(floor, {
+      snapshotStatus: integrity.status,
+      savedAt: version.savedAt,
+      size: version.size,
+      segmentCount: version.segmentCount,
+    });
+    await this._setStore(config);
+
+    if (isActive) {
+      try {
+        await this.switchFloor(floorId, { reload: true, operation });
+      } catch (err) {
+        // The switch rolled the robot back to the live map — put its snapshot back too
+        if (previousVersionId) {
+          this._log('Reload failed — restoring the replaced snapshot');
+          await this._ssh.exec(`rm -rf "${floorDir}" && cp -r "${this._profile.historyDir}/${floorId}/${previousVersionId}" "${floorDir}"`)
+            .catch((copyErr) => this._log('Warning: replaced snapshot could not be restored:', copyErr.message));
+          await this.checkFloorIntegrity(floorId).catch(() => {});
+        }
+        throw err;
+      }
+    }
+
+    this._log(`Floor "${floorName}" restored to version ${version.id}`);
+    return {
+      floorId, versionId: version.id, previousVersionId, reloaded: isActive,
+    };
+  }
+
+  async saveCurrentFloor(floorId, { archive = true } = {}) {
+    const floorName = this.getFloorName(floorId);
+    if (!floorName) {
       throw new Error(`Floor "${floorId}" not found. Add it first.`);
     }
 
-    this._log(`Saving current map as floor "${floor.name}" (${floorId})`);
+    this._log(`Saving current map as floor "${floorName}" (${floorId})`);
 
-    const floorDir = `${FLOORS_DIR}/${floorId}`;
-    const savedCount = await this._saveMapFiles(floorDir);
+    const floorDir = `${this._profile.floorsDir}/${floorId}`;
+    if (archive) await this._archiveBeforeSave(floorId, floorDir);
+    const { savedCount, manifest } = await this._saveMapFiles(floorDir);
 
     if (savedCount === 0) {
       throw new Error('No map files found on robot — cannot save floor');
     }
 
     // Verify the key file exists on the robot
-    const verified = await this._ssh.fileExists(`${floorDir}/last_map`);
+    const verified = await this._hasSnapshot(floorDir);
     if (!verified) {
-      throw new Error('Floor save verification failed — last_map not found after copy');
+      throw new Error('Floor save verification failed — map not found after copy');
     }
 
-    // Mark as active floor only after successful save
+    // Mark as active floor only after successful save (re-read — archiving
+    // updates the floor's version list)
+    const meta = await this._snapshotMeta(manifest);
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    Object.assign(floor, meta);
     config.activeFloor = floorId;
     await this._setStore(config);
 
@@ -257,25 +819,30 @@ class FloorManager {
     if (!id) throw new Error('Invalid floor name');
 
     this._log(`Saving current map as new floor "${name}" (${id})`);
-    const floorDir = `${FLOORS_DIR}/${id}`;
-    const savedCount = await this._saveMapFiles(floorDir);
+    const floorDir = `${this._profile.floorsDir}/${id}`;
+    await this._archiveBeforeSave(id, floorDir);
+    const { savedCount, manifest } = await this._saveMapFiles(floorDir);
 
     if (savedCount === 0) {
       throw new Error('No map files found on robot — cannot save floor');
     }
 
-    const verified = await this._ssh.fileExists(`${floorDir}/last_map`);
+    const verified = await this._hasSnapshot(floorDir);
     if (!verified) {
-      throw new Error('Floor save verification failed — last_map not found after copy');
+      throw new Error('Floor save verification failed — map not found after copy');
     }
 
     // Only persist to Homey store after confirmed save on robot
+    const meta = await this._snapshotMeta(manifest);
     const config = this._getStore();
     const existing = config.floors.find((f) => f.id === id);
     if (!existing) {
-      config.floors.push({ id, name, hasDock });
+      config.floors.push({
+        id, name, hasDock, ...meta,
+      });
     } else {
       existing.hasDock = hasDock;
+      Object.assign(existing, meta);
     }
     config.activeFloor = id;
     await this._setStore(config);
@@ -302,102 +869,306 @@ class FloorManager {
     return { id, name };
   }
 
-  async isFloorSaved(floorId) {
-    const floorDir = `${FLOORS_DIR}/${floorId}`;
-    return this._ssh.fileExists(`${floorDir}/last_map`);
-  }
+  // --- Export / import ---
 
-  async switchFloor(floorId) {
-    const config = this._getStore();
-    const floor = config.floors.find((f) => f.id === floorId);
-    if (!floor) {
-      throw new Error(`Floor "${floorId}" not found`);
+  // Reads a floor's snapshot files off the robot. The active floor is saved
+  // first so the export holds the live map rather than the last backup.
+  async exportFloor(floorId) {
+    const floorName = this.getFloorName(floorId);
+    if (!floorName) throw new Error(`Floor "${floorId}" not found`);
+
+    if (this.getActiveFloor() === floorId) {
+      await this.saveCurrentFloor(floorId);
     }
 
-    if (config.activeFloor === floorId) {
-      this._log(`Already on floor "${floor.name}"`);
-      return floor;
+    const floorDir = `${this._profile.floorsDir}/${floorId}`;
+    const integrity = await this.checkFloorIntegrity(floorId);
+    if (integrity.status === 'missing') {
+      throw new Error(`No saved map for "${floorName}" to export`);
+    }
+    if (integrity.status === 'damaged') {
+      throw new Error(`Floor snapshot for "${floorName}" is damaged (${integrity.problems.join('; ')}). Re-save the floor before exporting it.`);
     }
 
-    // Step 1: Always save current floor's latest map before switching away
-    // (the backup may be stale from boot time or a previous session)
-    if (config.activeFloor) {
-      try {
-        this._log('Saving current floor map before switch...');
-        await this.saveCurrentFloor(config.activeFloor);
-      } catch (err) {
-        this._log('Warning: could not backup current floor:', err.message);
+    const files = [];
+    for (const name of await this._listFloorFiles(floorDir)) {
+      if (name === MANIFEST_FILE) continue;
+      files.push({ name, data: await this._ssh.readBinaryFile(`${floorDir}/${name}`) });
+    }
+
+    // Catch corruption in transfer against the robot-side manifest
+    if (integrity.status === 'ok') {
+      const robotManifest = JSON.parse(await this._ssh.readFile(`${floorDir}/${MANIFEST_FILE}`));
+      const problems = FloorArchive.verifyFiles(robotManifest, files);
+      if (problems.length > 0) {
+        throw new Error(`Export of "${floorName}" failed verification: ${problems.join('; ')}`);
       }
     }
 
-    // Step 2: Check if target floor has a saved map
-    let saved = await this.isFloorSaved(floorId);
+    const floor = this._getStore().floors.find((f) => f.id === floorId);
+    this._log(`Exported floor "${floorName}" (${files.length} files)`);
+    return {
+      floor: {
+        id: floor.id,
+        name: floor.name,
+        hasDock: floor.hasDock !== false,
+        savedAt: floor.savedAt || null,
+        segmentCount: floor.segmentCount ?? null,
+      },
+      manifest: FloorArchive.buildManifest(files),
+      files,
+    };
+  }
 
-    // Fallback: search robot for unclaimed map directories or firmware maps
-    if (!saved) {
-      this._log(`No saved map for "${floor.name}", searching robot for existing maps...`);
-      saved = await this._tryRecoverFloorMap(floorId, floor.name);
+  // Writes an unpacked archive to the robot as a new floor, or over an
+  // existing inactive floor when `replace` is set (the old snapshot goes to
+  // the version history). Files are staged and checksummed on the robot
+  // before the floor directory is swapped in.
+  async importFloor(archive, { name, replace = false } = {}) {
+    const floorName = name || archive.floor.name;
+    const id = floorName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/(^_|_$)/g, '');
+    if (!id) throw new Error('Invalid floor name');
+
+    const config = this._getStore();
+    const existing = config.floors.find((f) => f.id === id);
+    if (existing && !replace) {
+      throw new Error(`Floor "${existing.name}" already exists — import under another name or replace it`);
+    }
+    if (existing && config.activeFloor === id) {
+      throw new Error(`Cannot replace the active floor "${existing.name}" — switch to another floor first`);
     }
 
-    if (!saved) {
-      throw new Error(`No saved map for "${floor.name}". Navigate robot to that floor and use "New Floor" to save it.`);
+    const { primaryFile } = this._profile;
+    if (primaryFile && !archive.files.some((f) => f.name === primaryFile)) {
+      throw new Error(`Floor archive does not contain a map (${primaryFile})`);
     }
 
-    this._log(`Switching to floor "${floor.name}"...`);
+    this._log(`Importing floor archive as "${floorName}" (${id})`);
+    const floorDir = `${this._profile.floorsDir}/${id}`;
+    const stagingDir = `${this._profile.floorsDir}/.${id}.import`;
+    try {
+      await this._ssh.exec(`rm -rf "${stagingDir}" && mkdir -p "${stagingDir}"`);
+      for (const file of archive.files) {
+        const path = `${stagingDir}/${file.name}`;
+        await this._ssh.writeBinaryFile(path, file.data);
+        const { algorithm, hash } = await this._ssh.checksum(path);
+        if (hash !== FloorArchive.hash(algorithm, file.data)) {
+          throw new Error(`Import verification failed — ${file.name} does not match the archive`);
+        }
+        this._log(`  Wrote ${file.name}`);
+      }
+      await this._writeManifest(stagingDir);
 
-    // Step 3: Stop robot if cleaning
-    await this._stopIfCleaning();
+      if (existing) await this._archiveFloorVersion(id);
+      await this._ssh.exec(`rm -rf "${floorDir}" && mv "${stagingDir}" "${floorDir}"`);
+    } catch (err) {
+      await this._ssh.exec(`rm -rf "${stagingDir}"`).catch(() => {});
+      throw err;
+    }
 
-    // Step 4: Save current floor's map files (backup)
-    if (config.activeFloor) {
-      this._log('Backing up current floor map...');
-      try {
-        await this.saveCurrentFloor(config.activeFloor);
-      } catch (err) {
-        this._log('Warning: failed to backup current floor:', err.message);
-      }
+    // Re-read — archiving updates the floor's version list
+    const latest = this._getStore();
+    const meta = {
+      snapshotStatus: 'ok',
+      savedAt: archive.floor.savedAt || archive.createdAt || null,
+      size: archive.files.reduce((sum, f) => sum + f.data.length, 0),
+      segmentCount: archive.floor.segmentCount ?? null,
+    };
+    const floor = latest.floors.find((f) => f.id === id);
+    if (floor) {
+      Object.assign(floor, meta);
+    } else {
+      latest.floors.push({
+        id, name: floorName, hasDock: archive.floor.hasDock !== false, ...meta,
+      });
     }
+    await this._setStore(latest);
+
+    this._log(`Floor "${floorName}" imported successfully`);
+    return { id, name: floor ? floor.name : floorName };
+  }
 
-    // Step 5: Remove conflicting files
-    this._log('Removing conflicting files...');
-    for (const file of CONFLICT_FILES) {
-      await this._ssh.removeFile(`${MAP_BASE}/${file}`);
+  // A floor counts as saved when its snapshot exists and is not damaged.
+  // Snapshots from before manifests were introduced are accepted unverified.
+  async isFloorSaved(floorId) {
+    const { status } = await this.checkFloorIntegrity(floorId);
+    return status === 'ok' || status === 'unverified';
+  }
+
+  getLastSwitchResult() {
+    return this._lastSwitchResult;
+  }
+
+  isSwitching() {
+    return !!this._lastSwitchResult && !this._lastSwitchResult.finishedAt;
+  }
+
+  // `reload` re-applies the active floor's snapshot to the robot (used after
+  // restoring an older version) instead of treating it as a no-op.
+  // `operation` (a FloorOperation) receives step progress and may cancel the
+  // switch before the live map is touched; a cancelled switch rejects with
+  // OperationCancelledError.
+  async switchFloor(floorId, { reload = false, operation = null } = {}) {
+    const config = this._getStore();
+    const floor = config.floors.find((f) => f.id === floorId);
+    if (!floor) {
+      throw new Error(`Floor "${floorId}" not found`);
     }
 
-    // Step 6: Remove current map files (including all PersistData)
-    await this._removeActiveMapFiles();
+    if (config.activeFloor === floorId && !reload) {
+      this._log(`Already on floor "${floor.name}"`);
+      return floor;
+    }
 
-    // Step 7: Copy target floor files (including PersistData + robot.db)
-    this._log(`Restoring floor "${floor.name}" map files...`);
-    const floorDir = `${FLOORS_DIR}/${floorId}`;
-    await this._restoreMapFiles(floorDir);
+    const result = {
+      floorId,
+      previousFloorId: config.activeFloor,
+      startedAt: Date.now(),
+      finishedAt: null,
+      success: false,
+      failedStep: null,
+      error: null,
+      rolledBack: false,
+      rollbackError: null,
+      cancelled: false,
+    };
+    this._lastSwitchResult = result;
+    const op = operation || new FloorOperation({ type: 'switch', floorId, floorName: floor.name });
+
+    op.plan(SWITCH_STEPS, { cancellableUntil: 'restore' });
+    let step = null;
+    let stagedFiles = null;
+    let rebooted = false;
+    const enter = (name) => {
+      op.setStep(name);
+      step = name;
+    };
 
-    // Step 8: Patch RoboController.cfg
-    this._log('Patching RoboController.cfg...');
-    await this._patchConfig();
+    try {
+      // Step 1: Always save current floor's latest map before switching away
+      // (the backup may be stale from boot time or a previous session)
+      enter('backup');
+      if (config.activeFloor && !reload) {
+        try {
+          this._log('Saving current floor map before switch...');
+          await this.saveCurrentFloor(config.activeFloor);
+        } catch (err) {
+          this._log('Warning: could not backup current floor:', err.message);
+        }
+      }
 
-    // Step 9: Reboot
-    this._log('Rebooting robot...');
-    await this._ssh.reboot();
+      // Step 2: Check if target floor has an intact saved map
+      enter('check');
+      const floorDir = `${this._profile.floorsDir}/${floorId}`;
+      const integrity = await this.checkFloorIntegrity(floorId);
+      if (integrity.status === 'damaged') {
+        throw new Error(`Floor snapshot for "${floor.name}" is damaged (${integrity.problems.join('; ')}). Re-save the floor from the robot.`);
+      }
+      let saved = integrity.status !== 'missing';
+
+      // Fallback: search robot for unclaimed map directories or firmware maps
+      if (!saved) {
+        this._log(`No saved map for "${floor.name}", searching robot for existing maps...`);
+        saved = await this._tryRecoverFloorMap(floorId, floor.name);
+        if (saved) {
+          try {
+            await this._writeManifest(floorDir);
+          } catch (err) {
+            this._log('Warning: manifest for recovered floor could not be written:', err.message);
+          }
+        }
+      }
 
-    // Step 10: Wait for robot to come back
-    this._log('Waiting for robot to come back online...');
-    await this._waitForOnline();
+      if (!saved) {
+        throw new Error(`No saved map for "${floor.name}". Navigate robot to that floor and use "New Floor" to save it.`);
+      }
 
-    // Step 11: Update store
-    config.activeFloor = floorId;
-    await this._setStore(config);
+      this._log(`Switching to floor "${floor.name}"...`);
+
+      // Step 3: Stop robot if cleaning
+      enter('stop');
+      await this._stopIfCleaning();
+
+      // Step 4: Stage the outgoing map files so they can be put back on failure
+      enter('stage');
+      this._log('Staging current map files for rollback...');
+      stagedFiles = await this._stageRollback();
+
+      // Step 5: Remove conflicting files and current map files (including all PersistData)
+      enter('restore');
+      this._log('Removing conflicting files...');
+      await this._removeConflictFiles();
+      await this._removeActiveMapFiles();
+
+      // Step 6: Copy target floor files (including discovered files + database)
+      this._log(`Restoring floor "${floor.name}" map files...`);
+      const restoredFiles = await this._restoreMapFiles(floorDir);
+
+      // Step 7: Verify every restored file matches the floor snapshot
+      enter('verify');
+      await this._verifyCopiedFiles(floorDir, this._profile.mapBase, restoredFiles);
+
+      // Step 8: Patch the firmware config (e.g. RoboController.cfg)
+      enter('patch');
+      await this._patchConfig();
+
+      // Step 9: Reboot
+      enter('reboot');
+      this._log('Rebooting robot...');
+      rebooted = true;
+      await this._ssh.reboot(this._profile.rebootCommand);
+
+      // Step 10: Wait for robot to come back and load the restored map
+      enter('waiting');
+      this._log('Waiting for robot to come back online...');
+      const mapLoaded = await this._waitForOnline();
+
+      enter('map-loaded');
+      if (!mapLoaded) {
+        throw new Error('Valetudo did not load the restored map after reboot');
+      }
+    } catch (err) {
+      if (err instanceof OperationCancelledError) {
+        // Cancelled before the live map was touched — nothing to roll back
+        result.cancelled = true;
+        result.finishedAt = Date.now();
+        this._log(`Floor switch to "${floor.name}" cancelled`);
+        if (stagedFiles) await this._clearRollback();
+        op.fail(err);
+        throw err;
+      }
+
+      result.failedStep = step;
+      result.error = err.message;
+      this._log(`Floor switch failed at step "${step}":`, err.message);
+
+      if (stagedFiles) {
+        await this._rollback(stagedFiles, rebooted, result);
+      }
+      result.finishedAt = Date.now();
+      op.fail(err);
+      throw new FloorSwitchError(err.message, result);
+    }
+
+    // Step 11: Update store (re-read — the backup and integrity check update floor entries)
+    const latest = this._getStore();
+    latest.activeFloor = floorId;
+    await this._setStore(latest);
+    await this._clearRollback();
 
+    result.success = true;
+    result.finishedAt = Date.now();
+    op.succeed();
     this._log(`Switched to floor "${floor.name}" successfully`);
     return floor;
   }
 
   async _tryRecoverFloorMap(floorId, floorName) {
-    const targetDir = `${FLOORS_DIR}/${floorId}`;
+    const targetDir = `${this._profile.floorsDir}/${floorId}`;
 
     // 1. Search floors directory for unclaimed map directories
     try {
-      const output = await this._ssh.exec(`ls -1 "${FLOORS_DIR}" 2>/dev/null || true`);
+      const output = await this._ssh.exec(`ls -1 "${this._profile.floorsDir}" 2>/dev/null || true`);
       const dirs = output.trim().split('\n').filter(Boolean);
 
       if (dirs.length > 0) {
@@ -406,8 +1177,8 @@ class FloorManager {
 
         for (const dir of dirs) {
           if (dir === floorId) continue; // already checked by isFloorSaved
-          const dirPath = `${FLOORS_DIR}/${dir}`;
-          const hasMap = await this._ssh.fileExists(`${dirPath}/last_map`);
+          const dirPath = `${this._profile.floorsDir}/${dir}`;
+          const hasMap = await this._hasSnapshot(dirPath);
           if (!hasMap) continue;
 
           // Skip directories claimed by other registered floors
@@ -416,36 +1187,39 @@ class FloorManager {
           this._log(`Found existing map in "${dir}", adopting for floor "${floorName}"`);
           await this._ssh.exec(`mkdir -p "${targetDir}"`);
           await this._ssh.exec(`cp "${dirPath}"/* "${targetDir}/" 2>/dev/null || true`);
-          if (await this._ssh.fileExists(`${targetDir}/last_map`)) return true;
+          if (await this._hasSnapshot(targetDir)) return true;
         }
       }
     } catch (err) {
       this._log('Floor directory search failed:', err.message);
     }
 
+    // The remaining sources only yield the primary map file
+    const { primaryFile, firmwareMaps } = this._profile;
+    if (!primaryFile) return false;
+
     // 2. Check firmware multi-map files (user_map0, user_map1, etc.)
     try {
-      const output = await this._ssh.exec(`ls -1 "${MAP_BASE}"/user_map* 2>/dev/null || true`);
-      const userMaps = output.trim().split('\n').filter(Boolean);
+      const userMaps = firmwareMaps ? await this._listFirmwareMaps() : [];
 
       if (userMaps.length > 0) {
         // Find a user_map that isn't already used by another floor
         for (const mapPath of userMaps) {
           this._log(`Found firmware map: ${mapPath}`);
           await this._ssh.exec(`mkdir -p "${targetDir}"`);
-          await this._ssh.copyFile(mapPath, `${targetDir}/last_map`);
+          await this._ssh.copyFile(mapPath, `${targetDir}/${primaryFile}`);
 
-          // Also grab ChargerPos and PersistData if they exist
-          for (const file of MAP_FILES) {
-            if (file === 'last_map') continue;
-            const src = `${MAP_BASE}/${file}`;
+          // Also grab the other map files (e.g. ChargerPos) if they exist
+          for (const file of this._profile.mapFiles) {
+            if (file === primaryFile) continue;
+            const src = this._profile.livePath(file);
             const exists = await this._ssh.fileExists(src);
             if (exists) {
               await this._ssh.copyFile(src, `${targetDir}/${file}`);
             }
           }
 
-          if (await this._ssh.fileExists(`${targetDir}/last_map`)) {
+          if (await this._hasSnapshot(targetDir)) {
             this._log(`Recovered floor "${floorName}" from firmware map`);
             return true;
           }
@@ -457,15 +1231,14 @@ class FloorManager {
 
     // 3. Check for map backup files (last_map_backup, *.bak)
     try {
-      const backupFiles = ['last_map_backup', 'last_map.bak', 'last_map.old'];
-      for (const backup of backupFiles) {
-        const src = `${MAP_BASE}/${backup}`;
+      for (const backup of this._profile.backupFiles) {
+        const src = this._profile.livePath(backup);
         const exists = await this._ssh.fileExists(src);
         if (exists) {
           this._log(`Found map backup: ${backup}`);
           await this._ssh.exec(`mkdir -p "${targetDir}"`);
-          await this._ssh.copyFile(src, `${targetDir}/last_map`);
-          if (await this._ssh.fileExists(`${targetDir}/last_map`)) {
+          await this._ssh.copyFile(src, `${targetDir}/${primaryFile}`);
+          if (await this._hasSnapshot(targetDir)) {
             this._log(`Recovered floor "${floorName}" from backup file`);
             return true;
           }
@@ -478,11 +1251,17 @@ class FloorManager {
     return false;
   }
 
+  // Full paths of the firmware's own map slots (e.g. user_map0, user_map1)
+  async _listFirmwareMaps() {
+    const output = await this._ssh.exec(`ls -1 "${this._profile.mapBase}"/${this._profile.firmwareMaps.glob} 2>/dev/null || true`);
+    return output.trim().split('\n').filter(Boolean);
+  }
+
   // --- Segment trigger for no-dock floors ---
   // After a mapping pass on a floor without a dock, the firmware won't
   // segment the map automatically (segmentation is triggered by docking).
-  // We force it by: 1) trying the Valetudo quirk API, 2) falling back to
-  // setting ready_for_segment_map=1 in RoboController.cfg + reboot.
+  // We force it by: 1) trying the Valetudo quirk API, 2) falling back to the
+  // profile's config patch (ready_for_segment_map=1 on Roborock) + reboot.
 
   async triggerSegmentation() {
     // Try the Valetudo quirk API first
@@ -502,14 +1281,19 @@ class FloorManager {
       this._log('Quirk-based segmentation failed:', err.message);
     }
 
-    // Fallback: set ready_for_segment_map=1 and reboot
+    const { config } = this._profile;
+    if (!config || !config.segmentation) {
+      this._log(`No config-based segmentation trigger for ${this._profile.name} robots`);
+      return;
+    }
+
+    // Fallback: patch the config (ready_for_segment_map=1) and reboot
     this._log('Falling back to config-based segmentation trigger...');
     try {
-      let cfg = await this._ssh.readFile(ROBO_CFG);
-      cfg = cfg.replace(/ready_for_segment_map\s*=\s*\d+/, 'ready_for_segment_map = 1');
-      await this._ssh.writeFile(ROBO_CFG, cfg);
-      this._log('Set ready_for_segment_map = 1, rebooting...');
-      await this._ssh.reboot();
+      const cfg = await this._ssh.readFile(config.path);
+      await this._ssh.writeFile(config.path, this._profile.patchConfig(cfg, 'segmentation'));
+      this._log('Patched segmentation flag, rebooting...');
+      await this._ssh.reboot(this._profile.rebootCommand);
       await this._waitForOnline();
       this._log('Robot back online after segmentation reboot');
     } catch (err) {
@@ -533,12 +1317,14 @@ class FloorManager {
   }
 
   async _patchConfig() {
+    const { config } = this._profile;
+    if (!config || !config.restore) return;
+    this._log(`Patching ${config.path}...`);
     try {
-      let cfg = await this._ssh.readFile(ROBO_CFG);
-      cfg = cfg.replace(/need_recover_map\s*=\s*\d+/, 'need_recover_map = 0');
-      await this._ssh.writeFile(ROBO_CFG, cfg);
+      const cfg = await this._ssh.readFile(config.path);
+      await this._ssh.writeFile(config.path, this._profile.patchConfig(cfg, 'restore'));
     } catch (err) {
-      this._log('Warning: failed to patch RoboController.cfg:', err.message);
+      this._log(`Warning: failed to patch ${config.path}:`, err.message);
     }
   }
 
@@ -558,23 +1344,35 @@ class FloorManager {
       throw new Error('Robot did not come back online after reboot');
     }
 
-    // Phase 2: Wait for Valetudo to load the map (layers present)
-    // After reboot, Valetudo may serve an empty/default map until it processes the map files.
-    const mapWaitMs = 30000;
-    const mapStart = Date.now();
-    while (Date.now() - mapStart < mapWaitMs) {
+    // Phase 2: Wait for Valetudo to load the map
+    return this._waitForMap();
+  }
+
+  // After a reboot, Valetudo may serve an empty/default map until it
+  // processes the map files. Returns whether the map loaded (layers present);
+  // callers decide if a missing map is fatal.
+  async _waitForMap() {
+    for (let i = 0; i < MAX_MAP_POLL_ATTEMPTS; i++) {
       try {
         const mapData = await this._api.getMap();
         if (mapData && mapData.layers && mapData.layers.length > 0) {
-          this._log('Map loaded by Valetudo after reboot');
-          return;
+          this._log('Map loaded by Valetudo');
+          return true;
         }
       } catch {
         // Map API not ready yet
       }
-      await this._sleep(2000);
+      await this._sleep(MAP_POLL_INTERVAL_MS);
     }
     this._log('Warning: map may not be fully loaded yet (timed out waiting for layers)');
+    return false;
+  }
+
+  // Whether the robot currently has a map worth preserving as a floor
+  async robotHasMap() {
+    const { primaryFile } = this._profile;
+    if (primaryFile) return this._ssh.fileExists(this._profile.livePath(primaryFile));
+    return (await this._discoverPatternFiles()).length > 0;
   }
 
   async discoverAdditionalMaps() {
@@ -587,14 +1385,14 @@ class FloorManager {
     );
 
     // 1. Firmware multi-maps: user_map1, user_map2, ... (user_map0 = current active map — skip)
+    const { firmwareMaps } = this._profile;
     try {
-      const output = await this._ssh.exec(`ls -1 "${MAP_BASE}"/user_map* 2>/dev/null || true`);
-      for (const filePath of output.trim().split('\n').filter(Boolean)) {
+      for (const filePath of firmwareMaps ? await this._listFirmwareMaps() : []) {
         const fileName = filePath.split('/').pop();
-        const match = fileName.match(/^user_map(\d+)$/);
+        const match = fileName.match(firmwareMaps.pattern);
         if (!match) continue;
         const index = parseInt(match[1], 10);
-        if (index === 0) continue; // active map — already Floor 1
+        if (index === firmwareMaps.activeIndex) continue; // active map — already Floor 1
         if (importedFirmwareMaps.has(fileName)) continue; // already imported previously
         result.push({ type: 'firmware', path: filePath, fileName, index });
       }
@@ -605,11 +1403,11 @@ class FloorManager {
     // 2. Unregistered saved floor dirs (e.g. from a previous Homey reset)
     const registeredIds = new Set(config.floors.map((f) => f.id));
     try {
-      const output = await this._ssh.exec(`ls -1 "${FLOORS_DIR}" 2>/dev/null || true`);
+      const output = await this._ssh.exec(`ls -1 "${this._profile.floorsDir}" 2>/dev/null || true`);
       for (const dir of output.trim().split('\n').filter(Boolean)) {
         if (registeredIds.has(dir)) continue;
-        const hasMap = await this._ssh.fileExists(`${FLOORS_DIR}/${dir}/last_map`);
-        if (hasMap) result.push({ type: 'saved', path: `${FLOORS_DIR}/${dir}`, dirName: dir });
+        const hasMap = await this._hasSnapshot(`${this._profile.floorsDir}/${dir}`);
+        if (hasMap) result.push({ type: 'saved', path: `${this._profile.floorsDir}/${dir}`, dirName: dir });
       }
     } catch (err) {
       this._log('Saved floor directory scan failed:', err.message);
@@ -631,16 +1429,19 @@ class FloorManager {
       return { id, name };
     }
 
-    // firmware: create dir, copy user_mapN → last_map
-    const floorDir = `${FLOORS_DIR}/${id}`;
+    // firmware: create dir, copy user_mapN → primary file (last_map)
+    const floorDir = `${this._profile.floorsDir}/${id}`;
     await this._ssh.exec(`mkdir -p "${floorDir}"`);
-    await this._ssh.copyFile(mapInfo.path, `${floorDir}/last_map`);
+    await this._ssh.copyFile(mapInfo.path, `${floorDir}/${this._profile.primaryFile}`);
 
-    const verified = await this._ssh.fileExists(`${floorDir}/last_map`);
+    const verified = await this._hasSnapshot(floorDir);
     if (!verified) throw new Error(`Map import verification failed for "${name}"`);
+    await this._writeManifest(floorDir);
 
     if (!config.floors.find((f) => f.id === id)) {
-      config.floors.push({ id, name, hasDock: true, sourceFirmwareMap: mapInfo.fileName });
+      config.floors.push({
+        id, name, hasDock: true, sourceFirmwareMap: mapInfo.fileName, snapshotStatus: 'ok',
+      });
       await this._setStore(config);
     }
     this._log(`Imported firmware map "${mapInfo.fileName}" as floor "${name}"`);
@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Entities the widget preview never draws; the cleaning path alone can be
+// larger than the rest of the map.
+const DROPPED_ENTITIES = new Set(['path', 'predicted_path']);
+
+// Last known map of each floor, kept on Homey (app userdata) so the map widget
+// can preview floors the robot is not currently on — also after an app restart.
+class FloorMapStore {
+
+  constructor({ dir, log }) {
+    this._dir = dir;
+    this._log = log || console.log;
+  }
+
+  // Pixels as RLE triplets [xStart, y, count], the same layout newer Valetudo
+  // versions send as compressedPixels.
+  static compressPixels(pixels) {
+    const points = [];
+    for (let i = 0; i < pixels.length; i += 2) points.push([pixels[i], pixels[i + 1]]);
+    points.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+    const compressed = [];
+    for (const [x, y] of points) {
+      const last = compressed.length - 3;
+      if (last >= 0 && compressed[last + 1] === y && compressed[last] + compressed[last + 2] === x) {
+        compressed[last + 2]++;
+      } else {
+        compressed.push(x, y, 1);
+      }
+    }
+    return compressed;
+  }
+
+  static compact(map) {
+    return {
+      __class: map.__class,
+      metaData: map.metaData,
+      size: map.size,
+      pixelSize: map.pixelSize,
+      layers: (map.layers || []).map((layer) => ({
+        __class: layer.__class,
+        type: layer.type,
+        metaData: layer.metaData,
+        dimensions: layer.dimensions,
+        pixels: [],
+        compressedPixels: layer.compressedPixels && layer.compressedPixels.length > 0
+          ? layer.compressedPixels
+          : FloorMapStore.compressPixels(layer.pixels || []),
+      })),
+      entities: (map.entities || []).filter((e) => !DROPPED_ENTITIES.has(e.type)),
+    };
+  }
+
+  _resolve(floorId) {
+    if (typeof floorId !== 'string' || path.basename(floorId) !== floorId || floorId.startsWith('.')) {
+      throw new Error(`Invalid floor id "${floorId}"`);
+    }
+    return path.join(this._dir, `${floorId}.json.gz`);
+  }
+
+  async save(floorId, map) {
+    await fs.promises.mkdir(this._dir, { recursive: true });
+    const data = zlib.gzipSync(JSON.stringify({ savedAt: new Date().toISOString(), map: FloorMapStore.compact(map) }));
+    // Write-then-rename so a crash never leaves a half-written preview behind
+    const file = this._resolve(floorId);
+    await fs.promises.writeFile(`${file}.tmp`, data);
+    await fs.promises.rename(`${file}.tmp`, file);
+    this._log(`Stored map preview for ${floorId} (${data.length} bytes)`);
+  }
+
+  // Returns the stored map, or null when there is none (or it is unreadable)
+  async load(floorId) {
+    let data;
+    try {
+      data = await fs.promises.readFile(this._resolve(floorId));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    try {
+      return JSON.parse(zlib.gunzipSync(data).toString('utf8')).map;
+    } catch (err) {
+      this._log(`Map preview for ${floorId} is unreadable, ignoring it:`, err.message);
+      return null;
+    }
+  }
+
+  has(floorId) {
+    return fs.existsSync(this._resolve(floorId));
+  }
+
+  async remove(floorId) {
+    await fs.promises.rm(this._resolve(floorId), { force: true });
+  }
+
+  async clear() {
+    await fs.promises.rm(this._dir, { recursive: true, force: true });
+  }
+
+}
+
+module.exports = FloorMapStore;
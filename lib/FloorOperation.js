@@ -0,0 +1,112 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const OperationCancelledError = require('./OperationCancelledError');
+
+// A long-running floor operation (switch, restore, new floor save) tracked by
+// id so the widget can follow its progress. Whoever runs the operation declares its
+// steps with plan() and reports them with setStep(); every change is emitted as
+// 'update' with the toJSON() snapshot.
+//
+// A cancel is only accepted before the first step that touches the robot's
+// map (`cancellableUntil`) and takes effect at the next setStep() or
+// checkCancelled() call.
+class FloorOperation extends EventEmitter {
+
+  constructor({ type, floorId, floorName = null }) {
+    super();
+    this.id = crypto.randomUUID();
+    this.type = type;
+    this.floorId = floorId;
+    this.floorName = floorName;
+    this.steps = [];
+    this.step = null;
+    this.percent = 0;
+    this.status = 'running';
+    this.error = null;
+    this.cancelRequested = false;
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    this._cancellableUntil = null;
+  }
+
+  plan(steps, { cancellableUntil = null } = {}) {
+    this.steps = steps;
+    this._cancellableUntil = cancellableUntil;
+    this._emit();
+  }
+
+  get cancellable() {
+    if (this.status !== 'running' || !this._cancellableUntil) return false;
+    const limit = this.steps.indexOf(this._cancellableUntil);
+    return this.steps.indexOf(this.step) < limit;
+  }
+
+  setStep(name) {
+    this.checkCancelled();
+    const index = this.steps.indexOf(name);
+    this.step = name;
+    if (index >= 0) this.percent = Math.round((index / this.steps.length) * 100);
+    this._emit();
+  }
+
+  checkCancelled() {
+    if (this.cancelRequested && this.cancellable) throw new OperationCancelledError();
+  }
+
+  // Returns whether the cancel was accepted
+  cancel() {
+    if (!this.cancellable) return false;
+    if (this.cancelRequested) return true;
+    this.cancelRequested = true;
+    this._emit();
+    return true;
+  }
+
+  succeed() {
+    this._finish('succeeded');
+    this.percent = 100;
+    this._emit();
+  }
+
+  fail(err) {
+    this._finish(err instanceof OperationCancelledError ? 'cancelled' : 'failed');
+    if (this.status === 'failed') this.error = err.message;
+    this._emit();
+  }
+
+  get finished() {
+    return this.status !== 'running';
+  }
+
+  _finish(status) {
+    this.status = status;
+    this.finishedAt = Date.now();
+  }
+
+  _emit() {
+    this.emit('update', this.toJSON());
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      floorId: this.floorId,
+      floorName: this.floorName,
+      steps: this.steps,
+      step: this.step,
+      percent: this.percent,
+      status: this.status,
+      error: this.error,
+      cancellable: this.cancellable,
+      cancelRequested: this.cancelRequested,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+    };
+  }
+
+}
+
+module.exports = FloorOperation;
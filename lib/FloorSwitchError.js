@@ -0,0 +1,15 @@
+'use strict';
+
+// Thrown by FloorManager.switchFloor when a step fails. `result` says which
+// step failed and whether the previous floor was restored.
+class FloorSwitchError extends Error {
+
+  constructor(message, result) {
+    super(message);
+    this.name = 'FloorSwitchError';
+    this.result = result;
+  }
+
+}
+
+module.exports = FloorSwitchError;
@@ -0,0 +1,128 @@
+'use strict';
+
+const BASIC_CAPABILITY = 'ManualControlCapability';
+const HIGH_RESOLUTION_CAPABILITY = 'HighResolutionManualControlCapability';
+
+const DIRECTIONS = ['forward', 'backward', 'rotate_clockwise', 'rotate_counterclockwise'];
+
+// HighResolutionManualControlCapability takes a vector instead of a command
+const VECTORS = {
+  forward: { velocity: 0.5, angle: 0 },
+  backward: { velocity: -0.5, angle: 0 },
+  rotate_clockwise: { velocity: 0, angle: 90 },
+  rotate_counterclockwise: { velocity: 0, angle: -90 },
+};
+
+const STEP_DELAY_MS = 1500; // lets the move finish and the map catch up
+const MAX_STEPS = 20;
+const MAX_STALLED_STEPS = 3; // steps without progress before giving up (blocked)
+const MIN_PROGRESS = 1; // cm or degrees
+
+// Remote driving through Valetudo's manual control capabilities. The
+// high-resolution variant is preferred where the robot has it. Valetudo only
+// moves in steps, so nudges by a distance or angle send steps and follow the
+// robot's position on the map until the target is reached.
+class ManualDrive {
+
+  constructor({ api, log, stepDelayMs = STEP_DELAY_MS }) {
+    this._api = api;
+    this._log = log || console.log;
+    this._stepDelayMs = stepDelayMs;
+  }
+
+  static get DIRECTIONS() {
+    return DIRECTIONS;
+  }
+
+  async _highResolution() {
+    await this._api.loadCapabilities();
+    if (this._api.supports(HIGH_RESOLUTION_CAPABILITY)) return true;
+    this._api.assertSupported(BASIC_CAPABILITY);
+    return false;
+  }
+
+  async isEnabled() {
+    const state = await this._highResolution()
+      ? await this._api.getHighResolutionManualControl()
+      : await this._api.getManualControl();
+    return state.enabled === true;
+  }
+
+  async setEnabled(enabled) {
+    if (await this._highResolution()) {
+      await this._api.setHighResolutionManualControl(enabled);
+    } else {
+      await this._api.setManualControl(enabled);
+    }
+    this._log(`Manual control ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  // One step; manual control must be enabled
+  async move(direction) {
+    if (!DIRECTIONS.includes(direction)) throw new Error(`Unknown direction "${direction}"`);
+    if (await this._highResolution()) {
+      const { velocity, angle } = VECTORS[direction];
+      await this._api.highResolutionManualMove(velocity, angle);
+    } else {
+      await this._api.manualMove(direction);
+    }
+  }
+
+  // Negative distances drive backwards
+  moveBy(distanceCm) {
+    const direction = distanceCm >= 0 ? 'forward' : 'backward';
+    return this._nudge(direction, Math.abs(distanceCm), (start, now) => Math.hypot(now.x - start.x, now.y - start.y));
+  }
+
+  // Positive angles turn clockwise
+  rotateBy(degrees) {
+    const direction = degrees >= 0 ? 'rotate_clockwise' : 'rotate_counterclockwise';
+    return this._nudge(direction, Math.abs(degrees), (start, now) => {
+      if (start.angle === null || now.angle === null) throw new Error('The robot does not report its heading');
+      const turned = (((now.angle - start.angle) % 360) + 360) % 360;
+      return Math.min(turned, 360 - turned);
+    });
+  }
+
+  // Enables manual control for the nudge if it was off, and turns it off
+  // again afterwards. Resolves with how far the robot got; a robot that
+  // stops making progress is reported, not retried forever.
+  async _nudge(direction, target, measure) {
+    const wasEnabled = await this.isEnabled();
+    if (!wasEnabled) await this.setEnabled(true);
+    try {
+      const start = await this._api.getRobotPosition();
+      if (!start) throw new Error('The robot position is not on the map');
+
+      let done = 0;
+      let stalled = 0;
+      for (let step = 0; step < MAX_STEPS && done < target && stalled < MAX_STALLED_STEPS; step++) {
+        await this.move(direction);
+        await this._sleep(this._stepDelayMs);
+        const now = await this._api.getRobotPosition();
+        const measured = now ? measure(start, now) : done;
+        stalled = measured >= done + MIN_PROGRESS ? 0 : stalled + 1;
+        done = Math.max(done, measured);
+      }
+
+      const result = {
+        direction, target, done: Math.round(done), reached: done >= target,
+      };
+      this._log(`Manual ${direction}: ${result.done} of ${target}${result.reached ? '' : ' (stopped short)'}`);
+      return result;
+    } finally {
+      if (!wasEnabled) {
+        await this.setEnabled(false).catch((err) => this._log('Could not leave manual control:', err.message));
+      }
+    }
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      setTimeout(resolve, ms);
+    });
+  }
+
+}
+
+module.exports = ManualDrive;
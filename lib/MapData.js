@@ -0,0 +1,95 @@
+'use strict';
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAP_KEYWORD = 'ValetudoMap';
+
+// Valetudo's map JSON in the forms it is published in, and lookups on it.
+// Over MQTT, `MapData/map-data` carries the JSON zlib-deflated and
+// `MapData/map-data-hass` is a PNG rendering with the deflated JSON in a
+// zTXt chunk; the REST API and the SSE stream send plain JSON.
+class MapData {
+
+  // Parsed map from a Buffer or string in any of the forms above. Throws
+  // when the payload holds no readable map.
+  static decode(payload) {
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      return JSON.parse(MapData._pngText(buffer));
+    }
+    // zlib streams start with 0x78; anything else is taken for plain JSON
+    if (buffer[0] === 0x78) {
+      return JSON.parse(zlib.inflateSync(buffer).toString());
+    }
+    return JSON.parse(buffer.toString());
+  }
+
+  // The map text chunk of a PNG (zTXt deflated, tEXt plain)
+  static _pngText(png) {
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= png.length) {
+      const length = png.readUInt32BE(offset);
+      const type = png.toString('latin1', offset + 4, offset + 8);
+      const data = png.subarray(offset + 8, offset + 8 + length);
+      if (type === 'zTXt' || type === 'tEXt') {
+        const separator = data.indexOf(0);
+        if (separator > 0 && data.toString('latin1', 0, separator) === MAP_KEYWORD) {
+          // zTXt: a compression method byte follows the separator
+          return type === 'zTXt'
+            ? zlib.inflateSync(data.subarray(separator + 2)).toString()
+            : data.toString('latin1', separator + 1);
+        }
+      }
+      if (type === 'IEND') break;
+      offset += length + 12; // length, type, data, CRC
+    }
+    throw new Error('PNG has no Valetudo map data');
+  }
+
+  // { x, y, angle } (cm) of the robot, or null
+  static robotPosition(map) {
+    if (!map || !Array.isArray(map.entities)) return null;
+    const entity = map.entities.find((e) => e.type === 'robot_position'
+      && Array.isArray(e.points) && e.points.length >= 2);
+    if (!entity) return null;
+    return {
+      x: entity.points[0],
+      y: entity.points[1],
+      angle: entity.metaData && typeof entity.metaData.angle === 'number' ? entity.metaData.angle : null,
+    };
+  }
+
+  // The segment whose pixels cover the point (cm), or null
+  static segmentAt(map, x, y) {
+    const pixelSize = map.pixelSize || 5;
+    const px = Math.floor(x / pixelSize);
+    const py = Math.floor(y / pixelSize);
+    for (const layer of map.layers || []) {
+      if (layer.type !== 'segment' || !layer.metaData) continue;
+      if (MapData._layerCovers(layer, px, py)) {
+        const id = String(layer.metaData.segmentId);
+        return { id, name: layer.metaData.name || `Segment ${id}` };
+      }
+    }
+    return null;
+  }
+
+  static _layerCovers(layer, px, py) {
+    if (layer.pixels && layer.pixels.length > 0) {
+      for (let i = 0; i < layer.pixels.length; i += 2) {
+        if (layer.pixels[i] === px && layer.pixels[i + 1] === py) return true;
+      }
+      return false;
+    }
+    // RLE triplets [xStart, y, count]
+    const compressed = layer.compressedPixels || [];
+    for (let i = 0; i < compressed.length; i += 3) {
+      if (compressed[i + 1] === py && px >= compressed[i] && px < compressed[i] + compressed[i + 2]) return true;
+    }
+    return false;
+  }
+
+}
+
+module.exports = MapData;
@@ -0,0 +1,105 @@
+'use strict';
+
+// Where a robot family keeps its map on disk and how to make the firmware
+// load a swapped-in map. FloorManager works only through the selected
+// profile, so supporting another firmware means adding an entry here.
+//
+//   mapBase        directory holding the live map files
+//   storageBase    where floors/, .floor_rollback/ and .floor_history/ live
+//   primaryFile    file every snapshot must contain (null: any map file counts)
+//   mapFiles       fixed file names, saved when present
+//   filePatterns   shell globs in mapBase, discovered on every save
+//   conflictFiles  removed before a different floor's map is restored
+//   database       copied with the snapshot but restored separately
+//   config         firmware config patched after a restore / to force segmentation
+//   rebootCommand  run over SSH to make the firmware load the restored map
+//   firmwareMaps   multi-map slots the firmware keeps itself (recovery/import)
+//   backupFiles    stray backups of the primary file worth recovering from
+const PROFILES = {
+  roborock: {
+    name: 'Roborock',
+    manufacturers: ['roborock', 'xiaomi'],
+    mapBase: '/mnt/data/rockrobo',
+    storageBase: '/mnt/data/rockrobo',
+    primaryFile: 'last_map',
+    mapFiles: ['last_map', 'ChargerPos.data'],
+    // PersistData_N.data (not PersistentData) holds per-slot navigation data;
+    // the number of files varies by model.
+    filePatterns: ['PersistData_*.data'],
+    conflictFiles: ['StartPos.data', 'user_map0'],
+    // The bakmaps table in robot.db stores segment/room definitions for each
+    // firmware map slot. Without it, restored maps lose their segmentation.
+    database: 'robot.db',
+    config: {
+      path: '/mnt/data/rockrobo/RoboController.cfg',
+      restore: [{ pattern: /need_recover_map\s*=\s*\d+/, replacement: 'need_recover_map = 0' }],
+      segmentation: [{ pattern: /ready_for_segment_map\s*=\s*\d+/, replacement: 'ready_for_segment_map = 1' }],
+    },
+    rebootCommand: '/sbin/reboot',
+    firmwareMaps: { glob: 'user_map*', pattern: /^user_map(\d+)$/, activeIndex: 0 },
+    backupFiles: ['last_map_backup', 'last_map.bak', 'last_map.old'],
+  },
+  // File names inside /data/map differ between Dreame firmware generations,
+  // so the whole directory is the snapshot. The firmware reads it on boot and
+  // needs no config patch.
+  dreame: {
+    name: 'Dreame',
+    manufacturers: ['dreame', 'mova'],
+    mapBase: '/data/map',
+    storageBase: '/data/valetudo_floors',
+    primaryFile: null,
+    mapFiles: [],
+    filePatterns: ['*'],
+    conflictFiles: [],
+    database: null,
+    config: null,
+    rebootCommand: '/sbin/reboot',
+    firmwareMaps: null,
+    backupFiles: [],
+  },
+};
+
+const DEFAULT_PROFILE = 'roborock';
+
+class MapStorageProfile {
+
+  constructor(id, definition) {
+    Object.assign(this, definition);
+    this.id = id;
+    this.floorsDir = `${this.storageBase}/floors`;
+    // Hidden so `ls` scans of the floors directory never pick them up as floors
+    this.rollbackDir = `${this.storageBase}/.floor_rollback`;
+    this.historyDir = `${this.storageBase}/.floor_history`;
+  }
+
+  static get(id) {
+    const definition = PROFILES[id];
+    if (!definition) throw new Error(`Unknown map storage profile "${id}"`);
+    return new MapStorageProfile(id, definition);
+  }
+
+  // Picks the profile from Valetudo's robot info. Robots whose manufacturer is
+  // not known yet (first start) or not covered get the Roborock layout the app
+  // has always used.
+  static forRobot({ manufacturer } = {}) {
+    const name = (manufacturer || '').toLowerCase();
+    const id = Object.keys(PROFILES).find((key) => PROFILES[key].manufacturers.includes(name));
+    return MapStorageProfile.get(id || DEFAULT_PROFILE);
+  }
+
+  static isSupported(manufacturer) {
+    const name = (manufacturer || '').toLowerCase();
+    return Object.values(PROFILES).some((p) => p.manufacturers.includes(name));
+  }
+
+  livePath(file) {
+    return `${this.mapBase}/${file}`;
+  }
+
+  patchConfig(cfg, kind) {
+    return this.config[kind].reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), cfg);
+  }
+
+}
+
+module.exports = MapStorageProfile;
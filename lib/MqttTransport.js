@@ -0,0 +1,54 @@
+'use strict';
+
+// Robot commands over MQTT. A command counts as sent once the broker has
+// acknowledged it; the robot's answer arrives on the state topics, which
+// ValetudoMqtt re-emits as events.
+class MqttTransport {
+
+  constructor({ mqtt }) {
+    this._mqtt = mqtt;
+    this.name = 'mqtt';
+    this.channel = 'mqtt';
+  }
+
+  get available() {
+    return this._mqtt.connected;
+  }
+
+  get echoes() {
+    return this._mqtt;
+  }
+
+  // Follows the robot's Homie description of settable properties; commands
+  // without a property (zones, DND, …) only go over REST
+  supports(command) {
+    return this._mqtt.supports(command);
+  }
+
+  basicControl(action) {
+    return this._mqtt.basicControl(action);
+  }
+
+  setFanSpeed(preset) {
+    return this._mqtt.setFanSpeed(preset);
+  }
+
+  setWaterUsage(preset) {
+    return this._mqtt.setWaterUsage(preset);
+  }
+
+  setOperationMode(preset) {
+    return this._mqtt.setOperationMode(preset);
+  }
+
+  cleanSegments(segmentIds, iterations) {
+    return this._mqtt.cleanSegments(segmentIds, iterations);
+  }
+
+  locate() {
+    return this._mqtt.locate();
+  }
+
+}
+
+module.exports = MqttTransport;
@@ -0,0 +1,70 @@
+'use strict';
+
+const MapData = require('./MapData');
+
+const STORE_KEY = 'seen_obstacles';
+// Labels like "Sock (87%)" carry the recognition confidence
+const LABEL_PATTERN = /^(.*?)\s*\((\d+(?:\.\d+)?)\s*%\)\s*$/;
+
+// Obstacles the robot's AI camera reports as `obstacle` map entities. Each
+// map that comes in (MQTT, SSE or a REST getMap) is compared with the
+// obstacles of the previous one, so every obstacle is reported once — also
+// across app restarts, as the ids on the map are kept in the device store.
+// Obstacles that are gone from the map are forgotten.
+class ObstacleTracker {
+
+  constructor({ device, log }) {
+    this._device = device;
+    this._log = log || console.log;
+    this._seen = null; // Set of obstacle ids, loaded from the store on first use
+  }
+
+  // [{ id, type, confidence, x, y, imageId, segmentId, segmentName }]
+  static parse(map) {
+    if (!map || !Array.isArray(map.entities)) return [];
+    return map.entities
+      .filter((entity) => entity.type === 'obstacle' && Array.isArray(entity.points) && entity.points.length >= 2)
+      .map((entity) => {
+        const meta = entity.metaData || {};
+        const [x, y] = entity.points;
+        const match = LABEL_PATTERN.exec(meta.label || '');
+        const type = match ? match[1] : meta.label || 'Unknown';
+        const segment = MapData.segmentAt(map, x, y);
+        let { confidence } = meta;
+        if (typeof confidence !== 'number') confidence = match ? parseFloat(match[2]) / 100 : null;
+        return {
+          id: meta.id ? String(meta.id) : `${type}@${x},${y}`,
+          type,
+          confidence,
+          x,
+          y,
+          imageId: meta.id ? String(meta.id) : null,
+          segmentId: segment ? segment.id : null,
+          segmentName: segment ? segment.name : null,
+        };
+      });
+  }
+
+  // Returns the obstacles that were not on the previous map
+  async update(map) {
+    if (!map || !Array.isArray(map.entities)) return [];
+    if (!this._seen) this._seen = new Set(this._device.getStoreValue(STORE_KEY) || []);
+    const obstacles = ObstacleTracker.parse(map);
+    const seen = this._seen;
+    const fresh = obstacles.filter((obstacle) => !seen.has(obstacle.id));
+    const ids = obstacles.map((obstacle) => obstacle.id);
+
+    // Updated before the store write, so maps arriving meanwhile see it
+    this._seen = new Set(ids);
+    if (fresh.length > 0 || ids.length !== seen.size) {
+      await this._device.setStoreValue(STORE_KEY, ids);
+    }
+    if (fresh.length > 0) {
+      this._log(`New obstacles: ${fresh.map((obstacle) => obstacle.type).join(', ')}`);
+    }
+    return fresh;
+  }
+
+}
+
+module.exports = ObstacleTracker;
@@ -0,0 +1,14 @@
+'use strict';
+
+// Thrown from FloorOperation.step() / checkCancelled() once a cancel was
+// requested, so the running operation unwinds before its destructive steps.
+class OperationCancelledError extends Error {
+
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'OperationCancelledError';
+  }
+
+}
+
+module.exports = OperationCancelledError;
@@ -0,0 +1,55 @@
+'use strict';
+
+const https = require('https');
+const tls = require('tls');
+
+// HTTPS agent for a reverse proxy with a self-signed certificate. Instead
+// of a CA chain, the server certificate's SHA-256 fingerprint has to match
+// the pinned one. The socket is only handed to the request once it passed,
+// so nothing (the basic auth header included) reaches another server.
+class PinnedHttpsAgent extends https.Agent {
+
+  constructor({ fingerprint, ...options }) {
+    super(options);
+    this.fingerprint = PinnedHttpsAgent.normalize(fingerprint);
+  }
+
+  // "AB:CD:..." / "ab cd ..." / "abcd..." -> "ABCD..."
+  static normalize(fingerprint) {
+    return String(fingerprint || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+  }
+
+  static isValid(fingerprint) {
+    return PinnedHttpsAgent.normalize(fingerprint).length === 64;
+  }
+
+  createConnection(options, callback) {
+    const socket = tls.connect({ ...options, rejectUnauthorized: false });
+    let settled = false;
+    const done = (err) => {
+      if (settled) return;
+      settled = true;
+      if (err) {
+        socket.destroy();
+        callback(err);
+      } else {
+        callback(null, socket);
+      }
+    };
+
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      if (PinnedHttpsAgent.normalize(cert && cert.fingerprint256) === this.fingerprint) {
+        done(null);
+        return;
+      }
+      const err = new Error(`Certificate ${cert && cert.fingerprint256} is not the pinned one`);
+      err.code = 'ERR_CERT_FINGERPRINT_MISMATCH';
+      done(err);
+    });
+    socket.once('error', done);
+  }
+
+}
+
+module.exports = PinnedHttpsAgent;
@@ -0,0 +1,72 @@
+'use strict';
+
+// Robot commands over Valetudo's REST API. Valetudo only answers once the
+// firmware has taken the command, so without a state stream to watch the
+// HTTP response is the confirmation.
+class RestTransport {
+
+  constructor({ api }) {
+    this._api = api;
+    this.name = 'rest';
+    this.channel = 'http';
+  }
+
+  get available() {
+    return true;
+  }
+
+  get echoes() {
+    return null;
+  }
+
+  supports() {
+    return true;
+  }
+
+  basicControl(action) {
+    return this._api.basicControl(action);
+  }
+
+  setFanSpeed(preset) {
+    return this._api.setFanSpeed(preset);
+  }
+
+  setWaterUsage(preset) {
+    return this._api.setWaterUsage(preset);
+  }
+
+  setOperationMode(preset) {
+    return this._api.setOperationMode(preset);
+  }
+
+  cleanSegments(segmentIds, iterations) {
+    return this._api.cleanSegments(segmentIds, iterations);
+  }
+
+  cleanZones(zones, iterations) {
+    return this._api.cleanZones(zones, iterations);
+  }
+
+  goToLocation(x, y) {
+    return this._api.goToLocation(x, y);
+  }
+
+  locate() {
+    return this._api.locateRobot();
+  }
+
+  triggerAutoEmpty() {
+    return this._api.triggerAutoEmpty();
+  }
+
+  setDnd(enabled) {
+    return this._api.setDoNotDisturb(enabled);
+  }
+
+  setCarpetMode(enabled) {
+    return this._api.setToggle('CarpetModeControlCapability', enabled);
+  }
+
+}
+
+module.exports = RestTransport;
@@ -0,0 +1,16 @@
+'use strict';
+
+// Thrown by ValetudoApi when the robot refuses a request because of what it
+// is doing right now (e.g. mapping, or another command still running). The
+// same request may succeed later.
+class RobotBusyError extends Error {
+
+  constructor(detail, status, { cause } = {}) {
+    super(detail ? `Robot is busy: ${detail}` : 'Robot is busy', { cause });
+    this.name = 'RobotBusyError';
+    this.status = status;
+  }
+
+}
+
+module.exports = RobotBusyError;
@@ -0,0 +1,219 @@
+'use strict';
+
+const MqttTransport = require('./MqttTransport');
+const SseTransport = require('./SseTransport');
+const RestTransport = require('./RestTransport');
+const CommandNotConfirmedError = require('./CommandNotConfirmedError');
+
+const SEND_TIMEOUT_MS = 5000;
+const ECHO_TIMEOUT_MS = 15000;
+const SEND_TIMEOUT = 'ERR_SEND_TIMEOUT';
+// The send itself or the HTTP request timed out: the command may be on its way
+const TIMEOUT_CODES = [SEND_TIMEOUT, 'ECONNABORTED', 'ETIMEDOUT'];
+
+const BASIC_CONTROL_STATES = {
+  start: ['cleaning', 'moving'],
+  stop: ['idle', 'docked'],
+  pause: ['paused'],
+  home: ['returning', 'docked'],
+};
+
+const preset = (event) => (value) => ({ event, accept: [String(value).toLowerCase()] });
+
+// Errors that prove a command never left Homey: nothing could connect to the
+// robot, the circuit breaker held the request back, or MQTT refused before
+// publishing. Anything else may have reached the robot.
+const UNSENT_CODES = [
+  'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_CIRCUIT_OPEN', 'ERR_MQTT_NOT_SENT',
+];
+
+// The capability each command needs and the state event (with the values)
+// that shows the robot acted on it. Commands without an echo count as done
+// once the transport has delivered them. `fresh` echoes must arrive after
+// sending: a robot that already cleans says nothing about new segments or zones.
+const COMMANDS = {
+  basicControl: {
+    capability: 'BasicControlCapability',
+    echo: (action) => BASIC_CONTROL_STATES[action] && { event: 'vacuum_state', accept: BASIC_CONTROL_STATES[action] },
+  },
+  setFanSpeed: { capability: 'FanSpeedControlCapability', echo: preset('fan_speed') },
+  setWaterUsage: { capability: 'WaterUsageControlCapability', echo: preset('water_usage') },
+  setOperationMode: { capability: 'OperationModeControlCapability', echo: preset('operation_mode') },
+  cleanSegments: {
+    capability: 'MapSegmentationCapability',
+    echo: () => ({ event: 'vacuum_state', accept: BASIC_CONTROL_STATES.start, fresh: true }),
+  },
+  cleanZones: {
+    capability: 'ZoneCleaningCapability',
+    echo: () => ({ event: 'vacuum_state', accept: BASIC_CONTROL_STATES.start, fresh: true }),
+  },
+  goToLocation: {
+    capability: 'GoToLocationCapability',
+    echo: () => ({ event: 'vacuum_state', accept: ['moving'], fresh: true }),
+  },
+  locate: { capability: 'LocateCapability', echo: null },
+  triggerAutoEmpty: { capability: 'AutoEmptyDockManualTriggerCapability', echo: null },
+  setDnd: { capability: 'DoNotDisturbCapability', echo: null },
+  setCarpetMode: { capability: 'CarpetModeControlCapability', echo: null },
+};
+
+const ECHO_EVENTS = ['vacuum_state', 'fan_speed', 'water_usage', 'operation_mode'];
+
+// One command interface over MQTT, REST confirmed through the SSE state
+// stream, and plain REST. Each command goes out on the first available
+// transport and waits for the state echo. Only a command that provably never
+// left (see UNSENT_CODES) moves on to the next transport on another channel.
+// A command that may have reached the robot is never repeated: a send without
+// answer or a delivered command without echo fails with
+// CommandNotConfirmedError, any other error is passed on.
+class RobotCommander {
+
+  constructor({
+    api, mqtt, log, sendTimeoutMs = SEND_TIMEOUT_MS, echoTimeoutMs = ECHO_TIMEOUT_MS,
+  }) {
+    this._api = api;
+    this._log = log || console.log;
+    this._sendTimeoutMs = sendTimeoutMs;
+    this._echoTimeoutMs = echoTimeoutMs;
+    this._transports = [
+      new MqttTransport({ mqtt }),
+      new SseTransport({ api }),
+      new RestTransport({ api }),
+    ];
+
+    // State sources only emit on change, so a command whose target state is
+    // already reached is confirmed from the last value seen.
+    this._state = {};
+    for (const source of [mqtt, api.events]) {
+      for (const event of ECHO_EVENTS) {
+        source.on(event, (value) => {
+          this._state[event] = value;
+        });
+      }
+    }
+  }
+
+  basicControl(action) {
+    return this._send('basicControl', [action]);
+  }
+
+  setFanSpeed(value) {
+    return this._send('setFanSpeed', [value]);
+  }
+
+  setWaterUsage(value) {
+    return this._send('setWaterUsage', [value]);
+  }
+
+  setOperationMode(value) {
+    return this._send('setOperationMode', [value]);
+  }
+
+  cleanSegments(segmentIds, iterations = 1) {
+    return this._send('cleanSegments', [segmentIds, iterations]);
+  }
+
+  cleanZones(zones, iterations = 1) {
+    return this._send('cleanZones', [zones, iterations]);
+  }
+
+  goToLocation(x, y) {
+    return this._send('goToLocation', [x, y]);
+  }
+
+  locate() {
+    return this._send('locate', []);
+  }
+
+  triggerAutoEmpty() {
+    return this._send('triggerAutoEmpty', []);
+  }
+
+  setDnd(enabled) {
+    return this._send('setDnd', [enabled]);
+  }
+
+  setCarpetMode(enabled) {
+    return this._send('setCarpetMode', [enabled]);
+  }
+
+  // Resolves with the name of the transport that got the command confirmed.
+  // A channel is only tried once: REST that failed with the SSE stream
+  // watching is not repeated as plain REST.
+  async _send(command, args) {
+    const { capability, echo } = COMMANDS[command];
+    this._api.assertSupported(capability);
+    const expected = echo ? echo(...args) : null;
+
+    const tried = new Set();
+    let lastError = null;
+    for (const transport of this._transports) {
+      if (!transport.available || tried.has(transport.channel) || !transport.supports(command)) continue;
+      tried.add(transport.channel);
+      try {
+        await this._attempt(transport, command, args, expected);
+        return transport.name;
+      } catch (err) {
+        if (!UNSENT_CODES.includes(err.code)) throw err;
+        lastError = err;
+        this._log(`${command} over ${transport.name} failed: ${err.message}`);
+      }
+    }
+    throw lastError;
+  }
+
+  async _attempt(transport, command, args, expected) {
+    // Listen before sending: the echo can arrive before the broker's ack
+    const echo = expected && transport.echoes ? this._waitForEcho(transport.echoes, expected) : null;
+    try {
+      await this._withTimeout(
+        transport[command](...args),
+        this._sendTimeoutMs,
+        `no answer from ${transport.name} within ${this._sendTimeoutMs / 1000}s`,
+      ).catch((err) => {
+        if (TIMEOUT_CODES.includes(err.code)) throw new CommandNotConfirmedError(command, transport.name, { cause: err });
+        throw err;
+      });
+      if (echo) {
+        await echo.promise.catch((err) => {
+          throw new CommandNotConfirmedError(command, transport.name, { cause: err });
+        });
+      }
+    } finally {
+      if (echo) echo.cancel();
+    }
+  }
+
+  _waitForEcho(source, { event, accept, fresh }) {
+    let cancel;
+    const promise = new Promise((resolve, reject) => {
+      const onValue = (value) => {
+        if (!accept.includes(value)) return;
+        cancel();
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        cancel();
+        reject(new Error(`Robot did not report ${event} ${accept.join('/')} within ${this._echoTimeoutMs / 1000}s`));
+      }, this._echoTimeoutMs);
+      cancel = () => {
+        clearTimeout(timer);
+        source.removeListener(event, onValue);
+      };
+      source.on(event, onValue);
+      if (!fresh && accept.includes(this._state[event])) onValue(this._state[event]);
+    });
+    return { promise, cancel };
+  }
+
+  _withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error(message), { code: SEND_TIMEOUT })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+}
+
+module.exports = RobotCommander;
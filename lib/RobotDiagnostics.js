@@ -0,0 +1,113 @@
+'use strict';
+
+const WEAK_WIFI_DBM = -75;
+const WIFI_RECOVERED_DBM = -70;
+const LOW_STORAGE_MB = 50;
+const STORAGE_RECOVERED_MB = 75;
+const MB = 1024 * 1024;
+
+// Health readings that help explain why a robot drops off the network or
+// fails to save floors: Wi-Fi signal (WifiConfigurationCapability), uptime
+// and free memory (Valetudo's host info), and free storage where
+// FloorManager writes its snapshots (over SSH, when configured).
+//
+// alerts() reports a weak signal or low storage once, when the reading
+// crosses the threshold, and re-arms only after it recovered past a margin,
+// so a value hovering around the threshold does not trigger every poll.
+class RobotDiagnostics {
+
+  constructor({
+    api, floorManager, ssh, log,
+  }) {
+    this._api = api;
+    this._floorManager = floorManager;
+    this._ssh = ssh;
+    this._log = log || console.log;
+    this._weakWifi = false;
+    this._lowStorage = false;
+  }
+
+  // { wifiSignal, ssid, uptimeHours, freeMemoryMb, freeStorageMb }; readings
+  // that could not be taken are left out
+  async collect() {
+    const readings = {};
+
+    if (this._api.supports('WifiConfigurationCapability')) {
+      try {
+        const { details } = await this._api.getWifiStatus();
+        if (details && typeof details.signal === 'number') {
+          readings.wifiSignal = details.signal;
+          readings.ssid = details.ssid || null;
+        }
+      } catch (err) {
+        this._log('Wi-Fi status fetch failed:', err.message);
+      }
+    }
+
+    try {
+      const info = await this._api.getHostInfo();
+      if (typeof info.uptime === 'number') readings.uptimeHours = Math.round(info.uptime / 360) / 10;
+      if (info.mem && typeof info.mem.free === 'number') readings.freeMemoryMb = Math.round(info.mem.free / MB);
+    } catch (err) {
+      this._log('Host info fetch failed:', err.message);
+    }
+
+    if (this._ssh.configured) {
+      try {
+        const { freeKb } = await this._floorManager.getStorageSpace();
+        readings.freeStorageMb = Math.round(freeKb / 1024);
+      } catch (err) {
+        this._log('Storage check failed:', err.message);
+      }
+    }
+
+    return readings;
+  }
+
+  // [{ type: 'weak_wifi', signal, ssid } | { type: 'low_storage', freeMb }]
+  alerts(readings) {
+    const alerts = [];
+    const { wifiSignal, freeStorageMb } = readings;
+
+    if (typeof wifiSignal === 'number') {
+      if (!this._weakWifi && wifiSignal < WEAK_WIFI_DBM) {
+        this._weakWifi = true;
+        alerts.push({ type: 'weak_wifi', signal: wifiSignal, ssid: readings.ssid });
+      } else if (this._weakWifi && wifiSignal >= WIFI_RECOVERED_DBM) {
+        this._weakWifi = false;
+      }
+    }
+
+    if (typeof freeStorageMb === 'number') {
+      if (!this._lowStorage && freeStorageMb < LOW_STORAGE_MB) {
+        this._lowStorage = true;
+        alerts.push({ type: 'low_storage', freeMb: freeStorageMb });
+      } else if (this._lowStorage && freeStorageMb >= STORAGE_RECOVERED_MB) {
+        this._lowStorage = false;
+      }
+    }
+
+    return alerts;
+  }
+
+  // Strongest signal (dBm) among the access points of `ssid`, or null when
+  // the robot cannot scan. Tells a weak network from a robot that stays
+  // connected to a far access point.
+  async strongestSignal(ssid) {
+    if (!ssid || !this._api.supports('WifiScanCapability')) return null;
+    try {
+      const networks = await this._api.scanWifi();
+      const signals = networks
+        .filter((network) => network.details && network.details.ssid === ssid)
+        .map((network) => network.details.signal)
+        .filter((signal) => typeof signal === 'number');
+      return signals.length > 0 ? Math.max(...signals) : null;
+    } catch (err) {
+      this._log('Wi-Fi scan failed:', err.message);
+      return null;
+    }
+  }
+
+}
+
+module.exports = RobotDiagnostics;
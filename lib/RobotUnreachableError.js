@@ -0,0 +1,37 @@
+'use strict';
+
+// Network error codes (axios / Node) and how to put them to the user
+const REASONS = {
+  ECONNREFUSED: 'Connection refused',
+  ECONNRESET: 'Connection reset',
+  ECONNABORTED: 'Connection timed out',
+  ETIMEDOUT: 'Connection timed out',
+  EHOSTUNREACH: 'Host unreachable',
+  ENETUNREACH: 'Network unreachable',
+  ENOTFOUND: 'Host name not found',
+  EAI_AGAIN: 'Host name not found',
+  ERR_NETWORK: 'Network error',
+  ERR_BAD_GATEWAY: 'Reverse proxy cannot reach the robot',
+  ERR_CIRCUIT_OPEN: 'Robot not answering (restarting?)',
+  ERR_CERT_FINGERPRINT_MISMATCH: 'HTTPS certificate does not match the pinned fingerprint',
+};
+
+// Thrown by ValetudoApi when a request got no answer from Valetudo: the
+// robot is off, rebooting, or the address (or reverse proxy) is wrong.
+// Certificate problems are not `transient` — retrying will not fix them.
+class RobotUnreachableError extends Error {
+
+  constructor(host, code, { cause } = {}) {
+    const certificate = /CERT|_SIGNATURE$/.test(code || '');
+    const reason = REASONS[code] || (certificate ? `HTTPS certificate rejected (${code})` : 'Cannot connect');
+    super(`${reason} — Valetudo at ${host}`, { cause });
+    this.name = 'RobotUnreachableError';
+    this.host = host;
+    this.code = code || null;
+    this.reason = reason;
+    this.transient = !certificate;
+  }
+
+}
+
+module.exports = RobotUnreachableError;
@@ -0,0 +1,63 @@
+'use strict';
+
+const MapData = require('./MapData');
+
+// The room (segment) the robot is in, from the robot position on each map —
+// unlike a segment's `active` flag, which only says it is selected for
+// cleaning. A position outside every segment (a doorway, a wall the robot
+// brushes) keeps the previous room; the robot only leaves a room by
+// entering another one, or when the map has no segments left.
+class SegmentPresence {
+
+  constructor({ now = () => Date.now() } = {}) {
+    this._now = now;
+    this._current = null; // { id, name, since }
+    this._known = false;
+  }
+
+  // True once a map with a robot position has been seen
+  get known() {
+    return this._known;
+  }
+
+  // { id, name, since } or null
+  get current() {
+    return this._current;
+  }
+
+  // Returns { left: { id, name, dwellSeconds } | null, entered: { id, name } | null }
+  update(map) {
+    const result = { left: null, entered: null };
+    const position = MapData.robotPosition(map);
+    if (!position) return result;
+    this._known = true;
+
+    const hasSegments = (map.layers || []).some((layer) => layer.type === 'segment');
+    const segment = MapData.segmentAt(map, position.x, position.y);
+    if (!segment && hasSegments) return result;
+    if (segment && this._current && segment.id === this._current.id) {
+      this._current.name = segment.name;
+      return result;
+    }
+
+    const now = this._now();
+    if (this._current) {
+      result.left = {
+        id: this._current.id,
+        name: this._current.name,
+        dwellSeconds: Math.round((now - this._current.since) / 1000),
+      };
+    }
+    this._current = segment ? { ...segment, since: now } : null;
+    if (segment) result.entered = { id: segment.id, name: segment.name };
+    return result;
+  }
+
+  reset() {
+    this._current = null;
+    this._known = false;
+  }
+
+}
+
+module.exports = SegmentPresence;
@@ -0,0 +1,24 @@
+'use strict';
+
+const RestTransport = require('./RestTransport');
+
+// REST commands confirmed through Valetudo's SSE state stream, used while
+// the stream is open (MQTT not connected).
+class SseTransport extends RestTransport {
+
+  constructor({ api }) {
+    super({ api });
+    this.name = 'sse';
+  }
+
+  get available() {
+    return this._api.events.connected;
+  }
+
+  get echoes() {
+    return this._api.events;
+  }
+
+}
+
+module.exports = SseTransport;
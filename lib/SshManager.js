@@ -15,6 +15,11 @@ class SshManager {
     this._connected = false;
   }
 
+  // Without a password or key there is no point in trying to log in
+  get configured() {
+    return Boolean(this._password || this._privateKey);
+  }
+
   updateConfig({ host, port, username, password, privateKey }) {
     const changed = host !== this._host || port !== this._port
       || username !== this._username || password !== this._password
@@ -68,7 +73,8 @@ class SshManager {
     });
   }
 
-  async exec(command) {
+  // `input`, when given, is written to the command's stdin
+  async exec(command, input) {
     const conn = await this._connect();
     return new Promise((resolve, reject) => {
       conn.exec(command, (err, stream) => {
@@ -84,6 +90,7 @@ class SshManager {
         });
         stream.on('data', (data) => { stdout += data; });
         stream.stderr.on('data', (data) => { stderr += data; });
+        if (input !== undefined) stream.end(input);
       });
     });
   }
@@ -98,6 +105,16 @@ class SshManager {
     await this.exec(`echo '${b64}' | base64 -d > "${path}"`);
   }
 
+  async readBinaryFile(path) {
+    const output = await this.exec(`base64 "${path}"`);
+    return Buffer.from(output.replace(/\s+/g, ''), 'base64');
+  }
+
+  // Streamed over stdin — map files are too large to inline in a command line
+  async writeBinaryFile(path, data) {
+    await this.exec(`base64 -d > "${path}"`, Buffer.from(data).toString('base64'));
+  }
+
   async listDir(path) {
     const output = await this.exec(`ls "${path}"`);
     return output.trim().split('\n').filter(Boolean);
@@ -107,6 +124,33 @@ class SshManager {
     await this.exec(`cp "${src}" "${dst}"`);
   }
 
+  // Robot firmwares ship different busybox builds; prefer sha256 and fall
+  // back to md5 where sha256sum is missing.
+  async checksum(path) {
+    const output = await this.exec(`sha256sum "${path}" 2>/dev/null || md5sum "${path}"`);
+    const hash = output.trim().split(/\s+/)[0];
+    return { algorithm: hash.length === 64 ? 'sha256' : 'md5', hash };
+  }
+
+  async fileSize(path) {
+    const output = await this.exec(`wc -c < "${path}"`);
+    return parseInt(output.trim(), 10);
+  }
+
+  // Size and free space (KiB) of the filesystem holding `path`
+  async diskSpace(path) {
+    const output = await this.exec(`df -Pk "${path}"`);
+    // Filesystem 1024-blocks Used Available Capacity Mounted-on
+    const lastLine = output.trim().split('\n').pop();
+    const fields = lastLine.trim().split(/\s+/);
+    const totalKb = parseInt(fields[1], 10);
+    const freeKb = parseInt(fields[3], 10);
+    if (Number.isNaN(totalKb) || Number.isNaN(freeKb)) {
+      throw new Error(`Unexpected df output: ${output.trim()}`);
+    }
+    return { totalKb, freeKb };
+  }
+
   async removeFile(path) {
     await this.exec(`rm -f "${path}"`);
   }
@@ -120,9 +164,9 @@ class SshManager {
     }
   }
 
-  async reboot() {
+  async reboot(command = '/sbin/reboot') {
     try {
-      await this.exec('/sbin/reboot');
+      await this.exec(command);
     } catch {
       // reboot closes the connection, which is expected
     }
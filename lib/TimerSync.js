@@ -0,0 +1,189 @@
+'use strict';
+
+const STORE_KEY = 'robot_timers';
+
+// Fields that make up a schedule; Valetudo adds metadata of its own
+const TIMER_FIELDS = ['enabled', 'label', 'dow', 'hour', 'minute', 'action', 'pre_actions'];
+
+// Mirrors the robot's ValetudoTimers into the device store as named
+// schedules, so they survive a factory reset or a new Valetudo image, and
+// pauses/resumes all of them (e.g. while on holiday). Timers created,
+// switched or deleted from Homey go to the robot first and are mirrored
+// back from it.
+//
+// On every sync the robot's edits win: changed timers are adopted, new ones
+// imported, and schedules deleted on the robot are dropped. A robot that
+// reports no timers at all while Homey has some may have been reset, or its
+// last timer deleted — the app cannot tell, so the schedules are kept aside
+// (`removed`) until restore() puts them back.
+class TimerSync {
+
+  constructor({ device, api, log }) {
+    this._device = device;
+    this._api = api;
+    this._log = log || console.log;
+  }
+
+  _getStore() {
+    return this._device.getStoreValue(STORE_KEY) || { schedules: [], paused: null, removed: null };
+  }
+
+  async _setStore(data) {
+    await this._device.setStoreValue(STORE_KEY, data);
+  }
+
+  static toSchedule(timer) {
+    const schedule = {};
+    for (const field of TIMER_FIELDS) {
+      if (timer[field] !== undefined) schedule[field] = timer[field];
+    }
+    return schedule;
+  }
+
+  // Valetudo timers run on UTC. Shifts { dow, hour, minute } by
+  // `offsetMinutes` (local minus UTC), moving days across midnight.
+  static toUtc({ dow, hour, minute }, offsetMinutes) {
+    const total = hour * 60 + minute - offsetMinutes;
+    const dayShift = Math.floor(total / 1440);
+    const minutes = total - dayShift * 1440;
+    return {
+      dow: dow.map((day) => (((day + dayShift) % 7) + 7) % 7).sort((a, b) => a - b),
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60,
+    };
+  }
+
+  // Minutes `timeZone` is ahead of UTC at `date`
+  static utcOffset(timeZone, date = new Date()) {
+    const at = Math.floor(date.getTime() / 60000) * 60000;
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(new Date(at));
+    const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+    const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+    return Math.round((local - at) / 60000);
+  }
+
+  isPaused() {
+    return Boolean(this._getStore().paused);
+  }
+
+  // [{ id, timer }] as of the last sync
+  list() {
+    return this._getStore().schedules;
+  }
+
+  // Number of schedules kept aside after the robot's timers disappeared
+  removedCount() {
+    const { removed } = this._getStore();
+    return removed ? removed.schedules.length : 0;
+  }
+
+  async sync() {
+    const data = this._getStore();
+    const robotTimers = await this._api.getTimers();
+    const robotIds = Object.keys(robotTimers);
+    const emptied = robotIds.length === 0 && data.schedules.length > 0;
+
+    if (emptied) {
+      this._log(`Robot has no timers, keeping ${data.schedules.length} schedules to restore`);
+      data.removed = { since: new Date().toISOString(), schedules: data.schedules, paused: data.paused };
+      data.paused = null;
+    }
+    data.schedules = robotIds.map((id) => ({ id, timer: TimerSync.toSchedule(robotTimers[id]) }));
+
+    await this._setStore(data);
+    return { removed: emptied, schedules: data.schedules.length };
+  }
+
+  // Puts the schedules kept aside by sync() back on the robot, skipping any
+  // the robot has again (same label), and carries a pause over to them
+  async restore() {
+    const data = this._getStore();
+    if (!data.removed) return 0;
+
+    const robotTimers = await this._api.getTimers();
+    const labels = new Set(Object.values(robotTimers).map((t) => t.label));
+    const missing = data.removed.schedules.filter((schedule) => !labels.has(schedule.timer.label));
+    for (const schedule of missing) {
+      await this._api.createTimer(schedule.timer);
+    }
+
+    // Valetudo assigns new ids; link them again by label
+    const created = await this._api.getTimers();
+    const newIds = {};
+    for (const schedule of data.removed.schedules) {
+      const match = Object.values(created).find((t) => t.label === schedule.timer.label);
+      if (match) newIds[schedule.id] = match.id;
+    }
+    if (data.removed.paused && !data.paused) {
+      data.paused = { ...data.removed.paused, ids: data.removed.paused.ids.map((id) => newIds[id]).filter(Boolean) };
+    }
+    data.removed = null;
+    data.schedules = Object.keys(created).map((id) => ({ id, timer: TimerSync.toSchedule(created[id]) }));
+    await this._setStore(data);
+    this._log(`Restored ${missing.length} robot timers`);
+    return missing.length;
+  }
+
+  // `timer` as built by ValetudoApi.buildTimer
+  async create(timer) {
+    await this._api.createTimer(timer);
+    return this.sync();
+  }
+
+  async setEnabled(id, enabled) {
+    await this._api.setTimerEnabled(id, enabled);
+    const data = this._getStore();
+    // A timer switched by hand is no longer the pause's to resume
+    if (data.paused && data.paused.ids.includes(id)) {
+      data.paused.ids = data.paused.ids.filter((pausedId) => pausedId !== id);
+      await this._setStore(data);
+    }
+    return this.sync();
+  }
+
+  async remove(id) {
+    await this._api.deleteTimer(id);
+    // Deleted on purpose, so not one to keep aside when it was the last
+    const data = this._getStore();
+    data.schedules = data.schedules.filter((schedule) => schedule.id !== id);
+    await this._setStore(data);
+    return this.sync();
+  }
+
+  // Disables every enabled timer and remembers which ones to resume
+  async pauseAll() {
+    const data = this._getStore();
+    if (data.paused) return data.paused.ids.length;
+
+    const robotTimers = await this._api.getTimers();
+    const ids = Object.keys(robotTimers).filter((id) => robotTimers[id].enabled);
+    for (const id of ids) {
+      await this._api.updateTimer(id, { ...robotTimers[id], enabled: false });
+    }
+    data.paused = { since: new Date().toISOString(), ids };
+    await this._setStore(data);
+    this._log(`Paused ${ids.length} robot timers`);
+    return ids.length;
+  }
+
+  // Re-enables the timers pauseAll() disabled; timers deleted since are skipped
+  async resumeAll() {
+    const data = this._getStore();
+    if (!data.paused) return 0;
+
+    const robotTimers = await this._api.getTimers();
+    const ids = data.paused.ids.filter((id) => robotTimers[id]);
+    for (const id of ids) {
+      await this._api.updateTimer(id, { ...robotTimers[id], enabled: true });
+    }
+    data.paused = null;
+    await this._setStore(data);
+    this._log(`Resumed ${ids.length} robot timers`);
+    return ids.length;
+  }
+
+}
+
+module.exports = TimerSync;
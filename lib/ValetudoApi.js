@@ -1,28 +1,178 @@
 'use strict';
 
 const axios = require('axios');
+const AuthFailedError = require('./AuthFailedError');
+const CapabilityNotSupportedError = require('./CapabilityNotSupportedError');
+const CircuitBreaker = require('./CircuitBreaker');
+const PinnedHttpsAgent = require('./PinnedHttpsAgent');
+const RobotBusyError = require('./RobotBusyError');
+const RobotUnreachableError = require('./RobotUnreachableError');
+const ValetudoEventStream = require('./ValetudoEventStream');
+
+const CAPABILITIES_PATH = '/api/v2/robot/capabilities';
+const TIMERS_PATH = '/api/v2/timers';
+const EVENTS_PATH = '/api/v2/events';
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+// Only requests that may safely be repeated. Valetudo uses PUT for actions
+// (start, clean segments, ...), which must not run twice.
+const RETRY_METHODS = ['get', 'head', 'delete'];
+const BUSY_STATUSES = [409, 423, 429];
+const GATEWAY_STATUSES = [502, 503, 504]; // a reverse proxy whose robot is down
 
 class ValetudoApi {
 
-  constructor({ host, authUser, authPass, log }) {
+  constructor({
+    host, proxyUrl, certFingerprint, authUser, authPass, log,
+  }) {
     this._log = log || console.log;
     this._host = host;
+    this._proxyUrl = ValetudoApi.normalizeProxyUrl(proxyUrl);
     this._auth = authUser ? { username: authUser, password: authPass || '' } : undefined;
     this._client = axios.create({
-      baseURL: `http://${host}`,
+      baseURL: this._baseUrl(),
       timeout: 10000,
       auth: this._auth,
+      httpsAgent: ValetudoApi._httpsAgent(certFingerprint),
     });
+    this._breaker = new CircuitBreaker();
+    this._installInterceptors();
+    this._capabilities = null; // Set of capability names, null until loaded
+    this._events = null;
+  }
+
+  // Valetudo behind a reverse proxy: "https://robot.example.lan:8443/" ->
+  // "https://robot.example.lan:8443". Empty means plain http://<host>.
+  static normalizeProxyUrl(proxyUrl) {
+    const trimmed = (proxyUrl || '').trim().replace(/\/+$/, '');
+    if (!trimmed) return null;
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch {
+      throw new Error(`"${proxyUrl}" is not a valid URL`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('The reverse proxy URL must start with https:// or http://');
+    }
+    return trimmed;
+  }
+
+  // A pinned self-signed certificate, or normal CA validation
+  static _httpsAgent(certFingerprint) {
+    if (!certFingerprint) return undefined;
+    if (!PinnedHttpsAgent.isValid(certFingerprint)) {
+      throw new Error('The certificate fingerprint must be a SHA-256 fingerprint (64 hex digits)');
+    }
+    return new PinnedHttpsAgent({ fingerprint: certFingerprint });
+  }
+
+  // Turns an axios error into RobotUnreachableError, AuthFailedError,
+  // CapabilityNotSupportedError or RobotBusyError. Other HTTP errors
+  // (bad requests, robot-side failures) are returned unchanged.
+  static toTypedError(err, host) {
+    if (!err.response) return new RobotUnreachableError(host, err.code, { cause: err });
+    const { status, data } = err.response;
+    if (status === 401 || status === 403) return new AuthFailedError(status, { cause: err });
+    if (status === 404) {
+      const match = /\/capabilities\/(\w+)/.exec(err.config && err.config.url);
+      if (match) return new CapabilityNotSupportedError(match[1]);
+    }
+    if (BUSY_STATUSES.includes(status)) {
+      const detail = typeof data === 'string' ? data : data && data.message;
+      return new RobotBusyError(detail, status, { cause: err });
+    }
+    if (GATEWAY_STATUSES.includes(status)) return new RobotUnreachableError(host, 'ERR_BAD_GATEWAY', { cause: err });
+    return err;
+  }
+
+  get breakerOpen() {
+    return this._breaker.open;
+  }
+
+  _baseUrl() {
+    return this._proxyUrl || `http://${this._host}`;
+  }
+
+  // Every request passes the circuit breaker; failed idempotent requests are
+  // retried with exponential backoff, and errors come out typed. Requests
+  // can opt out with `retry: false` / `breaker: false` in their config.
+  // Retries were let through already: the breaker only hears how the last
+  // one ends, which also settles a trial request.
+  _installInterceptors() {
+    this._client.interceptors.request.use((config) => {
+      if (config.breaker !== false && !config.retryAttempt && !this._breaker.allow()) {
+        throw new RobotUnreachableError(this._host, 'ERR_CIRCUIT_OPEN');
+      }
+      return config;
+    });
+    this._client.interceptors.response.use(
+      (response) => {
+        this._breaker.success();
+        return response;
+      },
+      (err) => this._onRequestError(err),
+    );
+  }
+
+  async _onRequestError(err) {
+    // Typed errors from the request interceptor or a nested retry, and
+    // aborted requests (event streams being stopped), pass as they are
+    if (!axios.isAxiosError(err) || axios.isCancel(err) || !err.config) throw err;
+
+    const { config } = err;
+    const error = ValetudoApi.toTypedError(err, this._host);
+    if (!(error instanceof RobotUnreachableError) || !error.transient) {
+      // Something answered — an HTTP error or a rejected certificate is no
+      // outage, and it settles a trial request of the open breaker
+      if (config.breaker !== false) this._breaker.success();
+      throw error;
+    }
+
+    const attempt = config.retryAttempt || 0;
+    const retryable = config.retry !== false
+      && config.responseType !== 'stream' // event streams reconnect on their own
+      && RETRY_METHODS.includes((config.method || 'get').toLowerCase());
+    if (retryable && attempt < MAX_RETRIES) {
+      await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_MS * 2 ** attempt));
+      return this._client.request({ ...config, retryAttempt: attempt + 1 });
+    }
+    if (config.breaker !== false) {
+      this._breaker.failure();
+      if (this._breaker.open) this._log(`Valetudo not answering (${error.reason}), pausing requests`);
+    }
+    throw error;
+  }
+
+  // Live state and map updates over Server-Sent Events, created on first use
+  get events() {
+    if (!this._events) this._events = new ValetudoEventStream({ client: this._client, log: this._log });
+    return this._events;
   }
 
   updateHost(host) {
     this._host = host;
-    this._client.defaults.baseURL = `http://${host}`;
+    this._client.defaults.baseURL = this._baseUrl();
+    // The address may now belong to a different robot
+    this._capabilities = null;
+    this._breaker.reset();
+    if (this._events) this._events.restart();
+  }
+
+  // Switches between plain http://<host> and a reverse proxy; throws on an
+  // invalid URL or fingerprint without changing anything
+  updateProxy(proxyUrl, certFingerprint) {
+    const normalized = ValetudoApi.normalizeProxyUrl(proxyUrl);
+    const agent = ValetudoApi._httpsAgent(certFingerprint);
+    this._proxyUrl = normalized;
+    this._client.defaults.httpsAgent = agent;
+    this.updateHost(this._host);
   }
 
   updateAuth(authUser, authPass) {
     this._auth = authUser ? { username: authUser, password: authPass || '' } : undefined;
     this._client.defaults.auth = this._auth;
+    if (this._events) this._events.restart();
   }
 
   async getRobotInfo() {
@@ -31,23 +181,50 @@ class ValetudoApi {
   }
 
   async getCapabilities() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities');
+    const { data } = await this._client.get(CAPABILITIES_PATH);
     return data;
   }
 
+  // Reads the capability list once and keeps it; `refresh` re-reads it
+  async loadCapabilities({ refresh = false } = {}) {
+    if (!this._capabilities || refresh) {
+      this._capabilities = new Set(await this.getCapabilities());
+    }
+    return [...this._capabilities];
+  }
+
+  get capabilitiesLoaded() {
+    return this._capabilities !== null;
+  }
+
+  // Until the list is loaded every capability counts as supported, so no
+  // call is refused on a guess.
+  supports(capability) {
+    return !this._capabilities || this._capabilities.has(capability);
+  }
+
+  assertSupported(capability) {
+    if (!this.supports(capability)) throw new CapabilityNotSupportedError(capability);
+  }
+
+  _capabilityPath(capability, suffix = '') {
+    this.assertSupported(capability);
+    return `${CAPABILITIES_PATH}/${capability}${suffix}`;
+  }
+
   async getStateAttributes() {
     const { data } = await this._client.get('/api/v2/robot/state/attributes');
     return data;
   }
 
   async getSegments() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/MapSegmentationCapability');
+    const { data } = await this._client.get(this._capabilityPath('MapSegmentationCapability'));
     return data;
   }
 
   async basicControl(action) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/BasicControlCapability',
+      this._capabilityPath('BasicControlCapability'),
       { action },
     );
     return data;
@@ -55,7 +232,7 @@ class ValetudoApi {
 
   async setFanSpeed(preset) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/FanSpeedControlCapability/preset',
+      this._capabilityPath('FanSpeedControlCapability', '/preset'),
       { name: preset },
     );
     return data;
@@ -63,7 +240,7 @@ class ValetudoApi {
 
   async renameSegment(segmentId, name) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/MapSegmentRenameCapability',
+      this._capabilityPath('MapSegmentRenameCapability'),
       { action: 'rename_segment', segment_id: segmentId, name },
     );
     return data;
@@ -71,7 +248,7 @@ class ValetudoApi {
 
   async cleanSegments(segmentIds, iterations = 1) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/MapSegmentationCapability',
+      this._capabilityPath('MapSegmentationCapability'),
       {
         action: 'start_segment_action',
         segment_ids: segmentIds,
@@ -83,27 +260,27 @@ class ValetudoApi {
 
   async locateRobot() {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/LocateCapability',
+      this._capabilityPath('LocateCapability'),
       { action: 'locate' },
     );
     return data;
   }
 
   async getMapSnapshots() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/MapSnapshotCapability');
+    const { data } = await this._client.get(this._capabilityPath('MapSnapshotCapability'));
     return data;
   }
 
   // --- Speaker ---
 
   async getSpeakerVolume() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/SpeakerVolumeControlCapability');
+    const { data } = await this._client.get(this._capabilityPath('SpeakerVolumeControlCapability'));
     return data;
   }
 
   async setSpeakerVolume(volume) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/SpeakerVolumeControlCapability',
+      this._capabilityPath('SpeakerVolumeControlCapability'),
       { action: 'set_volume', value: volume },
     );
     return data;
@@ -111,7 +288,7 @@ class ValetudoApi {
 
   async playTestSound() {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/SpeakerTestCapability',
+      this._capabilityPath('SpeakerTestCapability'),
       { action: 'play_test_sound' },
     );
     return data;
@@ -120,13 +297,15 @@ class ValetudoApi {
   // --- Water Usage (mop water level) ---
 
   async getWaterUsagePresets() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/WaterUsageControlCapability/presets');
+    const { data } = await this._client.get(
+      this._capabilityPath('WaterUsageControlCapability', '/presets'),
+    );
     return data;
   }
 
   async setWaterUsage(preset) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/WaterUsageControlCapability/preset',
+      this._capabilityPath('WaterUsageControlCapability', '/preset'),
       { name: preset },
     );
     return data;
@@ -135,13 +314,15 @@ class ValetudoApi {
   // --- Operation Mode (vacuum/mop/both) ---
 
   async getOperationModePresets() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/OperationModeControlCapability/presets');
+    const { data } = await this._client.get(
+      this._capabilityPath('OperationModeControlCapability', '/presets'),
+    );
     return data;
   }
 
   async setOperationMode(preset) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/OperationModeControlCapability/preset',
+      this._capabilityPath('OperationModeControlCapability', '/preset'),
       { name: preset },
     );
     return data;
@@ -150,13 +331,13 @@ class ValetudoApi {
   // --- Consumables ---
 
   async getConsumables() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/ConsumableMonitoringCapability');
+    const { data } = await this._client.get(this._capabilityPath('ConsumableMonitoringCapability'));
     return data;
   }
 
   async resetConsumable(type, subType) {
     const { data } = await this._client.put(
-      `/api/v2/robot/capabilities/ConsumableMonitoringCapability/${type}/${subType || 'none'}`,
+      this._capabilityPath('ConsumableMonitoringCapability', `/${type}/${subType || 'none'}`),
       { action: 'reset' },
     );
     return data;
@@ -166,7 +347,7 @@ class ValetudoApi {
 
   async triggerAutoEmpty() {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/AutoEmptyDockManualTriggerCapability',
+      this._capabilityPath('AutoEmptyDockManualTriggerCapability'),
       { action: 'trigger' },
     );
     return data;
@@ -175,7 +356,7 @@ class ValetudoApi {
   // --- Do Not Disturb ---
 
   async getDoNotDisturb() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/DoNotDisturbCapability');
+    const { data } = await this._client.get(this._capabilityPath('DoNotDisturbCapability'));
     return data;
   }
 
@@ -184,7 +365,7 @@ class ValetudoApi {
     if (start) body.start = start;
     if (end) body.end = end;
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/DoNotDisturbCapability',
+      this._capabilityPath('DoNotDisturbCapability'),
       body,
     );
     return data;
@@ -193,13 +374,13 @@ class ValetudoApi {
   // --- Simple Toggle Capabilities ---
 
   async getToggle(capability) {
-    const { data } = await this._client.get(`/api/v2/robot/capabilities/${capability}`);
+    const { data } = await this._client.get(this._capabilityPath(capability));
     return data;
   }
 
   async setToggle(capability, enabled) {
     const { data } = await this._client.put(
-      `/api/v2/robot/capabilities/${capability}`,
+      this._capabilityPath(capability),
       { action: enabled ? 'enable' : 'disable' },
     );
     return data;
@@ -209,34 +390,111 @@ class ValetudoApi {
 
   async goToLocation(x, y) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/GoToLocationCapability',
+      this._capabilityPath('GoToLocationCapability'),
       { action: 'goto', coordinates: { x, y } },
     );
     return data;
   }
 
+  // --- Virtual Restrictions ---
+
+  // { virtualWalls: [{ points: { pA, pB } }],
+  //   restrictedZones: [{ points: { pA, pB, pC, pD }, type: 'regular' | 'mop' }] }
+  async getVirtualRestrictions() {
+    const { data } = await this._client.get(this._capabilityPath('CombinedVirtualRestrictionsCapability'));
+    return data;
+  }
+
+  // Replaces every wall and zone on the robot's current map
+  async setVirtualRestrictions({ virtualWalls = [], restrictedZones = [] }) {
+    const { data } = await this._client.put(
+      this._capabilityPath('CombinedVirtualRestrictionsCapability'),
+      { virtualWalls, restrictedZones },
+    );
+    return data;
+  }
+
+  // { supportedRestrictedZoneTypes: ['regular', 'mop'] }
+  async getVirtualRestrictionProperties() {
+    const { data } = await this._client.get(
+      this._capabilityPath('CombinedVirtualRestrictionsCapability', '/properties'),
+    );
+    return data;
+  }
+
+  // --- Manual Control ---
+
+  async getManualControl() {
+    const { data } = await this._client.get(this._capabilityPath('ManualControlCapability'));
+    return data;
+  }
+
+  // { supportedMovementCommands: ['forward', 'backward', 'rotate_clockwise', ...] }
+  async getManualControlProperties() {
+    const { data } = await this._client.get(this._capabilityPath('ManualControlCapability', '/properties'));
+    return data;
+  }
+
+  async setManualControl(enabled) {
+    const { data } = await this._client.put(
+      this._capabilityPath('ManualControlCapability'),
+      { action: enabled ? 'enable' : 'disable' },
+    );
+    return data;
+  }
+
+  async manualMove(movementCommand) {
+    const { data } = await this._client.put(
+      this._capabilityPath('ManualControlCapability'),
+      { action: 'move', movementCommand },
+    );
+    return data;
+  }
+
+  async getHighResolutionManualControl() {
+    const { data } = await this._client.get(this._capabilityPath('HighResolutionManualControlCapability'));
+    return data;
+  }
+
+  async setHighResolutionManualControl(enabled) {
+    const { data } = await this._client.put(
+      this._capabilityPath('HighResolutionManualControlCapability'),
+      { action: enabled ? 'enable' : 'disable' },
+    );
+    return data;
+  }
+
+  // velocity -1..1 (negative: backwards), angle -180..180 degrees
+  async highResolutionManualMove(velocity, angle) {
+    const { data } = await this._client.put(
+      this._capabilityPath('HighResolutionManualControlCapability'),
+      { action: 'move', vector: { velocity, angle } },
+    );
+    return data;
+  }
+
   // --- Current Statistics ---
 
   async getCurrentStatistics() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/CurrentStatisticsCapability');
+    const { data } = await this._client.get(this._capabilityPath('CurrentStatisticsCapability'));
     return data;
   }
 
   async getTotalStatistics() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/TotalStatisticsCapability');
+    const { data } = await this._client.get(this._capabilityPath('TotalStatisticsCapability'));
     return data;
   }
 
   // --- Quirks ---
 
   async getQuirks() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/QuirksCapability');
+    const { data } = await this._client.get(this._capabilityPath('QuirksCapability'));
     return data;
   }
 
   async setQuirk(id, value) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/QuirksCapability',
+      this._capabilityPath('QuirksCapability'),
       { id, value },
     );
     return data;
@@ -249,11 +507,32 @@ class ValetudoApi {
     return data;
   }
 
+  // { x, y, angle } of the robot on the live map (cm / degrees), or null
+  async getRobotPosition() {
+    const map = await this.getMap();
+    const entity = (map.entities || []).find((e) => e.type === 'robot_position');
+    if (!entity || !entity.points || entity.points.length < 2) return null;
+    return {
+      x: entity.points[0],
+      y: entity.points[1],
+      angle: entity.metaData && typeof entity.metaData.angle === 'number' ? entity.metaData.angle : null,
+    };
+  }
+
+  // JPEG photo of an obstacle, by the id in the obstacle entity's metaData
+  async getObstacleImage(id) {
+    const { data } = await this._client.get(
+      this._capabilityPath('ObstacleImagesCapability', `/img/${encodeURIComponent(id)}`),
+      { responseType: 'arraybuffer', timeout: 30000 },
+    );
+    return Buffer.from(data);
+  }
+
   // --- Map Management ---
 
   async resetMap() {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/MapResetCapability',
+      this._capabilityPath('MapResetCapability'),
       { action: 'reset' },
     );
     return data;
@@ -261,7 +540,7 @@ class ValetudoApi {
 
   async startMappingPass() {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/MappingPassCapability',
+      this._capabilityPath('MappingPassCapability'),
       { action: 'start' },
     );
     return data;
@@ -271,7 +550,7 @@ class ValetudoApi {
 
   async cleanZones(zones, iterations = 1) {
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/ZoneCleaningCapability',
+      this._capabilityPath('ZoneCleaningCapability'),
       { action: 'clean', zones, iterations },
     );
     return data;
@@ -280,7 +559,7 @@ class ValetudoApi {
   // --- Voice Pack Management ---
 
   async getVoicePackStatus() {
-    const { data } = await this._client.get('/api/v2/robot/capabilities/VoicePackManagementCapability');
+    const { data } = await this._client.get(this._capabilityPath('VoicePackManagementCapability'));
     return data;
   }
 
@@ -288,12 +567,101 @@ class ValetudoApi {
     const body = { action: 'download', url, language: language || 'en' };
     if (hash) body.hash = hash;
     const { data } = await this._client.put(
-      '/api/v2/robot/capabilities/VoicePackManagementCapability',
+      this._capabilityPath('VoicePackManagementCapability'),
       body,
     );
     return data;
   }
 
+  // --- Valetudo events ---
+
+  // Events by id: { __class, id, timestamp, processed, ... }. Valetudo keeps
+  // them until they are interacted with, and forgets them on restart.
+  async getEvents() {
+    const { data } = await this._client.get(EVENTS_PATH);
+    return data;
+  }
+
+  // interaction: 'ok' to dismiss, 'yes'/'no' to answer a pending map change
+  async interactWithEvent(id, interaction) {
+    await this._client.put(`${EVENTS_PATH}/${encodeURIComponent(id)}/interact`, { interaction });
+  }
+
+  // --- Timers ---
+  // Valetudo runs these itself, so they keep working while Homey is down.
+  // Times are UTC; dow uses 0 for Sunday.
+
+  // Timers by id. Newer Valetudo versions wrap them with the supported actions.
+  async getTimers() {
+    const { data } = await this._client.get(TIMERS_PATH);
+    return data && data.timers ? data.timers : (data || {});
+  }
+
+  // { supportedActions: ['full_cleanup', 'segment_cleanup'], supportedPreActions: [...] }
+  async getTimerProperties() {
+    const { data } = await this._client.get(`${TIMERS_PATH}/properties`);
+    return data;
+  }
+
+  async createTimer(timer) {
+    const { data } = await this._client.post(TIMERS_PATH, timer);
+    return data;
+  }
+
+  async updateTimer(id, timer) {
+    const { data } = await this._client.post(`${TIMERS_PATH}/${encodeURIComponent(id)}`, { ...timer, id });
+    return data;
+  }
+
+  async deleteTimer(id) {
+    await this._client.delete(`${TIMERS_PATH}/${encodeURIComponent(id)}`);
+  }
+
+  async setTimerEnabled(id, enabled) {
+    const timers = await this.getTimers();
+    if (!timers[id]) throw new Error(`Timer "${id}" not found on the robot`);
+    return this.updateTimer(id, { ...timers[id], enabled });
+  }
+
+  // A timer body for createTimer/updateTimer. Without segmentIds the whole
+  // home is cleaned; fanSpeed/waterUsage become pre-actions.
+  static buildTimer({
+    label, dow, hour, minute, enabled = true, segmentIds, iterations = 1, fanSpeed, waterUsage,
+  }) {
+    const action = segmentIds && segmentIds.length > 0
+      ? {
+        type: 'segment_cleanup',
+        params: { segment_ids: segmentIds.map(String), iterations, custom_order: true },
+      }
+      : { type: 'full_cleanup', params: {} };
+    const preActions = [];
+    if (fanSpeed) preActions.push({ type: 'fan_speed_control', params: { value: fanSpeed } });
+    if (waterUsage) preActions.push({ type: 'water_usage_control', params: { value: waterUsage } });
+    return {
+      enabled, label, dow, hour, minute, action, pre_actions: preActions,
+    };
+  }
+
+  // --- Network and system ---
+
+  // { state, details: { ssid, signal (dBm), frequency, ips, ... } }
+  async getWifiStatus() {
+    const { data } = await this._client.get(this._capabilityPath('WifiConfigurationCapability'));
+    return data;
+  }
+
+  // Networks the robot can see: [{ bssid, details: { ssid, signal, frequency } }]
+  async scanWifi() {
+    const { data } = await this._client.get(this._capabilityPath('WifiScanCapability'), { timeout: 30000 });
+    return data;
+  }
+
+  // { hostname, arch, mem: { total, free, ... } (bytes), uptime (s), load: { 1, 5, 15 } }
+  async getHostInfo() {
+    const { data } = await this._client.get('/api/v2/system/host/info');
+    return data;
+  }
+
   async getVersion() {
     const { data } = await this._client.get('/api/v2/valetudo/version');
     return data;
@@ -308,9 +676,11 @@ class ValetudoApi {
     await this._client.put('/api/v2/updater', { action: 'check' });
   }
 
+  // A probe, polled while the robot reboots: it ignores an open breaker,
+  // and its success closes it
   async isReachable() {
     try {
-      await this._client.get('/api/v2/robot', { timeout: 5000 });
+      await this._client.get('/api/v2/robot', { timeout: 5000, retry: false, breaker: false });
       return true;
     } catch {
       return false;
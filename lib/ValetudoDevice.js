@@ -1,17 +1,65 @@
 'use strict';
 
 const Homey = require('homey');
+const AuthFailedError = require('./AuthFailedError');
 const ValetudoApi = require('./ValetudoApi');
 const ValetudoMqtt = require('./ValetudoMqtt');
+const RobotCommander = require('./RobotCommander');
+const RobotDiagnostics = require('./RobotDiagnostics');
 const SshManager = require('./SshManager');
+const TimerSync = require('./TimerSync');
 const FloorManager = require('./FloorManager');
+const FloorArchive = require('./FloorArchive');
+const FloorArchiveStore = require('./FloorArchiveStore');
+const FloorDetector = require('./FloorDetector');
+const FloorMapStore = require('./FloorMapStore');
+const FloorOperation = require('./FloorOperation');
+const FloorSwitchError = require('./FloorSwitchError');
+const ManualDrive = require('./ManualDrive');
+const MapStorageProfile = require('./MapStorageProfile');
+const ObstacleTracker = require('./ObstacleTracker');
+const ValetudoEventLog = require('./ValetudoEventLog');
+const OperationCancelledError = require('./OperationCancelledError');
+const RobotBusyError = require('./RobotBusyError');
+const RobotUnreachableError = require('./RobotUnreachableError');
 
 const REST_POLL_INTERVAL_MS = 30000;
 const CONSUMABLE_POLL_INTERVAL_MS = 3600000; // 1 hour
 const UPDATE_CHECK_INTERVAL_MS = 86400000; // 24 hours
+const DIAGNOSTICS_POLL_INTERVAL_MS = 600000; // 10 minutes
+const EVENT_POLL_INTERVAL_MS = 30000;
+const STUCK_PATTERN = /stuck|trapped|wheel/i;
+const MQTT_CERT_SETTINGS = {
+  mqtt_ca_cert: 'MQTT CA certificate',
+  mqtt_client_cert: 'MQTT client certificate',
+  mqtt_client_key: 'MQTT client key',
+};
+// TLS option of ValetudoMqtt each certificate setting fills
+const MQTT_TLS_OPTIONS = {
+  mqtt_ca_cert: 'ca',
+  mqtt_client_cert: 'cert',
+  mqtt_client_key: 'key',
+};
 const CONSUMABLE_DEPLETED_THRESHOLD = 10; // percent
 const LOW_BATTERY_THRESHOLD = 20;
+const OBSTACLE_IMAGE_LIMIT = 10; // obstacle photos kept registered for flow tokens
+// Days of the create_timer card (0 = Sunday, as Valetudo counts)
+const TIMER_DAYS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  sunday: [0],
+  monday: [1],
+  tuesday: [2],
+  wednesday: [3],
+  thursday: [4],
+  friday: [5],
+  saturday: [6],
+};
 const SEGMENT_POLL_INTERVAL_MS = 10000;
+const FLOOR_CHECK_DELAY_MS = 60000; // let the firmware rebuild its map after getting lost
+const FLOOR_MISMATCH_REPEAT_MS = 1800000; // 30 min before re-reporting the same floor
+const KEPT_FLOOR_OPERATIONS = 5; // finished operations kept for late pollers
 
 // Map Valetudo status values to our vacuum_state enum
 const STATE_MAP = {
@@ -25,6 +73,31 @@ const STATE_MAP = {
   moving: 'moving',
 };
 
+// Homey capabilities that only make sense when the robot has the Valetudo
+// capability behind them (any of a list); added or removed once the robot's
+// list is known. The hidden `feature_*` ones only exist for the flow cards'
+// device filters.
+const OPTIONAL_CAPABILITIES = {
+  fan_speed: 'FanSpeedControlCapability',
+  button_locate: 'LocateCapability',
+  measure_clean_area_last: 'CurrentStatisticsCapability',
+  measure_clean_duration_last: 'CurrentStatisticsCapability',
+  measure_clean_area_total: 'TotalStatisticsCapability',
+  measure_clean_duration_total: 'TotalStatisticsCapability',
+  feature_water_usage: 'WaterUsageControlCapability',
+  feature_operation_mode: 'OperationModeControlCapability',
+  feature_auto_empty: 'AutoEmptyDockManualTriggerCapability',
+  feature_dnd: 'DoNotDisturbCapability',
+  feature_carpet_mode: 'CarpetModeControlCapability',
+  volume_set: 'SpeakerVolumeControlCapability',
+  feature_test_sound: 'SpeakerTestCapability',
+  feature_go_to_location: 'GoToLocationCapability',
+  feature_manual_control: ['ManualControlCapability', 'HighResolutionManualControlCapability'],
+  feature_voice_packs: 'VoicePackManagementCapability',
+  feature_zone_cleaning: 'ZoneCleaningCapability',
+  feature_segment_rename: 'MapSegmentRenameCapability',
+};
+
 class ValetudoDevice extends Homey.Device {
 
   async onInit() {
@@ -33,11 +106,12 @@ class ValetudoDevice extends Homey.Device {
     const settings = this.getSettings();
     await this._secureSshKey(settings);
     const sshKey = this.getStoreValue('ssh_private_key') || undefined;
+    const mqttTls = await this._initMqttTls(settings);
 
-    this._initServices(settings, sshKey);
+    this._initServices(settings, sshKey, mqttTls);
     this._initState();
     this._registerCapabilityListeners();
-    this._setupMqttHandlers();
+    this._setupEventHandlers();
     this._updateValetudoUrl(settings.host);
     this._mqtt.connect();
 
@@ -54,9 +128,11 @@ class ValetudoDevice extends Homey.Device {
     this.log('ValetudoDevice initialized (waiting for discovery...)');
   }
 
-  _initServices(settings, sshKey) {
+  _initServices(settings, sshKey, mqttTls) {
     this._api = new ValetudoApi({
       host: settings.host,
+      proxyUrl: settings.valetudo_proxy_url || undefined,
+      certFingerprint: settings.valetudo_cert_fingerprint || undefined,
       authUser: settings.valetudo_auth_user || undefined,
       authPass: settings.valetudo_auth_pass || undefined,
       log: this.log.bind(this),
@@ -67,7 +143,39 @@ class ValetudoDevice extends Homey.Device {
       username: settings.mqtt_username || undefined,
       password: settings.mqtt_password || undefined,
       topicPrefix: settings.mqtt_topic_prefix || 'valetudo',
-      identifier: settings.mqtt_identifier || this.getData().id,
+      identifier: settings.mqtt_identifier || undefined,
+      identifierHint: this.getData().id,
+      tls: mqttTls,
+      floorNamespace: settings.mqtt_floor_namespace || undefined,
+      log: this.log.bind(this),
+    });
+
+    this._commands = new RobotCommander({
+      api: this._api,
+      mqtt: this._mqtt,
+      log: this.log.bind(this),
+    });
+
+    this._manualDrive = new ManualDrive({
+      api: this._api,
+      log: this.log.bind(this),
+    });
+
+    this._timers = new TimerSync({
+      device: this,
+      api: this._api,
+      log: this.log.bind(this),
+    });
+
+    this._obstacles = new ObstacleTracker({
+      device: this,
+      log: this.log.bind(this),
+    });
+    this._obstacleImages = []; // Homey images of the latest obstacle_detected triggers, oldest first
+
+    this._valetudoEvents = new ValetudoEventLog({
+      api: this._api,
+      device: this,
       log: this.log.bind(this),
     });
 
@@ -86,6 +194,30 @@ class ValetudoDevice extends Homey.Device {
       api: this._api,
       mqttClient: this._mqtt,
       log: this.log.bind(this),
+      historyVersions: parseInt(settings.floor_history_versions || '3', 10),
+      storageProfile: MapStorageProfile.forRobot({ manufacturer: settings.robot_manufacturer }),
+    });
+
+    this._floorDetector = new FloorDetector({
+      floorManager: this._floorManager,
+      log: this.log.bind(this),
+    });
+
+    this._diagnostics = new RobotDiagnostics({
+      api: this._api,
+      floorManager: this._floorManager,
+      ssh: this._ssh,
+      log: this.log.bind(this),
+    });
+
+    this._floorArchives = new FloorArchiveStore({
+      dir: '/userdata/floor-archives',
+      log: this.log.bind(this),
+    });
+
+    this._floorMaps = new FloorMapStore({
+      dir: `/userdata/floor-maps/${this.getData().id}`,
+      log: this.log.bind(this),
     });
   }
 
@@ -94,18 +226,25 @@ class ValetudoDevice extends Homey.Device {
     this._onCarpet = false;
     this._currentSegmentId = null;
     this._dustbinTriggered = false;
+    this._depletedConsumables = new Set(); // capability ids whose alert fired
+    this._toggles = {}; // capability -> enabled, as pushed over MQTT
+    this._attachments = {}; // dustbin/watertank/mop -> installed, as pushed over MQTT
     this._knownVersion = null;
     this._updateAlerted = false;
     this._restFailCount = 0;
     this._discoveryAvailable = false;
-    this._mapSnapshots = {}; // floorId -> map JSON (in-memory cache for widget preview)
     this._pendingNewFloor = null; // { name, hasDock } when mapping a new floor
     this._waitingForSegments = false; // true while polling map for segment finalization
+    this._floorCheckTimeout = null;
+    this._lastFloorMismatch = null; // { floorId, at } of the last reported mismatch
+    this._floorOperations = new Map(); // id -> FloorOperation, oldest first
   }
 
   _startPolling() {
     this._startRestPolling();
     this._startConsumablePolling();
+    this._startDiagnosticsPolling();
+    this._startEventPolling();
     this._startUpdateCheckPolling();
   }
 
@@ -120,14 +259,19 @@ class ValetudoDevice extends Homey.Device {
     this.log(`Discovery: device available at ${discoveryResult.address}`);
     this._discoveryAvailable = true;
     this._applyNewHost(discoveryResult.address);
+    if (!this._mqtt.connected) this._api.events.start();
 
     await this._fetchInitialState();
     await this._fetchRobotDiagnostics();
+    await this._syncTimers();
     await this._updateConsumables();
     await this._updateStatistics();
+    await this._updateDiagnostics();
+    await this._updateValetudoEvents();
     await this._fetchAndCacheSegments();
     await this._tryFloorBackup();
     await this._detectAndImportAdditionalFloors();
+    await this._verifyFloorSnapshots();
     await this._cacheCurrentMap();
   }
 
@@ -155,6 +299,19 @@ class ValetudoDevice extends Homey.Device {
   get mqttClient() { return this._mqtt; }
   get floorManager() { return this._floorManager; }
 
+  // Homey refuses listeners for capabilities the device does not have, so
+  // these are registered again when _syncRobotCapabilities adds one back.
+  _registerOptionalCapabilityListener(capId) {
+    const listeners = {
+      fan_speed: async (value) => this.setFanSpeed(value),
+      button_locate: async () => this.locateRobot(),
+      volume_set: async (value) => this.setSpeakerVolume(Math.round(value * 100)),
+    };
+    if (listeners[capId] && this.hasCapability(capId)) {
+      this.registerCapabilityListener(capId, listeners[capId]);
+    }
+  }
+
   _registerCapabilityListeners() {
     this.registerCapabilityListener('onoff', async (value) => {
       if (value) {
@@ -164,13 +321,7 @@ class ValetudoDevice extends Homey.Device {
       }
     });
 
-    this.registerCapabilityListener('fan_speed', async (value) => {
-      await this.setFanSpeed(value);
-    });
-
-    this.registerCapabilityListener('button_locate', async () => {
-      await this.locateRobot();
-    });
+    Object.keys(OPTIONAL_CAPABILITIES).forEach((capId) => this._registerOptionalCapabilityListener(capId));
 
     this.registerCapabilityListener('button_dock', async () => {
       await this.returnToDock();
@@ -229,7 +380,7 @@ class ValetudoDevice extends Homey.Device {
           this.setWarning('Starting new map…').catch(this.error);
           await this.startNewMap();
           // Set pending flag — auto-save will happen when mapping finishes
-          this._pendingNewFloor = { name, hasDock };
+          this._setPendingNewFloor({ name, hasDock });
           this.setWarning(`Mapping new floor… will auto-save as "${name}" when done`).catch(this.error);
           this.setCapabilityValue('current_floor', `${name} (mapping)`).catch(this.error);
           this.log(`New floor mapping started, will auto-save as "${name}"`);
@@ -283,23 +434,88 @@ class ValetudoDevice extends Homey.Device {
     });
   }
 
-  _setupMqttHandlers() {
-    this._mqtt.on('battery_level', (level) => {
+  // MQTT and Valetudo's SSE streams emit the same state events. Only one of
+  // them runs at a time: the streams fill in while MQTT is not connected.
+  _setupEventHandlers() {
+    this._attachStateHandlers(this._mqtt);
+    this._attachStateHandlers(this._api.events);
+
+    this._mqtt.on('connected', () => {
+      this.log('MQTT connected — robot available');
+      this.setAvailable().catch(this.error);
+      this._restFailCount = 0;
+      this._api.events.stop();
+    });
+
+    // Attributes only MQTT pushes; REST polling covers them otherwise
+    this._mqtt.on('consumable', (consumable) => {
+      this._applyConsumable(consumable).catch(this.error);
+    });
+
+    this._mqtt.on('statistic', ({ scope, type, value }) => {
+      this._applyStatistic(scope, { type, value }).catch(this.error);
+    });
+
+    this._mqtt.on('toggle', ({ capability, enabled }) => {
+      this._toggles[capability] = enabled;
+    });
+
+    this._mqtt.on('attachment', ({ type, attached }) => {
+      this._attachments[type] = attached;
+    });
+
+    this._mqtt.on('speaker_volume', (volume) => {
+      this._applySpeakerVolume(volume).catch(this.error);
+    });
+
+    this._mqtt.on('wifi_signal', (signal) => {
+      if (!this.hasCapability('measure_wifi_signal')) return;
+      this.setCapabilityValue('measure_wifi_signal', signal).catch(this.error);
+    });
+
+    this._mqtt.on('switch_floor', (value) => this._onSwitchFloorCommand(value));
+
+    this._mqtt.on('identifier', (identifier) => {
+      this.setSettings({ mqtt_identifier: identifier }).catch(this.error);
+    });
+
+    this._mqtt.on('disconnected', () => {
+      this.log('MQTT disconnected — falling back to Valetudo event streams');
+      if (this._discoveryAvailable) this._api.events.start();
+    });
+
+    this._api.events.on('connected', () => {
+      this.log('Valetudo event stream connected');
+      this.setAvailable().catch(this.error);
+      this._restFailCount = 0;
+    });
+
+    this._api.events.on('disconnected', () => {
+      this.log('Valetudo event stream lost — relying on REST polling until it reconnects');
+    });
+  }
+
+  _attachStateHandlers(source) {
+    source.on('battery_level', (level) => {
       this.setCapabilityValue('measure_battery', level).catch(this.error);
       this.setCapabilityValue('alarm_battery', level < LOW_BATTERY_THRESHOLD).catch(this.error);
     });
 
-    this._mqtt.on('vacuum_state', (state) => {
+    source.on('vacuum_state', (state) => {
       const mapped = STATE_MAP[state] || 'idle';
       this._updateVacuumState(mapped);
     });
 
-    this._mqtt.on('vacuum_error', (errorMsg) => {
+    source.on('vacuum_error', (errorMsg) => {
       if (errorMsg && errorMsg !== 'none') {
         this.setCapabilityValue('vacuum_error', errorMsg).catch(this.error);
         this.setCapabilityValue('alarm_error', true).catch(this.error);
         this._triggerError(errorMsg);
         this._classifyError(errorMsg);
+        // A robot that lost its position may have been carried to another floor
+        if (/lost|relocali[sz]|locat|position/i.test(errorMsg)) {
+          this._scheduleFloorCheck();
+        }
       } else {
         this.setCapabilityValue('vacuum_error', '-').catch(this.error);
         this.setCapabilityValue('alarm_error', false).catch(this.error);
@@ -307,18 +523,19 @@ class ValetudoDevice extends Homey.Device {
       }
     });
 
-    this._mqtt.on('fan_speed', (speed) => {
+    source.on('fan_speed', (speed) => {
+      if (!this.hasCapability('fan_speed')) return;
       this.setCapabilityValue('fan_speed', speed).catch(this.error);
     });
 
-    this._mqtt.on('segment_started', ({ id, name }) => {
+    source.on('segment_started', ({ id, name }) => {
       this._currentSegmentId = id;
       this.driver._segmentCleaningStartedTrigger
         .trigger(this, { segment_name: name, segment_id: id })
         .catch(this.error);
     });
 
-    this._mqtt.on('segment_finished', ({ id, name }) => {
+    source.on('segment_finished', ({ id, name }) => {
       if (this._currentSegmentId === id) {
         this._currentSegmentId = null;
       }
@@ -327,18 +544,24 @@ class ValetudoDevice extends Homey.Device {
         .catch(this.error);
     });
 
-    this._mqtt.on('carpet_changed', (onCarpet) => {
-      this._onCarpet = onCarpet;
+    source.on('entered_segment', ({ id, name }) => {
+      this.driver._enteredSegmentTrigger
+        .trigger(this, { segment_name: name, segment_id: id })
+        .catch(this.error);
     });
 
-    this._mqtt.on('connected', () => {
-      this.log('MQTT connected — robot available');
-      this.setAvailable().catch(this.error);
-      this._restFailCount = 0;
+    source.on('left_segment', ({ id, name, dwellSeconds }) => {
+      this.driver._leftSegmentTrigger
+        .trigger(this, { segment_name: name, segment_id: id, dwell_minutes: Math.round(dwellSeconds / 6) / 10 })
+        .catch(this.error);
     });
 
-    this._mqtt.on('disconnected', () => {
-      this.log('MQTT disconnected — will rely on REST polling');
+    source.on('carpet_changed', (onCarpet) => {
+      this._onCarpet = onCarpet;
+    });
+
+    source.on('map', (mapData) => {
+      this._checkObstacles(mapData).catch(this.error);
     });
   }
 
@@ -361,6 +584,7 @@ class ValetudoDevice extends Homey.Device {
     if (previous && previous !== state) {
       if (state === 'cleaning' && previous !== 'cleaning') {
         this.driver._cleaningStartedTrigger.trigger(this).catch(this.error);
+        this._scheduleFloorCheck();
       }
       if (previous === 'cleaning' && state !== 'cleaning' && state !== 'paused') {
         this._triggerCleaningFinished();
@@ -370,7 +594,7 @@ class ValetudoDevice extends Homey.Device {
       // Robot transitions to idle (no dock) or docked (with dock) or error (dock not found)
       if (this._pendingNewFloor && (state === 'idle' || state === 'docked' || state === 'error')) {
         if (previous === 'cleaning' || previous === 'returning' || previous === 'moving') {
-          this._autoSaveNewFloor();
+          this._autoSaveNewFloor().catch(this.error);
         }
       }
     }
@@ -381,8 +605,11 @@ class ValetudoDevice extends Homey.Device {
     if (!pending) return;
     if (this._waitingForSegments) return; // prevent re-entry from repeated state changes
 
-    this._waitingForSegments = true;
     const { name, hasDock } = pending;
+    const operation = this.createFloorOperation('new-floor', null, name);
+    this._waitingForSegments = true;
+    operation.plan(['segments', 'save'], { cancellableUntil: 'save' });
+    operation.setStep('segments');
     const settings = this.getSettings();
     const timeoutMs = parseInt(settings.segment_wait_timeout || '300', 10) * 1000;
 
@@ -403,6 +630,12 @@ class ValetudoDevice extends Homey.Device {
       if (!this._pendingNewFloor) {
         this.log('Segment wait aborted — pending floor was cleared');
         this._waitingForSegments = false;
+        operation.fail(new OperationCancelledError());
+        return;
+      }
+
+      if (operation.cancelRequested) {
+        this._cancelNewFloorSave(name, operation);
         return;
       }
 
@@ -446,16 +679,23 @@ class ValetudoDevice extends Homey.Device {
 
     // Save the floor
     try {
+      operation.setStep('save');
       await this.saveFloor(name, hasDock);
-      this._pendingNewFloor = null;
+      this._setPendingNewFloor(null);
       this._waitingForSegments = false;
       this._updateFloorPicker();
       this.setCapabilityValue('current_floor', name).catch(this.error);
       this.setWarning(`Floor "${name}" saved`).catch(this.error);
       this.homey.setTimeout(() => this.unsetWarning().catch(this.error), 10000);
       this.log(`Auto-saved new floor "${name}" successfully`);
+      operation.succeed();
     } catch (err) {
-      this._pendingNewFloor = null;
+      if (err instanceof OperationCancelledError) {
+        this._cancelNewFloorSave(name, operation);
+        return;
+      }
+      operation.fail(err);
+      this._setPendingNewFloor(null);
       this._waitingForSegments = false;
       const msg = this._sshErrorMessage(err);
       this.setWarning(`Auto-save failed: ${msg}`).catch(this.error);
@@ -464,14 +704,28 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
+  // The floor stays registered without a saved map; the robot keeps the map
+  // it just built, so it can still be saved with "Save current map as floor".
+  _cancelNewFloorSave(name, operation) {
+    this.log(`Saving of new floor "${name}" cancelled`);
+    this._setPendingNewFloor(null);
+    this._waitingForSegments = false;
+    operation.fail(new OperationCancelledError());
+    this.setWarning(`Saving "${name}" cancelled`).catch(this.error);
+    this.homey.setTimeout(() => this.unsetWarning().catch(this.error), 10000);
+  }
+
   _triggerError(message) {
     this.driver._errorOccurredTrigger.trigger(this, { error_message: message }).catch(this.error);
   }
 
+  // Fallback for robots whose Valetudo has no event log: guesses stuck and
+  // dustbin conditions from the error text
   _classifyError(message) {
+    if (this._valetudoEvents.available) return;
     const lower = message.toLowerCase();
     // Detect stuck conditions
-    if (lower.includes('stuck') || lower.includes('trapped') || lower.includes('wheel')) {
+    if (STUCK_PATTERN.test(message)) {
       this.driver._robotStuckTrigger
         .trigger(this, { error_message: message })
         .catch(this.error);
@@ -491,9 +745,12 @@ class ValetudoDevice extends Homey.Device {
         robot_model: robotInfo.modelName || 'Unknown',
         robot_manufacturer: robotInfo.manufacturer || 'Unknown',
       });
+      this._applyStorageProfile(robotInfo.manufacturer);
     } catch (err) {
       this.log('Robot info fetch failed:', err.message);
     }
+    await this._syncRobotCapabilities();
+    await this._updateSpeakerVolume();
     try {
       const version = await this._api.getVersion();
       await this.setSettings({ valetudo_version: version.release || 'Unknown' });
@@ -502,6 +759,55 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
+  async _syncTimers() {
+    try {
+      const { removed, schedules } = await this._timers.sync();
+      this.log(`Robot timers: ${schedules}${removed ? ' (all gone from the robot — restore them from a flow after a reset)' : ''}`);
+    } catch (err) {
+      this.log('Timer sync failed:', err.message);
+    }
+  }
+
+  // Re-reads the robot's capability list (firmware updates add some) and
+  // adds or removes the Homey capabilities that depend on it.
+  async _syncRobotCapabilities() {
+    try {
+      const capabilities = await this._api.loadCapabilities({ refresh: true });
+      this.log(`Robot capabilities: ${capabilities.length}`);
+    } catch (err) {
+      this.log('Capability list fetch failed:', err.message);
+      return;
+    }
+
+    for (const [capId, required] of Object.entries(OPTIONAL_CAPABILITIES)) {
+      const names = [].concat(required);
+      const supported = names.some((name) => this._api.supports(name));
+      try {
+        if (supported && !this.hasCapability(capId)) {
+          await this.addCapability(capId);
+          this._registerOptionalCapabilityListener(capId);
+          this.log(`Added ${capId} (robot supports ${names.join(' or ')})`);
+        } else if (!supported && this.hasCapability(capId)) {
+          await this.removeCapability(capId);
+          this.log(`Removed ${capId} (robot has no ${names.join(' or ')})`);
+        }
+      } catch (err) {
+        this.log(`Could not update capability ${capId}:`, err.message);
+      }
+    }
+  }
+
+  _applyStorageProfile(manufacturer) {
+    if (manufacturer && !MapStorageProfile.isSupported(manufacturer)) {
+      this.log(`No map storage profile for ${manufacturer} robots — floor switching assumes the Roborock layout`);
+    }
+    try {
+      this._floorManager.setStorageProfile(MapStorageProfile.forRobot({ manufacturer }));
+    } catch (err) {
+      this.log('Map storage profile not changed:', err.message);
+    }
+  }
+
   async _fetchInitialState() {
     try {
       const attrs = await this._api.getStateAttributes();
@@ -521,7 +827,7 @@ class ValetudoDevice extends Homey.Device {
             }
             break;
           case 'PresetSelectionStateAttribute':
-            if (attr.type === 'fan_speed' && attr.value) {
+            if (attr.type === 'fan_speed' && attr.value && this.hasCapability('fan_speed')) {
               await this.setCapabilityValue('fan_speed', attr.value);
             }
             break;
@@ -535,27 +841,71 @@ class ValetudoDevice extends Homey.Device {
     } catch (err) {
       this._restFailCount++;
       this.log(`Failed to fetch state (attempt ${this._restFailCount}):`, err.message);
-      // Only mark unavailable after 3 consecutive failures (90 seconds)
-      if (this._restFailCount >= 3) {
-        const host = this.getSettings().host || 'unknown';
-        const reason = err.code === 'ECONNREFUSED' ? 'Connection refused'
-          : err.code === 'ETIMEDOUT' ? 'Connection timed out'
-            : err.code === 'EHOSTUNREACH' ? 'Host unreachable'
-              : 'Cannot connect';
-        await this.setUnavailable(`${reason} — check that the robot (${host}) is powered on and on the network`);
+      // Wrong credentials will not fix themselves; anything else only marks
+      // the device unavailable after 3 consecutive failures (90 seconds)
+      if (err instanceof AuthFailedError || this._restFailCount >= 3) {
+        await this.setUnavailable(this._apiErrorMessage(err));
       }
     }
   }
 
+  // Device-facing text for a failed Valetudo request
+  _apiErrorMessage(err) {
+    const settings = this.getSettings();
+    if (err instanceof AuthFailedError) {
+      return 'Valetudo rejected the login — check the HTTP auth username and password in the device settings';
+    }
+    if (err instanceof RobotUnreachableError && !err.transient) {
+      return `${err.reason} — check the reverse proxy URL and certificate fingerprint in the device settings`;
+    }
+    if (err instanceof RobotUnreachableError) {
+      const where = settings.valetudo_proxy_url || settings.host || 'unknown';
+      return `${err.reason} — check that the robot (${where}) is powered on and on the network`;
+    }
+    if (err instanceof RobotBusyError) {
+      return `${err.message} — try again when it has finished`;
+    }
+    return `Cannot connect — ${err.message}`;
+  }
+
   _updateFloorCapability() {
     const floorName = this._floorManager.getActiveFloorName();
     this.setCapabilityValue('current_floor', floorName || 'Unknown').catch(this.error);
     this._updateFloorPicker();
   }
 
+  _setPendingNewFloor(pending) {
+    this._pendingNewFloor = pending;
+    this._publishFloorState();
+  }
+
+  // For other consumers on the MQTT broker; see ValetudoMqtt
+  _publishFloorState() {
+    const activeId = this._floorManager.getActiveFloor();
+    this._mqtt.publishFloorState({
+      activeFloor: activeId ? { id: activeId, name: this._floorManager.getFloorName(activeId) } : null,
+      floors: this._floorManager.getFloors().map((f) => ({ id: f.id, name: f.name })),
+      mapping: Boolean(this._pendingNewFloor),
+    });
+  }
+
+  // switch_floor/set over MQTT: a floor id, or a name in any case
+  _onSwitchFloorCommand(value) {
+    const floors = this._floorManager.getFloors();
+    const floor = floors.find((f) => f.id === value)
+      || floors.find((f) => f.name.toLowerCase() === value.toLowerCase());
+    if (!floor) {
+      this.log(`MQTT floor switch ignored: no floor "${value}"`);
+      return;
+    }
+    this.log(`MQTT floor switch to "${floor.name}"`);
+    this.switchFloor(floor.id).catch((err) => this.log(`MQTT floor switch failed: ${err.message}`));
+  }
+
   _updateFloorPicker() {
     const floors = this._floorManager.getFloors();
     const activeId = this._floorManager.getActiveFloor();
+    this._publishFloorState();
 
     if (floors.length === 0) return;
 
@@ -572,12 +922,16 @@ class ValetudoDevice extends Homey.Device {
 
   _startRestPolling() {
     this._pollInterval = this.homey.setInterval(async () => {
-      // Only poll REST if MQTT is not connected and discovery has found us
-      if (this._mqtt.connected) return;
+      // Only poll REST if no live source is connected and discovery has found us
+      if (this._mqtt.connected || this._api.events.connected) return;
       if (!this._discoveryAvailable) return;
 
       try {
         await this._fetchInitialState();
+        // Without a live map feed, obstacles are only seen on polled maps
+        if (this.getVacuumState() === 'cleaning') {
+          await this._checkObstacles(await this._api.getMap());
+        }
       } catch (err) {
         this.log('REST poll failed:', err.message);
       }
@@ -599,8 +953,8 @@ class ValetudoDevice extends Homey.Device {
         return;
       }
 
-      // Check if the robot has an existing map (last_map) that we can preserve
-      const robotHasMap = await this._ssh.fileExists('/mnt/data/rockrobo/last_map');
+      // Check if the robot has an existing map that we can preserve
+      const robotHasMap = await this._floorManager.robotHasMap();
       if (robotHasMap) {
         this.log(`Robot has an existing map — preserving it as "${activeId}" backup`);
         await this._floorManager.saveCurrentFloor(activeId);
@@ -613,6 +967,22 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
+  async _verifyFloorSnapshots() {
+    const activeId = this._floorManager.getActiveFloor();
+    for (const floor of this._floorManager.getFloors()) {
+      // The active floor's files live in the map base, not its snapshot directory
+      if (floor.id === activeId) continue;
+      try {
+        const { status } = await this._floorManager.checkFloorIntegrity(floor.id);
+        if (status === 'damaged') {
+          this.log(`Floor "${floor.name}" snapshot is damaged — switching to it is disabled until it is re-saved`);
+        }
+      } catch (err) {
+        this.log(`Integrity check for "${floor.name}" skipped:`, err.message);
+      }
+    }
+  }
+
   async _detectAndImportAdditionalFloors() {
     try {
       const discovered = await this._floorManager.discoverAdditionalMaps();
@@ -646,8 +1016,8 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
-  _updateValetudoUrl(host) {
-    const url = host ? `http://${host}` : 'http://';
+  _updateValetudoUrl(host, proxyUrl = this.getSettings().valetudo_proxy_url) {
+    const url = ValetudoApi.normalizeProxyUrl(proxyUrl) || (host ? `http://${host}` : 'http://');
     this.setSettings({ valetudo_url: url }).catch(this.error);
   }
 
@@ -661,6 +1031,76 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
+  // PEM material pasted into the MQTT settings moves to the store like the
+  // SSH key; "none" removes the stored one. Returns the settings it took.
+  async _secureMqttCertificates(settings) {
+    const pasted = this._pastedMqttCertificates(settings);
+    for (const [key, value] of pasted) {
+      if (value.toLowerCase() === 'none') {
+        await this.unsetStoreValue(key);
+      } else {
+        await this.setStoreValue(key, value);
+      }
+    }
+    if (pasted.length > 0) this.log('MQTT certificates saved to secure store');
+    return pasted.map(([key]) => key);
+  }
+
+  // [[setting, value]] of the certificate fields that were filled in;
+  // throws for anything that is neither readable PEM nor "none"
+  _pastedMqttCertificates(settings) {
+    const pasted = Object.keys(MQTT_CERT_SETTINGS)
+      .map((key) => [key, (settings[key] || '').trim()])
+      .filter(([, value]) => value);
+    for (const [key, value] of pasted) {
+      if (value.toLowerCase() === 'none') continue;
+      if (!ValetudoMqtt.isPem(value)) {
+        throw new Error(`The ${MQTT_CERT_SETTINGS[key]} must be in PEM format (-----BEGIN ...-----)`);
+      }
+      ValetudoMqtt.checkTls({ [MQTT_TLS_OPTIONS[key]]: value });
+    }
+    return pasted;
+  }
+
+  // Certificates that cannot be used must not keep the device from starting:
+  // pasted ones are not taken and stored ones are left out of the connection.
+  async _initMqttTls(settings) {
+    try {
+      const certs = await this._secureMqttCertificates(settings);
+      if (certs.length > 0) await this.setSettings(Object.fromEntries(certs.map((key) => [key, ''])));
+    } catch (err) {
+      this._warnMqttCertificates(err);
+    }
+    return this._usableMqttTlsOptions(settings);
+  }
+
+  // _mqttTlsOptions without the stored certificates when any of them cannot
+  // be read, so MQTT still connects; the device warning says why
+  _usableMqttTlsOptions(settings) {
+    const tls = this._mqttTlsOptions(settings);
+    try {
+      ValetudoMqtt.checkTls(tls);
+      return tls;
+    } catch (err) {
+      this._warnMqttCertificates(err);
+      return { rejectUnauthorized: tls.rejectUnauthorized };
+    }
+  }
+
+  _warnMqttCertificates(err) {
+    this.error('MQTT certificates ignored:', err.message);
+    this.setWarning(`MQTT certificates ignored: ${err.message}`).catch(this.error);
+  }
+
+  _mqttTlsOptions(settings) {
+    return {
+      ca: this.getStoreValue('mqtt_ca_cert') || undefined,
+      cert: this.getStoreValue('mqtt_client_cert') || undefined,
+      key: this.getStoreValue('mqtt_client_key') || undefined,
+      rejectUnauthorized: settings.mqtt_reject_unauthorized !== false,
+    };
+  }
+
   async _initFirstFloor() {
     const floors = this._floorManager.getFloors();
     if (floors.length > 0) return;
@@ -703,38 +1143,104 @@ class ValetudoDevice extends Homey.Device {
     const activeId = this._floorManager.getActiveFloor();
     if (floorId === activeId) throw new Error('Cannot delete the active floor');
     await this._floorManager.removeFloor(floorId);
-    delete this._mapSnapshots[floorId];
+    await this._forgetFloorMap(floorId);
     this._updateFloorCapability();
     this._updateFloorPicker();
   }
 
+  async getFloorVersions(floorId) {
+    return this._floorManager.listFloorVersions(floorId);
+  }
+
+  // Restoring the active floor reloads it onto the robot, so it runs as a
+  // tracked floor operation and re-applies the floor's settings like a switch.
+  // `operation` works as for switchFloor.
+  async restoreFloorVersion(floorId, versionId, { operation = null } = {}) {
+    if (this._pendingNewFloor) {
+      throw new Error('Cannot restore a floor version while mapping is in progress. Wait for the new map to be finalized.');
+    }
+    if (floorId !== this._floorManager.getActiveFloor()) {
+      const result = await this._floorManager.restoreFloorVersion(floorId, versionId);
+      // Stored preview shows the replaced snapshot
+      await this._forgetFloorMap(floorId);
+      return result;
+    }
+
+    const op = operation || this.createFloorOperation('restore', floorId);
+    try {
+      const result = await this._floorManager.restoreFloorVersion(floorId, versionId, { operation: op });
+      // Same as a floor switch: segments come back once the robot is online again
+      this._mqtt.clearSegments();
+      await this._cacheCurrentMap();
+      await this.applyFloorPreferences(floorId);
+      await this.applyFloorRestrictions(floorId).catch((err) => {
+        this.log('Floor restrictions could not be applied:', err.message);
+      });
+      if (!op.finished) op.succeed();
+      return result;
+    } catch (err) {
+      if (!op.finished) op.fail(err);
+      throw err;
+    }
+  }
+
+  // --- Floor archives (export to / import from Homey) ---
+
+  _robotIdentity() {
+    const settings = this.getSettings();
+    return {
+      model: settings.robot_model,
+      manufacturer: settings.robot_manufacturer,
+      valetudoVersion: settings.valetudo_version,
+    };
+  }
+
+  async exportFloorArchive(floorId) {
+    const exported = await this._floorManager.exportFloor(floorId);
+    const data = FloorArchive.pack({ ...exported, robot: this._robotIdentity() });
+    const filename = await this._floorArchives.save(floorId, data);
+    return { filename, size: data.length, data };
+  }
+
+  getStoredFloorArchives() {
+    return this._floorArchives.list();
+  }
+
+  async importFloorArchive(data, { name, replace = false } = {}) {
+    if (this._pendingNewFloor) {
+      throw new Error('Cannot import a floor while mapping is in progress. Wait for the new map to be finalized.');
+    }
+    const archive = FloorArchive.unpack(data);
+    const reason = FloorArchive.incompatibilityReason(archive.robot, this._robotIdentity());
+    if (reason) throw new Error(`${reason} — map files are not compatible between models`);
+
+    const floor = await this._floorManager.importFloor(archive, { name, replace });
+    await this._forgetFloorMap(floor.id);
+    this._updateFloorCapability();
+    this._updateFloorPicker();
+    return floor;
+  }
+
+  async importStoredFloorArchive(filename, options) {
+    const data = await this._floorArchives.read(filename);
+    return this.importFloorArchive(data, options);
+  }
+
   // --- Public methods for flow card actions ---
 
   async startCleaning() {
     if (this._pendingNewFloor) {
       throw new Error('Cannot start cleaning while a new floor map is being finalized');
     }
-    if (this._mqtt.connected) {
-      this._mqtt.basicControl('start');
-    } else {
-      await this._api.basicControl('start');
-    }
+    await this._commands.basicControl('start');
   }
 
   async stopCleaning() {
-    if (this._mqtt.connected) {
-      this._mqtt.basicControl('stop');
-    } else {
-      await this._api.basicControl('stop');
-    }
+    await this._commands.basicControl('stop');
   }
 
   async pauseCleaning() {
-    if (this._mqtt.connected) {
-      this._mqtt.basicControl('pause');
-    } else {
-      await this._api.basicControl('pause');
-    }
+    await this._commands.basicControl('pause');
   }
 
   async returnToDock() {
@@ -743,59 +1249,278 @@ class ValetudoDevice extends Homey.Device {
       await this.stopCleaning();
       return;
     }
-    if (this._mqtt.connected) {
-      this._mqtt.basicControl('home');
-    } else {
-      await this._api.basicControl('home');
-    }
+    await this._commands.basicControl('home');
   }
 
   async setFanSpeed(speed) {
-    if (this._mqtt.connected) {
-      this._mqtt.setFanSpeed(speed);
-    } else {
-      await this._api.setFanSpeed(speed);
-    }
+    await this._commands.setFanSpeed(speed);
   }
 
   async cleanSegment(segmentId, iterations = 1) {
     if (this._pendingNewFloor) {
       throw new Error('Cannot start segment cleaning while a new floor map is being finalized');
     }
-    if (this._mqtt.connected) {
-      this._mqtt.cleanSegments([segmentId], iterations);
-    } else {
-      await this._api.cleanSegments([segmentId], iterations);
-    }
+    await this._commands.cleanSegments([segmentId], iterations);
   }
 
   async locateRobot() {
-    if (this._mqtt.connected) {
-      this._mqtt.locate();
+    await this._commands.locate();
+  }
+
+  // --- Robot timers ---
+
+  async pauseTimers() {
+    return this._timers.pauseAll();
+  }
+
+  async resumeTimers() {
+    return this._timers.resumeAll();
+  }
+
+  areTimersPaused() {
+    return this._timers.isPaused();
+  }
+
+  // `time` is Homey's local "HH:mm"; Valetudo stores timers in UTC.
+  // `fanSpeed` is a preset, or null to keep the robot's setting.
+  async createTimer({
+    label, days, time, fanSpeed,
+  }) {
+    const [hour, minute] = time.split(':').map((part) => parseInt(part, 10));
+    const offset = TimerSync.utcOffset(this.homey.clock.getTimezone());
+    const when = TimerSync.toUtc({ dow: TIMER_DAYS[days], hour, minute }, offset);
+    await this._timers.create(ValetudoApi.buildTimer({ label, ...when, fanSpeed }));
+  }
+
+  async setTimerEnabled(id, enabled) {
+    await this._timers.setEnabled(id, enabled);
+  }
+
+  async deleteTimer(id) {
+    await this._timers.remove(id);
+  }
+
+  // Puts back timers that disappeared from the robot (factory reset, new
+  // Valetudo image). Fails when there is nothing to restore.
+  async restoreTimers() {
+    if (this._timers.removedCount() === 0) {
+      throw new Error('No removed robot timers to restore');
+    }
+    return this._timers.restore();
+  }
+
+  // [{ id, label, enabled, dow, time }], times in Homey's time zone; the
+  // saved copy when the robot cannot be reached
+  async getTimers() {
+    await this._syncTimers();
+    const offset = TimerSync.utcOffset(this.homey.clock.getTimezone());
+    return this._timers.list().map(({ id, timer }) => {
+      const local = TimerSync.toUtc(timer, -offset);
+      const pad = (n) => String(n).padStart(2, '0');
+      return {
+        id,
+        label: timer.label || `Timer ${id}`,
+        enabled: timer.enabled,
+        dow: local.dow,
+        time: `${pad(local.hour)}:${pad(local.minute)}`,
+      };
+    });
+  }
+
+  // --- Valetudo events ---
+
+  getValetudoEvents() {
+    return this._valetudoEvents.list();
+  }
+
+  // id 'all' dismisses every event that only needs an acknowledgement; with
+  // a type instead of an id, every pending event of that type is answered
+  async acknowledgeValetudoEvent({ id, type, interaction }) {
+    await this._updateValetudoEvents();
+    if (id === 'all') {
+      const count = await this._valetudoEvents.dismissAll();
+      this.log(`Dismissed ${count} Valetudo event(s)`);
+    } else if (type) {
+      await this._valetudoEvents.interactWithType(type, interaction);
     } else {
-      await this._api.locateRobot();
+      await this._valetudoEvents.interact(id, interaction);
     }
   }
 
+  // --- Manual control (widget joystick, nudge actions) ---
+
+  _assertCanDrive() {
+    if (this._pendingNewFloor || this._floorManager.isSwitching()) {
+      throw new Error('Cannot drive the robot while a floor is being switched or mapped');
+    }
+  }
+
+  async setManualControl(enabled) {
+    if (enabled) this._assertCanDrive();
+    await this._manualDrive.setEnabled(enabled);
+  }
+
+  async manualMove(direction) {
+    this._assertCanDrive();
+    await this._manualDrive.move(direction);
+  }
+
+  async nudgeRobot(distanceCm) {
+    this._assertCanDrive();
+    return this._manualDrive.moveBy(distanceCm);
+  }
+
+  async rotateRobot(degrees) {
+    this._assertCanDrive();
+    return this._manualDrive.rotateBy(degrees);
+  }
+
   isMappingNewFloor() {
     return !!this._pendingNewFloor;
   }
 
-  async switchFloor(floorId) {
-    if (this._pendingNewFloor) {
-      throw new Error('Cannot switch floors while mapping is in progress. Wait for the new map to be finalized.');
+  // `operation` lets a caller that already handed out the operation id (the
+  // widget) follow the switch; otherwise one is created here.
+  async switchFloor(floorId, { operation = null } = {}) {
+    const op = operation || this.createFloorOperation('switch', floorId);
+    try {
+      if (this._pendingNewFloor) {
+        throw new Error('Cannot switch floors while mapping is in progress. Wait for the new map to be finalized.');
+      }
+      // Cache current floor's map before switching
+      await this._cacheCurrentMap();
+      const previousFloorId = this._floorManager.getActiveFloor();
+      const floor = await this._floorManager.switchFloor(floorId, { operation: op });
+      this._updateFloorCapability();
+      // Cache the new floor's map after switch
+      await this._cacheCurrentMap();
+      // Clear stale segments from the previous floor — the new floor's segments will be
+      // fetched when the robot comes back online after reboot (onDiscoveryLastSeenChanged)
+      this._mqtt.clearSegments();
+      if (floor.id !== previousFloorId) {
+        await this.applyFloorPreferences(floor.id);
+        await this.applyFloorRestrictions(floor.id).catch((err) => {
+          this.log('Floor restrictions could not be applied:', err.message);
+        });
+      }
+      this.driver._floorSwitchedTrigger.trigger(this, { floor_name: floor.name }).catch(this.error);
+      if (!op.finished) op.succeed(); // already on that floor
+      return floor;
+    } catch (err) {
+      if (!op.finished) op.fail(err);
+      throw err;
     }
-    // Cache current floor's map before switching
-    await this._cacheCurrentMap();
-    const floor = await this._floorManager.switchFloor(floorId);
-    this._updateFloorCapability();
-    // Cache the new floor's map after switch
-    await this._cacheCurrentMap();
-    // Clear stale segments from the previous floor — the new floor's segments will be
-    // fetched when the robot comes back online after reboot (onDiscoveryLastSeenChanged)
-    this._mqtt.clearSegments();
-    this.driver._floorSwitchedTrigger.trigger(this, { floor_name: floor.name }).catch(this.error);
-    return floor;
+  }
+
+  // Applies the floor's cleaning preferences one by one. A preference the
+  // robot rejects (e.g. no mop attached) is logged and skipped, never failing
+  // the switch that triggered it.
+  async applyFloorPreferences(floorId) {
+    const preferences = this._floorManager.getFloorPreferences(floorId);
+    const setters = {
+      fanSpeed: (value) => this.setFanSpeed(value),
+      waterUsage: (value) => this.setWaterUsage(value),
+      operationMode: (value) => this.setOperationMode(value),
+      carpetMode: (value) => this.setCarpetMode(value),
+      dnd: (value) => this.setDnd(value),
+    };
+    const applied = [];
+    const failed = [];
+    for (const [key, value] of Object.entries(preferences)) {
+      try {
+        await setters[key](value);
+        applied.push(key);
+      } catch (err) {
+        failed.push(key);
+        this.log(`Floor preference ${key}=${value} could not be applied:`, err.message);
+      }
+    }
+    if (applied.length > 0) this.log(`Applied floor preferences: ${applied.join(', ')}`);
+    return { applied, failed };
+  }
+
+  // --- Virtual restriction sets ---
+
+  // Sends the floor's enabled restriction sets to the robot. Returns false
+  // for a floor without sets, whose restrictions are left untouched.
+  async applyFloorRestrictions(floorId) {
+    const restrictions = this._floorManager.getFloorRestrictions(floorId);
+    if (!restrictions) return false;
+    await this._api.setVirtualRestrictions(restrictions);
+    this.log(`Applied ${restrictions.virtualWalls.length} virtual walls and `
+      + `${restrictions.restrictedZones.length} restricted zones`);
+    return true;
+  }
+
+  // Captures what the robot currently has (drawn in Valetudo) as a named set
+  // of the active floor.
+  async saveRestrictionSet(name) {
+    const floorId = this._floorManager.getActiveFloor();
+    if (!floorId) throw new Error('No active floor to save restrictions for');
+    const restrictions = await this._api.getVirtualRestrictions();
+    return this._floorManager.saveRestrictionSet(floorId, name, restrictions);
+  }
+
+  async setRestrictionSetEnabled(floorId, name, enabled) {
+    await this._floorManager.setRestrictionSetEnabled(floorId, name, enabled);
+    if (floorId === this._floorManager.getActiveFloor()) await this.applyFloorRestrictions(floorId);
+  }
+
+  // The robot only had the floor's sets, so removing the last one clears it
+  async deleteRestrictionSet(floorId, name) {
+    await this._floorManager.deleteRestrictionSet(floorId, name);
+    if (floorId !== this._floorManager.getActiveFloor()) return;
+    if (!await this.applyFloorRestrictions(floorId)) {
+      await this._api.setVirtualRestrictions({ virtualWalls: [], restrictedZones: [] });
+    }
+  }
+
+  // --- Tracked floor operations (widget progress / cancel) ---
+
+  createFloorOperation(type, floorId, floorName = this._floorManager.getFloorName(floorId)) {
+    const running = [...this._floorOperations.values()].find((op) => !op.finished);
+    if (running) {
+      throw new Error(`Another floor operation is in progress (${running.type} to "${running.floorName || running.floorId}")`);
+    }
+
+    const operation = new FloorOperation({ type, floorId, floorName });
+    operation.on('update', (state) => {
+      this._mqtt.publishFloorOperation(state);
+      try {
+        this.homey.api.realtime('floor_operation', { deviceId: this.getData().id, ...state });
+      } catch (err) {
+        this.error('Realtime floor_operation event failed:', err.message);
+      }
+    });
+
+    this._floorOperations.set(operation.id, operation);
+    for (const [id, op] of this._floorOperations) {
+      if (this._floorOperations.size <= KEPT_FLOOR_OPERATIONS) break;
+      if (op.finished) this._floorOperations.delete(id);
+    }
+    return operation;
+  }
+
+  // Without an id: the running operation, else the most recent one (or null)
+  getFloorOperation(operationId) {
+    if (operationId) {
+      const operation = this._floorOperations.get(operationId);
+      if (!operation) throw new Error(`Floor operation "${operationId}" not found`);
+      return operation.toJSON();
+    }
+    const all = [...this._floorOperations.values()];
+    const current = all.find((op) => !op.finished) || all[all.length - 1];
+    return current ? current.toJSON() : null;
+  }
+
+  cancelFloorOperation(operationId) {
+    const operation = this._floorOperations.get(operationId);
+    if (!operation) throw new Error(`Floor operation "${operationId}" not found`);
+    const cancelled = operation.cancel();
+    this.log(cancelled
+      ? `Cancel requested for ${operation.type} to "${operation.floorName || operation.floorId}"`
+      : `Cancel refused for ${operation.type} to "${operation.floorName || operation.floorId}" (step ${operation.step}, ${operation.status})`);
+    return { cancelled, operation: operation.toJSON() };
   }
 
   async refreshSegments() {
@@ -807,6 +1532,7 @@ class ValetudoDevice extends Homey.Device {
     try {
       await this._tryFloorBackup();
       await this._detectAndImportAdditionalFloors();
+      await this._verifyFloorSnapshots();
       this._updateFloorPicker();
       await this._cacheCurrentMap();
       this.unsetWarning().catch(this.error);
@@ -836,6 +1562,13 @@ class ValetudoDevice extends Homey.Device {
     await this._cacheCurrentMap();
     const floor = await this._floorManager.saveAsNewFloor(name, hasDock);
     this._updateFloorCapability();
+    // The live map is this floor's by definition — fingerprint it for mismatch detection
+    try {
+      const fingerprint = FloorDetector.fingerprint(await this._api.getMap());
+      await this._floorManager.setFloorFingerprint(floor.id, fingerprint);
+    } catch (err) {
+      this.log('Floor fingerprint update failed:', err.message);
+    }
     return floor;
   }
 
@@ -847,11 +1580,18 @@ class ValetudoDevice extends Homey.Device {
     return this._onCarpet;
   }
 
+  // The room the robot position lies in; the segments being cleaned stand
+  // in until a map with the robot position arrived
   isInSegment(segmentId) {
-    return this._mqtt.activeSegmentIds.has(String(segmentId));
+    const source = this._api.events.connected ? this._api.events : this._mqtt;
+    if (source.segmentPresenceKnown) {
+      return Boolean(source.currentSegment) && source.currentSegment.id === String(segmentId);
+    }
+    return source.activeSegmentIds.has(String(segmentId));
   }
 
   async isDndEnabled() {
+    if (this._mqtt.connected && 'DoNotDisturbCapability' in this._toggles) return this._toggles.DoNotDisturbCapability;
     try {
       const dnd = await this._api.getDoNotDisturb();
       return dnd.enabled === true;
@@ -860,7 +1600,20 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
+  // Robots without the attachment report none, which counts as not installed
+  async isAttached(type) {
+    if (this._mqtt.connected && type in this._attachments) return this._attachments[type];
+    try {
+      const attrs = await this._api.getStateAttributes();
+      const attr = attrs.find((a) => a.__class === 'AttachmentStateAttribute' && a.type === type);
+      return Boolean(attr && attr.attached);
+    } catch {
+      return false;
+    }
+  }
+
   async isCarpetModeEnabled() {
+    if (this._mqtt.connected && 'CarpetModeControlCapability' in this._toggles) return this._toggles.CarpetModeControlCapability;
     try {
       const result = await this._api.getToggle('CarpetModeControlCapability');
       return result.enabled === true;
@@ -872,15 +1625,32 @@ class ValetudoDevice extends Homey.Device {
   // --- New action methods ---
 
   async setWaterUsage(level) {
-    await this._api.setWaterUsage(level);
+    await this._commands.setWaterUsage(level);
   }
 
   async setOperationMode(mode) {
-    await this._api.setOperationMode(mode);
+    await this._commands.setOperationMode(mode);
   }
 
   async setSpeakerVolume(volume) {
     await this._api.setSpeakerVolume(volume);
+    await this._applySpeakerVolume(volume);
+  }
+
+  // `volume` is Valetudo's 0-100; volume_set runs 0-1
+  async _applySpeakerVolume(volume) {
+    if (!Number.isFinite(volume) || !this.hasCapability('volume_set')) return;
+    await this.setCapabilityValue('volume_set', volume / 100);
+  }
+
+  async _updateSpeakerVolume() {
+    if (!this.hasCapability('volume_set') || this._mqtt.receives('SpeakerVolumeControlCapability')) return;
+    try {
+      const { volume } = await this._api.getSpeakerVolume();
+      await this._applySpeakerVolume(volume);
+    } catch (err) {
+      this.log('Speaker volume update failed:', err.message);
+    }
   }
 
   async playTestSound() {
@@ -888,19 +1658,19 @@ class ValetudoDevice extends Homey.Device {
   }
 
   async triggerAutoEmpty() {
-    await this._api.triggerAutoEmpty();
+    await this._commands.triggerAutoEmpty();
   }
 
   async setDnd(enabled) {
-    await this._api.setDoNotDisturb(enabled);
+    await this._commands.setDnd(enabled);
   }
 
   async setCarpetMode(enabled) {
-    await this._api.setToggle('CarpetModeControlCapability', enabled);
+    await this._commands.setCarpetMode(enabled);
   }
 
   async goToLocation(x, y) {
-    await this._api.goToLocation(x, y);
+    await this._commands.goToLocation(x, y);
   }
 
   async resetConsumable(type, subType) {
@@ -941,7 +1711,7 @@ class ValetudoDevice extends Homey.Device {
     if (!zone) throw new Error('Zone not found');
     const { x1, y1, x2, y2 } = zone.coordinates;
     const zoneSpec = [{ points: { pA: { x: x1, y: y1 }, pB: { x: x2, y: y1 }, pC: { x: x2, y: y2 }, pD: { x: x1, y: y2 } } }];
-    await this._api.cleanZones(zoneSpec, iterations);
+    await this._commands.cleanZones(zoneSpec, iterations);
   }
 
   // --- Map Management ---
@@ -952,7 +1722,7 @@ class ValetudoDevice extends Homey.Device {
       await this._api.startMappingPass();
     } catch {
       // MappingPassCapability may not be supported, fall back to regular cleaning
-      await this._api.basicControl('start');
+      await this._commands.basicControl('start');
     }
   }
 
@@ -995,43 +1765,146 @@ class ValetudoDevice extends Homey.Device {
 
   async _updateStatistics() {
     // Current session stats
-    try {
-      const current = await this._api.getCurrentStatistics();
-      this.log(`Current statistics: ${JSON.stringify(current)}`);
-      for (const stat of current) {
-        if (stat.type === 'area') {
-          await this.setCapabilityValue('measure_clean_area_last', Math.round(stat.value / 10000));
-        } else if (stat.type === 'time') {
-          await this.setCapabilityValue('measure_clean_duration_last', Math.round(stat.value / 60));
+    if (this._api.supports('CurrentStatisticsCapability') && !this._mqtt.receives('CurrentStatisticsCapability')) {
+      try {
+        const current = await this._api.getCurrentStatistics();
+        this.log(`Current statistics: ${JSON.stringify(current)}`);
+        for (const stat of current) {
+          await this._applyStatistic('current', stat);
         }
+      } catch (err) {
+        this.log('Current statistics update failed:', err.message);
       }
-    } catch (err) {
-      this.log('Current statistics update failed:', err.message);
     }
 
     // Total stats
-    try {
-      const total = await this._api.getTotalStatistics();
-      this.log(`Total statistics: ${JSON.stringify(total)}`);
-      for (const stat of total) {
-        if (stat.type === 'area') {
-          await this.setCapabilityValue('measure_clean_area_total', Math.round(stat.value / 10000));
-        } else if (stat.type === 'time') {
-          await this.setCapabilityValue('measure_clean_duration_total', Math.round(stat.value / 3600)); // sec -> hrs
+    if (this._api.supports('TotalStatisticsCapability') && !this._mqtt.receives('TotalStatisticsCapability')) {
+      try {
+        const total = await this._api.getTotalStatistics();
+        this.log(`Total statistics: ${JSON.stringify(total)}`);
+        for (const stat of total) {
+          await this._applyStatistic('total', stat);
         }
+      } catch (err) {
+        this.log('Total statistics update failed:', err.message);
       }
-    } catch (err) {
-      this.log('Total statistics update failed:', err.message);
+    }
+  }
+
+  // Area comes in cm², time in seconds
+  async _applyStatistic(scope, { type, value }) {
+    if (scope === 'current') {
+      if (type === 'area') {
+        await this.setCapabilityValue('measure_clean_area_last', Math.round(value / 10000));
+      } else if (type === 'time') {
+        await this.setCapabilityValue('measure_clean_duration_last', Math.round(value / 60));
+      }
+    } else if (type === 'area') {
+      await this.setCapabilityValue('measure_clean_area_total', Math.round(value / 10000));
+    } else if (type === 'time') {
+      await this.setCapabilityValue('measure_clean_duration_total', Math.round(value / 3600)); // sec -> hrs
     }
   }
 
   _startConsumablePolling() {
     this._consumablePollInterval = this.homey.setInterval(async () => {
       if (!this._discoveryAvailable && !this._mqtt.connected) return;
+      if (this._mqtt.receives('ConsumableMonitoringCapability')) return;
       await this._updateConsumables();
     }, CONSUMABLE_POLL_INTERVAL_MS);
   }
 
+  _startEventPolling() {
+    this._eventPollInterval = this.homey.setInterval(async () => {
+      if (!this._discoveryAvailable && !this._mqtt.connected) return;
+      await this._updateValetudoEvents();
+    }, EVENT_POLL_INTERVAL_MS);
+  }
+
+  _startDiagnosticsPolling() {
+    this._diagnosticsPollInterval = this.homey.setInterval(async () => {
+      if (!this._discoveryAvailable && !this._mqtt.connected) return;
+      await this._updateDiagnostics();
+    }, DIAGNOSTICS_POLL_INTERVAL_MS);
+  }
+
+  // Capabilities are added on the first reading, so robots without SSH
+  // access never show an empty storage value
+  async _updateDiagnostics() {
+    const readings = await this._diagnostics.collect();
+    const values = {
+      measure_wifi_signal: readings.wifiSignal,
+      measure_robot_uptime: readings.uptimeHours,
+      measure_robot_memory_free: readings.freeMemoryMb,
+      measure_robot_storage_free: readings.freeStorageMb,
+    };
+    for (const [capId, value] of Object.entries(values)) {
+      if (typeof value !== 'number') continue;
+      try {
+        if (!this.hasCapability(capId)) await this.addCapability(capId);
+        await this.setCapabilityValue(capId, value);
+      } catch (err) {
+        this.log(`Could not update ${capId}:`, err.message);
+      }
+    }
+
+    for (const alert of this._diagnostics.alerts(readings)) {
+      if (alert.type === 'weak_wifi') {
+        const strongest = await this._diagnostics.strongestSignal(alert.ssid);
+        this.log(`Weak Wi-Fi: ${alert.signal} dBm on ${alert.ssid || 'unknown network'}`);
+        this.driver._weakWifiTrigger
+          .trigger(this, {
+            signal: alert.signal,
+            ssid: alert.ssid || '',
+            strongest_signal: strongest === null ? alert.signal : strongest,
+          })
+          .catch(this.error);
+      } else if (alert.type === 'low_storage') {
+        this.log(`Low robot storage: ${alert.freeMb} MB free`);
+        this.driver._lowStorageTrigger.trigger(this, { free_mb: alert.freeMb }).catch(this.error);
+      }
+    }
+  }
+
+  async _updateValetudoEvents() {
+    let fresh;
+    try {
+      fresh = await this._valetudoEvents.refresh();
+    } catch (err) {
+      this.log('Valetudo event fetch failed:', err.message);
+      return;
+    }
+    for (const event of fresh) this._onValetudoEvent(event);
+  }
+
+  _onValetudoEvent(event) {
+    this.log(`Valetudo event: ${event.type} (${event.message})`);
+    this.driver._valetudoEventTrigger
+      .trigger(this, { event_type: event.type, message: event.message, event_id: event.id })
+      .catch(this.error);
+
+    switch (event.type) {
+      case 'dustbin_full':
+        this.driver._dustbinFullTrigger.trigger(this).catch(this.error);
+        break;
+      case 'mop_attachment_reminder':
+        this.driver._mopAttachmentReminderTrigger.trigger(this).catch(this.error);
+        break;
+      case 'pending_map_change':
+        this.driver._pendingMapChangeTrigger.trigger(this, { event_id: event.id }).catch(this.error);
+        break;
+      case 'error':
+        if (STUCK_PATTERN.test(event.message)) {
+          this.driver._robotStuckTrigger
+            .trigger(this, { error_message: event.message })
+            .catch(this.error);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
   async _updateConsumables() {
     try {
       const consumables = await this._api.getConsumables();
@@ -1041,40 +1914,8 @@ class ValetudoDevice extends Homey.Device {
       const reportedCaps = new Set();
 
       for (const c of consumables) {
-        const capId = this._consumableCapabilityId(c.type, c.subType);
-        if (!capId || !c.remaining) continue;
-
-        reportedCaps.add(capId);
-
-        // Dynamically add capability if not present
-        if (!this.hasCapability(capId)) {
-          await this.addCapability(capId);
-          this.log(`Added consumable capability: ${capId}`);
-        }
-
-        let minutes;
-        if (c.remaining.unit === 'minutes') {
-          minutes = c.remaining.value;
-        } else if (c.remaining.unit === 'percent') {
-          this.setCapabilityValue(capId, `${c.remaining.value}%`).catch(this.error);
-          continue;
-        } else {
-          continue;
-        }
-
-        const formatted = this._formatMinutes(minutes);
-        this.setCapabilityValue(capId, formatted).catch(this.error);
-
-        // Trigger depleted alert when less than 5% of typical max remains
-        const maxMinutes = this._consumableMaxMinutes(c.type, c.subType);
-        const pct = (minutes / maxMinutes) * 100;
-        if (pct <= CONSUMABLE_DEPLETED_THRESHOLD) {
-          this.driver._consumableDepletedTrigger.trigger(this, {
-            consumable_type: c.type,
-            consumable_sub_type: c.subType || 'none',
-            remaining: formatted,
-          }).catch(this.error);
-        }
+        const capId = await this._applyConsumable(c);
+        if (capId) reportedCaps.add(capId);
       }
 
       // Remove consumable capabilities the robot doesn't report
@@ -1096,6 +1937,45 @@ class ValetudoDevice extends Homey.Device {
     }
   }
 
+  // One consumable reading, from the REST list or an MQTT push. Returns the
+  // capability it updated, or null for consumables the app does not show.
+  async _applyConsumable(c) {
+    const capId = this._consumableCapabilityId(c.type, c.subType);
+    if (!capId || !c.remaining) return null;
+
+    // Dynamically add capability if not present
+    if (!this.hasCapability(capId)) {
+      await this.addCapability(capId);
+      this.log(`Added consumable capability: ${capId}`);
+    }
+
+    if (c.remaining.unit === 'percent') {
+      this.setCapabilityValue(capId, `${c.remaining.value}%`).catch(this.error);
+      return capId;
+    }
+    if (c.remaining.unit !== 'minutes') return capId;
+
+    const minutes = c.remaining.value;
+    const formatted = this._formatMinutes(minutes);
+    this.setCapabilityValue(capId, formatted).catch(this.error);
+
+    // Trigger depleted alert when less than 10% of typical max remains; once
+    // per consumable, as MQTT pushes every minute of wear
+    const maxMinutes = this._consumableMaxMinutes(c.type, c.subType);
+    const pct = (minutes / maxMinutes) * 100;
+    if (pct > CONSUMABLE_DEPLETED_THRESHOLD) {
+      this._depletedConsumables.delete(capId);
+    } else if (!this._depletedConsumables.has(capId)) {
+      this._depletedConsumables.add(capId);
+      this.driver._consumableDepletedTrigger.trigger(this, {
+        consumable_type: c.type,
+        consumable_sub_type: c.subType || 'none',
+        remaining: formatted,
+      }).catch(this.error);
+    }
+    return capId;
+  }
+
   _formatMinutes(totalMinutes) {
     const days = Math.floor(totalMinutes / 1440);
     const hours = Math.floor((totalMinutes % 1440) / 60);
@@ -1127,15 +2007,123 @@ class ValetudoDevice extends Homey.Device {
       const activeId = this._floorManager.getActiveFloor();
       if (!activeId) return;
       const mapData = await this._api.getMap();
-      this._mapSnapshots[activeId] = mapData;
-      this.log(`Cached map snapshot for ${activeId}`);
+      await this._floorMaps.save(activeId, mapData);
+      await this._checkFloorMatch(mapData);
+      await this._checkObstacles(mapData);
     } catch (err) {
       this.log('Map cache failed:', err.message);
     }
   }
 
+  // --- Obstacles ---
+
+  async _checkObstacles(mapData) {
+    // The map of a floor being swapped in is not where the robot is cleaning
+    if (this._floorManager.isSwitching()) return;
+    const obstacles = await this._obstacles.update(mapData);
+    for (const obstacle of obstacles) {
+      await this._triggerObstacle(obstacle);
+    }
+  }
+
+  async _triggerObstacle(obstacle) {
+    const imageId = this._api.supports('ObstacleImagesCapability') ? obstacle.imageId : null;
+    const image = await this._createObstacleImage(imageId);
+    await this.driver._obstacleDetectedTrigger.trigger(this, {
+      obstacle_type: obstacle.type,
+      segment_name: obstacle.segmentName || '',
+      segment_id: obstacle.segmentId || '',
+      obstacle_image: image,
+    });
+  }
+
+  // One image per obstacle, so flows still running for an earlier one keep
+  // its photo; only the latest few stay registered
+  async _createObstacleImage(imageId) {
+    const image = await this.homey.images.createImage();
+    image.setStream(async (stream) => {
+      if (!imageId) throw new Error('No photo of this obstacle');
+      const buffer = await this._api.getObstacleImage(imageId);
+      stream.end(buffer);
+    });
+    this._obstacleImages.push(image);
+    while (this._obstacleImages.length > OBSTACLE_IMAGE_LIMIT) {
+      this._obstacleImages.shift().unregister().catch(this.error);
+    }
+    return image;
+  }
+
+  async _forgetFloorMap(floorId) {
+    try {
+      await this._floorMaps.remove(floorId);
+    } catch (err) {
+      this.log(`Could not remove map preview for ${floorId}:`, err.message);
+    }
+  }
+
+  // --- Floor mismatch detection ---
+
+  _scheduleFloorCheck() {
+    if (this._floorCheckTimeout || this._floorManager.getFloors().length < 2) return;
+    this._floorCheckTimeout = this.homey.setTimeout(() => {
+      this._floorCheckTimeout = null;
+      this._api.getMap()
+        .then((mapData) => this._checkFloorMatch(mapData))
+        .catch((err) => this.log('Floor check failed:', err.message));
+    }, FLOOR_CHECK_DELAY_MS);
+  }
+
+  async _checkFloorMatch(mapData) {
+    const activeId = this._floorManager.getActiveFloor();
+    if (!activeId || this._pendingNewFloor || this._floorManager.isSwitching()) return;
+
+    const result = this._floorDetector.detect(mapData);
+    if (!result) return; // live map too small to judge
+
+    if (result.mismatch) {
+      await this._onFloorMismatch(result);
+      return;
+    }
+    // Keep the active floor's fingerprint current while the live map still fits it
+    if (result.activeScore === null || result.activeScore >= FloorDetector.MATCH_THRESHOLD) {
+      await this._floorManager.setFloorFingerprint(activeId, result.fingerprint);
+    }
+  }
+
+  async _onFloorMismatch({ suspectedFloorId, confidence }) {
+    const mode = this.getSetting('floor_auto_detect') || 'notify';
+    if (mode === 'off') return;
+
+    const last = this._lastFloorMismatch;
+    if (last && last.floorId === suspectedFloorId && Date.now() - last.at < FLOOR_MISMATCH_REPEAT_MS) return;
+    this._lastFloorMismatch = { floorId: suspectedFloorId, at: Date.now() };
+
+    const suspectedName = this._floorManager.getFloorName(suspectedFloorId);
+    const activeName = this._floorManager.getActiveFloorName();
+    const percent = Math.round(confidence * 100);
+    this.log(`Floor mismatch: robot appears to be on "${suspectedName}" (${percent}%), active floor is "${activeName}"`);
+    this.driver._floorMismatchDetectedTrigger
+      .trigger(this, { suspected_floor: suspectedName, active_floor: activeName || '', confidence: percent })
+      .catch(this.error);
+
+    if (mode === 'switch') {
+      this.setWarning(`Robot appears to be on "${suspectedName}" — switching floors…`).catch(this.error);
+      try {
+        await this.switchFloor(suspectedFloorId);
+        this.unsetWarning().catch(this.error);
+      } catch (err) {
+        this.log('Automatic floor switch failed:', err.message);
+        this.setWarning(this._sshErrorMessage(err)).catch(this.error);
+        this.homey.setTimeout(() => this.unsetWarning().catch(this.error), 30000);
+      }
+    } else {
+      this.setWarning(`Robot appears to be on "${suspectedName}" (${percent}% match) — switch floors if that is right`).catch(this.error);
+      this.homey.setTimeout(() => this.unsetWarning().catch(this.error), 60000);
+    }
+  }
+
   getMapSnapshot(floorId) {
-    return this._mapSnapshots[floorId] || null;
+    return this._floorMaps.load(floorId);
   }
 
   getFloorList() {
@@ -1146,15 +2134,39 @@ class ValetudoDevice extends Homey.Device {
         id: f.id,
         name: f.name,
         hasDock: f.hasDock !== false,
-        // Active floor always has a live map; non-active floors only if a snapshot is cached
-        hasCachedMap: f.id === activeId || !!this._mapSnapshots[f.id],
+        // Active floor always has a live map; non-active floors only once a preview was stored
+        hasCachedMap: f.id === activeId || this._floorMaps.has(f.id),
+        snapshotStatus: f.snapshotStatus || 'unverified',
+        damaged: f.id !== activeId && f.snapshotStatus === 'damaged',
+        preferences: f.preferences || {},
+        restrictionSets: (f.restrictionSets || []).map((set) => ({
+          name: set.name,
+          enabled: set.enabled,
+          walls: set.virtualWalls.length,
+          zones: set.restrictedZones.length,
+        })),
       })),
       activeFloor: activeId,
+      lastSwitch: this._floorManager.getLastSwitchResult(),
     };
   }
 
   _sshErrorMessage(err) {
     const msg = err.message || String(err);
+    if (err instanceof OperationCancelledError) {
+      return 'Floor switch cancelled — nothing was changed';
+    }
+    // Switch failures after the map files were touched report the rollback outcome
+    if (err instanceof FloorSwitchError && (err.result.rolledBack || err.result.rollbackError)) {
+      const outcome = err.result.rolledBack
+        ? 'previous floor restored'
+        : `rollback failed (${err.result.rollbackError}) — check the robot`;
+      return `Floor switch failed at step "${err.result.failedStep}": ${msg} — ${outcome}`;
+    }
+    // Valetudo requests made during the switch (waiting for the map, ...)
+    if (err instanceof AuthFailedError || err instanceof RobotUnreachableError || err instanceof RobotBusyError) {
+      return `Floor switch failed: ${this._apiErrorMessage(err)}`;
+    }
     if (msg.includes('authentication') || msg.includes('auth')) {
       return 'SSH login failed — configure SSH password or key in device settings';
     }
@@ -1220,23 +2232,42 @@ class ValetudoDevice extends Homey.Device {
   }
 
   async onSettings({ oldSettings, newSettings, changedKeys }) {
+    // Throws (and so refuses the settings) on an invalid URL, fingerprint or certificate
+    if (changedKeys.some((k) => k.startsWith('mqtt_'))) {
+      ValetudoMqtt.normalizeBroker(newSettings.mqtt_broker);
+      this._pastedMqttCertificates(newSettings);
+    }
+    if (changedKeys.includes('valetudo_proxy_url') || changedKeys.includes('valetudo_cert_fingerprint')) {
+      this._api.updateProxy(newSettings.valetudo_proxy_url, newSettings.valetudo_cert_fingerprint);
+      this._updateValetudoUrl(newSettings.host, newSettings.valetudo_proxy_url);
+    }
+
     // Update REST API client
     if (changedKeys.includes('host') || changedKeys.includes('valetudo_auth_user') || changedKeys.includes('valetudo_auth_pass')) {
       this._api.updateHost(newSettings.host);
       this._api.updateAuth(newSettings.valetudo_auth_user, newSettings.valetudo_auth_pass);
       if (changedKeys.includes('host')) {
-        this._updateValetudoUrl(newSettings.host);
+        this._updateValetudoUrl(newSettings.host, newSettings.valetudo_proxy_url);
       }
     }
 
     // Update MQTT client
     if (changedKeys.some((k) => k.startsWith('mqtt_'))) {
+      const certs = await this._secureMqttCertificates(newSettings);
+      if (certs.length > 0) {
+        // Cleared once the new settings are saved, like the SSH key
+        this.homey.setTimeout(() => {
+          this.setSettings(Object.fromEntries(certs.map((key) => [key, '']))).catch(this.error);
+        }, 500);
+      }
       this._mqtt.updateConfig({
         broker: newSettings.mqtt_broker,
         username: newSettings.mqtt_username,
         password: newSettings.mqtt_password,
         topicPrefix: newSettings.mqtt_topic_prefix,
         identifier: newSettings.mqtt_identifier,
+        tls: this._usableMqttTlsOptions(newSettings),
+        floorNamespace: newSettings.mqtt_floor_namespace,
       });
     }
 
@@ -1269,6 +2300,10 @@ class ValetudoDevice extends Homey.Device {
         privateKey: sshKey,
       });
     }
+
+    if (changedKeys.includes('floor_history_versions')) {
+      this._floorManager.setHistoryRetention(parseInt(newSettings.floor_history_versions, 10));
+    }
   }
 
   onDeleted() {
@@ -1279,11 +2314,25 @@ class ValetudoDevice extends Homey.Device {
     if (this._consumablePollInterval) {
       this.homey.clearInterval(this._consumablePollInterval);
     }
+    if (this._diagnosticsPollInterval) {
+      this.homey.clearInterval(this._diagnosticsPollInterval);
+    }
+    if (this._eventPollInterval) {
+      this.homey.clearInterval(this._eventPollInterval);
+    }
     if (this._updateCheckInterval) {
       this.homey.clearInterval(this._updateCheckInterval);
     }
+    if (this._floorCheckTimeout) {
+      this.homey.clearTimeout(this._floorCheckTimeout);
+    }
     this._mqtt.disconnect();
+    this._api.events.stop();
     this._ssh.disconnect();
+    this._floorMaps.clear().catch(this.error);
+    for (const image of this._obstacleImages) {
+      image.unregister().catch(this.error);
+    }
   }
 
 }
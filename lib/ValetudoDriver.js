@@ -3,6 +3,8 @@
 const Homey = require('homey');
 const ValetudoApi = require('./ValetudoApi');
 
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 class ValetudoDriver extends Homey.Driver {
 
   async onInit() {
@@ -13,14 +15,23 @@ class ValetudoDriver extends Homey.Driver {
   _registerFlowCards() {
     // --- Triggers ---
     this._floorSwitchedTrigger = this.homey.flow.getDeviceTriggerCard('floor_switched');
+    this._floorMismatchDetectedTrigger = this.homey.flow.getDeviceTriggerCard('floor_mismatch_detected');
     this._cleaningStartedTrigger = this.homey.flow.getDeviceTriggerCard('cleaning_started');
     this._cleaningFinishedTrigger = this.homey.flow.getDeviceTriggerCard('cleaning_finished');
     this._errorOccurredTrigger = this.homey.flow.getDeviceTriggerCard('error_occurred');
     this._segmentCleaningStartedTrigger = this.homey.flow.getDeviceTriggerCard('segment_cleaning_started');
     this._segmentCleaningFinishedTrigger = this.homey.flow.getDeviceTriggerCard('segment_cleaning_finished');
+    this._enteredSegmentTrigger = this.homey.flow.getDeviceTriggerCard('entered_segment');
+    this._leftSegmentTrigger = this.homey.flow.getDeviceTriggerCard('left_segment');
+    this._obstacleDetectedTrigger = this.homey.flow.getDeviceTriggerCard('obstacle_detected');
+    this._weakWifiTrigger = this.homey.flow.getDeviceTriggerCard('weak_wifi');
+    this._lowStorageTrigger = this.homey.flow.getDeviceTriggerCard('low_robot_storage');
     this._consumableDepletedTrigger = this.homey.flow.getDeviceTriggerCard('consumable_depleted');
     this._robotStuckTrigger = this.homey.flow.getDeviceTriggerCard('robot_stuck');
     this._dustbinFullTrigger = this.homey.flow.getDeviceTriggerCard('dustbin_full');
+    this._valetudoEventTrigger = this.homey.flow.getDeviceTriggerCard('valetudo_event');
+    this._mopAttachmentReminderTrigger = this.homey.flow.getDeviceTriggerCard('mop_attachment_reminder');
+    this._pendingMapChangeTrigger = this.homey.flow.getDeviceTriggerCard('pending_map_change');
     this._valetudoUpdatedTrigger = this.homey.flow.getDeviceTriggerCard('valetudo_updated');
     this._updateAvailableTrigger = this.homey.flow.getDeviceTriggerCard('update_available');
 
@@ -63,6 +74,16 @@ class ValetudoDriver extends Homey.Driver {
         return args.device.isDndEnabled();
       });
 
+    this.homey.flow.getConditionCard('is_attached')
+      .registerRunListener(async (args) => {
+        return args.device.isAttached(args.attachment);
+      });
+
+    this.homey.flow.getConditionCard('timers_paused')
+      .registerRunListener(async (args) => {
+        return args.device.areTimersPaused();
+      });
+
     this.homey.flow.getConditionCard('is_carpet_mode_enabled')
       .registerRunListener(async (args) => {
         return args.device.isCarpetModeEnabled();
@@ -77,6 +98,72 @@ class ValetudoDriver extends Homey.Driver {
         return this._getFloorAutocomplete(args.device, query);
       });
 
+    this.homey.flow.getActionCard('restore_floor_version')
+      .registerRunListener(async (args) => {
+        await args.device.restoreFloorVersion(args.floor.id, args.version.id);
+      })
+      .registerArgumentAutocompleteListener('floor', async (query, args) => {
+        return this._getFloorAutocomplete(args.device, query);
+      })
+      .registerArgumentAutocompleteListener('version', async (query, args) => {
+        return this._getFloorVersionAutocomplete(args.device, args.floor, query);
+      });
+
+    this.homey.flow.getActionCard('set_floor_preferences')
+      .registerRunListener(async (args) => {
+        // 'keep' leaves a preference as is, 'none' clears it
+        const changes = {};
+        const fields = {
+          fanSpeed: args.fan_speed,
+          waterUsage: args.water_usage,
+          operationMode: args.operation_mode,
+          carpetMode: args.carpet_mode,
+          dnd: args.dnd,
+        };
+        for (const [key, value] of Object.entries(fields)) {
+          if (!value || value === 'keep') continue;
+          if (value === 'none') changes[key] = null;
+          else if (value === 'enable' || value === 'disable') changes[key] = value === 'enable';
+          else changes[key] = value;
+        }
+        await args.device.floorManager.setFloorPreferences(args.floor.id, changes);
+      })
+      .registerArgumentAutocompleteListener('floor', async (query, args) => {
+        return this._getFloorAutocomplete(args.device, query);
+      });
+
+    this.homey.flow.getActionCard('save_restriction_set')
+      .registerRunListener(async (args) => {
+        await args.device.saveRestrictionSet(args.name);
+      });
+
+    this.homey.flow.getActionCard('set_restriction_set')
+      .registerRunListener(async (args) => {
+        await args.device.setRestrictionSetEnabled(args.set.floorId, args.set.name, args.enabled === 'enable');
+      })
+      .registerArgumentAutocompleteListener('set', async (query, args) => {
+        return this._getRestrictionSetAutocomplete(args.device, query);
+      });
+
+    this.homey.flow.getActionCard('export_floor')
+      .registerRunListener(async (args) => {
+        await args.device.exportFloorArchive(args.floor.id);
+      })
+      .registerArgumentAutocompleteListener('floor', async (query, args) => {
+        return this._getFloorAutocomplete(args.device, query);
+      });
+
+    this.homey.flow.getActionCard('import_floor')
+      .registerRunListener(async (args) => {
+        await args.device.importStoredFloorArchive(args.archive.id, {
+          name: args.floor_name || undefined,
+          replace: args.mode === 'replace',
+        });
+      })
+      .registerArgumentAutocompleteListener('archive', async (query, args) => {
+        return this._getFloorArchiveAutocomplete(args.device, query);
+      });
+
     this.homey.flow.getActionCard('save_floor')
       .registerRunListener(async (args) => {
         await args.device.saveFloor(args.floor_name, args.has_dock === 'yes');
@@ -157,6 +244,69 @@ class ValetudoDriver extends Homey.Driver {
         await args.device.triggerAutoEmpty();
       });
 
+    this.homey.flow.getActionCard('pause_timers')
+      .registerRunListener(async (args) => {
+        await args.device.pauseTimers();
+      });
+
+    this.homey.flow.getActionCard('resume_timers')
+      .registerRunListener(async (args) => {
+        await args.device.resumeTimers();
+      });
+
+    this.homey.flow.getActionCard('create_timer')
+      .registerRunListener(async (args) => {
+        await args.device.createTimer({
+          label: args.label,
+          days: args.days,
+          time: args.time,
+          fanSpeed: args.fan_speed === 'keep' ? null : args.fan_speed,
+        });
+      });
+
+    this.homey.flow.getActionCard('set_timer_enabled')
+      .registerRunListener(async (args) => {
+        await args.device.setTimerEnabled(args.timer.id, args.state === 'enable');
+      })
+      .registerArgumentAutocompleteListener('timer', async (query, args) => {
+        return this._getTimerAutocomplete(args.device, query);
+      });
+
+    this.homey.flow.getActionCard('delete_timer')
+      .registerRunListener(async (args) => {
+        await args.device.deleteTimer(args.timer.id);
+      })
+      .registerArgumentAutocompleteListener('timer', async (query, args) => {
+        return this._getTimerAutocomplete(args.device, query);
+      });
+
+    this.homey.flow.getActionCard('restore_timers')
+      .registerRunListener(async (args) => {
+        await args.device.restoreTimers();
+      });
+
+    this.homey.flow.getActionCard('acknowledge_valetudo_event')
+      .registerRunListener(async (args) => {
+        await args.device.acknowledgeValetudoEvent({
+          id: args.event.eventId,
+          type: args.event.eventType,
+          interaction: args.event.interaction,
+        });
+      })
+      .registerArgumentAutocompleteListener('event', async (query, args) => {
+        return this._getValetudoEventAutocomplete(args.device, query);
+      });
+
+    this.homey.flow.getActionCard('manual_move')
+      .registerRunListener(async (args) => {
+        await args.device.nudgeRobot(args.direction === 'backward' ? -args.distance : args.distance);
+      });
+
+    this.homey.flow.getActionCard('manual_rotate')
+      .registerRunListener(async (args) => {
+        await args.device.rotateRobot(args.direction === 'counterclockwise' ? -args.degrees : args.degrees);
+      });
+
     this.homey.flow.getActionCard('set_dnd')
       .registerRunListener(async (args) => {
         await args.device.setDnd(args.enabled === 'enable');
@@ -231,6 +381,80 @@ class ValetudoDriver extends Homey.Driver {
       .map((f) => ({ id: f.id, name: f.name }));
   }
 
+  // Sets of every floor; the floor goes along in the selected item
+  _getRestrictionSetAutocomplete(device, query) {
+    if (!device.floorManager) return [];
+    const results = [];
+    for (const floor of device.floorManager.getFloors()) {
+      for (const set of floor.restrictionSets || []) {
+        results.push({
+          id: `${floor.id}/${set.name}`,
+          name: set.name,
+          description: floor.name,
+          floorId: floor.id,
+        });
+      }
+    }
+    return results.filter((r) => r.name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  // Fixed entries for flows (dismiss all, answer the pending map change),
+  // then one entry per answer of each event pending right now
+  _getValetudoEventAutocomplete(device, query) {
+    const results = [
+      {
+        id: 'all', name: 'All events', description: 'Dismiss everything except map changes', eventId: 'all',
+      },
+      {
+        id: 'pending_map_change/yes', name: 'Pending map change: accept', eventType: 'pending_map_change', interaction: 'yes',
+      },
+      {
+        id: 'pending_map_change/no', name: 'Pending map change: reject', eventType: 'pending_map_change', interaction: 'no',
+      },
+    ];
+    const labels = { ok: 'dismiss', yes: 'accept', no: 'reject' };
+    for (const event of device.getValetudoEvents()) {
+      for (const interaction of event.interactions) {
+        results.push({
+          id: `${event.id}/${interaction}`,
+          name: `${event.message}: ${labels[interaction] || interaction}`,
+          description: event.timestamp || event.type,
+          eventId: event.id,
+          interaction,
+        });
+      }
+    }
+    return results.filter((r) => r.name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  async _getFloorVersionAutocomplete(device, floor, query) {
+    if (!floor) return [];
+    const versions = await device.getFloorVersions(floor.id);
+    const results = [{ id: 'previous', name: 'Previous version', description: 'Most recently archived snapshot' }];
+    for (const v of versions) {
+      const details = [];
+      if (v.segmentCount !== null) details.push(`${v.segmentCount} rooms`);
+      if (v.size !== null) details.push(`${Math.round(v.size / 1024)} KB`);
+      results.push({
+        id: v.id,
+        name: v.savedAt || v.archivedAt ? new Date(v.savedAt || v.archivedAt).toLocaleString() : v.id,
+        description: details.join(' · '),
+      });
+    }
+    return results.filter((r) => r.name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  async _getFloorArchiveAutocomplete(device, query) {
+    const archives = await device.getStoredFloorArchives();
+    return archives
+      .filter((a) => a.filename.toLowerCase().includes(query.toLowerCase()))
+      .map((a) => ({
+        id: a.filename,
+        name: a.filename,
+        description: `${new Date(a.createdAt).toLocaleString()} · ${Math.round(a.size / 1024)} KB`,
+      }));
+  }
+
   _getZoneAutocomplete(device, query) {
     const zones = device.getZones();
     return zones
@@ -238,6 +462,17 @@ class ValetudoDriver extends Homey.Driver {
       .map((z) => ({ id: z.id, name: z.name }));
   }
 
+  async _getTimerAutocomplete(device, query) {
+    const timers = await device.getTimers();
+    return timers
+      .filter((timer) => timer.label.toLowerCase().includes(query.toLowerCase()))
+      .map((timer) => ({
+        id: timer.id,
+        name: timer.label,
+        description: `${timer.dow.map((day) => DAY_NAMES[day]).join(', ')} ${timer.time}${timer.enabled ? '' : ' (disabled)'}`,
+      }));
+  }
+
   async _getSegmentAutocomplete(device, query) {
     const segments = await device.getSegments();
     return Object.entries(segments)
@@ -335,7 +570,7 @@ class ValetudoDriver extends Homey.Driver {
           mqtt_username: '',
           mqtt_password: '',
           mqtt_topic_prefix: 'valetudo',
-          mqtt_identifier: id,
+          mqtt_identifier: '',
           ssh_host: '',
           ssh_port: 22,
           ssh_user: 'root',
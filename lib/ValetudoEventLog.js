@@ -0,0 +1,132 @@
+'use strict';
+
+const STORE_KEY = 'seen_valetudo_events';
+
+// ValetudoEvent classes and the event types the app reports them as
+const EVENT_TYPES = {
+  DustBinFullValetudoEvent: 'dustbin_full',
+  MopAttachmentReminderValetudoEvent: 'mop_attachment_reminder',
+  PendingMapChangeValetudoEvent: 'pending_map_change',
+  ErrorStateValetudoEvent: 'error',
+  ConsumableDepletedValetudoEvent: 'consumable_depleted',
+};
+
+// How each type can be answered; everything else is dismissed with 'ok'
+const INTERACTIONS = {
+  pending_map_change: ['yes', 'no'],
+};
+
+// Valetudo's event log (/api/v2/events): notifications that stay until
+// someone acknowledges them — a full dustbin, a mop attachment reminder,
+// a pending map change, error states. refresh() reports the events that
+// were not seen before, also across app restarts, as the ids are kept in
+// the device store. Events the robot no longer lists are forgotten.
+class ValetudoEventLog {
+
+  constructor({ api, device, log }) {
+    this._api = api;
+    this._device = device;
+    this._log = log || console.log;
+    this._events = []; // unprocessed events, normalized
+    this._seen = null; // Set of event ids, loaded from the store on first use
+    this._available = false;
+  }
+
+  // True once the robot answered with its event log. Until then (or on old
+  // Valetudo versions without it) errors are classified from their text.
+  get available() {
+    return this._available;
+  }
+
+  // { id, type, message, timestamp, interactions }
+  static normalize(event) {
+    const className = event.__class || 'ValetudoEvent';
+    const type = EVENT_TYPES[className]
+      || className.replace(/ValetudoEvent$/, '').replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+    return {
+      id: String(event.id),
+      type,
+      message: ValetudoEventLog._message(type, event),
+      timestamp: event.timestamp || null,
+      interactions: INTERACTIONS[type] || ['ok'],
+    };
+  }
+
+  static _message(type, event) {
+    switch (type) {
+      case 'dustbin_full':
+        return 'The dustbin is full';
+      case 'mop_attachment_reminder':
+        return 'The mop attachment is still installed';
+      case 'pending_map_change':
+        return 'The robot wants to replace its map';
+      case 'error':
+        return event.message || 'The robot reported an error';
+      case 'consumable_depleted':
+        return `Consumable depleted: ${[event.type, event.subType].filter(Boolean).join(' ')}`;
+      default:
+        return event.message || type;
+    }
+  }
+
+  list() {
+    return this._events;
+  }
+
+  // Fetches the event log and returns the unprocessed events not seen before
+  async refresh() {
+    const data = await this._api.getEvents();
+    this._available = true;
+    const events = Object.values(data || {})
+      .filter((event) => event && event.id !== undefined && !event.processed)
+      .map((event) => ValetudoEventLog.normalize(event));
+    this._events = events;
+
+    if (!this._seen) this._seen = new Set(this._device.getStoreValue(STORE_KEY) || []);
+    const seen = this._seen;
+    const fresh = events.filter((event) => !seen.has(event.id));
+    const ids = events.map((event) => event.id);
+    this._seen = new Set(ids);
+    if (fresh.length > 0 || ids.length !== seen.size) {
+      await this._device.setStoreValue(STORE_KEY, ids);
+    }
+    return fresh;
+  }
+
+  // Answers one event; `interaction` defaults to the event's first option
+  async interact(id, interaction) {
+    const event = this._events.find((e) => e.id === String(id));
+    if (!event) throw new Error('This Valetudo event is no longer pending');
+    const answer = interaction || event.interactions[0];
+    if (!event.interactions.includes(answer)) {
+      throw new Error(`"${answer}" is not a valid answer to this event (use ${event.interactions.join(' or ')})`);
+    }
+    await this._api.interactWithEvent(event.id, answer);
+    this._events = this._events.filter((e) => e !== event);
+    this._log(`Valetudo event ${event.type} (${event.id}) answered: ${answer}`);
+  }
+
+  // Answers every pending event of a type, e.g. accepts the pending map
+  // change a flow was triggered by without knowing its id
+  async interactWithType(type, interaction) {
+    const events = this._events.filter((event) => event.type === type);
+    if (events.length === 0) throw new Error(`There is no ${type.replace(/_/g, ' ')} event to answer`);
+    for (const event of events) {
+      await this.interact(event.id, interaction);
+    }
+    return events.length;
+  }
+
+  // Dismisses every pending event that only needs an acknowledgement;
+  // questions (pending map changes) are left for the user to answer
+  async dismissAll() {
+    const dismissable = this._events.filter((event) => event.interactions.includes('ok'));
+    for (const event of dismissable) {
+      await this.interact(event.id, 'ok');
+    }
+    return dismissable.length;
+  }
+
+}
+
+module.exports = ValetudoEventLog;
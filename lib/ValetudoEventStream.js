@@ -0,0 +1,255 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const SegmentPresence = require('./SegmentPresence');
+
+const STATE_STREAM = '/api/v2/robot/state/attributes/sse';
+const MAP_STREAM = '/api/v2/robot/state/map/sse';
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 60000;
+// A stream silent for this long (not even a keep-alive comment) is taken as
+// dead: a robot that dropped off the network never closes the connection
+const IDLE_TIMEOUT_MS = 180000;
+const TCP_KEEPALIVE_MS = 30000;
+// PresetSelectionStateAttribute types and the MQTT events they stand for
+const PRESET_EVENTS = {
+  fan_speed: 'fan_speed',
+  water_grade: 'water_usage',
+  operation_mode: 'operation_mode',
+};
+
+// Valetudo's Server-Sent Events streams for state attributes and the map,
+// translated into the events ValetudoMqtt emits (battery_level, vacuum_state,
+// vacuum_error, fan_speed, water_usage, segment_started, ...) so the device
+// can handle both sources with the same listeners. Values are only emitted
+// when they change, like retained MQTT topics. Each stream reconnects on its
+// own with exponential backoff, also after `idleTimeoutMs` without data.
+class ValetudoEventStream extends EventEmitter {
+
+  constructor({ client, log, idleTimeoutMs = IDLE_TIMEOUT_MS }) {
+    super();
+    this._client = client; // ValetudoApi's axios instance (host/auth follow it)
+    this._log = log || console.log;
+    this._idleTimeoutMs = idleTimeoutMs;
+    this._running = false;
+    this._streams = {}; // path -> { controller, timer, watchdog, retryMs, connected }
+    this._last = {};
+    this._segments = {};
+    this._activeSegmentIds = new Set();
+    this._presence = new SegmentPresence();
+    this._onCarpet = false;
+  }
+
+  get running() {
+    return this._running;
+  }
+
+  // True while the state stream is open — the one that replaces polling
+  get connected() {
+    return Boolean(this._streams[STATE_STREAM] && this._streams[STATE_STREAM].connected);
+  }
+
+  get activeSegmentIds() {
+    return this._activeSegmentIds;
+  }
+
+  get currentSegment() {
+    return this._presence.current;
+  }
+
+  get segmentPresenceKnown() {
+    return this._presence.known;
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this._last = {}; // the first event after (re)starting reports every value
+    this._log('Subscribing to Valetudo event streams');
+    this._open(STATE_STREAM, (data) => this._onAttributes(data));
+    this._open(MAP_STREAM, (data) => this._onMap(data));
+  }
+
+  stop() {
+    if (!this._running) return;
+    const wasConnected = this.connected;
+    this._running = false;
+    for (const stream of Object.values(this._streams)) {
+      clearTimeout(stream.timer);
+      clearTimeout(stream.watchdog);
+      stream.controller.abort();
+    }
+    this._streams = {};
+    if (wasConnected) this.emit('disconnected');
+  }
+
+  // After a host or credential change: reopen with the client's new settings
+  restart() {
+    if (!this._running) return;
+    this.stop();
+    this.start();
+  }
+
+  // Splits buffered SSE text into complete events. `rest` is the trailing
+  // part of an event that has not fully arrived yet.
+  static parseEvents(buffer) {
+    const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+    const events = [];
+    for (const block of blocks) {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length > 0) events.push({ event, data: data.join('\n') });
+    }
+    return { events, rest };
+  }
+
+  static errorDescription(status) {
+    if (status.value !== 'error') return 'none';
+    if (status.error && status.error.message) return status.error.message;
+    if (status.metaData && status.metaData.error_description) return status.metaData.error_description;
+    return 'Unknown error';
+  }
+
+  async _open(path, onData) {
+    const stream = this._streams[path] || { retryMs: MIN_RETRY_MS, connected: false };
+    this._streams[path] = stream;
+    stream.controller = new AbortController();
+    const { signal } = stream.controller;
+
+    try {
+      const response = await this._client.get(path, {
+        responseType: 'stream',
+        timeout: 0, // the stream stays open; the client's request timeout would cut it
+        headers: { Accept: 'text/event-stream' },
+        signal,
+      });
+      stream.connected = true;
+      if (path === STATE_STREAM) this.emit('connected');
+      const body = response.data;
+      if (body.socket) body.socket.setKeepAlive(true, TCP_KEEPALIVE_MS);
+      const watch = () => {
+        clearTimeout(stream.watchdog);
+        stream.watchdog = setTimeout(() => {
+          body.destroy(new Error(`no data for ${this._idleTimeoutMs / 1000}s`));
+        }, this._idleTimeoutMs);
+      };
+      watch();
+      await this._read(body, (data) => {
+        stream.retryMs = MIN_RETRY_MS; // only a stream that delivers counts as healthy
+        onData(data);
+      }, watch);
+      throw new Error('closed by the robot');
+    } catch (err) {
+      clearTimeout(stream.watchdog);
+      if (signal.aborted || !this._running) return;
+      const wasConnected = stream.connected;
+      stream.connected = false;
+      if (wasConnected && path === STATE_STREAM) this.emit('disconnected');
+      this._log(`Event stream ${path} lost (${err.message}), retrying in ${stream.retryMs / 1000}s`);
+      stream.timer = setTimeout(() => this._open(path, onData), stream.retryMs);
+      stream.retryMs = Math.min(stream.retryMs * 2, MAX_RETRY_MS);
+    }
+  }
+
+  // `onChunk` hears every chunk, keep-alive comments included
+  _read(body, onData, onChunk = () => {}) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      body.setEncoding('utf8');
+      body.on('data', (chunk) => {
+        onChunk();
+        const { events, rest } = ValetudoEventStream.parseEvents(buffer + chunk);
+        buffer = rest;
+        for (const { event, data } of events) {
+          try {
+            onData(JSON.parse(data));
+          } catch (err) {
+            this._log(`Ignoring unreadable ${event} event:`, err.message);
+          }
+        }
+      });
+      body.on('end', resolve);
+      body.on('error', reject);
+    });
+  }
+
+  _emitChanged(event, value) {
+    if (this._last[event] === value) return;
+    this._last[event] = value;
+    this.emit(event, value);
+  }
+
+  _onAttributes(attributes) {
+    if (!Array.isArray(attributes)) return;
+    for (const attr of attributes) {
+      switch (attr.__class) {
+        case 'BatteryStateAttribute':
+          if (typeof attr.level === 'number') this._emitChanged('battery_level', attr.level);
+          if (attr.flag) this._emitChanged('battery_status', attr.flag.toLowerCase());
+          break;
+        case 'StatusStateAttribute':
+          if (attr.value) this._emitChanged('vacuum_state', attr.value.toLowerCase());
+          this._emitChanged('vacuum_error', ValetudoEventStream.errorDescription(attr));
+          if (attr.flag) this._onFlag(attr.flag.toLowerCase());
+          break;
+        case 'PresetSelectionStateAttribute':
+          if (attr.value && PRESET_EVENTS[attr.type]) this._emitChanged(PRESET_EVENTS[attr.type], attr.value.toLowerCase());
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  _onFlag(flag) {
+    this._emitChanged('vacuum_flag', flag);
+    const onCarpet = flag === 'carpet';
+    if (onCarpet !== this._onCarpet) {
+      this._onCarpet = onCarpet;
+      this.emit('carpet_changed', onCarpet);
+    }
+  }
+
+  // Segment names and transitions, from the segment layers' metaData, and
+  // the room the robot position lies in. The whole map is passed on for its
+  // entities (obstacles).
+  _onMap(map) {
+    if (!map || !Array.isArray(map.layers)) return;
+    const names = {};
+    const active = new Set();
+    for (const layer of map.layers) {
+      if (layer.type !== 'segment' || !layer.metaData) continue;
+      const id = String(layer.metaData.segmentId);
+      names[id] = layer.metaData.name || `Segment ${id}`;
+      if (layer.metaData.active === true) active.add(id);
+    }
+
+    const previous = this._activeSegmentIds;
+    const previousNames = this._segments;
+    if (JSON.stringify(names) !== JSON.stringify(previousNames)) {
+      this._segments = names;
+      this.emit('segments', names);
+    }
+    this._activeSegmentIds = active;
+
+    for (const id of active) {
+      if (!previous.has(id)) this.emit('segment_started', { id, name: names[id] });
+    }
+    for (const id of previous) {
+      if (!active.has(id)) this.emit('segment_finished', { id, name: names[id] || previousNames[id] || `Segment ${id}` });
+    }
+
+    const { left, entered } = this._presence.update(map);
+    if (left) this.emit('left_segment', left);
+    if (entered) this.emit('entered_segment', entered);
+    this.emit('map', map);
+  }
+
+}
+
+module.exports = ValetudoEventStream;
@@ -1,25 +1,104 @@
 'use strict';
 
+const crypto = require('crypto');
 const mqtt = require('mqtt');
 const { EventEmitter } = require('events');
+const MapData = require('./MapData');
+const SegmentPresence = require('./SegmentPresence');
 
 const RECONNECT_PERIOD_MS = 5000;
-
+const BROKER_PROTOCOLS = ['mqtt', 'mqtts', 'ws', 'wss'];
+const SECURE_PROTOCOLS = ['mqtts', 'wss'];
+const DETECT_WINDOW_MS = 3000; // to collect the robots announcing themselves
+const HOMIE_TIMEOUT_MS = 5000; // before assuming Valetudo's Homie support is off
+// Nodes subscribed to when the robot publishes no Homie description. Nodes
+// are subscribed to with a single-level wildcard, which leaves out the
+// `/set` command topics.
+const STATE_NODES = [
+  'BatteryStateAttribute',
+  'StatusStateAttribute',
+  'AttachmentStateAttribute',
+  'FanSpeedControlCapability',
+  'WaterUsageControlCapability',
+  'OperationModeControlCapability',
+  'ConsumableMonitoringCapability',
+  'CurrentStatisticsCapability',
+  'TotalStatisticsCapability',
+  'DoNotDisturbCapability',
+  'CarpetModeControlCapability',
+  'SpeakerVolumeControlCapability',
+  'WifiConfigurationCapability',
+];
+const PRESET_EVENTS = {
+  FanSpeedControlCapability: 'fan_speed',
+  WaterUsageControlCapability: 'water_usage',
+  OperationModeControlCapability: 'operation_mode',
+};
+const STATISTICS_SCOPES = {
+  CurrentStatisticsCapability: 'current',
+  TotalStatisticsCapability: 'total',
+};
+const TOGGLE_NODES = ['DoNotDisturbCapability', 'CarpetModeControlCapability'];
+// `map-data` is the deflated map JSON; `map-data-hass` the same map inside a
+// PNG, read when the robot does not publish the former
+const MAP_TOPICS = ['MapData/segments', 'MapData/map-data', 'MapData/map-data-hass'];
+// This app's own retained topics under `<floorNamespace>/<identifier>/`
+const FLOOR_TOPICS = ['active_floor', 'floors', 'mapping', 'switch_progress'];
+const SWITCH_FLOOR_COMMAND = 'switch_floor/set';
+// Settable property behind each command
+const COMMAND_PROPERTIES = {
+  basicControl: 'BasicControlCapability/operation',
+  setFanSpeed: 'FanSpeedControlCapability/preset',
+  setWaterUsage: 'WaterUsageControlCapability/preset',
+  setOperationMode: 'OperationModeControlCapability/preset',
+  cleanSegments: 'MapSegmentationCapability/clean',
+  locate: 'LocateCapability/locate',
+};
+
+const CERTIFICATE_PEM = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+const notSent = (message) => Object.assign(new Error(message), { code: 'ERR_MQTT_NOT_SENT' });
+
+// Valetudo's MQTT interface. Valetudo describes itself with Homie metadata
+// (`$nodes`, `<node>/$properties`, `<node>/<property>/$settable`); the
+// subscriptions follow the nodes it lists and commands are only published
+// to properties it marks settable. Without an identifier, the robot is
+// found by its `<prefix>/<identifier>/$homie` topic.
+//
+// Floors only exist in this app, so it publishes the floor state for other
+// consumers on the broker (see FLOOR_TOPICS) and takes floor switches on
+// `<floorNamespace>/<identifier>/switch_floor/set` (floor id or name).
 class ValetudoMqtt extends EventEmitter {
 
-  constructor({ broker, username, password, topicPrefix, identifier, log }) {
+  // tls: { ca, cert, key, rejectUnauthorized } for mqtts:// and wss://
+  // brokers; PEM strings, all optional
+  constructor({
+    broker, username, password, topicPrefix, identifier, identifierHint, tls, floorNamespace, log,
+  }) {
     super();
     this._log = log || console.log;
     this._broker = broker;
     this._username = username;
     this._password = password;
+    this._tls = tls || {};
+    this._floorNamespace = floorNamespace || null; // null: floor state not published
+    this._floorState = {}; // topic -> last payload, republished on every connect
     this._prefix = topicPrefix || 'valetudo';
     this._identifier = identifier;
+    this._identifierHint = identifierHint; // picks the robot when several announce themselves
     this._client = null;
     this._connected = false;
     this._segments = {};
     this._activeSegmentIds = new Set();
+    this._presence = new SegmentPresence();
+    this._mapDataSeen = false; // map-data-hass is then redundant
     this._onCarpet = false;
+    this._receivedNodes = new Set();
+    this._consumables = {}; // property id -> { value, unit }, either may come first
+    this._description = null; // node -> property -> { settable, unit }, from Homie metadata
+    this._subscriptions = new Set();
+    this._candidates = new Set(); // identifiers seen while detecting
+    this._timer = null;
   }
 
   get connected() {
@@ -34,20 +113,87 @@ class ValetudoMqtt extends EventEmitter {
     return this._activeSegmentIds;
   }
 
+  // { id, name, since } of the room the robot is in, or null
+  get currentSegment() {
+    return this._presence.current;
+  }
+
+  // Whether a map with the robot position arrived, i.e. currentSegment is
+  // meaningful
+  get segmentPresenceKnown() {
+    return this._presence.known;
+  }
+
   get onCarpet() {
     return this._onCarpet;
   }
 
-  _topicBase() {
-    return `${this._prefix}/${this._identifier}`;
+  get identifier() {
+    return this._identifier;
   }
 
-  connect() {
-    if (!this._broker || !this._identifier) {
-      this._log('MQTT not configured, skipping connection');
-      return;
+  // Nodes and properties the robot described, or null before (or without)
+  // its Homie metadata
+  get description() {
+    return this._description;
+  }
+
+  // Whether `command` can go out over MQTT. Assumed while the robot has not
+  // described itself, so robots with Homie support turned off still work.
+  supports(command) {
+    if (!COMMAND_PROPERTIES[command]) return false;
+    if (!this._description) return true;
+    const [node, property] = COMMAND_PROPERTIES[command].split('/');
+    return Boolean(this._description[node] && this._description[node][property]
+      && this._description[node][property].settable);
+  }
+
+  // True once the robot published `node` on this connection. The device
+  // polls REST only for what MQTT does not push.
+  receives(node) {
+    return this._connected && this._receivedNodes.has(node);
+  }
+
+  // mqtt://, mqtts://, ws:// or wss:// URL; a bare host means mqtt://.
+  // Throws for other schemes, which mqtt.js would only fail on when connecting.
+  static normalizeBroker(broker) {
+    const trimmed = (broker || '').trim();
+    if (!trimmed) return '';
+    const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `mqtt://${trimmed}`;
+    if (!BROKER_PROTOCOLS.includes(ValetudoMqtt._protocol(url))) {
+      throw new Error(`Unsupported MQTT broker URL "${trimmed}" (use ${BROKER_PROTOCOLS.map((p) => `${p}://`).join(', ')})`);
     }
+    return url;
+  }
+
+  static _protocol(url) {
+    return url.slice(0, url.indexOf(':')).toLowerCase();
+  }
+
+  static isPem(text) {
+    return /-----BEGIN [A-Z ]+-----[\s\S]+-----END [A-Z ]+-----/.test(text || '');
+  }
+
+  // Throws when TLS material cannot be parsed; mqtt.js would only fail once
+  // connecting, and not at all on a broken CA. `ca` may hold a chain.
+  static checkTls({ ca, cert, key } = {}) {
+    const read = (label, pem, parse) => {
+      try {
+        parse(pem);
+      } catch (err) {
+        throw new Error(`The MQTT ${label} cannot be read (${err.message})`);
+      }
+    };
+    for (const pem of (ca && (ca.match(CERTIFICATE_PEM) || [ca])) || []) {
+      read('CA certificate', pem, (text) => new crypto.X509Certificate(text));
+    }
+    if (cert) read('client certificate', cert, (text) => new crypto.X509Certificate(text));
+    if (key) read('client key', key, crypto.createPrivateKey);
+  }
 
+  // Connection options for the broker's scheme. mqtt.js hands the TLS
+  // options on to the WebSocket for wss:// brokers.
+  _connectOptions(url) {
     const opts = {
       reconnectPeriod: RECONNECT_PERIOD_MS,
       connectTimeout: 10000,
@@ -56,18 +202,50 @@ class ValetudoMqtt extends EventEmitter {
       opts.username = this._username;
       opts.password = this._password || '';
     }
+    if (SECURE_PROTOCOLS.includes(ValetudoMqtt._protocol(url))) {
+      const { ca, cert, key } = this._tls;
+      if (ca) opts.ca = ca;
+      if (cert && key) {
+        opts.cert = cert;
+        opts.key = key;
+      }
+      opts.rejectUnauthorized = this._tls.rejectUnauthorized !== false;
+    }
+    return opts;
+  }
 
-    this._client = mqtt.connect(this._broker, opts);
+  _topicBase() {
+    return `${this._prefix}/${this._identifier}`;
+  }
+
+  connect() {
+    if (!this._broker) {
+      this._log('MQTT not configured, skipping connection');
+      return;
+    }
+
+    let url;
+    try {
+      url = ValetudoMqtt.normalizeBroker(this._broker);
+    } catch (err) {
+      this._log(err.message);
+      return;
+    }
+    if (this._tls.ca && !SECURE_PROTOCOLS.includes(ValetudoMqtt._protocol(url))) {
+      this._log('MQTT certificates are only used with mqtts:// and wss:// brokers');
+    }
+
+    this._client = mqtt.connect(url, this._connectOptions(url));
 
     this._client.on('connect', () => {
       this._connected = true;
       this._log('MQTT connected');
       this.emit('connected');
-      this._subscribe();
+      this._start();
     });
 
-    this._client.on('message', (topic, message) => {
-      this._handleMessage(topic, message.toString());
+    this._client.on('message', (topic, message, packet) => {
+      this._handleMessage(topic, message, packet);
     });
 
     this._client.on('error', (err) => {
@@ -85,30 +263,158 @@ class ValetudoMqtt extends EventEmitter {
     });
   }
 
+  // (Re)starts reading the robot's topics on the current connection
+  _start() {
+    this._clearTimer();
+    this._unsubscribeAll();
+    this._receivedNodes.clear();
+    this._mapDataSeen = false;
+    this._description = null;
+    if (this._identifier) {
+      this._subscribe();
+    } else {
+      this._detectIdentifier();
+    }
+  }
+
+  _detectIdentifier() {
+    this._log('MQTT identifier not set, looking for robots on the broker');
+    this._candidates.clear();
+    this._subscribeTopics([`${this._prefix}/+/$homie`]);
+    this._timer = setTimeout(() => this._chooseIdentifier(), DETECT_WINDOW_MS);
+  }
+
+  _chooseIdentifier() {
+    this._timer = null;
+    const candidates = [...this._candidates];
+    const hint = String(this._identifierHint || '').toLowerCase();
+    const identifier = candidates.length === 1
+      ? candidates[0]
+      : candidates.find((candidate) => candidate.toLowerCase() === hint);
+    if (!identifier) {
+      this._log(candidates.length === 0
+        ? `No robot found under "${this._prefix}/"; set the MQTT identifier in the device settings`
+        : `Several robots found (${candidates.join(', ')}); set the MQTT identifier in the device settings`);
+      return;
+    }
+    this._unsubscribeAll();
+    this._identifier = identifier;
+    this._log(`MQTT identifier detected: ${identifier}`);
+    this.emit('identifier', identifier);
+    this._subscribe();
+  }
+
+  // The Homie description first; the state topics follow from its node list
   _subscribe() {
     const base = this._topicBase();
-    const topics = [
-      `${base}/BatteryStateAttribute/level`,
-      `${base}/BatteryStateAttribute/status`,
-      `${base}/StatusStateAttribute/status`,
-      `${base}/StatusStateAttribute/error`,
-      `${base}/StatusStateAttribute/flag`,
-      `${base}/FanSpeedControlCapability/preset`,
-      `${base}/MapData/segments`,
-      `${base}/MapData/map-data-hass`,
-    ];
-    this._client.subscribe(topics, (err) => {
+    this._subscribeTopics([
+      `${base}/$nodes`,
+      `${base}/+/$properties`,
+      `${base}/+/+/$settable`,
+      // e.g. whether a consumable counts minutes or percent
+      `${base}/+/+/$unit`,
+      ...MAP_TOPICS.map((topic) => `${base}/${topic}`),
+    ]);
+    const floorBase = this._floorBase();
+    if (floorBase) {
+      this._subscribeTopics([`${floorBase}/${SWITCH_FLOOR_COMMAND}`]);
+      this._publishFloorTopics();
+    }
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (this._description || !this._connected) return;
+      this._log('No Homie description from the robot, subscribing to the default topics');
+      this._subscribeNodes(STATE_NODES);
+    }, HOMIE_TIMEOUT_MS);
+  }
+
+  _subscribeNodes(nodes) {
+    const base = this._topicBase();
+    this._subscribeTopics(nodes
+      .filter((node) => node !== 'MapData')
+      .map((node) => `${base}/${node}/+`));
+  }
+
+  _subscribeTopics(topics) {
+    // Subscriptions are made again by _start() on the next connect
+    if (!this._client || !this._connected) return;
+    const fresh = topics.filter((topic) => !this._subscriptions.has(topic));
+    if (fresh.length === 0) return;
+    for (const topic of fresh) this._subscriptions.add(topic);
+    this._client.subscribe(fresh, (err) => {
       if (err) {
         this._log('MQTT subscribe error:', err.message);
       } else {
-        this._log('MQTT subscribed to topics');
+        this._log(`MQTT subscribed to ${fresh.length} topics`);
       }
     });
   }
 
-  _handleMessage(topic, payload) {
+  _unsubscribeAll() {
+    if (this._subscriptions.size > 0 && this._client) {
+      this._client.unsubscribe([...this._subscriptions]);
+    }
+    this._subscriptions.clear();
+  }
+
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  // Homie metadata arrives retained and in any order
+  _handleDescription(node, property, attribute, payload) {
+    if (!this._description) this._description = {};
+    if (node === '$nodes') {
+      // Array nodes are listed as `name[]`
+      const nodes = payload.split(',').map((name) => name.trim().replace(/\[\]$/, '')).filter(Boolean);
+      for (const name of nodes) this._describedNode(name);
+      this._subscribeNodes(nodes);
+    } else if (property === '$properties') {
+      const properties = payload.split(',').map((name) => name.trim()).filter(Boolean);
+      for (const name of properties) this._describedProperty(node, name);
+    } else if (attribute === '$settable') {
+      this._describedProperty(node, property).settable = payload === 'true';
+    } else if (attribute === '$unit') {
+      this._describedProperty(node, property).unit = payload;
+    }
+  }
+
+  _describedNode(node) {
+    if (!this._description[node]) this._description[node] = {};
+    return this._description[node];
+  }
+
+  _describedProperty(node, property) {
+    const properties = this._describedNode(node);
+    if (!properties[property]) properties[property] = { settable: false, unit: null };
+    return properties[property];
+  }
+
+  // `message` is a Buffer from the client (the map is binary) or a string
+  _handleMessage(topic, message, packet = {}) {
+    const payload = message.toString();
+    const floorBase = this._floorBase();
+    if (floorBase && topic === `${floorBase}/${SWITCH_FLOOR_COMMAND}`) {
+      // A retained command would switch floors again on every reconnect
+      if (!packet.retain && payload.trim()) this.emit('switch_floor', payload.trim());
+      return;
+    }
+    if (!this._identifier) {
+      const match = topic.match(/^(?:.*)\/([^/]+)\/\$homie$/);
+      if (match) this._candidates.add(match[1]);
+      return;
+    }
     const base = this._topicBase();
-    const relative = topic.replace(`${base}/`, '');
+    if (!topic.startsWith(`${base}/`)) return;
+    const relative = topic.slice(base.length + 1);
+    const [node, property, attribute] = relative.split('/');
+    if (node === '$nodes' || property === '$properties' || attribute === '$settable' || attribute === '$unit') {
+      this._handleDescription(node, property, attribute, payload);
+    }
+    if (property && !property.startsWith('$') && !attribute) this._receivedNodes.add(node);
 
     switch (relative) {
       case 'BatteryStateAttribute/level':
@@ -121,26 +427,88 @@ class ValetudoMqtt extends EventEmitter {
         this.emit('vacuum_state', payload.toLowerCase());
         break;
       case 'StatusStateAttribute/error':
-        this.emit('vacuum_error', payload);
+        this.emit('vacuum_error', ValetudoMqtt.errorMessage(payload));
         break;
       case 'StatusStateAttribute/flag':
         this._updateCarpetState(payload.toLowerCase());
         this.emit('vacuum_flag', payload.toLowerCase());
         break;
-      case 'FanSpeedControlCapability/preset':
-        this.emit('fan_speed', payload.toLowerCase());
-        break;
       case 'MapData/segments':
         this._parseSegments(payload);
         break;
+      case 'MapData/map-data':
+        this._mapDataSeen = true;
+        this._parseMapData(message);
+        break;
       case 'MapData/map-data-hass':
-        this._parseMapData(payload);
+        if (!this._mapDataSeen) this._parseMapData(message);
         break;
       default:
+        this._handleAttribute(node, property, attribute, payload);
         break;
     }
   }
 
+  _handleAttribute(node, property, attribute, payload) {
+    if (node === 'ConsumableMonitoringCapability') {
+      const consumable = this._consumables[property] || {};
+      this._consumables[property] = consumable;
+      if (attribute === '$unit') {
+        consumable.unit = /%|percent/i.test(payload) ? 'percent' : 'minutes';
+      } else if (!attribute) {
+        consumable.value = Number(payload);
+      }
+      this._emitConsumable(property, consumable);
+      return;
+    }
+    if (attribute || payload === '') return;
+
+    if (PRESET_EVENTS[node] && property === 'preset') {
+      this.emit(PRESET_EVENTS[node], payload.toLowerCase());
+    } else if (STATISTICS_SCOPES[node]) {
+      const value = Number(payload);
+      if (Number.isFinite(value)) this.emit('statistic', { scope: STATISTICS_SCOPES[node], type: property, value });
+    } else if (node === 'AttachmentStateAttribute') {
+      this.emit('attachment', { type: property, attached: ValetudoMqtt.parseBoolean(payload) });
+    } else if (TOGGLE_NODES.includes(node) && property === 'enabled') {
+      this.emit('toggle', { capability: node, enabled: ValetudoMqtt.parseBoolean(payload) });
+    } else if (node === 'SpeakerVolumeControlCapability' && property === 'value') {
+      this.emit('speaker_volume', parseInt(payload, 10));
+    } else if (node === 'WifiConfigurationCapability' && property === 'signal') {
+      const signal = Number(payload);
+      if (Number.isFinite(signal)) this.emit('wifi_signal', signal);
+    }
+  }
+
+  // Property ids are `<type>[-<subType>]` with underscores turned into
+  // hyphens (Homie ids), e.g. `brush-side-right` for brush/side_right
+  _emitConsumable(property, { value, unit }) {
+    if (!Number.isFinite(value) || !unit) return;
+    const [type, ...rest] = property.split('-');
+    this.emit('consumable', {
+      type,
+      subType: rest.length > 0 ? rest.join('_') : 'none',
+      remaining: { value, unit },
+    });
+  }
+
+  static parseBoolean(payload) {
+    return /^(true|on)$/i.test(payload.trim());
+  }
+
+  // Valetudo publishes errors as JSON ({ severity, subsystem, message }),
+  // older versions as plain text
+  static errorMessage(payload) {
+    if (!payload.startsWith('{')) return payload;
+    try {
+      const error = JSON.parse(payload);
+      if (!error.severity || error.severity.kind === 'none') return 'none';
+      return error.message || 'none';
+    } catch {
+      return payload;
+    }
+  }
+
   _parseSegments(payload) {
     try {
       const data = JSON.parse(payload);
@@ -176,14 +544,14 @@ class ValetudoMqtt extends EventEmitter {
   // Clear the segment cache after a floor switch so stale room names don't appear
   clearSegments() {
     this._segments = {};
+    this._presence.reset();
   }
 
   _parseMapData(payload) {
     try {
-      const data = JSON.parse(payload);
+      const data = MapData.decode(payload);
       const newActiveIds = new Set();
 
-      // Valetudo's map-data-hass format has layers with segment metadata
       if (data.layers) {
         for (const layer of data.layers) {
           if (layer.type === 'segment' && layer.metaData) {
@@ -215,6 +583,13 @@ class ValetudoMqtt extends EventEmitter {
       }
 
       this._activeSegmentIds = newActiveIds;
+
+      // Where the robot is, as opposed to what it is cleaning
+      const { left, entered } = this._presence.update(data);
+      if (left) this.emit('left_segment', left);
+      if (entered) this.emit('entered_segment', entered);
+
+      this.emit('map', data);
     } catch (err) {
       this._log('Failed to parse map data:', err.message);
     }
@@ -228,12 +603,22 @@ class ValetudoMqtt extends EventEmitter {
     }
   }
 
+  // Commands resolve once the broker has acknowledged them (QoS 1). Whether
+  // the robot acted on them shows in the state topics — see RobotCommander.
   basicControl(action) {
-    this._publish('BasicControlCapability/operation/set', action.toUpperCase());
+    return this._publish('basicControl', action.toUpperCase());
   }
 
   setFanSpeed(preset) {
-    this._publish('FanSpeedControlCapability/preset/set', preset);
+    return this._publish('setFanSpeed', preset);
+  }
+
+  setWaterUsage(preset) {
+    return this._publish('setWaterUsage', preset);
+  }
+
+  setOperationMode(preset) {
+    return this._publish('setOperationMode', preset);
   }
 
   cleanSegments(segmentIds, iterations = 1) {
@@ -242,40 +627,108 @@ class ValetudoMqtt extends EventEmitter {
       iterations,
       customOrder: true,
     });
-    this._publish('MapSegmentationCapability/clean/set', payload);
+    return this._publish('cleanSegments', payload);
   }
 
   locate() {
-    this._publish('LocateCapability/locate/set', 'PERFORM');
+    return this._publish('locate', 'PERFORM');
   }
 
-  _publish(subtopic, payload) {
-    if (!this._client || !this._connected) {
-      this._log('MQTT not connected, cannot publish');
-      return;
+  // --- Floor state ---
+
+  _floorBase() {
+    return this._floorNamespace && this._identifier ? `${this._floorNamespace}/${this._identifier}` : null;
+  }
+
+  // activeFloor: { id, name } or null; floors: [{ id, name }]
+  publishFloorState({ activeFloor, floors, mapping }) {
+    this._setFloorTopic('active_floor', JSON.stringify(activeFloor || null));
+    this._setFloorTopic('floors', JSON.stringify(floors));
+    this._setFloorTopic('mapping', String(Boolean(mapping)));
+  }
+
+  // FloorOperation snapshot of the running (or last) switch or new-floor save
+  publishFloorOperation(state) {
+    this._setFloorTopic('switch_progress', JSON.stringify(state));
+  }
+
+  _setFloorTopic(topic, payload) {
+    if (this._floorState[topic] === payload) return;
+    this._floorState[topic] = payload;
+    this._publishFloorTopic(topic, payload);
+  }
+
+  _publishFloorTopics() {
+    for (const topic of FLOOR_TOPICS) {
+      if (this._floorState[topic] !== undefined) this._publishFloorTopic(topic, this._floorState[topic]);
     }
-    const topic = `${this._topicBase()}/${subtopic}`;
-    this._client.publish(topic, String(payload));
   }
 
-  updateConfig({ broker, username, password, topicPrefix, identifier }) {
+  // Retained, so consumers that connect later get the current state.
+  // An empty payload removes the retained message.
+  _publishFloorTopic(topic, payload) {
+    const floorBase = this._floorBase();
+    if (!floorBase || !this._client || !this._connected) return;
+    this._client.publish(`${floorBase}/${topic}`, payload, { qos: 1, retain: true }, (err) => {
+      if (err) this._log(`MQTT publish of ${topic} failed:`, err.message);
+    });
+  }
+
+  // Before moving to another namespace or identifier
+  _clearFloorTopics() {
+    for (const topic of FLOOR_TOPICS) {
+      if (this._floorState[topic] !== undefined) this._publishFloorTopic(topic, '');
+    }
+  }
+
+  // Refusals before anything went to the broker carry ERR_MQTT_NOT_SENT, so
+  // RobotCommander can safely try another transport.
+  _publish(command, payload) {
+    if (!this._client || !this._connected || !this._identifier) {
+      return Promise.reject(notSent('MQTT not connected, cannot publish'));
+    }
+    if (!this.supports(command)) {
+      return Promise.reject(notSent(`The robot does not offer ${COMMAND_PROPERTIES[command]} over MQTT`));
+    }
+    const topic = `${this._topicBase()}/${COMMAND_PROPERTIES[command]}/set`;
+    return new Promise((resolve, reject) => {
+      this._client.publish(topic, String(payload), { qos: 1 }, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  updateConfig({
+    broker, username, password, topicPrefix, identifier, tls, floorNamespace,
+  }) {
     const needReconnect = broker !== this._broker
       || username !== this._username
-      || password !== this._password;
+      || password !== this._password
+      || (tls !== undefined && JSON.stringify(tls) !== JSON.stringify(this._tls));
+    const needRestart = (topicPrefix || 'valetudo') !== this._prefix || identifier !== this._identifier
+      || (floorNamespace !== undefined && (floorNamespace || null) !== this._floorNamespace);
+    if (needRestart) this._clearFloorTopics();
 
     this._broker = broker;
     this._username = username;
     this._password = password;
+    if (tls !== undefined) this._tls = tls;
+    if (floorNamespace !== undefined) this._floorNamespace = floorNamespace || null;
     this._prefix = topicPrefix || 'valetudo';
     this._identifier = identifier;
 
     if (needReconnect) {
       this.disconnect();
       this.connect();
+    } else if (needRestart && this._client && this._connected) {
+      this._start();
     }
   }
 
   disconnect() {
+    this._clearTimer();
+    this._subscriptions.clear();
     if (this._client) {
       this._client.end(true);
       this._client = null;
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert');
+const CircuitBreaker = require('../lib/CircuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker({ threshold: 3, cooldownMs: 1000, now: () => now });
+  });
+
+  it('should open after the threshold of failures in a row', () => {
+    breaker.failure();
+    breaker.failure();
+    assert.strictEqual(breaker.allow(), true);
+    breaker.failure();
+    assert.strictEqual(breaker.open, true);
+    assert.strictEqual(breaker.allow(), false);
+    assert.strictEqual(breaker.retryInMs, 1000);
+  });
+
+  it('should start counting again after a success', () => {
+    breaker.failure();
+    breaker.failure();
+    breaker.success();
+    breaker.failure();
+    assert.strictEqual(breaker.open, false);
+  });
+
+  it('should let a single trial through after the cooldown', () => {
+    for (let i = 0; i < 3; i++) breaker.failure();
+    now = 1000;
+    assert.strictEqual(breaker.allow(), true);
+    assert.strictEqual(breaker.allow(), false);
+
+    breaker.success();
+    assert.strictEqual(breaker.open, false);
+    assert.strictEqual(breaker.allow(), true);
+  });
+
+  it('should re-open at once when the trial fails', () => {
+    for (let i = 0; i < 3; i++) breaker.failure();
+    now = 1500;
+    breaker.allow();
+    breaker.failure();
+    assert.strictEqual(breaker.open, true);
+    assert.strictEqual(breaker.retryInMs, 1000);
+  });
+});
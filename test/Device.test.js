@@ -3,6 +3,9 @@
 const assert = require('assert');
 const sinon = require('sinon');
 const EventEmitter = require('events');
+const FloorManager = require('../lib/FloorManager');
+const FloorOperation = require('../lib/FloorOperation');
+const ValetudoMqtt = require('../lib/ValetudoMqtt');
 
 // We test device logic by simulating the key methods since the actual Device
 // class extends Homey.Device which isn't available outside Homey runtime.
@@ -324,4 +327,500 @@ describe('Device logic', () => {
       assert.strictEqual(floors[nextIdx].id, 'ground');
     });
   });
+
+  describe('obstacle images', () => {
+    const OBSTACLE_IMAGE_LIMIT = 10;
+
+    // Simulates _triggerObstacle / _createObstacleImage
+    function createDevice() {
+      const device = {
+        _obstacleImages: [],
+        _api: { getObstacleImage: sinon.stub().callsFake(async (id) => Buffer.from(id)) },
+        triggered: [],
+        error: () => {},
+        homey: {
+          images: {
+            createImage: async () => ({
+              setStream(fn) { this._stream = fn; },
+              unregister: sinon.stub().resolves(),
+            }),
+          },
+        },
+        async _createObstacleImage(imageId) {
+          const image = await this.homey.images.createImage();
+          image.setStream(async (stream) => {
+            if (!imageId) throw new Error('No photo of this obstacle');
+            const buffer = await this._api.getObstacleImage(imageId);
+            stream.end(buffer);
+          });
+          this._obstacleImages.push(image);
+          while (this._obstacleImages.length > OBSTACLE_IMAGE_LIMIT) {
+            this._obstacleImages.shift().unregister().catch(this.error);
+          }
+          return image;
+        },
+        async _triggerObstacle(obstacle) {
+          const image = await this._createObstacleImage(obstacle.imageId);
+          this.triggered.push({ obstacle_type: obstacle.type, obstacle_image: image });
+        },
+      };
+      return device;
+    }
+
+    async function read(image) {
+      let data = null;
+      await image._stream({ end: (buffer) => { data = buffer.toString(); } });
+      return data;
+    }
+
+    it('should keep the photo of every obstacle apart', async () => {
+      const device = createDevice();
+      await device._triggerObstacle({ type: 'sock', imageId: 'img-1' });
+      await device._triggerObstacle({ type: 'cable', imageId: 'img-2' });
+
+      const [first, second] = device.triggered;
+      assert.notStrictEqual(first.obstacle_image, second.obstacle_image);
+      assert.strictEqual(await read(first.obstacle_image), 'img-1');
+      assert.strictEqual(await read(second.obstacle_image), 'img-2');
+    });
+
+    it('should unregister the oldest images past the limit', async () => {
+      const device = createDevice();
+      for (let i = 0; i < OBSTACLE_IMAGE_LIMIT + 2; i++) {
+        await device._triggerObstacle({ type: 'sock', imageId: `img-${i}` });
+      }
+
+      assert.strictEqual(device._obstacleImages.length, OBSTACLE_IMAGE_LIMIT);
+      sinon.assert.calledOnce(device.triggered[0].obstacle_image.unregister);
+      sinon.assert.calledOnce(device.triggered[1].obstacle_image.unregister);
+      sinon.assert.notCalled(device.triggered[2].obstacle_image.unregister);
+    });
+
+    it('should fail the stream of an obstacle without a photo', async () => {
+      const device = createDevice();
+      await device._triggerObstacle({ type: 'sock', imageId: null });
+      await assert.rejects(read(device.triggered[0].obstacle_image), /No photo/);
+      sinon.assert.notCalled(device._api.getObstacleImage);
+    });
+  });
+
+  describe('optional capabilities', () => {
+    const OPTIONAL_CAPABILITIES = {
+      fan_speed: 'FanSpeedControlCapability',
+      feature_dnd: 'DoNotDisturbCapability',
+      feature_manual_control: ['ManualControlCapability', 'HighResolutionManualControlCapability'],
+    };
+
+    // Simulates the add/remove decision of _syncRobotCapabilities
+    function plan(robotCapabilities, present) {
+      const changes = [];
+      for (const [capId, required] of Object.entries(OPTIONAL_CAPABILITIES)) {
+        const names = [].concat(required);
+        const supported = names.some((name) => robotCapabilities.includes(name));
+        if (supported && !present.includes(capId)) changes.push(`+${capId}`);
+        else if (!supported && present.includes(capId)) changes.push(`-${capId}`);
+      }
+      return changes;
+    }
+
+    it('should add the flags of supported features and remove the others', () => {
+      assert.deepStrictEqual(
+        plan(['DoNotDisturbCapability'], ['fan_speed']),
+        ['-fan_speed', '+feature_dnd'],
+      );
+    });
+
+    it('should accept any of the alternatives of a feature', () => {
+      assert.deepStrictEqual(plan(['HighResolutionManualControlCapability'], []), ['+feature_manual_control']);
+      assert.deepStrictEqual(plan([], ['feature_manual_control']), ['-feature_manual_control']);
+    });
+  });
+
+  describe('floor restriction sets', () => {
+    const wall = (x) => ({ points: { pA: { x, y: 0 }, pB: { x, y: 100 } } });
+    const zone = (x) => ({ type: 'regular', points: { pA: { x, y: 0 } } });
+    let store;
+    let device;
+
+    // Simulates the restriction methods of ValetudoDevice and the restriction
+    // step of switchFloor on top of a real FloorManager
+    beforeEach(() => {
+      store = {
+        floor_config: {
+          floors: [
+            {
+              id: 'ground',
+              name: 'Ground',
+              restrictionSets: [
+                {
+                  name: 'Dog bowl', enabled: true, virtualWalls: [wall(1)], restrictedZones: [],
+                },
+                {
+                  name: 'Rug', enabled: false, virtualWalls: [], restrictedZones: [zone(2)],
+                },
+              ],
+            },
+            {
+              id: 'upstairs',
+              name: 'Upstairs',
+              restrictionSets: [
+                {
+                  name: 'Cables', enabled: true, virtualWalls: [wall(3)], restrictedZones: [],
+                },
+              ],
+            },
+            { id: 'attic', name: 'Attic' },
+          ],
+          activeFloor: 'ground',
+        },
+      };
+      const floorManager = new FloorManager({
+        device: {
+          getStoreValue: (key) => store[key],
+          setStoreValue: async (key, value) => { store[key] = value; },
+        },
+        log: () => {},
+      });
+      device = {
+        _floorManager: floorManager,
+        _api: { setVirtualRestrictions: sinon.stub().resolves() },
+        log: () => {},
+        async switchFloor(floorId) {
+          const previousFloorId = this._floorManager.getActiveFloor();
+          store.floor_config.activeFloor = floorId; // FloorManager.switchFloor
+          if (floorId !== previousFloorId) {
+            await this.applyFloorRestrictions(floorId).catch((err) => {
+              this.log('Floor restrictions could not be applied:', err.message);
+            });
+          }
+        },
+        async applyFloorRestrictions(floorId) {
+          const restrictions = this._floorManager.getFloorRestrictions(floorId);
+          if (!restrictions) return false;
+          await this._api.setVirtualRestrictions(restrictions);
+          return true;
+        },
+        async setRestrictionSetEnabled(floorId, name, enabled) {
+          await this._floorManager.setRestrictionSetEnabled(floorId, name, enabled);
+          if (floorId === this._floorManager.getActiveFloor()) await this.applyFloorRestrictions(floorId);
+        },
+        async deleteRestrictionSet(floorId, name) {
+          await this._floorManager.deleteRestrictionSet(floorId, name);
+          if (floorId !== this._floorManager.getActiveFloor()) return;
+          if (!await this.applyFloorRestrictions(floorId)) {
+            await this._api.setVirtualRestrictions({ virtualWalls: [], restrictedZones: [] });
+          }
+        },
+      };
+    });
+
+    it('should send the enabled sets of the new floor after a switch', async () => {
+      await device.switchFloor('upstairs');
+
+      sinon.assert.calledOnceWithExactly(device._api.setVirtualRestrictions, {
+        virtualWalls: [wall(3)],
+        restrictedZones: [],
+      });
+    });
+
+    it('should leave the robot alone after switching to a floor without sets', async () => {
+      await device.switchFloor('attic');
+      await device.switchFloor('attic');
+
+      sinon.assert.notCalled(device._api.setVirtualRestrictions);
+    });
+
+    it('should not fail the switch when the robot rejects the restrictions', async () => {
+      device._api.setVirtualRestrictions.rejects(new Error('Request failed with status code 400'));
+      await device.switchFloor('upstairs');
+      assert.strictEqual(store.floor_config.activeFloor, 'upstairs');
+    });
+
+    it('should re-apply the active floor when a set is switched', async () => {
+      await device.setRestrictionSetEnabled('ground', 'rug', true);
+
+      sinon.assert.calledOnceWithExactly(device._api.setVirtualRestrictions, {
+        virtualWalls: [wall(1)],
+        restrictedZones: [zone(2)],
+      });
+    });
+
+    it('should only store a set switched on an inactive floor', async () => {
+      await device.setRestrictionSetEnabled('upstairs', 'Cables', false);
+      await device.deleteRestrictionSet('upstairs', 'Cables');
+
+      sinon.assert.notCalled(device._api.setVirtualRestrictions);
+      assert.deepStrictEqual(device._floorManager.getRestrictionSets('upstairs'), []);
+    });
+
+    it('should apply the remaining sets when one is deleted', async () => {
+      await device.setRestrictionSetEnabled('ground', 'Rug', true);
+      device._api.setVirtualRestrictions.resetHistory();
+
+      await device.deleteRestrictionSet('ground', 'Dog bowl');
+      sinon.assert.calledOnceWithExactly(device._api.setVirtualRestrictions, {
+        virtualWalls: [],
+        restrictedZones: [zone(2)],
+      });
+    });
+
+    it('should clear the robot when the last set of the active floor is deleted', async () => {
+      await device.deleteRestrictionSet('ground', 'Dog bowl');
+      device._api.setVirtualRestrictions.resetHistory();
+
+      await device.deleteRestrictionSet('ground', 'Rug');
+      sinon.assert.calledOnceWithExactly(device._api.setVirtualRestrictions, { virtualWalls: [], restrictedZones: [] });
+    });
+
+    it('should reject unknown sets without touching the robot', async () => {
+      await assert.rejects(device.deleteRestrictionSet('ground', 'Sofa'), /not found/);
+      await assert.rejects(device.setRestrictionSetEnabled('attic', 'Sofa', true), /not found/);
+      sinon.assert.notCalled(device._api.setVirtualRestrictions);
+    });
+  });
+
+  describe('restoring a floor version', () => {
+    let device;
+
+    // Simulates restoreFloorVersion and createFloorOperation of ValetudoDevice
+    beforeEach(() => {
+      device = {
+        _pendingNewFloor: null,
+        _floorOperations: new Map(),
+        _floorManager: {
+          getActiveFloor: () => 'ground',
+          restoreFloorVersion: sinon.stub().callsFake(async (floorId, versionId, { operation } = {}) => {
+            if (operation) operation.succeed(); // FloorManager.switchFloor
+            return { floorId, versionId, reloaded: !!operation };
+          }),
+        },
+        _mqtt: { clearSegments: sinon.stub() },
+        _cacheCurrentMap: sinon.stub().resolves(),
+        _forgetFloorMap: sinon.stub().resolves(),
+        applyFloorPreferences: sinon.stub().resolves(),
+        applyFloorRestrictions: sinon.stub().resolves(true),
+        log: () => {},
+        createFloorOperation(type, floorId) {
+          const running = [...this._floorOperations.values()].find((op) => !op.finished);
+          if (running) throw new Error(`Another floor operation is in progress (${running.type} to "${running.floorId}")`);
+          const operation = new FloorOperation({ type, floorId });
+          this._floorOperations.set(operation.id, operation);
+          return operation;
+        },
+        async restoreFloorVersion(floorId, versionId, { operation = null } = {}) {
+          if (floorId !== this._floorManager.getActiveFloor()) {
+            const result = await this._floorManager.restoreFloorVersion(floorId, versionId);
+            await this._forgetFloorMap(floorId);
+            return result;
+          }
+          const op = operation || this.createFloorOperation('restore', floorId);
+          try {
+            const result = await this._floorManager.restoreFloorVersion(floorId, versionId, { operation: op });
+            this._mqtt.clearSegments();
+            await this._cacheCurrentMap();
+            await this.applyFloorPreferences(floorId);
+            await this.applyFloorRestrictions(floorId).catch((err) => {
+              this.log('Floor restrictions could not be applied:', err.message);
+            });
+            if (!op.finished) op.succeed();
+            return result;
+          } catch (err) {
+            if (!op.finished) op.fail(err);
+            throw err;
+          }
+        },
+      };
+    });
+
+    it('should run the active floor restore as a floor operation and re-apply the floor', async () => {
+      const result = await device.restoreFloorVersion('ground', 'previous');
+
+      assert.strictEqual(result.reloaded, true);
+      const [operation] = device._floorOperations.values();
+      assert.strictEqual(operation.type, 'restore');
+      assert.strictEqual(operation.status, 'succeeded');
+      sinon.assert.calledOnceWithExactly(device.applyFloorPreferences, 'ground');
+      sinon.assert.calledOnceWithExactly(device.applyFloorRestrictions, 'ground');
+    });
+
+    it('should refuse to restore the active floor while another floor operation runs', async () => {
+      device.createFloorOperation('switch', 'upstairs');
+
+      await assert.rejects(device.restoreFloorVersion('ground', 'previous'), /Another floor operation is in progress/);
+      sinon.assert.notCalled(device._floorManager.restoreFloorVersion);
+    });
+
+    it('should fail the operation when the restore fails', async () => {
+      device._floorManager.restoreFloorVersion.rejects(new Error('Version "x" of floor "Ground" not found'));
+
+      await assert.rejects(device.restoreFloorVersion('ground', 'x'), /not found/);
+      const [operation] = device._floorOperations.values();
+      assert.strictEqual(operation.status, 'failed');
+      sinon.assert.notCalled(device.applyFloorRestrictions);
+    });
+
+    it('should only swap the snapshot of an inactive floor', async () => {
+      const result = await device.restoreFloorVersion('upstairs', 'previous');
+
+      assert.strictEqual(result.reloaded, false);
+      assert.strictEqual(device._floorOperations.size, 0);
+      sinon.assert.calledOnceWithExactly(device._forgetFloorMap, 'upstairs');
+      sinon.assert.notCalled(device.applyFloorPreferences);
+    });
+  });
+
+  describe('MQTT certificates at startup', () => {
+    const badPem = '-----BEGIN CERTIFICATE-----\nnot base64\n-----END CERTIFICATE-----';
+    let store;
+    let device;
+
+    // Simulates onInit's certificate handling of ValetudoDevice
+    beforeEach(() => {
+      store = {};
+      device = {
+        setWarning: sinon.stub().resolves(),
+        setSettings: sinon.stub().resolves(),
+        error: () => {},
+        getStoreValue: (key) => store[key],
+        setStoreValue: async (key, value) => {
+          store[key] = value;
+        },
+        _pastedMqttCertificates(settings) {
+          const pasted = ['mqtt_ca_cert'].map((key) => [key, (settings[key] || '').trim()]).filter(([, value]) => value);
+          for (const [, value] of pasted) {
+            if (!ValetudoMqtt.isPem(value)) throw new Error('The MQTT CA certificate must be in PEM format (-----BEGIN ...-----)');
+            ValetudoMqtt.checkTls({ ca: value });
+          }
+          return pasted;
+        },
+        async _secureMqttCertificates(settings) {
+          const pasted = this._pastedMqttCertificates(settings);
+          for (const [key, value] of pasted) await this.setStoreValue(key, value);
+          return pasted.map(([key]) => key);
+        },
+        async _initMqttTls(settings) {
+          try {
+            const certs = await this._secureMqttCertificates(settings);
+            if (certs.length > 0) await this.setSettings(Object.fromEntries(certs.map((key) => [key, ''])));
+          } catch (err) {
+            this._warnMqttCertificates(err);
+          }
+          return this._usableMqttTlsOptions(settings);
+        },
+        _mqttTlsOptions(settings) {
+          return { ca: this.getStoreValue('mqtt_ca_cert') || undefined, rejectUnauthorized: settings.mqtt_reject_unauthorized !== false };
+        },
+        _usableMqttTlsOptions(settings) {
+          const tls = this._mqttTlsOptions(settings);
+          try {
+            ValetudoMqtt.checkTls(tls);
+            return tls;
+          } catch (err) {
+            this._warnMqttCertificates(err);
+            return { rejectUnauthorized: tls.rejectUnauthorized };
+          }
+        },
+        _warnMqttCertificates(err) {
+          this.error('MQTT certificates ignored:', err.message);
+          this.setWarning(`MQTT certificates ignored: ${err.message}`).catch(this.error);
+        },
+      };
+    });
+
+    it('should start without TLS certificates when a pasted one is not PEM', async () => {
+      const tls = await device._initMqttTls({ mqtt_ca_cert: 'MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA' });
+
+      assert.deepStrictEqual(tls, { ca: undefined, rejectUnauthorized: true });
+      assert.strictEqual(store.mqtt_ca_cert, undefined);
+      sinon.assert.calledWithMatch(device.setWarning, /MQTT certificates ignored: .*PEM format/);
+    });
+
+    it('should not take a pasted certificate whose PEM cannot be read', async () => {
+      await device._initMqttTls({ mqtt_ca_cert: badPem });
+
+      assert.strictEqual(store.mqtt_ca_cert, undefined);
+      sinon.assert.calledWithMatch(device.setWarning, /MQTT CA certificate cannot be read/);
+    });
+
+    it('should leave an unreadable stored certificate out of the connection', async () => {
+      store.mqtt_ca_cert = badPem;
+      const tls = await device._initMqttTls({ mqtt_reject_unauthorized: false });
+
+      assert.deepStrictEqual(tls, { rejectUnauthorized: false });
+      sinon.assert.calledOnce(device.setWarning);
+    });
+  });
+
+  describe('attachments and speaker volume from MQTT', () => {
+    let mqtt;
+    let device;
+
+    // Simulates the attachment / speaker_volume handlers, isAttached and
+    // _applySpeakerVolume
+    beforeEach(() => {
+      mqtt = new EventEmitter();
+      mqtt.connected = true;
+      const capabilities = { volume_set: null };
+      device = {
+        _mqtt: mqtt,
+        _attachments: {},
+        _api: {
+          getStateAttributes: sinon.stub().resolves([
+            { __class: 'AttachmentStateAttribute', type: 'dustbin', attached: true },
+            { __class: 'AttachmentStateAttribute', type: 'mop', attached: false },
+          ]),
+        },
+        capabilities,
+        hasCapability: (id) => id in capabilities,
+        setCapabilityValue: async (id, value) => { capabilities[id] = value; },
+        error: () => {},
+        async isAttached(type) {
+          if (this._mqtt.connected && type in this._attachments) return this._attachments[type];
+          try {
+            const attrs = await this._api.getStateAttributes();
+            const attr = attrs.find((a) => a.__class === 'AttachmentStateAttribute' && a.type === type);
+            return Boolean(attr && attr.attached);
+          } catch {
+            return false;
+          }
+        },
+        async _applySpeakerVolume(volume) {
+          if (!Number.isFinite(volume) || !this.hasCapability('volume_set')) return;
+          await this.setCapabilityValue('volume_set', volume / 100);
+        },
+      };
+      mqtt.on('attachment', ({ type, attached }) => {
+        device._attachments[type] = attached;
+      });
+      mqtt.on('speaker_volume', (volume) => {
+        device._applySpeakerVolume(volume).catch(device.error);
+      });
+    });
+
+    it('should answer from the pushed attachment state', async () => {
+      mqtt.emit('attachment', { type: 'mop', attached: true });
+
+      assert.strictEqual(await device.isAttached('mop'), true);
+      sinon.assert.notCalled(device._api.getStateAttributes);
+    });
+
+    it('should read the state attributes when MQTT has not pushed it', async () => {
+      mqtt.emit('attachment', { type: 'mop', attached: true });
+      mqtt.connected = false;
+
+      assert.strictEqual(await device.isAttached('mop'), false);
+      assert.strictEqual(await device.isAttached('dustbin'), true);
+      assert.strictEqual(await device.isAttached('watertank'), false);
+    });
+
+    it('should show the pushed speaker volume on the slider', async () => {
+      mqtt.emit('speaker_volume', 80);
+      await Promise.resolve();
+      assert.strictEqual(device.capabilities.volume_set, 0.8);
+
+      mqtt.emit('speaker_volume', NaN);
+      await Promise.resolve();
+      assert.strictEqual(device.capabilities.volume_set, 0.8);
+    });
+  });
 });
@@ -44,11 +44,14 @@ describe('Driver flow card logic', () => {
   });
 
   describe('Triggers', () => {
-    it('should register all 11 triggers', () => {
+    it('should register all 20 triggers', () => {
       const triggerIds = [
-        'floor_switched', 'cleaning_started', 'cleaning_finished',
+        'floor_switched', 'floor_mismatch_detected', 'cleaning_started', 'cleaning_finished',
         'error_occurred', 'robot_stuck', 'dustbin_full',
-        'segment_cleaning_started', 'segment_cleaning_finished',
+        'valetudo_event', 'mop_attachment_reminder', 'pending_map_change',
+        'segment_cleaning_started', 'segment_cleaning_finished', 'entered_segment', 'left_segment',
+        'obstacle_detected',
+        'weak_wifi', 'low_robot_storage',
         'consumable_depleted', 'valetudo_updated', 'update_available',
       ];
 
@@ -108,6 +111,15 @@ describe('Driver flow card logic', () => {
       assert.strictEqual(await card._runListener({ device, segment: { id: '17' } }), true);
       assert.strictEqual(await card._runListener({ device, segment: { id: '99' } }), false);
     });
+
+    it('is_attached should pass the selected attachment', async () => {
+      const card = mockFlowCard('condition:is_attached');
+      card.registerRunListener(async (args) => args.device.isAttached(args.attachment));
+
+      const device = { isAttached: async (type) => type === 'mop' };
+      assert.strictEqual(await card._runListener({ device, attachment: 'mop' }), true);
+      assert.strictEqual(await card._runListener({ device, attachment: 'watertank' }), false);
+    });
   });
 
   describe('Actions', () => {
@@ -185,6 +197,179 @@ describe('Driver flow card logic', () => {
       sinon.assert.calledWith(device.switchFloor, 'upstairs');
     });
 
+    it('restore_floor_version should pass floor and version id', async () => {
+      const card = mockFlowCard('action:restore_floor_version');
+      const device = { restoreFloorVersion: sinon.stub().resolves() };
+      card.registerRunListener(async (args) => {
+        await args.device.restoreFloorVersion(args.floor.id, args.version.id);
+      });
+
+      await card._runListener({ device, floor: { id: 'upstairs' }, version: { id: 'previous' } });
+      sinon.assert.calledWith(device.restoreFloorVersion, 'upstairs', 'previous');
+    });
+
+    it('set_floor_preferences should map dropdowns to preference changes', async () => {
+      const card = mockFlowCard('action:set_floor_preferences');
+      const device = { floorManager: { setFloorPreferences: sinon.stub().resolves({}) } };
+      card.registerRunListener(async (args) => {
+        const changes = {};
+        const fields = {
+          fanSpeed: args.fan_speed,
+          waterUsage: args.water_usage,
+          operationMode: args.operation_mode,
+          carpetMode: args.carpet_mode,
+          dnd: args.dnd,
+        };
+        for (const [key, value] of Object.entries(fields)) {
+          if (!value || value === 'keep') continue;
+          if (value === 'none') changes[key] = null;
+          else if (value === 'enable' || value === 'disable') changes[key] = value === 'enable';
+          else changes[key] = value;
+        }
+        await args.device.floorManager.setFloorPreferences(args.floor.id, changes);
+      });
+
+      await card._runListener({
+        device,
+        floor: { id: 'upstairs' },
+        fan_speed: 'max',
+        water_usage: 'none',
+        operation_mode: 'keep',
+        carpet_mode: 'enable',
+        dnd: 'disable',
+      });
+      sinon.assert.calledWith(device.floorManager.setFloorPreferences, 'upstairs', {
+        fanSpeed: 'max', waterUsage: null, carpetMode: true, dnd: false,
+      });
+    });
+
+    it('set_restriction_set should pass the floor and name of the selected set', async () => {
+      const card = mockFlowCard('action:set_restriction_set');
+      const device = { setRestrictionSetEnabled: sinon.stub().resolves() };
+      card.registerRunListener(async (args) => {
+        await args.device.setRestrictionSetEnabled(args.set.floorId, args.set.name, args.enabled === 'enable');
+      });
+
+      await card._runListener({ device, set: { floorId: 'ground', name: 'Dog bowl' }, enabled: 'disable' });
+      sinon.assert.calledWith(device.setRestrictionSetEnabled, 'ground', 'Dog bowl', false);
+    });
+
+    it('manual_move and manual_rotate should sign the amount by direction', async () => {
+      const device = { nudgeRobot: sinon.stub().resolves(), rotateRobot: sinon.stub().resolves() };
+      const move = mockFlowCard('action:manual_move');
+      move.registerRunListener(async (args) => {
+        await args.device.nudgeRobot(args.direction === 'backward' ? -args.distance : args.distance);
+      });
+      const rotate = mockFlowCard('action:manual_rotate');
+      rotate.registerRunListener(async (args) => {
+        await args.device.rotateRobot(args.direction === 'counterclockwise' ? -args.degrees : args.degrees);
+      });
+
+      await move._runListener({ device, direction: 'backward', distance: 15 });
+      await rotate._runListener({ device, direction: 'clockwise', degrees: 90 });
+      sinon.assert.calledWith(device.nudgeRobot, -15);
+      sinon.assert.calledWith(device.rotateRobot, 90);
+    });
+
+    it('pause_timers and resume_timers should call the device', async () => {
+      const device = { pauseTimers: sinon.stub().resolves(2), resumeTimers: sinon.stub().resolves(2) };
+      const pause = mockFlowCard('action:pause_timers');
+      pause.registerRunListener(async (args) => { await args.device.pauseTimers(); });
+      const resume = mockFlowCard('action:resume_timers');
+      resume.registerRunListener(async (args) => { await args.device.resumeTimers(); });
+
+      await pause._runListener({ device });
+      await resume._runListener({ device });
+      sinon.assert.calledOnce(device.pauseTimers);
+      sinon.assert.calledOnce(device.resumeTimers);
+    });
+
+    it('timer cards should call the device with the selected timer', async () => {
+      const device = {
+        createTimer: sinon.stub().resolves(),
+        setTimerEnabled: sinon.stub().resolves(),
+        deleteTimer: sinon.stub().resolves(),
+        restoreTimers: sinon.stub().resolves(2),
+      };
+      const create = mockFlowCard('action:create_timer');
+      create.registerRunListener(async (args) => {
+        await args.device.createTimer({
+          label: args.label,
+          days: args.days,
+          time: args.time,
+          fanSpeed: args.fan_speed === 'keep' ? null : args.fan_speed,
+        });
+      });
+      const enable = mockFlowCard('action:set_timer_enabled');
+      enable.registerRunListener(async (args) => {
+        await args.device.setTimerEnabled(args.timer.id, args.state === 'enable');
+      });
+      const remove = mockFlowCard('action:delete_timer');
+      remove.registerRunListener(async (args) => { await args.device.deleteTimer(args.timer.id); });
+      const restore = mockFlowCard('action:restore_timers');
+      restore.registerRunListener(async (args) => { await args.device.restoreTimers(); });
+
+      await create._runListener({
+        device, label: 'Mornings', days: 'weekdays', time: '07:30', fan_speed: 'keep',
+      });
+      sinon.assert.calledWith(device.createTimer, {
+        label: 'Mornings', days: 'weekdays', time: '07:30', fanSpeed: null,
+      });
+      await enable._runListener({ device, timer: { id: 'a' }, state: 'disable' });
+      sinon.assert.calledWith(device.setTimerEnabled, 'a', false);
+      await remove._runListener({ device, timer: { id: 'a' } });
+      sinon.assert.calledWith(device.deleteTimer, 'a');
+      await restore._runListener({ device });
+      sinon.assert.calledOnce(device.restoreTimers);
+    });
+
+    it('acknowledge_valetudo_event should pass the selected event and answer', async () => {
+      const card = mockFlowCard('action:acknowledge_valetudo_event');
+      const device = { acknowledgeValetudoEvent: sinon.stub().resolves() };
+      card.registerRunListener(async (args) => {
+        await args.device.acknowledgeValetudoEvent({
+          id: args.event.eventId,
+          type: args.event.eventType,
+          interaction: args.event.interaction,
+        });
+      });
+
+      await card._runListener({ device, event: { id: 'e1/ok', eventId: 'e1', interaction: 'ok' } });
+      await card._runListener({ device, event: { id: 'pending_map_change/yes', eventType: 'pending_map_change', interaction: 'yes' } });
+      sinon.assert.calledWith(device.acknowledgeValetudoEvent.firstCall, { id: 'e1', type: undefined, interaction: 'ok' });
+      sinon.assert.calledWith(device.acknowledgeValetudoEvent.secondCall, { id: undefined, type: 'pending_map_change', interaction: 'yes' });
+    });
+
+    it('export_floor should pass floor id', async () => {
+      const card = mockFlowCard('action:export_floor');
+      const device = { exportFloorArchive: sinon.stub().resolves() };
+      card.registerRunListener(async (args) => { await args.device.exportFloorArchive(args.floor.id); });
+
+      await card._runListener({ device, floor: { id: 'upstairs' } });
+      sinon.assert.calledWith(device.exportFloorArchive, 'upstairs');
+    });
+
+    it('import_floor should pass archive, optional name and mode', async () => {
+      const card = mockFlowCard('action:import_floor');
+      const device = { importStoredFloorArchive: sinon.stub().resolves() };
+      card.registerRunListener(async (args) => {
+        await args.device.importStoredFloorArchive(args.archive.id, {
+          name: args.floor_name || undefined,
+          replace: args.mode === 'replace',
+        });
+      });
+
+      await card._runListener({
+        device, archive: { id: 'attic-1.floor.gz' }, floor_name: '', mode: 'new',
+      });
+      sinon.assert.calledWith(device.importStoredFloorArchive, 'attic-1.floor.gz', { name: undefined, replace: false });
+
+      await card._runListener({
+        device, archive: { id: 'attic-1.floor.gz' }, floor_name: 'Loft', mode: 'replace',
+      });
+      sinon.assert.calledWith(device.importStoredFloorArchive, 'attic-1.floor.gz', { name: 'Loft', replace: true });
+    });
+
     it('save_floor should pass floor name', async () => {
       const card = mockFlowCard('action:save_floor');
       const device = { saveFloor: sinon.stub().resolves() };
@@ -336,6 +521,110 @@ describe('Driver flow card logic', () => {
       assert.strictEqual(filtered[0].id, 'ground');
     });
 
+    it('floor version autocomplete should offer "previous" and describe versions', async () => {
+      const device = {
+        getFloorVersions: sinon.stub().resolves([
+          {
+            id: '20261002T080000000Z', savedAt: '2026-10-01T08:00:00.000Z', archivedAt: '2026-10-02T08:00:00.000Z', size: 20480, segmentCount: 6,
+          },
+          {
+            id: '20260901T080000000Z', savedAt: null, archivedAt: null, size: null, segmentCount: null,
+          },
+        ]),
+      };
+
+      // Simulate _getFloorVersionAutocomplete
+      async function getFloorVersionAutocomplete(dev, floor, query) {
+        if (!floor) return [];
+        const versions = await dev.getFloorVersions(floor.id);
+        const results = [{ id: 'previous', name: 'Previous version', description: 'Most recently archived snapshot' }];
+        for (const v of versions) {
+          const details = [];
+          if (v.segmentCount !== null) details.push(`${v.segmentCount} rooms`);
+          if (v.size !== null) details.push(`${Math.round(v.size / 1024)} KB`);
+          results.push({
+            id: v.id,
+            name: v.savedAt || v.archivedAt ? new Date(v.savedAt || v.archivedAt).toLocaleString() : v.id,
+            description: details.join(' · '),
+          });
+        }
+        return results.filter((r) => r.name.toLowerCase().includes(query.toLowerCase()));
+      }
+
+      assert.deepStrictEqual(await getFloorVersionAutocomplete(device, null, ''), []);
+
+      const all = await getFloorVersionAutocomplete(device, { id: 'ground' }, '');
+      assert.deepStrictEqual(all.map((r) => r.id), ['previous', '20261002T080000000Z', '20260901T080000000Z']);
+      assert.strictEqual(all[1].description, '6 rooms · 20 KB');
+      assert.strictEqual(all[2].name, '20260901T080000000Z');
+    });
+
+    it('timer autocomplete should describe days and time', async () => {
+      const device = {
+        getTimers: sinon.stub().resolves([
+          {
+            id: 'a', label: 'Mornings', enabled: true, dow: [1, 3], time: '07:30',
+          },
+          {
+            id: 'b', label: 'Weekend', enabled: false, dow: [0, 6], time: '10:00',
+          },
+        ]),
+      };
+
+      // Simulate _getTimerAutocomplete
+      const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      async function getTimerAutocomplete(dev, query) {
+        const timers = await dev.getTimers();
+        return timers
+          .filter((timer) => timer.label.toLowerCase().includes(query.toLowerCase()))
+          .map((timer) => ({
+            id: timer.id,
+            name: timer.label,
+            description: `${timer.dow.map((day) => DAY_NAMES[day]).join(', ')} ${timer.time}${timer.enabled ? '' : ' (disabled)'}`,
+          }));
+      }
+
+      assert.deepStrictEqual(await getTimerAutocomplete(device, 'week'), [
+        { id: 'b', name: 'Weekend', description: 'Sun, Sat 10:00 (disabled)' },
+      ]);
+      assert.strictEqual((await getTimerAutocomplete(device, ''))[0].description, 'Mon, Wed 07:30');
+    });
+
+    it('restriction set autocomplete should list the sets of every floor', () => {
+      const device = {
+        floorManager: {
+          getFloors: () => [
+            { id: 'ground', name: 'Ground Floor', restrictionSets: [{ name: 'Dog bowl' }, { name: 'Rug' }] },
+            { id: 'upstairs', name: 'Upstairs' },
+            { id: 'attic', name: 'Attic', restrictionSets: [{ name: 'Cables' }] },
+          ],
+        },
+      };
+
+      // Simulate _getRestrictionSetAutocomplete
+      function getRestrictionSetAutocomplete(dev, query) {
+        if (!dev.floorManager) return [];
+        const results = [];
+        for (const floor of dev.floorManager.getFloors()) {
+          for (const set of floor.restrictionSets || []) {
+            results.push({
+              id: `${floor.id}/${set.name}`,
+              name: set.name,
+              description: floor.name,
+              floorId: floor.id,
+            });
+          }
+        }
+        return results.filter((r) => r.name.toLowerCase().includes(query.toLowerCase()));
+      }
+
+      assert.deepStrictEqual(getRestrictionSetAutocomplete(device, '').map((r) => r.id),
+        ['ground/Dog bowl', 'ground/Rug', 'attic/Cables']);
+      const [cables] = getRestrictionSetAutocomplete(device, 'cab');
+      assert.strictEqual(cables.floorId, 'attic');
+      assert.strictEqual(cables.description, 'Attic');
+    });
+
     it('zone autocomplete should filter by query', () => {
       const device = {
         getZones: () => [
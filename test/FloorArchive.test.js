@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const zlib = require('zlib');
+const FloorArchive = require('../lib/FloorArchive');
+
+describe('FloorArchive', () => {
+  const files = [
+    { name: 'last_map', data: Buffer.from([1, 2, 3, 4]) },
+    { name: 'robot.db', data: Buffer.from('bakmaps') },
+  ];
+  const floor = { id: 'ground', name: 'Ground Floor', hasDock: true };
+  const robot = { model: 'S5', manufacturer: 'Roborock' };
+
+  function repack(mutate) {
+    const doc = JSON.parse(zlib.gunzipSync(FloorArchive.pack({
+      floor, robot, manifest: FloorArchive.buildManifest(files), files,
+    })).toString());
+    mutate(doc);
+    return zlib.gzipSync(JSON.stringify(doc));
+  }
+
+  describe('buildManifest', () => {
+    it('should record size and sha256 per file', () => {
+      const manifest = FloorArchive.buildManifest(files);
+      assert.strictEqual(manifest.files.length, 2);
+      assert.deepStrictEqual(manifest.files[0], {
+        name: 'last_map',
+        size: 4,
+        algorithm: 'sha256',
+        hash: FloorArchive.hash('sha256', files[0].data),
+      });
+    });
+  });
+
+  describe('verifyFiles', () => {
+    it('should accept md5 manifests written by older firmware', () => {
+      const manifest = {
+        files: [{
+          name: 'last_map', size: 4, algorithm: 'md5', hash: FloorArchive.hash('md5', files[0].data),
+        }],
+      };
+      assert.deepStrictEqual(FloorArchive.verifyFiles(manifest, files), []);
+    });
+
+    it('should report missing, truncated and changed files', () => {
+      const manifest = FloorArchive.buildManifest(files);
+      manifest.files.push({
+        name: 'ChargerPos.data', size: 1, algorithm: 'sha256', hash: 'x',
+      });
+      const changed = [
+        { name: 'last_map', data: Buffer.from([1, 2, 3]) },
+        { name: 'robot.db', data: Buffer.from('BAKMAPS') },
+      ];
+      const problems = FloorArchive.verifyFiles(manifest, changed);
+      assert.strictEqual(problems.length, 3);
+      assert.ok(problems[0].includes('size 3'));
+      assert.ok(problems[1].includes('checksum mismatch'));
+      assert.ok(problems[2].includes('missing'));
+    });
+  });
+
+  describe('pack / unpack', () => {
+    it('should round-trip floor, robot and file contents', () => {
+      const buffer = FloorArchive.pack({
+        floor, robot, manifest: FloorArchive.buildManifest(files), files,
+      });
+      const archive = FloorArchive.unpack(buffer);
+      assert.deepStrictEqual(archive.floor, floor);
+      assert.deepStrictEqual(archive.robot, robot);
+      assert.deepStrictEqual(archive.files, files);
+      assert.ok(archive.createdAt);
+    });
+
+    it('should reject data that is not an archive', () => {
+      assert.throws(() => FloorArchive.unpack(Buffer.from('hello')), /Not a floor archive/);
+      assert.throws(() => FloorArchive.unpack(zlib.gzipSync('{"format":"other"}')), /Not a floor archive/);
+    });
+
+    it('should reject archives from a newer format version', () => {
+      const buffer = repack((doc) => { doc.version = 99; });
+      assert.throws(() => FloorArchive.unpack(buffer), /newer than this app supports/);
+    });
+
+    it('should reject unsafe file names', () => {
+      const buffer = repack((doc) => { doc.files[1].name = '../../etc/passwd'; });
+      assert.throws(() => FloorArchive.unpack(buffer), /invalid file name/);
+    });
+
+    it('should reject archives without map files', () => {
+      const buffer = repack((doc) => { doc.files = []; doc.manifest.files = []; });
+      assert.throws(() => FloorArchive.unpack(buffer), /does not contain any map files/);
+    });
+
+    it('should reject archives whose files do not match the manifest', () => {
+      const buffer = repack((doc) => { doc.files[0].data = Buffer.from([9, 9, 9, 9]).toString('base64'); });
+      assert.throws(() => FloorArchive.unpack(buffer), /damaged: last_map checksum mismatch/);
+    });
+  });
+
+  describe('incompatibilityReason', () => {
+    it('should allow the same model regardless of case', () => {
+      assert.strictEqual(FloorArchive.incompatibilityReason(robot, { model: 's5', manufacturer: 'Roborock' }), null);
+    });
+
+    it('should explain a model mismatch', () => {
+      const reason = FloorArchive.incompatibilityReason(robot, { model: 'L10S Ultra', manufacturer: 'Dreame' });
+      assert.strictEqual(reason, 'Archive was exported from a Roborock S5, but this robot is a Dreame L10S Ultra');
+    });
+
+    it('should not block when either model is unknown', () => {
+      assert.strictEqual(FloorArchive.incompatibilityReason({}, robot), null);
+      assert.strictEqual(FloorArchive.incompatibilityReason(robot, { model: 'Unknown' }), null);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FloorArchiveStore = require('../lib/FloorArchiveStore');
+
+describe('FloorArchiveStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'floor-archives-'));
+    store = new FloorArchiveStore({ dir: path.join(dir, 'archives'), log: () => {} });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should list nothing before the first save', async () => {
+    assert.deepStrictEqual(await store.list(), []);
+  });
+
+  it('should save, list and read archives', async () => {
+    const filename = await store.save('ground', Buffer.from('archive'));
+    assert.ok(/^ground-\d{8}T\d{9}Z\.floor\.gz$/.test(filename));
+
+    const list = await store.list();
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].filename, filename);
+    assert.strictEqual(list[0].size, 7);
+
+    assert.strictEqual((await store.read(filename)).toString(), 'archive');
+  });
+
+  it('should remove archives', async () => {
+    const filename = await store.save('ground', Buffer.from('archive'));
+    await store.remove(filename);
+    assert.deepStrictEqual(await store.list(), []);
+  });
+
+  it('should reject names outside the archive directory', async () => {
+    await assert.rejects(() => store.read('../secrets.floor.gz'), /Invalid archive name/);
+    await assert.rejects(() => store.read('ground.json'), /Invalid archive name/);
+  });
+
+  it('should report missing archives', async () => {
+    await assert.rejects(() => store.read('gone.floor.gz'), /not found/);
+  });
+});
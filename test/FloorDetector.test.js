@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const FloorDetector = require('../lib/FloorDetector');
+
+// Builds a Valetudo-style map (5 cm pixels) of a rectangular room whose walls
+// run along the outline, with the floor inside and an optional dock.
+function roomMap({
+  x = 0, y = 0, width = 100, height = 60, charger,
+}) {
+  const wall = [];
+  const floor = [];
+  for (let px = x; px < x + width; px++) {
+    for (let py = y; py < y + height; py++) {
+      const edge = px === x || py === y || px === x + width - 1 || py === y + height - 1;
+      (edge ? wall : floor).push(px, py);
+    }
+  }
+  return {
+    pixelSize: 5,
+    layers: [
+      { type: 'wall', pixels: wall },
+      { type: 'floor', pixels: floor },
+    ],
+    entities: charger ? [{ type: 'charger_location', points: charger }] : [],
+  };
+}
+
+describe('FloorDetector', () => {
+  // Two floors with clearly different layouts
+  const groundMap = roomMap({ width: 200, height: 60, charger: [500, 500] });
+  const upstairsMap = roomMap({ width: 60, height: 200, charger: [2000, 500] });
+
+  let floors;
+  let activeFloor;
+  let detector;
+
+  beforeEach(() => {
+    floors = [
+      { id: 'ground', name: 'Ground Floor', fingerprint: FloorDetector.fingerprint(groundMap) },
+      { id: 'upstairs', name: 'Upstairs', fingerprint: FloorDetector.fingerprint(upstairsMap) },
+    ];
+    activeFloor = 'ground';
+    detector = new FloorDetector({
+      floorManager: {
+        getFloors: () => floors,
+        getActiveFloor: () => activeFloor,
+      },
+      log: () => {},
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('should reduce layers to 50 cm cells and keep the dock cell', () => {
+      const fp = FloorDetector.fingerprint(roomMap({ width: 20, height: 20, charger: [260, 140] }));
+      assert.strictEqual(fp.version, 1);
+      assert.strictEqual(fp.cellSize, 50);
+      // 20 px * 5 cm = 100 cm → 2 x 2 cells
+      assert.strictEqual(fp.wall.length / 2, 4);
+      assert.deepStrictEqual(fp.charger, [5, 2]);
+    });
+
+    it('should decode RLE compressed pixels', () => {
+      const fp = FloorDetector.fingerprint({
+        pixelSize: 5,
+        layers: [{ type: 'wall', compressedPixels: [0, 0, 30] }],
+      });
+      // 30 px in a row = 150 cm → 3 cells
+      assert.deepStrictEqual(fp.wall, [0, 0, 1, 0, 2, 0]);
+      assert.strictEqual(fp.charger, null);
+    });
+  });
+
+  describe('similarity', () => {
+    it('should score a map against itself as a full match', () => {
+      const fp = FloorDetector.fingerprint(groundMap);
+      assert.strictEqual(FloorDetector.similarity(fp, fp), 1);
+    });
+
+    it('should score a partial map of the same floor highly', () => {
+      const partial = FloorDetector.fingerprint(roomMap({ width: 120, height: 60, charger: [500, 500] }));
+      assert.ok(FloorDetector.similarity(partial, floors[0].fingerprint) > 0.7);
+    });
+
+    it('should align on the dock when the firmware started a new map origin', () => {
+      const shifted = FloorDetector.fingerprint(roomMap({
+        x: 400, y: 300, width: 60, height: 200, charger: [4000, 2000],
+      }));
+      assert.ok(FloorDetector.similarity(shifted, floors[1].fingerprint) > 0.9);
+    });
+
+    it('should return null for fingerprints from another format version', () => {
+      const fp = FloorDetector.fingerprint(groundMap);
+      assert.strictEqual(FloorDetector.similarity(fp, { ...fp, version: 0 }), null);
+    });
+  });
+
+  describe('detect', () => {
+    it('should not report a mismatch while on the right floor', () => {
+      const result = detector.detect(groundMap);
+      assert.strictEqual(result.mismatch, false);
+      assert.strictEqual(result.activeScore, 1);
+      assert.strictEqual(result.suspectedFloorId, null);
+    });
+
+    it('should report the floor the robot is actually on with a confidence', () => {
+      const result = detector.detect(upstairsMap);
+      assert.strictEqual(result.mismatch, true);
+      assert.strictEqual(result.suspectedFloorId, 'upstairs');
+      assert.ok(result.confidence > 0.9);
+      assert.ok(result.activeScore < 0.5);
+    });
+
+    it('should not guess when the live map fits no saved floor', () => {
+      const result = detector.detect(roomMap({
+        x: 1000, y: 1000, width: 160, height: 160,
+      }));
+      assert.strictEqual(result.mismatch, false);
+    });
+
+    it('should return null when the live map is too small to judge', () => {
+      assert.strictEqual(detector.detect(roomMap({ width: 10, height: 10 })), null);
+    });
+
+    it('should ignore floors without a fingerprint', () => {
+      delete floors[1].fingerprint;
+      const result = detector.detect(upstairsMap);
+      assert.strictEqual(result.mismatch, false);
+    });
+  });
+});
@@ -3,6 +3,11 @@
 const assert = require('assert');
 const sinon = require('sinon');
 const FloorManager = require('../lib/FloorManager');
+const FloorArchive = require('../lib/FloorArchive');
+const FloorOperation = require('../lib/FloorOperation');
+const FloorSwitchError = require('../lib/FloorSwitchError');
+const MapStorageProfile = require('../lib/MapStorageProfile');
+const OperationCancelledError = require('../lib/OperationCancelledError');
 
 describe('FloorManager', () => {
   let fm;
@@ -28,7 +33,13 @@ describe('FloorManager', () => {
       readFile: sinon.stub().resolves('need_recover_map=1\nother=value'),
       writeFile: sinon.stub().resolves(),
       reboot: sinon.stub().resolves(),
+      fileSize: sinon.stub().resolves(1024),
+      checksum: sinon.stub().resolves({ algorithm: 'sha256', hash: 'abc123' }),
+      readBinaryFile: sinon.stub().resolves(Buffer.from('map')),
+      writeBinaryFile: sinon.stub().resolves(),
     };
+    ssh.readFile.withArgs(sinon.match(/manifest\.json$/))
+      .resolves(JSON.stringify({ version: 1, files: [] }));
 
     api = {
       getStateAttributes: sinon.stub().resolves([
@@ -36,6 +47,8 @@ describe('FloorManager', () => {
       ]),
       basicControl: sinon.stub().resolves(),
       isReachable: sinon.stub().resolves(true),
+      getMap: sinon.stub().resolves({ layers: [{ type: 'floor' }] }),
+      getSegments: sinon.stub().resolves([{ id: '1', name: 'Kitchen' }, { id: '2', name: 'Hall' }]),
     };
 
     mqttClient = {};
@@ -96,6 +109,137 @@ describe('FloorManager', () => {
     });
   });
 
+  describe('setFloorFingerprint', () => {
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [{ id: 'ground', name: 'Ground Floor' }],
+        activeFloor: 'ground',
+      };
+    });
+
+    it('should store the fingerprint on the floor', async () => {
+      await fm.setFloorFingerprint('ground', { version: 1, wall: [1, 2] });
+      assert.deepStrictEqual(store.floor_config.floors[0].fingerprint, { version: 1, wall: [1, 2] });
+    });
+
+    it('should skip the store write when nothing changed', async () => {
+      await fm.setFloorFingerprint('ground', { version: 1, wall: [1, 2] });
+      await fm.setFloorFingerprint('ground', { version: 1, wall: [1, 2] });
+      sinon.assert.calledOnce(device.setStoreValue);
+    });
+
+    it('should throw for an unknown floor', async () => {
+      await assert.rejects(() => fm.setFloorFingerprint('attic', {}), /not found/);
+    });
+  });
+
+  describe('floor preferences', () => {
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [{ id: 'ground', name: 'Ground Floor', preferences: { fanSpeed: 'max' } }],
+        activeFloor: 'ground',
+      };
+    });
+
+    it('should merge changes and clear preferences set to null', async () => {
+      const result = await fm.setFloorPreferences('ground', { waterUsage: 'low', carpetMode: true });
+      assert.deepStrictEqual(result, { fanSpeed: 'max', waterUsage: 'low', carpetMode: true });
+
+      await fm.setFloorPreferences('ground', { fanSpeed: null });
+      assert.deepStrictEqual(fm.getFloorPreferences('ground'), { waterUsage: 'low', carpetMode: true });
+    });
+
+    it('should return an empty object for floors without preferences', async () => {
+      store.floor_config.floors.push({ id: 'upstairs', name: 'Upstairs' });
+      assert.deepStrictEqual(fm.getFloorPreferences('upstairs'), {});
+    });
+
+    it('should reject unknown preferences and values without saving', async () => {
+      await assert.rejects(() => fm.setFloorPreferences('ground', { volume: 80 }), /Unknown floor preference/);
+      await assert.rejects(
+        () => fm.setFloorPreferences('ground', { waterUsage: 'low', fanSpeed: 'turbo-plus' }),
+        /Invalid value "turbo-plus"/,
+      );
+      assert.deepStrictEqual(store.floor_config.floors[0].preferences, { fanSpeed: 'max' });
+      sinon.assert.notCalled(device.setStoreValue);
+    });
+
+    it('should throw for unknown floors', () => {
+      assert.throws(() => fm.getFloorPreferences('attic'), /not found/);
+    });
+  });
+
+  describe('restriction sets', () => {
+    const wall = { points: { pA: { x: 10, y: 20 }, pB: { x: 10, y: 80 } } };
+    const zone = {
+      points: { pA: { x: 0, y: 0 }, pB: { x: 50, y: 0 }, pC: { x: 50, y: 40 }, pD: { x: 0, y: 40 } },
+      type: 'mop',
+    };
+
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [{ id: 'ground', name: 'Ground Floor' }, { id: 'upstairs', name: 'Upstairs' }],
+        activeFloor: 'ground',
+      };
+    });
+
+    it('should leave floors without sets to Valetudo', () => {
+      assert.deepStrictEqual(fm.getRestrictionSets('ground'), []);
+      assert.strictEqual(fm.getFloorRestrictions('ground'), null);
+    });
+
+    it('should combine the enabled sets of a floor only', async () => {
+      await fm.saveRestrictionSet('ground', 'Dog bowl', { virtualWalls: [wall], restrictedZones: [] });
+      await fm.saveRestrictionSet('ground', 'Rug', { virtualWalls: [], restrictedZones: [zone] });
+      await fm.saveRestrictionSet('upstairs', 'Cables', { virtualWalls: [wall], restrictedZones: [zone] });
+
+      assert.deepStrictEqual(fm.getFloorRestrictions('ground'), { virtualWalls: [wall], restrictedZones: [zone] });
+      await fm.setRestrictionSetEnabled('ground', 'dog BOWL', false);
+      assert.deepStrictEqual(fm.getFloorRestrictions('ground'), { virtualWalls: [], restrictedZones: [zone] });
+    });
+
+    it('should replace a set with the same name and keep it disabled', async () => {
+      await fm.saveRestrictionSet('ground', 'Dog bowl', { virtualWalls: [wall] });
+      await fm.setRestrictionSetEnabled('ground', 'Dog bowl', false);
+      await fm.saveRestrictionSet('ground', ' dog bowl ', { restrictedZones: [zone] });
+
+      const sets = fm.getRestrictionSets('ground');
+      assert.strictEqual(sets.length, 1);
+      assert.deepStrictEqual(sets[0], {
+        name: 'dog bowl', enabled: false, virtualWalls: [], restrictedZones: [zone],
+      });
+    });
+
+    it('should delete sets and reject unknown or unnamed ones', async () => {
+      await fm.saveRestrictionSet('ground', 'Rug', { restrictedZones: [zone] });
+      await fm.deleteRestrictionSet('ground', 'Rug');
+      assert.deepStrictEqual(fm.getRestrictionSets('ground'), []);
+
+      await assert.rejects(() => fm.setRestrictionSetEnabled('ground', 'Rug', true), /Restriction set "Rug" not found/);
+      await assert.rejects(() => fm.saveRestrictionSet('ground', '  ', {}), /needs a name/);
+    });
+
+    it('should draw the enabled sets over a stored map instead of its old restrictions', async () => {
+      await fm.saveRestrictionSet('upstairs', 'Rug', { virtualWalls: [wall], restrictedZones: [zone] });
+      const map = {
+        layers: [],
+        entities: [
+          { type: 'charger_location', points: [5, 5] },
+          { type: 'no_go_area', points: [1, 1, 2, 1, 2, 2, 1, 2] },
+        ],
+      };
+
+      const overlaid = fm.overlayRestrictions(map, 'upstairs');
+      assert.deepStrictEqual(overlaid.entities, [
+        { type: 'charger_location', points: [5, 5] },
+        { type: 'virtual_wall', points: [10, 20, 10, 80] },
+        { type: 'no_mop_area', points: [0, 0, 50, 0, 50, 40, 0, 40] },
+      ]);
+      assert.strictEqual(map.entities.length, 2);
+      assert.strictEqual(fm.overlayRestrictions(map, 'ground'), map);
+    });
+  });
+
   describe('addFloor', () => {
     it('should add a new floor', async () => {
       await fm.addFloor('ground', 'Ground Floor');
@@ -139,7 +283,7 @@ describe('FloorManager', () => {
         activeFloor: null,
       };
       await fm.removeFloor('ground');
-      sinon.assert.calledWith(ssh.exec, 'rm -rf "/mnt/data/rockrobo/floors/ground"');
+      sinon.assert.calledWith(ssh.exec, 'rm -rf "/mnt/data/rockrobo/floors/ground" "/mnt/data/rockrobo/.floor_history/ground"');
     });
 
     it('should not fail if SSH removal fails', async () => {
@@ -184,9 +328,9 @@ describe('FloorManager', () => {
       // Should create floor directory
       sinon.assert.calledWith(ssh.exec, 'mkdir -p "/mnt/data/rockrobo/floors/ground"');
 
-      // Should check and copy each map file
-      assert.ok(ssh.fileExists.callCount >= 4); // 4 map files
-      assert.ok(ssh.copyFile.callCount >= 4);
+      // Should check and copy each core map file, plus robot.db
+      assert.ok(ssh.fileExists.callCount >= 2);
+      assert.ok(ssh.copyFile.callCount >= 3);
 
       // Should set as active floor
       assert.strictEqual(store.floor_config.activeFloor, 'ground');
@@ -207,9 +351,103 @@ describe('FloorManager', () => {
         }
       );
 
-      // Should check file existence but not copy
-      assert.ok(ssh.fileExists.callCount >= 4);
-      sinon.assert.notCalled(ssh.copyFile);
+      // Should check file existence but only attempt the robot.db backup
+      assert.ok(ssh.fileExists.callCount >= 2);
+      sinon.assert.neverCalledWith(ssh.copyFile, '/mnt/data/rockrobo/last_map');
+      sinon.assert.notCalled(ssh.writeFile);
+    });
+
+    it('should write an integrity manifest with size and checksum per file', async () => {
+      store.floor_config = {
+        floors: [{ id: 'ground', name: 'Ground Floor' }],
+        activeFloor: null,
+      };
+      ssh.exec.withArgs('ls -1 "/mnt/data/rockrobo/floors/ground" 2>/dev/null || true')
+        .resolves('last_map\nChargerPos.data\nrobot.db\nmanifest.json\n');
+
+      await fm.saveCurrentFloor('ground');
+
+      const call = ssh.writeFile.getCalls().find((c) => c.args[0] === '/mnt/data/rockrobo/floors/ground/manifest.json');
+      assert.ok(call);
+      const manifest = JSON.parse(call.args[1]);
+      assert.strictEqual(manifest.version, 1);
+      assert.deepStrictEqual(manifest.files.map((f) => f.name), ['last_map', 'ChargerPos.data', 'robot.db']);
+      assert.deepStrictEqual(manifest.files[0], {
+        name: 'last_map', size: 1024, algorithm: 'sha256', hash: 'abc123',
+      });
+      assert.strictEqual(store.floor_config.floors[0].snapshotStatus, 'ok');
+    });
+
+    it('should still save but mark the floor unverified when the manifest fails', async () => {
+      store.floor_config = {
+        floors: [{ id: 'ground', name: 'Ground Floor' }],
+        activeFloor: null,
+      };
+      ssh.exec.withArgs('ls -1 "/mnt/data/rockrobo/floors/ground" 2>/dev/null || true')
+        .resolves('last_map\n');
+      ssh.checksum.rejects(new Error('Command failed (exit 127): md5sum: not found'));
+
+      await fm.saveCurrentFloor('ground');
+      assert.strictEqual(store.floor_config.activeFloor, 'ground');
+      assert.strictEqual(store.floor_config.floors[0].snapshotStatus, 'unverified');
+    });
+  });
+
+  describe('checkFloorIntegrity', () => {
+    const dir = '/mnt/data/rockrobo/floors/ground';
+
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [{ id: 'ground', name: 'Ground Floor' }],
+        activeFloor: null,
+      };
+      ssh.readFile.withArgs(`${dir}/manifest.json`).resolves(JSON.stringify({
+        version: 1,
+        files: [
+          {
+            name: 'last_map', size: 1024, algorithm: 'sha256', hash: 'abc123',
+          },
+        ],
+      }));
+    });
+
+    it('should report ok when every file matches', async () => {
+      const result = await fm.checkFloorIntegrity('ground');
+      assert.deepStrictEqual(result, { status: 'ok', problems: [] });
+      assert.strictEqual(store.floor_config.floors[0].snapshotStatus, 'ok');
+    });
+
+    it('should report missing when no last_map exists', async () => {
+      ssh.fileExists.withArgs(`${dir}/last_map`).resolves(false);
+      const result = await fm.checkFloorIntegrity('ground');
+      assert.strictEqual(result.status, 'missing');
+    });
+
+    it('should report unverified for snapshots without a manifest', async () => {
+      ssh.fileExists.withArgs(`${dir}/manifest.json`).resolves(false);
+      const result = await fm.checkFloorIntegrity('ground');
+      assert.strictEqual(result.status, 'unverified');
+    });
+
+    it('should report damaged for a truncated file', async () => {
+      ssh.fileSize.withArgs(`${dir}/last_map`).resolves(512);
+      const result = await fm.checkFloorIntegrity('ground');
+      assert.strictEqual(result.status, 'damaged');
+      assert.ok(result.problems[0].includes('size 512'));
+      assert.strictEqual(store.floor_config.floors[0].snapshotStatus, 'damaged');
+    });
+
+    it('should report damaged for a checksum mismatch', async () => {
+      ssh.checksum.resolves({ algorithm: 'sha256', hash: 'def456' });
+      const result = await fm.checkFloorIntegrity('ground');
+      assert.strictEqual(result.status, 'damaged');
+      assert.ok(result.problems[0].includes('checksum mismatch'));
+    });
+
+    it('should report damaged for an unreadable manifest', async () => {
+      ssh.readFile.withArgs(`${dir}/manifest.json`).resolves('{"version":');
+      const result = await fm.checkFloorIntegrity('ground');
+      assert.strictEqual(result.status, 'damaged');
     });
   });
 
@@ -323,6 +561,16 @@ describe('FloorManager', () => {
       await fm.isFloorSaved('ground');
       sinon.assert.calledWith(ssh.fileExists, '/mnt/data/rockrobo/floors/ground/last_map');
     });
+
+    it('should return false for a damaged snapshot', async () => {
+      ssh.readFile.withArgs('/mnt/data/rockrobo/floors/ground/manifest.json').resolves(JSON.stringify({
+        version: 1,
+        files: [{
+          name: 'last_map', size: 4096, algorithm: 'sha256', hash: 'abc123',
+        }],
+      }));
+      assert.strictEqual(await fm.isFloorSaved('ground'), false);
+    });
   });
 
   describe('switchFloor', () => {
@@ -354,7 +602,7 @@ describe('FloorManager', () => {
       ssh.fileExists.resolves(false);
       await assert.rejects(
         () => fm.switchFloor('upstairs'),
-        (err) => err.message.includes('No saved map found')
+        (err) => err.message.includes('No saved map')
       );
     });
 
@@ -382,7 +630,7 @@ describe('FloorManager', () => {
       sinon.assert.called(ssh.readFile);
       sinon.assert.called(ssh.writeFile);
       const writtenCfg = ssh.writeFile.getCalls().find((c) => c.args[0].includes('RoboController'));
-      assert.ok(writtenCfg.args[1].includes('need_recover_map=0'));
+      assert.ok(writtenCfg.args[1].includes('need_recover_map = 0'));
 
       // Should have rebooted
       sinon.assert.called(ssh.reboot);
@@ -406,5 +654,623 @@ describe('FloorManager', () => {
       await fm.switchFloor('upstairs');
       sinon.assert.calledWith(api.basicControl, 'stop');
     });
+
+    it('should stage current map files before removing them', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+
+      await fm.switchFloor('upstairs');
+
+      const copyCalls = ssh.copyFile.getCalls().map((c) => c.args);
+      const stageIndex = copyCalls.findIndex(([, dst]) => dst === '/mnt/data/rockrobo/.floor_rollback/last_map');
+      assert.ok(stageIndex >= 0);
+      const removeOrder = ssh.removeFile.firstCall;
+      assert.ok(ssh.copyFile.getCall(stageIndex).calledBefore(removeOrder));
+    });
+
+    it('should record a successful result and clear the rollback directory', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+
+      await fm.switchFloor('upstairs');
+
+      const result = fm.getLastSwitchResult();
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.floorId, 'upstairs');
+      assert.strictEqual(result.previousFloorId, 'ground');
+      assert.strictEqual(result.failedStep, null);
+      sinon.assert.calledWith(ssh.exec, 'rm -rf "/mnt/data/rockrobo/.floor_rollback"');
+    });
+
+    it('should refuse to switch to a floor with a damaged snapshot', async () => {
+      ssh.readFile.withArgs('/mnt/data/rockrobo/floors/upstairs/manifest.json').resolves(JSON.stringify({
+        version: 1,
+        files: [{
+          name: 'last_map', size: 1024, algorithm: 'sha256', hash: 'other',
+        }],
+      }));
+
+      await assert.rejects(
+        () => fm.switchFloor('upstairs'),
+        (err) => {
+          assert.ok(err.message.includes('damaged'));
+          assert.strictEqual(err.result.failedStep, 'check');
+          return true;
+        },
+      );
+      sinon.assert.notCalled(ssh.removeFile);
+      assert.strictEqual(store.floor_config.activeFloor, 'ground');
+    });
+
+    it('should not copy the manifest into the active map directory', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+      ssh.exec.withArgs('ls -1 "/mnt/data/rockrobo/floors/upstairs" 2>/dev/null || true')
+        .resolves('last_map\nmanifest.json\n');
+
+      await fm.switchFloor('upstairs');
+      sinon.assert.neverCalledWith(ssh.copyFile, '/mnt/data/rockrobo/floors/upstairs/manifest.json');
+    });
+
+    it('should not roll back when failing before any file is touched', async () => {
+      ssh.fileExists.resolves(false);
+
+      await assert.rejects(
+        () => fm.switchFloor('upstairs'),
+        (err) => {
+          assert.ok(err instanceof FloorSwitchError);
+          assert.strictEqual(err.result.failedStep, 'check');
+          assert.strictEqual(err.result.rolledBack, false);
+          return true;
+        },
+      );
+      sinon.assert.notCalled(ssh.removeFile);
+      sinon.assert.notCalled(ssh.reboot);
+    });
+
+    it('should roll back without rebooting when a restore copy fails', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+      ssh.exec.withArgs('ls -1 "/mnt/data/rockrobo/floors/upstairs" 2>/dev/null || true')
+        .resolves('last_map\nChargerPos.data\n');
+      ssh.copyFile.withArgs('/mnt/data/rockrobo/floors/upstairs/ChargerPos.data').rejects(new Error('No space left'));
+
+      await assert.rejects(
+        () => fm.switchFloor('upstairs'),
+        (err) => {
+          assert.strictEqual(err.result.failedStep, 'restore');
+          assert.strictEqual(err.result.error, 'No space left');
+          assert.strictEqual(err.result.rolledBack, true);
+          return true;
+        },
+      );
+
+      sinon.assert.calledWith(
+        ssh.copyFile,
+        '/mnt/data/rockrobo/.floor_rollback/last_map',
+        '/mnt/data/rockrobo/last_map',
+      );
+      sinon.assert.notCalled(ssh.reboot);
+      assert.strictEqual(store.floor_config.activeFloor, 'ground');
+    });
+
+    it('should fail verification when a restored file differs from the snapshot', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+      ssh.exec.withArgs('ls -1 "/mnt/data/rockrobo/floors/upstairs" 2>/dev/null || true')
+        .resolves('last_map\n');
+      ssh.exec.withArgs('cmp -s "/mnt/data/rockrobo/floors/upstairs/last_map" "/mnt/data/rockrobo/last_map"')
+        .rejects(new Error('Command failed (exit 1): '));
+
+      await assert.rejects(
+        () => fm.switchFloor('upstairs'),
+        (err) => {
+          assert.strictEqual(err.result.failedStep, 'verify');
+          assert.ok(err.message.includes('last_map'));
+          assert.strictEqual(err.result.rolledBack, true);
+          return true;
+        },
+      );
+    });
+
+    it('should roll back and reboot again when the map does not load', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+      api.getMap.resolves({ layers: [] });
+      // Rollback reboot loads the previous map fine
+      let reboots = 0;
+      ssh.reboot.callsFake(async () => {
+        reboots++;
+        if (reboots === 2) api.getMap.resolves({ layers: [{ type: 'floor' }] });
+      });
+
+      await assert.rejects(
+        () => fm.switchFloor('upstairs'),
+        (err) => {
+          assert.strictEqual(err.result.failedStep, 'map-loaded');
+          assert.strictEqual(err.result.rolledBack, true);
+          return true;
+        },
+      );
+      sinon.assert.calledTwice(ssh.reboot);
+      assert.strictEqual(store.floor_config.activeFloor, 'ground');
+    });
+
+    it('should report a failed rollback', async () => {
+      sinon.stub(fm, '_sleep').resolves();
+      api.isReachable.resolves(false);
+
+      await assert.rejects(
+        () => fm.switchFloor('upstairs'),
+        (err) => {
+          assert.strictEqual(err.result.failedStep, 'waiting');
+          assert.strictEqual(err.result.rolledBack, false);
+          assert.ok(err.result.rollbackError.includes('did not come back online'));
+          return true;
+        },
+      );
+      assert.strictEqual(fm.getLastSwitchResult().rolledBack, false);
+    });
+
+    describe('operation progress', () => {
+      let operation;
+      let steps;
+
+      beforeEach(() => {
+        sinon.stub(fm, '_sleep').resolves();
+        operation = new FloorOperation({ type: 'switch', floorId: 'upstairs' });
+        steps = [];
+        operation.on('update', ({ step }) => { if (steps[steps.length - 1] !== step) steps.push(step); });
+      });
+
+      it('should report every step and succeed', async () => {
+        await fm.switchFloor('upstairs', { operation });
+
+        assert.deepStrictEqual(steps, [null, 'backup', 'check', 'stop', 'stage', 'restore', 'verify', 'patch', 'reboot', 'waiting', 'map-loaded']);
+        assert.strictEqual(operation.status, 'succeeded');
+        assert.strictEqual(operation.percent, 100);
+      });
+
+      it('should cancel before the live map is touched', async () => {
+        operation.on('update', ({ step }) => { if (step === 'stage') operation.cancel(); });
+
+        await assert.rejects(() => fm.switchFloor('upstairs', { operation }), OperationCancelledError);
+
+        assert.strictEqual(operation.status, 'cancelled');
+        sinon.assert.notCalled(ssh.removeFile);
+        sinon.assert.notCalled(ssh.reboot);
+        sinon.assert.calledWith(ssh.exec, 'rm -rf "/mnt/data/rockrobo/.floor_rollback"');
+        assert.strictEqual(store.floor_config.activeFloor, 'ground');
+        const result = fm.getLastSwitchResult();
+        assert.strictEqual(result.cancelled, true);
+        assert.strictEqual(result.success, false);
+      });
+
+      it('should refuse a cancel once the restore has started', async () => {
+        const answers = [];
+        operation.on('update', ({ step }) => { if (step === 'restore') answers.push(operation.cancel()); });
+
+        await fm.switchFloor('upstairs', { operation });
+
+        assert.deepStrictEqual(answers, [false]);
+        assert.strictEqual(operation.status, 'succeeded');
+        assert.strictEqual(store.floor_config.activeFloor, 'upstairs');
+      });
+    });
+  });
+
+  describe('floor history', () => {
+    const floorDir = '/mnt/data/rockrobo/floors/ground';
+    const historyDir = '/mnt/data/rockrobo/.floor_history/ground';
+    const cmpLive = `cmp -s "/mnt/data/rockrobo/last_map" "${floorDir}/last_map"`;
+    const lsHistory = `ls -1 "${historyDir}" 2>/dev/null || true`;
+
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [{
+          id: 'ground',
+          name: 'Ground Floor',
+          savedAt: '2026-10-01T08:00:00.000Z',
+          size: 2048,
+          segmentCount: 5,
+        }],
+        activeFloor: null,
+      };
+    });
+
+    describe('saveCurrentFloor', () => {
+      it('should archive the previous snapshot when it differs from the live map', async () => {
+        ssh.exec.withArgs(cmpLive).rejects(new Error('Command failed (exit 1): '));
+
+        await fm.saveCurrentFloor('ground');
+
+        const archive = ssh.exec.getCalls().find((c) => c.args[0].includes('cp -r'));
+        assert.ok(archive);
+        assert.ok(archive.args[0].startsWith(`mkdir -p "${historyDir}" && cp -r "${floorDir}" "${historyDir}/`));
+        const floor = store.floor_config.floors[0];
+        assert.strictEqual(floor.versions.length, 1);
+        assert.strictEqual(floor.versions[0].savedAt, '2026-10-01T08:00:00.000Z');
+        assert.strictEqual(floor.versions[0].size, 2048);
+        assert.strictEqual(floor.versions[0].segmentCount, 5);
+      });
+
+      it('should not archive when the snapshot already holds the live map', async () => {
+        await fm.saveCurrentFloor('ground');
+
+        assert.ok(!ssh.exec.getCalls().some((c) => c.args[0].includes('cp -r')));
+        assert.strictEqual(store.floor_config.floors[0].versions, undefined);
+      });
+
+      it('should reject a retention of less than one version', () => {
+        [0, -1, 2.5, NaN, '3'].forEach((versions) => {
+          assert.throws(() => fm.setHistoryRetention(versions), /at least 1 version/);
+        });
+        fm.setHistoryRetention(1);
+      });
+
+      it('should record size, date and segment count of the new snapshot', async () => {
+        ssh.exec.withArgs(`ls -1 "${floorDir}" 2>/dev/null || true`).resolves('last_map\nrobot.db\n');
+
+        await fm.saveCurrentFloor('ground');
+
+        const floor = store.floor_config.floors[0];
+        assert.strictEqual(floor.size, 2048);
+        assert.strictEqual(floor.segmentCount, 2);
+        assert.notStrictEqual(floor.savedAt, '2026-10-01T08:00:00.000Z');
+      });
+
+      it('should still save when archiving fails', async () => {
+        ssh.exec.withArgs(cmpLive).rejects(new Error('Command failed (exit 1): '));
+        ssh.exec.withArgs(sinon.match(/cp -r/)).rejects(new Error('No space left on device'));
+
+        await fm.saveCurrentFloor('ground');
+        assert.strictEqual(store.floor_config.activeFloor, 'ground');
+      });
+
+      it('should prune versions beyond the retention limit', async () => {
+        fm.setHistoryRetention(2);
+        ssh.exec.withArgs(cmpLive).rejects(new Error('Command failed (exit 1): '));
+        ssh.exec.withArgs(lsHistory).resolves('20261001T080000000Z\n20261002T080000000Z\n20261003T080000000Z\n');
+
+        await fm.saveCurrentFloor('ground');
+
+        sinon.assert.calledWith(ssh.exec, `rm -rf "${historyDir}/20261001T080000000Z"`);
+        sinon.assert.neverCalledWith(ssh.exec, `rm -rf "${historyDir}/20261003T080000000Z"`);
+      });
+    });
+
+    describe('restoreFloorVersion of the active floor', () => {
+      it('should archive the live map once', async () => {
+        const versionId = '20261002T080000000Z';
+        store.floor_config.floors[0].versions = [{
+          id: versionId, savedAt: '2026-09-01T08:00:00.000Z', archivedAt: '2026-10-02T08:00:00.000Z', size: 4096, segmentCount: 7,
+        }];
+        store.floor_config.activeFloor = 'ground';
+        ssh.exec.withArgs(lsHistory).resolves(`${versionId}\n`);
+        ssh.exec.withArgs(cmpLive).rejects(new Error('Command failed (exit 1): '));
+        sinon.stub(fm, '_sleep').resolves();
+
+        const result = await fm.restoreFloorVersion('ground', versionId);
+
+        const archives = ssh.exec.getCalls().filter((c) => c.args[0].startsWith(`mkdir -p "${historyDir}" && cp -r`));
+        assert.strictEqual(archives.length, 1);
+        assert.strictEqual(store.floor_config.floors[0].versions[0].id, result.previousVersionId);
+      });
+    });
+
+    describe('listFloorVersions', () => {
+      it('should list versions newest first with stored details', async () => {
+        store.floor_config.floors[0].versions = [{
+          id: '20261002T080000000Z', savedAt: '2026-10-01T08:00:00.000Z', archivedAt: '2026-10-02T08:00:00.000Z', size: 2048, segmentCount: 5,
+        }];
+        ssh.exec.withArgs(lsHistory).resolves('20261001T080000000Z\n20261002T080000000Z\n');
+
+        const versions = await fm.listFloorVersions('ground');
+        assert.deepStrictEqual(versions.map((v) => v.id), ['20261002T080000000Z', '20261001T080000000Z']);
+        assert.strictEqual(versions[0].segmentCount, 5);
+        assert.strictEqual(versions[1].size, null);
+      });
+
+      it('should throw for an unknown floor', async () => {
+        await assert.rejects(() => fm.listFloorVersions('attic'), /not found/);
+      });
+    });
+
+    describe('restoreFloorVersion', () => {
+      const versionId = '20261002T080000000Z';
+
+      beforeEach(() => {
+        store.floor_config.floors[0].versions = [{
+          id: versionId, savedAt: '2026-09-01T08:00:00.000Z', archivedAt: '2026-10-02T08:00:00.000Z', size: 4096, segmentCount: 7,
+        }];
+        ssh.exec.withArgs(lsHistory).resolves(`${versionId}\n`);
+      });
+
+      it('should swap in the version and archive the replaced snapshot', async () => {
+        const result = await fm.restoreFloorVersion('ground', versionId);
+
+        sinon.assert.calledWith(ssh.exec, `rm -rf "/mnt/data/rockrobo/floors/.ground.restore" && cp -r "${historyDir}/${versionId}" "/mnt/data/rockrobo/floors/.ground.restore"`);
+        sinon.assert.calledWith(ssh.exec, `rm -rf "${floorDir}" && mv "/mnt/data/rockrobo/floors/.ground.restore" "${floorDir}"`);
+        assert.strictEqual(result.versionId, versionId);
+        assert.ok(result.previousVersionId);
+        assert.strictEqual(result.reloaded, false);
+
+        const floor = store.floor_config.floors[0];
+        assert.strictEqual(floor.segmentCount, 7);
+        assert.strictEqual(floor.size, 4096);
+        assert.strictEqual(floor.versions[0].id, result.previousVersionId);
+        assert.strictEqual(floor.versions[0].segmentCount, 5);
+        sinon.assert.notCalled(ssh.reboot);
+      });
+
+      it('should resolve "previous" to the newest version', async () => {
+        const result = await fm.restoreFloorVersion('ground', 'previous');
+        assert.strictEqual(result.versionId, versionId);
+      });
+
+      it('should reject unknown versions', async () => {
+        await assert.rejects(() => fm.restoreFloorVersion('ground', '20200101T000000000Z'), /not found/);
+      });
+
+      it('should refuse a damaged version', async () => {
+        ssh.readFile.withArgs(`${historyDir}/${versionId}/manifest.json`).resolves(JSON.stringify({
+          version: 1,
+          files: [{
+            name: 'last_map', size: 1, algorithm: 'sha256', hash: 'abc123',
+          }],
+        }));
+
+        await assert.rejects(() => fm.restoreFloorVersion('ground', versionId), /damaged/);
+        sinon.assert.neverCalledWith(ssh.exec, sinon.match(/^rm -rf "\/mnt\/data\/rockrobo\/floors\/ground" && mv/));
+      });
+
+      it('should reload the robot when restoring the active floor', async () => {
+        store.floor_config.activeFloor = 'ground';
+        sinon.stub(fm, '_sleep').resolves();
+
+        const result = await fm.restoreFloorVersion('ground', versionId);
+
+        assert.strictEqual(result.reloaded, true);
+        sinon.assert.calledOnce(ssh.reboot);
+        assert.strictEqual(fm.getLastSwitchResult().success, true);
+        assert.strictEqual(store.floor_config.activeFloor, 'ground');
+      });
+
+      it('should report the reload to the given operation', async () => {
+        store.floor_config.activeFloor = 'ground';
+        sinon.stub(fm, '_sleep').resolves();
+        const operation = new FloorOperation({ type: 'restore', floorId: 'ground' });
+
+        await fm.restoreFloorVersion('ground', versionId, { operation });
+
+        assert.strictEqual(operation.status, 'succeeded');
+        assert.ok(operation.steps.includes('reboot'));
+      });
+
+      it('should refuse a restore during a floor switch', async () => {
+        fm._lastSwitchResult = { finishedAt: null };
+
+        await assert.rejects(() => fm.restoreFloorVersion('ground', versionId), /during a floor switch/);
+        sinon.assert.notCalled(ssh.exec);
+      });
+    });
+  });
+
+  describe('floor export / import', () => {
+    const mapData = Buffer.from([1, 2, 3, 4]);
+    const dbData = Buffer.from('bakmaps');
+    const archiveFiles = [
+      { name: 'last_map', data: mapData },
+      { name: 'robot.db', data: dbData },
+    ];
+
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [
+          { id: 'ground', name: 'Ground Floor', hasDock: true },
+          {
+            id: 'upstairs', name: 'Upstairs', hasDock: false, segmentCount: 4,
+          },
+        ],
+        activeFloor: 'ground',
+      };
+    });
+
+    describe('exportFloor', () => {
+      const dir = '/mnt/data/rockrobo/floors/upstairs';
+
+      beforeEach(() => {
+        ssh.exec.withArgs(`ls -1 "${dir}" 2>/dev/null || true`).resolves('last_map\nrobot.db\nmanifest.json\n');
+        ssh.readBinaryFile.withArgs(`${dir}/last_map`).resolves(mapData);
+        ssh.readBinaryFile.withArgs(`${dir}/robot.db`).resolves(dbData);
+        // Robot-side manifest in md5, as written by firmware without sha256sum
+        const robotManifest = {
+          version: 1,
+          files: archiveFiles.map(({ name, data }) => ({
+            name, size: data.length, algorithm: 'md5', hash: FloorArchive.hash('md5', data),
+          })),
+        };
+        ssh.readFile.withArgs(`${dir}/manifest.json`).resolves(JSON.stringify(robotManifest));
+        ssh.fileSize.callsFake(async (path) => (path.endsWith('last_map') ? mapData.length : dbData.length));
+        ssh.checksum.callsFake(async (path) => ({
+          algorithm: 'md5', hash: FloorArchive.hash('md5', path.endsWith('last_map') ? mapData : dbData),
+        }));
+      });
+
+      it('should read every snapshot file except the manifest', async () => {
+        const exported = await fm.exportFloor('upstairs');
+
+        assert.deepStrictEqual(exported.files, archiveFiles);
+        assert.deepStrictEqual(exported.floor, {
+          id: 'upstairs', name: 'Upstairs', hasDock: false, savedAt: null, segmentCount: 4,
+        });
+        assert.strictEqual(exported.manifest.files[0].algorithm, 'sha256');
+        sinon.assert.neverCalledWith(ssh.readBinaryFile, `${dir}/manifest.json`);
+      });
+
+      it('should fail when the transferred data does not match the robot manifest', async () => {
+        ssh.readBinaryFile.withArgs(`${dir}/last_map`).resolves(Buffer.from([1, 2, 3, 5]));
+        await assert.rejects(() => fm.exportFloor('upstairs'), /failed verification: last_map checksum mismatch/);
+      });
+
+      it('should refuse to export a damaged snapshot', async () => {
+        ssh.fileSize.resolves(1);
+        await assert.rejects(() => fm.exportFloor('upstairs'), /damaged/);
+        sinon.assert.notCalled(ssh.readBinaryFile);
+      });
+
+      it('should save the active floor before exporting it', async () => {
+        const saveStub = sinon.stub(fm, 'saveCurrentFloor').resolves();
+        sinon.stub(fm, 'checkFloorIntegrity').resolves({ status: 'unverified', problems: [] });
+        await fm.exportFloor('ground');
+        sinon.assert.calledWith(saveStub, 'ground');
+      });
+    });
+
+    describe('importFloor', () => {
+      const archive = {
+        createdAt: '2026-10-01T08:00:00.000Z',
+        floor: {
+          id: 'attic', name: 'Attic', hasDock: false, savedAt: '2026-09-30T08:00:00.000Z', segmentCount: 3,
+        },
+        robot: { model: 'S5' },
+        manifest: FloorArchive.buildManifest(archiveFiles),
+        files: archiveFiles,
+      };
+      let written;
+
+      beforeEach(() => {
+        written = {};
+        ssh.writeBinaryFile.callsFake(async (path, data) => { written[path] = data; });
+        ssh.checksum.callsFake(async (path) => ({
+          algorithm: 'sha256', hash: FloorArchive.hash('sha256', written[path] || Buffer.alloc(0)),
+        }));
+      });
+
+      it('should stage, verify and register a new floor', async () => {
+        const result = await fm.importFloor(archive);
+
+        assert.deepStrictEqual(result, { id: 'attic', name: 'Attic' });
+        assert.deepStrictEqual(Object.keys(written), [
+          '/mnt/data/rockrobo/floors/.attic.import/last_map',
+          '/mnt/data/rockrobo/floors/.attic.import/robot.db',
+        ]);
+        sinon.assert.calledWith(ssh.writeFile, '/mnt/data/rockrobo/floors/.attic.import/manifest.json');
+        sinon.assert.calledWith(ssh.exec, 'rm -rf "/mnt/data/rockrobo/floors/attic" && mv "/mnt/data/rockrobo/floors/.attic.import" "/mnt/data/rockrobo/floors/attic"');
+
+        const floor = store.floor_config.floors.find((f) => f.id === 'attic');
+        assert.strictEqual(floor.hasDock, false);
+        assert.strictEqual(floor.snapshotStatus, 'ok');
+        assert.strictEqual(floor.segmentCount, 3);
+        assert.strictEqual(floor.size, mapData.length + dbData.length);
+        assert.strictEqual(store.floor_config.activeFloor, 'ground');
+      });
+
+      it('should import under a different name', async () => {
+        const result = await fm.importFloor(archive, { name: 'Loft Room' });
+        assert.strictEqual(result.id, 'loft_room');
+        assert.ok(store.floor_config.floors.some((f) => f.name === 'Loft Room'));
+      });
+
+      it('should refuse to overwrite an existing floor unless replacing', async () => {
+        await assert.rejects(() => fm.importFloor(archive, { name: 'Upstairs' }), /already exists/);
+        sinon.assert.notCalled(ssh.writeBinaryFile);
+      });
+
+      it('should archive the existing snapshot when replacing a floor', async () => {
+        await fm.importFloor(archive, { name: 'Upstairs', replace: true });
+
+        const archiveCall = ssh.exec.getCalls().find((c) => c.args[0].includes('cp -r "/mnt/data/rockrobo/floors/upstairs"'));
+        assert.ok(archiveCall);
+        const floor = store.floor_config.floors.find((f) => f.id === 'upstairs');
+        assert.strictEqual(floor.name, 'Upstairs');
+        assert.strictEqual(floor.versions.length, 1);
+        assert.strictEqual(floor.segmentCount, 3);
+      });
+
+      it('should refuse to replace the active floor', async () => {
+        await assert.rejects(
+          () => fm.importFloor(archive, { name: 'Ground', replace: true }),
+          /active floor/,
+        );
+      });
+
+      it('should clean up and leave the store untouched when a file does not verify', async () => {
+        ssh.checksum.resolves({ algorithm: 'sha256', hash: 'corrupt' });
+
+        await assert.rejects(() => fm.importFloor(archive), /does not match the archive/);
+        sinon.assert.calledWith(ssh.exec, 'rm -rf "/mnt/data/rockrobo/floors/.attic.import"');
+        assert.ok(!store.floor_config.floors.some((f) => f.id === 'attic'));
+      });
+    });
+  });
+
+  describe('storage profiles', () => {
+    beforeEach(() => {
+      store.floor_config = {
+        floors: [
+          { id: 'ground', name: 'Ground Floor' },
+          { id: 'upstairs', name: 'Upstairs' },
+        ],
+        activeFloor: 'ground',
+      };
+      sinon.stub(fm, '_sleep').resolves();
+    });
+
+    it('should default to the Roborock layout', () => {
+      assert.strictEqual(fm.getStorageProfile().id, 'roborock');
+    });
+
+    it('should check free space on the data partition of the profile', async () => {
+      ssh.diskSpace = sinon.stub().resolves({ totalKb: 1000, freeKb: 400 });
+      assert.deepStrictEqual(await fm.getStorageSpace(), { totalKb: 1000, freeKb: 400 });
+      sinon.assert.calledWith(ssh.diskSpace, '/mnt/data/rockrobo');
+
+      fm.setStorageProfile(MapStorageProfile.get('dreame'));
+      await fm.getStorageSpace();
+      sinon.assert.calledWith(ssh.diskSpace, '/data/map');
+    });
+
+    it('should refuse to change profile during a floor switch', () => {
+      fm._lastSwitchResult = { finishedAt: null };
+      assert.throws(() => fm.setStorageProfile(MapStorageProfile.get('dreame')), /during a floor switch/);
+    });
+
+    describe('Dreame', () => {
+      beforeEach(() => {
+        fm.setStorageProfile(MapStorageProfile.get('dreame'));
+        ssh.exec.withArgs(sinon.match(/^cd "\/data\/map"/)).resolves('map_0.bin\nmap_info.json\n');
+        ssh.exec.withArgs('ls -1 "/data/valetudo_floors/floors/ground" 2>/dev/null || true')
+          .resolves('map_0.bin\nmap_info.json\nmanifest.json\n');
+        ssh.exec.withArgs('ls -1 "/data/valetudo_floors/floors/upstairs" 2>/dev/null || true')
+          .resolves('map_0.bin\nmap_info.json\nmanifest.json\n');
+      });
+
+      it('should save every file of the map directory', async () => {
+        await fm.saveCurrentFloor('ground');
+
+        sinon.assert.calledWith(ssh.copyFile, '/data/map/map_0.bin', '/data/valetudo_floors/floors/ground/map_0.bin');
+        sinon.assert.calledWith(ssh.copyFile, '/data/map/map_info.json', '/data/valetudo_floors/floors/ground/map_info.json');
+        assert.ok(!ssh.copyFile.getCalls().some((c) => c.args[0].includes('robot.db')));
+      });
+
+      it('should switch floors without patching a config', async () => {
+        await fm.switchFloor('upstairs');
+
+        sinon.assert.calledWith(ssh.copyFile, '/data/valetudo_floors/floors/upstairs/map_0.bin', '/data/map/map_0.bin');
+        sinon.assert.calledWith(ssh.exec, 'rm -rf "/data/valetudo_floors/.floor_rollback" && mkdir -p "/data/valetudo_floors/.floor_rollback"');
+        assert.ok(!ssh.writeFile.getCalls().some((c) => c.args[0].includes('RoboController')));
+        sinon.assert.calledWith(ssh.reboot, '/sbin/reboot');
+        assert.strictEqual(store.floor_config.activeFloor, 'upstairs');
+      });
+
+      it('should not look for Roborock firmware maps', async () => {
+        ssh.exec.withArgs('ls -1 "/data/valetudo_floors/floors" 2>/dev/null || true').resolves('');
+        const maps = await fm.discoverAdditionalMaps();
+
+        assert.deepStrictEqual(maps, []);
+        assert.ok(!ssh.exec.getCalls().some((c) => c.args[0].includes('user_map')));
+      });
+
+      it('should skip the config-based segmentation fallback', async () => {
+        api.getQuirks = sinon.stub().resolves([]);
+        await fm.triggerSegmentation();
+        sinon.assert.notCalled(ssh.reboot);
+      });
+    });
   });
 });
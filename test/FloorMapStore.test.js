@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FloorMapStore = require('../lib/FloorMapStore');
+
+describe('FloorMapStore', () => {
+  let dir;
+  let store;
+
+  const map = {
+    __class: 'ValetudoMap',
+    metaData: { version: 2 },
+    size: { x: 5120, y: 5120 },
+    pixelSize: 5,
+    layers: [
+      {
+        __class: 'MapLayer', type: 'wall', metaData: {}, pixels: [3, 1, 1, 1, 2, 1, 7, 2],
+      },
+      {
+        __class: 'MapLayer', type: 'segment', metaData: { segmentId: '1', name: 'Kitchen' }, pixels: [], compressedPixels: [10, 4, 6],
+      },
+    ],
+    entities: [
+      { __class: 'PointMapEntity', type: 'charger_location', points: [100, 200] },
+      { __class: 'PathMapEntity', type: 'path', points: [1, 2, 3, 4, 5, 6] },
+    ],
+  };
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'floor-maps-'));
+    store = new FloorMapStore({ dir: path.join(dir, 'maps'), log: () => {} });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('compressPixels', () => {
+    it('should run-length encode pixels row by row', () => {
+      assert.deepStrictEqual(FloorMapStore.compressPixels([3, 1, 1, 1, 2, 1, 7, 2]), [1, 1, 3, 7, 2, 1]);
+    });
+
+    it('should split a row at gaps', () => {
+      assert.deepStrictEqual(FloorMapStore.compressPixels([1, 0, 2, 0, 5, 0]), [1, 0, 2, 5, 0, 1]);
+    });
+  });
+
+  describe('compact', () => {
+    it('should compress layers and drop path entities', () => {
+      const compact = FloorMapStore.compact(map);
+      assert.deepStrictEqual(compact.layers[0].pixels, []);
+      assert.deepStrictEqual(compact.layers[0].compressedPixels, [1, 1, 3, 7, 2, 1]);
+      assert.deepStrictEqual(compact.layers[1].compressedPixels, [10, 4, 6]);
+      assert.strictEqual(compact.layers[1].metaData.name, 'Kitchen');
+      assert.deepStrictEqual(compact.entities.map((e) => e.type), ['charger_location']);
+      assert.strictEqual(compact.pixelSize, 5);
+    });
+  });
+
+  it('should return null for floors without a stored map', async () => {
+    assert.strictEqual(await store.load('ground'), null);
+    assert.strictEqual(store.has('ground'), false);
+  });
+
+  it('should save and load a compact map', async () => {
+    await store.save('ground', map);
+    assert.strictEqual(store.has('ground'), true);
+    assert.deepStrictEqual(await store.load('ground'), JSON.parse(JSON.stringify(FloorMapStore.compact(map))));
+  });
+
+  it('should survive a new store instance (app restart)', async () => {
+    await store.save('ground', map);
+    const restarted = new FloorMapStore({ dir: path.join(dir, 'maps'), log: () => {} });
+    assert.strictEqual((await restarted.load('ground')).layers.length, 2);
+  });
+
+  it('should ignore an unreadable map', async () => {
+    await fs.promises.mkdir(path.join(dir, 'maps'), { recursive: true });
+    await fs.promises.writeFile(path.join(dir, 'maps', 'ground.json.gz'), 'garbage');
+    assert.strictEqual(await store.load('ground'), null);
+  });
+
+  it('should remove a floor map and clear all of them', async () => {
+    await store.save('ground', map);
+    await store.save('upstairs', map);
+    await store.remove('ground');
+    assert.strictEqual(store.has('ground'), false);
+    assert.strictEqual(store.has('upstairs'), true);
+
+    await store.clear();
+    assert.strictEqual(store.has('upstairs'), false);
+  });
+
+  it('should reject floor ids outside the map directory', async () => {
+    await assert.rejects(() => store.load('../secrets'), /Invalid floor id/);
+    assert.throws(() => store.has('.hidden'), /Invalid floor id/);
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert');
+const FloorOperation = require('../lib/FloorOperation');
+const OperationCancelledError = require('../lib/OperationCancelledError');
+
+describe('FloorOperation', () => {
+  let op;
+  let updates;
+
+  beforeEach(() => {
+    op = new FloorOperation({ type: 'switch', floorId: 'upstairs', floorName: 'Upstairs' });
+    updates = [];
+    op.on('update', (state) => updates.push(state));
+    op.plan(['backup', 'stop', 'restore', 'reboot'], { cancellableUntil: 'restore' });
+  });
+
+  it('should report step progress as a percentage', () => {
+    op.setStep('backup');
+    op.setStep('restore');
+    assert.strictEqual(op.percent, 50);
+    assert.deepStrictEqual(updates.map((u) => u.step), [null, 'backup', 'restore']);
+    assert.strictEqual(updates[0].id, op.id);
+  });
+
+  it('should finish at 100% on success', () => {
+    op.setStep('reboot');
+    op.succeed();
+    assert.strictEqual(op.status, 'succeeded');
+    assert.strictEqual(op.percent, 100);
+    assert.ok(op.finishedAt);
+    assert.strictEqual(op.finished, true);
+  });
+
+  it('should throw at the next step after a cancel', () => {
+    op.setStep('backup');
+    assert.strictEqual(op.cancel(), true);
+    assert.strictEqual(op.cancel(), true);
+    assert.strictEqual(updates.filter((u) => u.cancelRequested).length, 1);
+    assert.throws(() => op.setStep('stop'), OperationCancelledError);
+    assert.strictEqual(op.step, 'backup');
+  });
+
+  it('should refuse a cancel once the limit step is reached', () => {
+    op.setStep('restore');
+    assert.strictEqual(op.cancellable, false);
+    assert.strictEqual(op.cancel(), false);
+    op.setStep('reboot');
+  });
+
+  it('should record failures and cancellations', () => {
+    op.fail(new Error('SSH down'));
+    assert.strictEqual(op.status, 'failed');
+    assert.strictEqual(op.error, 'SSH down');
+    assert.strictEqual(op.cancellable, false);
+
+    const other = new FloorOperation({ type: 'switch', floorId: 'ground' });
+    other.fail(new OperationCancelledError());
+    assert.strictEqual(other.status, 'cancelled');
+    assert.strictEqual(other.error, null);
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const ManualDrive = require('../lib/ManualDrive');
+const CapabilityNotSupportedError = require('../lib/CapabilityNotSupportedError');
+
+describe('ManualDrive', () => {
+  let api;
+  let drive;
+  let supported;
+  let position;
+
+  beforeEach(() => {
+    supported = new Set(['ManualControlCapability']);
+    position = { x: 1000, y: 1000, angle: 0 };
+    api = {
+      loadCapabilities: sinon.stub().resolves(),
+      supports: (cap) => supported.has(cap),
+      assertSupported: (cap) => {
+        if (!supported.has(cap)) throw new CapabilityNotSupportedError(cap);
+      },
+      getManualControl: sinon.stub().resolves({ enabled: false }),
+      setManualControl: sinon.stub().resolves(),
+      manualMove: sinon.stub().resolves(),
+      getHighResolutionManualControl: sinon.stub().resolves({ enabled: false }),
+      setHighResolutionManualControl: sinon.stub().resolves(),
+      highResolutionManualMove: sinon.stub().resolves(),
+      getRobotPosition: sinon.stub().callsFake(async () => ({ ...position })),
+    };
+    drive = new ManualDrive({ api, log: () => {}, stepDelayMs: 0 });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send movement commands with the basic capability', async () => {
+    await drive.setEnabled(true);
+    await drive.move('rotate_clockwise');
+    sinon.assert.calledWith(api.setManualControl, true);
+    sinon.assert.calledWith(api.manualMove, 'rotate_clockwise');
+  });
+
+  it('should prefer the high-resolution capability and send vectors', async () => {
+    supported.add('HighResolutionManualControlCapability');
+    await drive.setEnabled(true);
+    await drive.move('backward');
+    sinon.assert.calledWith(api.setHighResolutionManualControl, true);
+    sinon.assert.calledWith(api.highResolutionManualMove, -0.5, 0);
+    sinon.assert.notCalled(api.manualMove);
+  });
+
+  it('should refuse robots without manual control and unknown directions', async () => {
+    supported.clear();
+    await assert.rejects(drive.setEnabled(true), CapabilityNotSupportedError);
+    supported.add('ManualControlCapability');
+    await assert.rejects(drive.move('sideways'), /Unknown direction "sideways"/);
+  });
+
+  it('should step forward until the map shows the distance and leave manual control again', async () => {
+    api.manualMove.callsFake(async () => { position.y += 12; });
+    const result = await drive.moveBy(30);
+
+    assert.deepStrictEqual(result, {
+      direction: 'forward', target: 30, done: 36, reached: true,
+    });
+    sinon.assert.callCount(api.manualMove, 3);
+    sinon.assert.calledWith(api.setManualControl.firstCall, true);
+    sinon.assert.calledWith(api.setManualControl.lastCall, false);
+  });
+
+  it('should keep manual control on when it already was', async () => {
+    api.getManualControl.resolves({ enabled: true });
+    api.manualMove.callsFake(async () => { position.x -= 20; });
+    await drive.moveBy(-15);
+    sinon.assert.calledWith(api.manualMove, 'backward');
+    sinon.assert.notCalled(api.setManualControl);
+  });
+
+  it('should stop short when the robot makes no progress', async () => {
+    const result = await drive.moveBy(50);
+    assert.strictEqual(result.reached, false);
+    assert.strictEqual(result.done, 0);
+    sinon.assert.callCount(api.manualMove, 3);
+  });
+
+  it('should rotate by the heading change, across the 0/360 boundary', async () => {
+    position.angle = 350;
+    api.manualMove.callsFake(async () => { position.angle = (position.angle + 30) % 360; });
+    const result = await drive.rotateBy(-50);
+    assert.strictEqual(result.direction, 'rotate_counterclockwise');
+    assert.strictEqual(result.done, 60);
+    sinon.assert.callCount(api.manualMove, 2);
+  });
+
+  it('should fail when the robot is not on the map, still leaving manual control', async () => {
+    api.getRobotPosition.resolves(null);
+    await assert.rejects(drive.moveBy(10), /not on the map/);
+    sinon.assert.calledWith(api.setManualControl.lastCall, false);
+  });
+});
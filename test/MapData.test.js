@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('assert');
+const zlib = require('zlib');
+const MapData = require('../lib/MapData');
+
+describe('MapData', () => {
+  const map = {
+    pixelSize: 5,
+    layers: [
+      { type: 'floor', compressedPixels: [100, 200, 40] },
+      { type: 'segment', compressedPixels: [100, 200, 20, 100, 201, 20], metaData: { segmentId: 1, name: 'Kitchen' } },
+      { type: 'segment', pixels: [120, 200, 121, 200], metaData: { segmentId: '2' } },
+    ],
+    entities: [{ type: 'robot_position', points: [510, 1004], metaData: { angle: 270 } }],
+  };
+
+  // A PNG with just the chunks Valetudo's map-data-hass relies on; CRCs are
+  // not checked
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+  };
+  const png = (...chunks) => Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', Buffer.alloc(13)),
+    ...chunks,
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+
+  describe('decode', () => {
+    it('should parse plain JSON from a string or a Buffer', () => {
+      assert.deepStrictEqual(MapData.decode(JSON.stringify(map)), map);
+      assert.deepStrictEqual(MapData.decode(Buffer.from(JSON.stringify(map))), map);
+    });
+
+    it('should inflate the deflated map JSON', () => {
+      assert.deepStrictEqual(MapData.decode(zlib.deflateSync(JSON.stringify(map))), map);
+    });
+
+    it('should read the map from the zTXt chunk of a PNG', () => {
+      const text = Buffer.concat([Buffer.from('ValetudoMap\0\0', 'latin1'), zlib.deflateSync(JSON.stringify(map))]);
+      const other = Buffer.from('Software\0\0', 'latin1');
+      assert.deepStrictEqual(MapData.decode(png(chunk('zTXt', other), chunk('zTXt', text))), map);
+    });
+
+    it('should read the map from a tEXt chunk of a PNG', () => {
+      const text = Buffer.from(`ValetudoMap\0${JSON.stringify(map)}`, 'latin1');
+      assert.deepStrictEqual(MapData.decode(png(chunk('tEXt', text))), map);
+    });
+
+    it('should throw for a PNG without map data', () => {
+      assert.throws(() => MapData.decode(png()), /no Valetudo map data/);
+    });
+
+    it('should throw for payloads that are not a map', () => {
+      assert.throws(() => MapData.decode('not json'));
+    });
+  });
+
+  describe('robotPosition', () => {
+    it('should read the robot position entity', () => {
+      assert.deepStrictEqual(MapData.robotPosition(map), { x: 510, y: 1004, angle: 270 });
+    });
+
+    it('should return null without a robot position', () => {
+      assert.strictEqual(MapData.robotPosition({ entities: [] }), null);
+      assert.strictEqual(MapData.robotPosition({ layers: [] }), null);
+      assert.strictEqual(MapData.robotPosition(null), null);
+    });
+  });
+
+  describe('segmentAt', () => {
+    it('should find the segment covering a point in RLE or plain pixels', () => {
+      assert.deepStrictEqual(MapData.segmentAt(map, 510, 1004), { id: '1', name: 'Kitchen' });
+      assert.deepStrictEqual(MapData.segmentAt(map, 596, 1009), { id: '1', name: 'Kitchen' });
+      assert.deepStrictEqual(MapData.segmentAt(map, 603, 1001), { id: '2', name: 'Segment 2' });
+    });
+
+    it('should return null outside every segment', () => {
+      assert.strictEqual(MapData.segmentAt(map, 700, 1001), null);
+      assert.strictEqual(MapData.segmentAt(map, 510, 1010), null);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('assert');
+const MapStorageProfile = require('../lib/MapStorageProfile');
+
+describe('MapStorageProfile', () => {
+  describe('forRobot', () => {
+    it('should pick the Roborock layout for Roborock robots', () => {
+      const profile = MapStorageProfile.forRobot({ manufacturer: 'Roborock' });
+      assert.strictEqual(profile.id, 'roborock');
+      assert.strictEqual(profile.floorsDir, '/mnt/data/rockrobo/floors');
+      assert.strictEqual(profile.livePath('last_map'), '/mnt/data/rockrobo/last_map');
+    });
+
+    it('should pick the Dreame layout for Dreame and MOVA robots', () => {
+      assert.strictEqual(MapStorageProfile.forRobot({ manufacturer: 'Dreame' }).id, 'dreame');
+      assert.strictEqual(MapStorageProfile.forRobot({ manufacturer: 'MOVA' }).id, 'dreame');
+      assert.strictEqual(MapStorageProfile.forRobot({ manufacturer: 'Dreame' }).historyDir, '/data/valetudo_floors/.floor_history');
+    });
+
+    it('should fall back to the Roborock layout for unknown robots', () => {
+      assert.strictEqual(MapStorageProfile.forRobot({ manufacturer: 'Unknown' }).id, 'roborock');
+      assert.strictEqual(MapStorageProfile.forRobot().id, 'roborock');
+      assert.strictEqual(MapStorageProfile.isSupported('Viomi'), false);
+      assert.strictEqual(MapStorageProfile.isSupported('Dreame'), true);
+    });
+  });
+
+  it('should reject unknown profile ids', () => {
+    assert.throws(() => MapStorageProfile.get('nope'), /Unknown map storage profile/);
+  });
+
+  it('should apply config patches', () => {
+    const profile = MapStorageProfile.get('roborock');
+    const cfg = 'need_recover_map=1\nready_for_segment_map = 0\n';
+    assert.strictEqual(profile.patchConfig(cfg, 'restore'), 'need_recover_map = 0\nready_for_segment_map = 0\n');
+    assert.strictEqual(profile.patchConfig(cfg, 'segmentation'), 'need_recover_map=1\nready_for_segment_map = 1\n');
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const ObstacleTracker = require('../lib/ObstacleTracker');
+
+describe('ObstacleTracker', () => {
+  let store;
+  let device;
+  let tracker;
+
+  // Kitchen covers pixels x 100-119 on rows 200-201, Hall x 120-139 on row 200
+  const map = (obstacles) => ({
+    pixelSize: 5,
+    layers: [
+      { type: 'floor', compressedPixels: [100, 200, 40] },
+      { type: 'segment', compressedPixels: [100, 200, 20, 100, 201, 20], metaData: { segmentId: '1', name: 'Kitchen' } },
+      { type: 'segment', pixels: [120, 200, 121, 200], metaData: { segmentId: '2' } },
+    ],
+    entities: [
+      { type: 'robot_position', points: [510, 1000], metaData: { angle: 0 } },
+      ...obstacles.map(([id, label, x, y]) => ({ type: 'obstacle', points: [x, y], metaData: { id, label } })),
+    ],
+  });
+
+  beforeEach(() => {
+    store = {};
+    device = {
+      getStoreValue: (key) => store[key],
+      setStoreValue: sinon.stub().callsFake(async (key, value) => { store[key] = value; }),
+    };
+    tracker = new ObstacleTracker({ device, log: () => {} });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parse', () => {
+    it('should read type, confidence, image id and segment of each obstacle', () => {
+      const obstacles = ObstacleTracker.parse(map([
+        ['img1', 'Sock (87%)', 512, 1004],
+        ['img2', 'Cable', 603, 1001],
+      ]));
+      assert.deepStrictEqual(obstacles, [
+        {
+          id: 'img1', type: 'Sock', confidence: 0.87, x: 512, y: 1004, imageId: 'img1', segmentId: '1', segmentName: 'Kitchen',
+        },
+        {
+          id: 'img2', type: 'Cable', confidence: null, x: 603, y: 1001, imageId: 'img2', segmentId: '2', segmentName: 'Segment 2',
+        },
+      ]);
+    });
+
+    it('should key obstacles without an id by type and position', () => {
+      const [obstacle] = ObstacleTracker.parse({ entities: [{ type: 'obstacle', points: [10, 20], metaData: { label: 'Pet waste' } }] });
+      assert.strictEqual(obstacle.id, 'Pet waste@10,20');
+      assert.strictEqual(obstacle.imageId, null);
+      assert.strictEqual(obstacle.segmentId, null);
+    });
+
+    it('should return nothing for maps without entities', () => {
+      assert.deepStrictEqual(ObstacleTracker.parse({ layers: [] }), []);
+      assert.deepStrictEqual(ObstacleTracker.parse(null), []);
+    });
+  });
+
+  describe('update', () => {
+    it('should report each obstacle once while it stays on the map', async () => {
+      const first = await tracker.update(map([['a', 'Sock', 512, 1004]]));
+      assert.deepStrictEqual(first.map((o) => o.id), ['a']);
+
+      const second = await tracker.update(map([['a', 'Sock', 512, 1004], ['b', 'Cable', 603, 1001]]));
+      assert.deepStrictEqual(second.map((o) => o.id), ['b']);
+      assert.deepStrictEqual(store.seen_obstacles, ['a', 'b']);
+    });
+
+    it('should forget obstacles that left the map', async () => {
+      await tracker.update(map([['a', 'Sock', 512, 1004]]));
+      await tracker.update(map([]));
+      assert.deepStrictEqual(store.seen_obstacles, []);
+
+      const again = await tracker.update(map([['a', 'Sock', 512, 1004]]));
+      assert.deepStrictEqual(again.map((o) => o.id), ['a']);
+    });
+
+    it('should not report obstacles seen before a restart', async () => {
+      store.seen_obstacles = ['a'];
+      const fresh = await tracker.update(map([['a', 'Sock', 512, 1004]]));
+      assert.deepStrictEqual(fresh, []);
+      sinon.assert.notCalled(device.setStoreValue);
+    });
+
+    it('should report an obstacle once when maps arrive concurrently', async () => {
+      const results = await Promise.all([
+        tracker.update(map([['a', 'Sock', 512, 1004]])),
+        tracker.update(map([['a', 'Sock', 512, 1004]])),
+      ]);
+      assert.strictEqual(results[0].length + results[1].length, 1);
+    });
+
+    it('should ignore maps without entities', async () => {
+      store.seen_obstacles = ['a'];
+      assert.deepStrictEqual(await tracker.update({ layers: [] }), []);
+      assert.deepStrictEqual(store.seen_obstacles, ['a']);
+    });
+  });
+});
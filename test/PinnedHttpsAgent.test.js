@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+const PinnedHttpsAgent = require('../lib/PinnedHttpsAgent');
+
+describe('PinnedHttpsAgent', () => {
+  const pinned = `${'AB:'.repeat(31)}AB`;
+  let socket;
+
+  beforeEach(() => {
+    socket = new EventEmitter();
+    socket.destroy = sinon.spy();
+    sinon.stub(tls, 'connect').returns(socket);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should normalize and validate fingerprints', () => {
+    assert.strictEqual(PinnedHttpsAgent.normalize('ab:cd ef'), 'ABCDEF');
+    assert.strictEqual(PinnedHttpsAgent.isValid(pinned.toLowerCase()), true);
+    assert.strictEqual(PinnedHttpsAgent.isValid('AB:CD'), false);
+  });
+
+  it('should hand out the socket only when the certificate matches', () => {
+    const agent = new PinnedHttpsAgent({ fingerprint: pinned.toLowerCase() });
+    const callback = sinon.spy();
+    agent.createConnection({ host: 'robot.lan', port: 443 }, callback);
+    assert.strictEqual(tls.connect.firstCall.args[0].rejectUnauthorized, false);
+    sinon.assert.notCalled(callback);
+
+    socket.getPeerCertificate = () => ({ fingerprint256: pinned });
+    socket.emit('secureConnect');
+    sinon.assert.calledOnceWithExactly(callback, null, socket);
+  });
+
+  it('should refuse another certificate', () => {
+    const agent = new PinnedHttpsAgent({ fingerprint: pinned });
+    const callback = sinon.spy();
+    agent.createConnection({ host: 'robot.lan', port: 443 }, callback);
+
+    socket.getPeerCertificate = () => ({ fingerprint256: `${'CD:'.repeat(31)}CD` });
+    socket.emit('secureConnect');
+    sinon.assert.calledOnce(socket.destroy);
+    assert.strictEqual(callback.firstCall.args[0].code, 'ERR_CERT_FINGERPRINT_MISMATCH');
+  });
+
+  it('should pass connection errors on', () => {
+    const agent = new PinnedHttpsAgent({ fingerprint: pinned });
+    const callback = sinon.spy();
+    agent.createConnection({ host: 'robot.lan', port: 443 }, callback);
+    socket.emit('error', new Error('ECONNREFUSED'));
+    sinon.assert.calledOnce(callback);
+    assert.strictEqual(callback.firstCall.args[0].message, 'ECONNREFUSED');
+  });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const RobotCommander = require('../lib/RobotCommander');
+const CapabilityNotSupportedError = require('../lib/CapabilityNotSupportedError');
+const CommandNotConfirmedError = require('../lib/CommandNotConfirmedError');
+
+const notSent = (message) => Object.assign(new Error(message), { code: 'ERR_MQTT_NOT_SENT' });
+
+describe('RobotCommander', () => {
+  let mqtt;
+  let events;
+  let api;
+  let commander;
+
+  beforeEach(() => {
+    mqtt = new EventEmitter();
+    mqtt.connected = true;
+    mqtt.supports = () => true;
+    mqtt.basicControl = sinon.stub().resolves();
+    mqtt.setFanSpeed = sinon.stub().resolves();
+    mqtt.locate = sinon.stub().resolves();
+    mqtt.cleanSegments = sinon.stub().resolves();
+
+    events = new EventEmitter();
+    events.connected = false;
+
+    api = {
+      events,
+      assertSupported: sinon.stub(),
+      basicControl: sinon.stub().resolves(),
+      setFanSpeed: sinon.stub().resolves(),
+      locateRobot: sinon.stub().resolves(),
+      cleanSegments: sinon.stub().resolves(),
+      cleanZones: sinon.stub().resolves(),
+      goToLocation: sinon.stub().resolves(),
+      triggerAutoEmpty: sinon.stub().resolves(),
+      setDoNotDisturb: sinon.stub().resolves(),
+      setToggle: sinon.stub().resolves(),
+    };
+
+    commander = new RobotCommander({
+      api, mqtt, log: () => {}, sendTimeoutMs: 50, echoTimeoutMs: 100,
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send over MQTT and resolve once the state echo arrives', async () => {
+    mqtt.basicControl.callsFake(async () => {
+      setImmediate(() => mqtt.emit('vacuum_state', 'cleaning'));
+    });
+    const transport = await commander.basicControl('start');
+    assert.strictEqual(transport, 'mqtt');
+    sinon.assert.calledWith(mqtt.basicControl, 'start');
+    sinon.assert.notCalled(api.basicControl);
+  });
+
+  it('should confirm at once when the robot already is in the target state', async () => {
+    mqtt.emit('fan_speed', 'max');
+    assert.strictEqual(await commander.setFanSpeed('Max'), 'mqtt');
+  });
+
+  it('should not resend a delivered command when the MQTT echo never comes', async () => {
+    await assert.rejects(commander.basicControl('start'), (err) => {
+      assert.ok(err instanceof CommandNotConfirmedError);
+      assert.strictEqual(err.transport, 'mqtt');
+      assert.match(err.message, /basicControl sent over mqtt but not confirmed: Robot did not report vacuum_state/);
+      return true;
+    });
+    sinon.assert.calledOnce(mqtt.basicControl);
+    sinon.assert.notCalled(api.basicControl);
+  });
+
+  it('should not take a robot that already cleans as confirming a segment clean', async () => {
+    mqtt.emit('vacuum_state', 'cleaning');
+    await assert.rejects(commander.cleanSegments(['1']), CommandNotConfirmedError);
+    sinon.assert.notCalled(api.cleanSegments);
+
+    mqtt.cleanSegments.callsFake(async () => {
+      setImmediate(() => mqtt.emit('vacuum_state', 'cleaning'));
+    });
+    assert.strictEqual(await commander.cleanSegments(['1']), 'mqtt');
+  });
+
+  it('should fail over to REST when MQTT refused before publishing', async () => {
+    mqtt.locate.rejects(notSent('MQTT not connected, cannot publish'));
+    assert.strictEqual(await commander.locate(), 'rest');
+    sinon.assert.calledOnce(api.locateRobot);
+  });
+
+  it('should not resend a command whose publish got no answer', async () => {
+    mqtt.setFanSpeed.returns(new Promise(() => {}));
+    await assert.rejects(commander.setFanSpeed('low'), (err) => err instanceof CommandNotConfirmedError
+      && /setFanSpeed sent over mqtt but not confirmed: no answer from mqtt/.test(err.message));
+    sinon.assert.notCalled(api.setFanSpeed);
+  });
+
+  it('should not resend a command that may have reached the broker', async () => {
+    mqtt.locate.rejects(new Error('Connection closed'));
+    await assert.rejects(commander.locate(), /Connection closed/);
+    sinon.assert.notCalled(api.locateRobot);
+  });
+
+  it('should take a timed out HTTP request as unconfirmed', async () => {
+    mqtt.connected = false;
+    api.locateRobot.rejects(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+    await assert.rejects(commander.locate(), CommandNotConfirmedError);
+  });
+
+  it('should skip MQTT for commands the robot does not offer there', async () => {
+    mqtt.supports = (command) => command !== 'locate';
+    assert.strictEqual(await commander.locate(), 'rest');
+    sinon.assert.notCalled(mqtt.locate);
+  });
+
+  it('should use REST confirmed by the event stream while MQTT is down', async () => {
+    mqtt.connected = false;
+    events.connected = true;
+    api.basicControl.callsFake(async () => events.emit('vacuum_state', 'returning'));
+    assert.strictEqual(await commander.basicControl('home'), 'sse');
+    sinon.assert.notCalled(mqtt.basicControl);
+  });
+
+  it('should not repeat a REST call that the event stream did not confirm', async () => {
+    mqtt.connected = false;
+    events.connected = true;
+    await assert.rejects(commander.basicControl('stop'), (err) => err instanceof CommandNotConfirmedError
+      && /did not report vacuum_state idle\/docked/.test(err.message));
+    sinon.assert.calledOnce(api.basicControl);
+  });
+
+  it('should report the last error when no transport could send', async () => {
+    mqtt.basicControl.rejects(notSent('MQTT not connected, cannot publish'));
+    api.basicControl.rejects(Object.assign(new Error('Connection refused'), { code: 'ECONNREFUSED' }));
+    await assert.rejects(commander.basicControl('start'), /Connection refused/);
+  });
+
+  it('should send zones, DND, carpet mode and the other REST-only commands over REST', async () => {
+    mqtt.supports = () => false;
+    const zones = [{ points: { pA: { x: 0, y: 0 } } }];
+    api.cleanZones.callsFake(async () => setImmediate(() => events.emit('vacuum_state', 'cleaning')));
+    events.connected = true;
+
+    assert.strictEqual(await commander.cleanZones(zones, 2), 'sse');
+    sinon.assert.calledWith(api.cleanZones, zones, 2);
+    await commander.setDnd(true);
+    sinon.assert.calledWith(api.setDoNotDisturb, true);
+    await commander.setCarpetMode(false);
+    sinon.assert.calledWith(api.setToggle, 'CarpetModeControlCapability', false);
+    await commander.triggerAutoEmpty();
+    sinon.assert.calledOnce(api.triggerAutoEmpty);
+    sinon.assert.calledWith(api.assertSupported, 'AutoEmptyDockManualTriggerCapability');
+  });
+
+  it('should wait for the robot to move after a go-to', async () => {
+    mqtt.emit('vacuum_state', 'moving');
+    mqtt.supports = () => false;
+    events.connected = true;
+    await assert.rejects(commander.goToLocation(10, 20), CommandNotConfirmedError);
+    sinon.assert.calledOnceWithExactly(api.goToLocation, 10, 20);
+  });
+
+  it('should refuse commands the robot does not support before sending', async () => {
+    api.assertSupported.withArgs('LocateCapability').throws(new CapabilityNotSupportedError('LocateCapability'));
+    await assert.rejects(commander.locate(), CapabilityNotSupportedError);
+    sinon.assert.notCalled(mqtt.locate);
+    sinon.assert.notCalled(api.locateRobot);
+  });
+});
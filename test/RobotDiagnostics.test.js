@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const RobotDiagnostics = require('../lib/RobotDiagnostics');
+
+describe('RobotDiagnostics', () => {
+  let api;
+  let floorManager;
+  let ssh;
+  let diagnostics;
+
+  beforeEach(() => {
+    api = {
+      supports: sinon.stub().returns(true),
+      getWifiStatus: sinon.stub().resolves({ state: 'connected', details: { ssid: 'Home', signal: -62 } }),
+      getHostInfo: sinon.stub().resolves({ uptime: 9000, mem: { total: 536870912, free: 125829120 } }),
+      scanWifi: sinon.stub().resolves([
+        { bssid: 'a', details: { ssid: 'Home', signal: -80 } },
+        { bssid: 'b', details: { ssid: 'Home', signal: -58 } },
+        { bssid: 'c', details: { ssid: 'Neighbour', signal: -40 } },
+      ]),
+    };
+    floorManager = { getStorageSpace: sinon.stub().resolves({ totalKb: 516008, freeKb: 102400 }) };
+    ssh = { configured: true };
+    diagnostics = new RobotDiagnostics({
+      api, floorManager, ssh, log: () => {},
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('collect', () => {
+    it('should read signal, uptime, free memory and free storage', async () => {
+      assert.deepStrictEqual(await diagnostics.collect(), {
+        wifiSignal: -62,
+        ssid: 'Home',
+        uptimeHours: 2.5,
+        freeMemoryMb: 120,
+        freeStorageMb: 100,
+      });
+    });
+
+    it('should leave out what the robot cannot report', async () => {
+      api.supports.withArgs('WifiConfigurationCapability').returns(false);
+      ssh.configured = false;
+      api.getHostInfo.rejects(new Error('timeout'));
+      assert.deepStrictEqual(await diagnostics.collect(), {});
+      sinon.assert.notCalled(api.getWifiStatus);
+      sinon.assert.notCalled(floorManager.getStorageSpace);
+    });
+  });
+
+  describe('alerts', () => {
+    it('should report a weak signal once until it recovered', () => {
+      assert.deepStrictEqual(diagnostics.alerts({ wifiSignal: -78, ssid: 'Home' }), [
+        { type: 'weak_wifi', signal: -78, ssid: 'Home' },
+      ]);
+      assert.deepStrictEqual(diagnostics.alerts({ wifiSignal: -80, ssid: 'Home' }), []);
+      assert.deepStrictEqual(diagnostics.alerts({ wifiSignal: -72, ssid: 'Home' }), []);
+      assert.deepStrictEqual(diagnostics.alerts({ wifiSignal: -77, ssid: 'Home' }), []);
+      diagnostics.alerts({ wifiSignal: -65, ssid: 'Home' });
+      assert.strictEqual(diagnostics.alerts({ wifiSignal: -77, ssid: 'Home' }).length, 1);
+    });
+
+    it('should report low storage once until space was freed', () => {
+      assert.deepStrictEqual(diagnostics.alerts({ freeStorageMb: 40 }), [{ type: 'low_storage', freeMb: 40 }]);
+      assert.deepStrictEqual(diagnostics.alerts({ freeStorageMb: 60 }), []);
+      assert.deepStrictEqual(diagnostics.alerts({ freeStorageMb: 45 }), []);
+      diagnostics.alerts({ freeStorageMb: 80 });
+      assert.strictEqual(diagnostics.alerts({ freeStorageMb: 45 }).length, 1);
+    });
+
+    it('should ignore missing readings', () => {
+      assert.deepStrictEqual(diagnostics.alerts({}), []);
+    });
+  });
+
+  describe('strongestSignal', () => {
+    it('should pick the best access point of the network', async () => {
+      assert.strictEqual(await diagnostics.strongestSignal('Home'), -58);
+    });
+
+    it('should return null without scan support or on failure', async () => {
+      api.supports.withArgs('WifiScanCapability').returns(false);
+      assert.strictEqual(await diagnostics.strongestSignal('Home'), null);
+      api.supports.withArgs('WifiScanCapability').returns(true);
+      api.scanWifi.rejects(new Error('busy'));
+      assert.strictEqual(await diagnostics.strongestSignal('Home'), null);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert');
+const SegmentPresence = require('../lib/SegmentPresence');
+
+describe('SegmentPresence', () => {
+  let now;
+  let presence;
+
+  // Kitchen covers pixels x 0-9, Hall x 10-19, both on row 0
+  const map = (x, layers) => ({
+    pixelSize: 5,
+    layers: layers || [
+      { type: 'segment', compressedPixels: [0, 0, 10], metaData: { segmentId: 1, name: 'Kitchen' } },
+      { type: 'segment', compressedPixels: [10, 0, 10], metaData: { segmentId: 2, name: 'Hall' } },
+    ],
+    entities: x === null ? [] : [{ type: 'robot_position', points: [x, 0] }],
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+    presence = new SegmentPresence({ now: () => now });
+  });
+
+  it('should report the room entered first without leaving one', () => {
+    assert.deepStrictEqual(presence.update(map(20)), { left: null, entered: { id: '1', name: 'Kitchen' } });
+    assert.deepStrictEqual(presence.current, { id: '1', name: 'Kitchen', since: 1000000 });
+    assert.ok(presence.known);
+  });
+
+  it('should report leaving a room with the time spent in it', () => {
+    presence.update(map(20));
+    now += 150000;
+    assert.deepStrictEqual(presence.update(map(60)), {
+      left: { id: '1', name: 'Kitchen', dwellSeconds: 150 },
+      entered: { id: '2', name: 'Hall' },
+    });
+  });
+
+  it('should report nothing while the robot stays in a room', () => {
+    presence.update(map(20));
+    assert.deepStrictEqual(presence.update(map(40)), { left: null, entered: null });
+  });
+
+  it('should keep the room while the robot is outside every segment', () => {
+    presence.update(map(20));
+    assert.deepStrictEqual(presence.update(map(500)), { left: null, entered: null });
+    assert.strictEqual(presence.current.id, '1');
+  });
+
+  it('should leave the room when the map has no segments', () => {
+    presence.update(map(20));
+    now += 30000;
+    const { left, entered } = presence.update(map(20, []));
+    assert.deepStrictEqual(left, { id: '1', name: 'Kitchen', dwellSeconds: 30 });
+    assert.strictEqual(entered, null);
+    assert.strictEqual(presence.current, null);
+  });
+
+  it('should ignore maps without a robot position', () => {
+    assert.deepStrictEqual(presence.update(map(null)), { left: null, entered: null });
+    assert.ok(!presence.known);
+  });
+
+  it('should forget the room on reset', () => {
+    presence.update(map(20));
+    presence.reset();
+    assert.strictEqual(presence.current, null);
+    assert.ok(!presence.known);
+    assert.deepStrictEqual(presence.update(map(60)).left, null);
+  });
+});
@@ -18,6 +18,7 @@ class FakeConn extends EventEmitter {
     this._lastExecCmd = cmd;
     const stream = new EventEmitter();
     stream.stderr = new EventEmitter();
+    stream.end = (input) => { this._lastInput = input; };
     cb(null, stream);
     process.nextTick(() => {
       stream.emit('data', 'output');
@@ -178,6 +179,32 @@ describe('SshManager', () => {
     });
   });
 
+  describe('readBinaryFile', () => {
+    it('should decode base64 output into a buffer', async () => {
+      fakeConn.exec = (cmd, cb) => {
+        fakeConn._lastExecCmd = cmd;
+        const stream = new EventEmitter();
+        stream.stderr = new EventEmitter();
+        cb(null, stream);
+        process.nextTick(() => {
+          stream.emit('data', 'AAEC\n/f8=\n');
+          stream.emit('close', 0);
+        });
+      };
+      const data = await ssh.readBinaryFile('/tmp/last_map');
+      assert.strictEqual(fakeConn._lastExecCmd, 'base64 "/tmp/last_map"');
+      assert.deepStrictEqual([...data], [0, 1, 2, 253, 255]);
+    });
+  });
+
+  describe('writeBinaryFile', () => {
+    it('should stream base64 data over stdin', async () => {
+      await ssh.writeBinaryFile('/tmp/last_map', Buffer.from([0, 1, 2, 253, 255]));
+      assert.strictEqual(fakeConn._lastExecCmd, 'base64 -d > "/tmp/last_map"');
+      assert.strictEqual(fakeConn._lastInput, 'AAEC/f8=');
+    });
+  });
+
   describe('listDir', () => {
     it('should return filenames from ls command', async () => {
       fakeConn.exec = (cmd, cb) => {
@@ -225,6 +252,88 @@ describe('SshManager', () => {
     });
   });
 
+  describe('checksum', () => {
+    function respondWith(output) {
+      fakeConn.exec = (cmd, cb) => {
+        fakeConn._lastExecCmd = cmd;
+        const stream = new EventEmitter();
+        stream.stderr = new EventEmitter();
+        cb(null, stream);
+        process.nextTick(() => {
+          stream.emit('data', output);
+          stream.emit('close', 0);
+        });
+      };
+    }
+
+    it('should prefer sha256sum and fall back to md5sum', async () => {
+      respondWith(`${'a'.repeat(64)}  /tmp/file\n`);
+      const result = await ssh.checksum('/tmp/file');
+      assert.strictEqual(fakeConn._lastExecCmd, 'sha256sum "/tmp/file" 2>/dev/null || md5sum "/tmp/file"');
+      assert.deepStrictEqual(result, { algorithm: 'sha256', hash: 'a'.repeat(64) });
+    });
+
+    it('should detect md5 output', async () => {
+      respondWith(`${'b'.repeat(32)}  /tmp/file\n`);
+      const result = await ssh.checksum('/tmp/file');
+      assert.deepStrictEqual(result, { algorithm: 'md5', hash: 'b'.repeat(32) });
+    });
+  });
+
+  describe('fileSize', () => {
+    it('should parse byte count from wc', async () => {
+      fakeConn.exec = (cmd, cb) => {
+        fakeConn._lastExecCmd = cmd;
+        const stream = new EventEmitter();
+        stream.stderr = new EventEmitter();
+        cb(null, stream);
+        process.nextTick(() => {
+          stream.emit('data', '  1024\n');
+          stream.emit('close', 0);
+        });
+      };
+      const size = await ssh.fileSize('/tmp/file');
+      assert.strictEqual(fakeConn._lastExecCmd, 'wc -c < "/tmp/file"');
+      assert.strictEqual(size, 1024);
+    });
+  });
+
+  describe('diskSpace', () => {
+    const respond = (output) => {
+      fakeConn.exec = (cmd, cb) => {
+        fakeConn._lastExecCmd = cmd;
+        const stream = new EventEmitter();
+        stream.stderr = new EventEmitter();
+        cb(null, stream);
+        process.nextTick(() => {
+          stream.emit('data', output);
+          stream.emit('close', 0);
+        });
+      };
+    };
+
+    it('should parse size and free space from POSIX df output', async () => {
+      respond('Filesystem           1024-blocks    Used Available Capacity Mounted on\n'
+        + '/dev/mmcblk0p6          516008   470112     45896  91% /mnt/data\n');
+      const space = await ssh.diskSpace('/mnt/data/rockrobo');
+      assert.strictEqual(fakeConn._lastExecCmd, 'df -Pk "/mnt/data/rockrobo"');
+      assert.deepStrictEqual(space, { totalKb: 516008, freeKb: 45896 });
+    });
+
+    it('should reject output it cannot read', async () => {
+      respond('df: unrecognized option\n');
+      await assert.rejects(ssh.diskSpace('/mnt/data'), /Unexpected df output/);
+    });
+  });
+
+  describe('configured', () => {
+    it('should need a password or a private key', () => {
+      assert.strictEqual(ssh.configured, true);
+      assert.strictEqual(new SshManager({ host: '10.0.0.1', log: () => {} }).configured, false);
+      assert.strictEqual(new SshManager({ host: '10.0.0.1', privateKey: 'KEY', log: () => {} }).configured, true);
+    });
+  });
+
   describe('removeFile', () => {
     it('should exec rm -f command', async () => {
       await ssh.removeFile('/tmp/file');
@@ -248,6 +357,20 @@ describe('SshManager', () => {
       await ssh.reboot();
       assert.strictEqual(ssh._connected, false);
     });
+
+    it('should run the given reboot command', async () => {
+      const commands = [];
+      fakeConn.exec = (cmd, cb) => {
+        commands.push(cmd);
+        const stream = new EventEmitter();
+        stream.stderr = new EventEmitter();
+        cb(null, stream);
+        process.nextTick(() => stream.emit('close', 0));
+      };
+
+      await ssh.reboot('reboot -f');
+      assert.deepStrictEqual(commands, ['reboot -f']);
+    });
   });
 
   describe('disconnect', () => {
@@ -0,0 +1,179 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const TimerSync = require('../lib/TimerSync');
+
+describe('TimerSync', () => {
+  let store;
+  let device;
+  let robot;
+  let api;
+  let sync;
+
+  const timer = (id, label, enabled = true) => ({
+    id,
+    label,
+    enabled,
+    dow: [1, 3, 5],
+    hour: 7,
+    minute: 30,
+    action: { type: 'full_cleanup', params: {} },
+    pre_actions: [],
+    metaData: {},
+  });
+
+  beforeEach(() => {
+    store = {};
+    device = {
+      getStoreValue: (key) => store[key],
+      setStoreValue: sinon.stub().callsFake(async (key, value) => { store[key] = value; }),
+    };
+    robot = {};
+    let nextId = 100;
+    api = {
+      getTimers: sinon.stub().callsFake(async () => JSON.parse(JSON.stringify(robot))),
+      createTimer: sinon.stub().callsFake(async (body) => {
+        const id = String(nextId++);
+        robot[id] = { ...body, id };
+      }),
+      updateTimer: sinon.stub().callsFake(async (id, body) => { robot[id] = { ...body, id }; }),
+      deleteTimer: sinon.stub().callsFake(async (id) => { delete robot[id]; }),
+      setTimerEnabled: sinon.stub().callsFake(async (id, enabled) => { robot[id].enabled = enabled; }),
+    };
+    sync = new TimerSync({ device, api, log: () => {} });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should mirror the robot timers without Valetudo metadata', async () => {
+    robot = { a: timer('a', 'Weekdays'), b: timer('b', 'Weekend', false) };
+    const result = await sync.sync();
+
+    assert.deepStrictEqual(result, { removed: false, schedules: 2 });
+    const saved = store.robot_timers.schedules;
+    assert.deepStrictEqual(saved.map((s) => [s.id, s.timer.label, s.timer.enabled]), [
+      ['a', 'Weekdays', true],
+      ['b', 'Weekend', false],
+    ]);
+    assert.strictEqual(saved[0].timer.metaData, undefined);
+    assert.strictEqual(saved[0].timer.id, undefined);
+  });
+
+  it('should follow edits and deletions made on the robot', async () => {
+    robot = { a: timer('a', 'Weekdays'), b: timer('b', 'Weekend') };
+    await sync.sync();
+    delete robot.b;
+    robot.a.hour = 9;
+    await sync.sync();
+
+    assert.strictEqual(store.robot_timers.schedules.length, 1);
+    assert.strictEqual(store.robot_timers.schedules[0].timer.hour, 9);
+    sinon.assert.notCalled(api.createTimer);
+  });
+
+  it('should keep the schedules aside when the robot lost all timers', async () => {
+    robot = { a: timer('a', 'Weekdays'), b: timer('b', 'Weekend') };
+    await sync.sync();
+    robot = {};
+
+    const result = await sync.sync();
+    assert.deepStrictEqual(result, { removed: true, schedules: 0 });
+    sinon.assert.notCalled(api.createTimer);
+    assert.deepStrictEqual(store.robot_timers.schedules, []);
+    assert.strictEqual(sync.removedCount(), 2);
+
+    // Further syncs of the empty robot keep them aside
+    await sync.sync();
+    assert.strictEqual(sync.removedCount(), 2);
+  });
+
+  it('should put the removed schedules back on restore', async () => {
+    robot = { a: timer('a', 'Weekdays'), b: timer('b', 'Weekend') };
+    await sync.sync();
+    robot = {};
+    await sync.sync();
+    robot = { 50: timer('50', 'Weekend') }; // set up again by hand
+
+    assert.strictEqual(await sync.restore(), 1);
+    sinon.assert.calledOnce(api.createTimer);
+    assert.strictEqual(api.createTimer.firstCall.args[0].label, 'Weekdays');
+    assert.deepStrictEqual(store.robot_timers.schedules.map((s) => s.id), ['50', '100']);
+    assert.strictEqual(sync.removedCount(), 0);
+    assert.strictEqual(await sync.restore(), 0);
+  });
+
+  it('should not keep aside a last timer deleted from the app', async () => {
+    robot = { a: timer('a', 'Weekdays') };
+    await sync.sync();
+
+    const result = await sync.remove('a');
+    assert.deepStrictEqual(result, { removed: false, schedules: 0 });
+    sinon.assert.calledWith(api.deleteTimer, 'a');
+    assert.strictEqual(sync.removedCount(), 0);
+  });
+
+  it('should create timers on the robot and mirror them', async () => {
+    const result = await sync.create({ label: 'Mornings', enabled: true, dow: [1], hour: 6, minute: 0 });
+
+    assert.deepStrictEqual(result, { removed: false, schedules: 1 });
+    assert.deepStrictEqual(sync.list().map((s) => [s.id, s.timer.label]), [['100', 'Mornings']]);
+  });
+
+  it('should leave a timer switched by hand out of the resume', async () => {
+    robot = { a: timer('a', 'Weekdays'), b: timer('b', 'Nightly') };
+    await sync.pauseAll();
+
+    await sync.setEnabled('a', true);
+    sinon.assert.calledWith(api.setTimerEnabled, 'a', true);
+    assert.deepStrictEqual(store.robot_timers.paused.ids, ['b']);
+    assert.strictEqual(sync.list().find((s) => s.id === 'a').timer.enabled, true);
+  });
+
+  it('should pause only enabled timers and resume exactly those', async () => {
+    robot = { a: timer('a', 'Weekdays'), b: timer('b', 'Weekend', false), c: timer('c', 'Nightly') };
+
+    assert.strictEqual(await sync.pauseAll(), 2);
+    assert.strictEqual(sync.isPaused(), true);
+    assert.deepStrictEqual(Object.values(robot).map((t) => t.enabled), [false, false, false]);
+    assert.strictEqual(await sync.pauseAll(), 2); // already paused
+    sinon.assert.calledTwice(api.updateTimer);
+
+    delete robot.c;
+    assert.strictEqual(await sync.resumeAll(), 1);
+    assert.strictEqual(robot.a.enabled, true);
+    assert.strictEqual(robot.b.enabled, false);
+    assert.strictEqual(sync.isPaused(), false);
+    assert.strictEqual(await sync.resumeAll(), 0);
+  });
+
+  it('should keep the pause across a restore under the new timer ids', async () => {
+    robot = { a: timer('a', 'Weekdays') };
+    await sync.pauseAll();
+    await sync.sync();
+    robot = {};
+
+    await sync.sync();
+    assert.strictEqual(sync.isPaused(), false);
+    await sync.restore();
+    assert.strictEqual(robot['100'].enabled, false);
+    assert.deepStrictEqual(store.robot_timers.paused.ids, ['100']);
+    await sync.resumeAll();
+    assert.strictEqual(robot['100'].enabled, true);
+  });
+
+  it('should shift local times to UTC across midnight', () => {
+    assert.deepStrictEqual(TimerSync.toUtc({ dow: [1, 3], hour: 7, minute: 30 }, 120), { dow: [1, 3], hour: 5, minute: 30 });
+    assert.deepStrictEqual(TimerSync.toUtc({ dow: [0, 1], hour: 1, minute: 0 }, 120), { dow: [0, 6], hour: 23, minute: 0 });
+    assert.deepStrictEqual(TimerSync.toUtc({ dow: [6], hour: 22, minute: 15 }, -180), { dow: [0], hour: 1, minute: 15 });
+  });
+
+  it('should read the UTC offset of a time zone', () => {
+    assert.strictEqual(TimerSync.utcOffset('Europe/Copenhagen', new Date('2024-01-15T12:00:00Z')), 60);
+    assert.strictEqual(TimerSync.utcOffset('Europe/Copenhagen', new Date('2024-07-15T12:00:00Z')), 120);
+    assert.strictEqual(TimerSync.utcOffset('America/New_York', new Date('2024-01-15T12:00:00Z')), -300);
+    assert.strictEqual(TimerSync.utcOffset('UTC'), 0);
+  });
+});
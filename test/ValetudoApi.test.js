@@ -3,6 +3,12 @@
 const assert = require('assert');
 const sinon = require('sinon');
 const ValetudoApi = require('../lib/ValetudoApi');
+const { AxiosError } = require('axios');
+const AuthFailedError = require('../lib/AuthFailedError');
+const CapabilityNotSupportedError = require('../lib/CapabilityNotSupportedError');
+const PinnedHttpsAgent = require('../lib/PinnedHttpsAgent');
+const RobotBusyError = require('../lib/RobotBusyError');
+const RobotUnreachableError = require('../lib/RobotUnreachableError');
 
 describe('ValetudoApi', () => {
   let api;
@@ -51,6 +57,209 @@ describe('ValetudoApi', () => {
     });
   });
 
+  describe('reverse proxy', () => {
+    it('should use the proxy URL instead of http://host', () => {
+      const a = new ValetudoApi({ host: '10.0.0.1', proxyUrl: 'https://robot.example.lan:8443/', log: () => {} });
+      assert.strictEqual(a._client.defaults.baseURL, 'https://robot.example.lan:8443');
+      a.updateHost('10.0.0.2');
+      assert.strictEqual(a._client.defaults.baseURL, 'https://robot.example.lan:8443');
+    });
+
+    it('should pin a self-signed certificate by its fingerprint', () => {
+      const a = new ValetudoApi({
+        host: '10.0.0.1', proxyUrl: 'https://robot.lan', certFingerprint: 'ab:'.repeat(31) + 'ab', log: () => {},
+      });
+      assert.ok(a._client.defaults.httpsAgent instanceof PinnedHttpsAgent);
+      assert.strictEqual(a._client.defaults.httpsAgent.fingerprint, 'AB'.repeat(32));
+    });
+
+    it('should switch back to http://host and reject invalid settings unchanged', () => {
+      api.updateProxy('https://robot.lan', undefined);
+      assert.strictEqual(clientStub.defaults.baseURL, 'https://robot.lan');
+      assert.throws(() => api.updateProxy('ftp://robot.lan'), /https:\/\/ or http:\/\//);
+      assert.throws(() => api.updateProxy('https://robot.lan', 'abc'), /SHA-256/);
+      assert.strictEqual(clientStub.defaults.baseURL, 'https://robot.lan');
+      api.updateProxy('', undefined);
+      assert.strictEqual(clientStub.defaults.baseURL, 'http://192.168.1.100');
+    });
+  });
+
+  describe('HTTP errors, retries and circuit breaker', () => {
+    let client;
+    let adapter;
+
+    const reply = (config, data = {}) => ({
+      data, status: 200, statusText: 'OK', headers: {}, config,
+    });
+    const networkError = (code) => (config) => Promise.reject(new AxiosError(`connect ${code}`, code, config));
+    const httpError = (status, data) => (config) => Promise.reject(
+      new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, {
+        status, data, headers: {}, config,
+      }),
+    );
+
+    beforeEach(() => {
+      client = new ValetudoApi({ host: '10.0.0.5', log: () => {} });
+      adapter = sinon.stub().callsFake(async (config) => reply(config));
+      client._client.defaults.adapter = adapter;
+    });
+
+    it('should retry idempotent requests with growing delays', async () => {
+      const clock = sinon.useFakeTimers();
+      adapter.onFirstCall().callsFake(networkError('ECONNRESET'));
+      adapter.onSecondCall().callsFake(networkError('ECONNRESET'));
+      const pending = client.getStateAttributes();
+      await clock.tickAsync(499);
+      assert.strictEqual(adapter.callCount, 1);
+      await clock.tickAsync(1);
+      assert.strictEqual(adapter.callCount, 2);
+      await clock.tickAsync(1000);
+      assert.deepStrictEqual(await pending, {});
+      assert.strictEqual(adapter.callCount, 3);
+    });
+
+    it('should not repeat PUT commands', async () => {
+      adapter.callsFake(networkError('ECONNREFUSED'));
+      await assert.rejects(client.basicControl('start'), (err) => {
+        assert.ok(err instanceof RobotUnreachableError);
+        assert.strictEqual(err.reason, 'Connection refused');
+        assert.ok(err.message.includes('10.0.0.5'));
+        return true;
+      });
+      sinon.assert.calledOnce(adapter);
+    });
+
+    it('should fail fast while the robot is not answering, then let one trial through', async () => {
+      const clock = sinon.useFakeTimers();
+      adapter.callsFake(networkError('ETIMEDOUT'));
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.basicControl('stop'), RobotUnreachableError);
+      }
+      assert.strictEqual(client.breakerOpen, true);
+      await assert.rejects(client.basicControl('stop'), (err) => err.code === 'ERR_CIRCUIT_OPEN');
+      assert.strictEqual(adapter.callCount, 3);
+
+      await clock.tickAsync(20000);
+      adapter.callsFake(async (config) => reply(config));
+      await client.basicControl('stop');
+      assert.strictEqual(client.breakerOpen, false);
+    });
+
+    it('should close the breaker when the trial request gets an HTTP error', async () => {
+      const clock = sinon.useFakeTimers();
+      adapter.callsFake(networkError('ECONNREFUSED'));
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.basicControl('stop'), RobotUnreachableError);
+      }
+      assert.strictEqual(client.breakerOpen, true);
+
+      await clock.tickAsync(20000);
+      adapter.callsFake(httpError(500, 'boom'));
+      await assert.rejects(client.basicControl('stop'), (err) => err.response && err.response.status === 500);
+      assert.strictEqual(client.breakerOpen, false);
+
+      adapter.callsFake(async (config) => reply(config));
+      await client.basicControl('stop');
+      assert.strictEqual(adapter.callCount, 5);
+    });
+
+    it('should settle a trial GET on the outcome of its retries', async () => {
+      const clock = sinon.useFakeTimers();
+      adapter.callsFake(networkError('ECONNREFUSED'));
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.basicControl('stop'), RobotUnreachableError);
+      }
+      await clock.tickAsync(20000);
+
+      // Fails once, then answers on the retry
+      adapter.onCall(3).callsFake(networkError('ECONNRESET'));
+      adapter.onCall(4).callsFake(async (config) => reply(config, { release: '2024.10.0' }));
+      const trial = client.getVersion();
+      await clock.tickAsync(500);
+      assert.deepStrictEqual(await trial, { release: '2024.10.0' });
+      assert.strictEqual(adapter.callCount, 5);
+      assert.strictEqual(client.breakerOpen, false);
+    });
+
+    it('should re-open the breaker when every retry of a trial GET fails', async () => {
+      const clock = sinon.useFakeTimers();
+      adapter.callsFake(networkError('ECONNREFUSED'));
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.basicControl('stop'), RobotUnreachableError);
+      }
+      await clock.tickAsync(20000);
+
+      adapter.callsFake(networkError('ECONNRESET'));
+      const trial = assert.rejects(client.getVersion(), (err) => err.code === 'ECONNRESET');
+      await clock.tickAsync(1500);
+      await trial;
+      assert.strictEqual(adapter.callCount, 6);
+      assert.strictEqual(client.breakerOpen, true);
+      await assert.rejects(client.getVersion(), (err) => err.code === 'ERR_CIRCUIT_OPEN');
+
+      // The next trial goes out after the cooldown and closes it
+      await clock.tickAsync(20000);
+      adapter.callsFake(async (config) => reply(config, { release: '2024.10.0' }));
+      assert.deepStrictEqual(await client.getVersion(), { release: '2024.10.0' });
+      assert.strictEqual(client.breakerOpen, false);
+    });
+
+    it('should let the reachability probe through an open breaker', async () => {
+      client._breaker.failure();
+      client._breaker.failure();
+      client._breaker.failure();
+      assert.strictEqual(await client.isReachable(), true);
+      assert.strictEqual(client.breakerOpen, false);
+    });
+
+    it('should not retry certificate errors or count them as an outage', async () => {
+      adapter.callsFake(networkError('DEPTH_ZERO_SELF_SIGNED_CERT'));
+      await assert.rejects(client.getStateAttributes(), (err) => {
+        assert.strictEqual(err.transient, false);
+        assert.ok(err.reason.includes('certificate'));
+        return true;
+      });
+      sinon.assert.calledOnce(adapter);
+      assert.strictEqual(client._breaker._failures, 0);
+    });
+
+    it('should type login, capability and busy errors', async () => {
+      adapter.callsFake(httpError(401, 'Unauthorized'));
+      await assert.rejects(client.getRobotInfo(), (err) => err instanceof AuthFailedError && err.status === 401);
+
+      adapter.callsFake(httpError(404, 'Not Found'));
+      await assert.rejects(client.getConsumables(), (err) => err instanceof CapabilityNotSupportedError
+        && err.capability === 'ConsumableMonitoringCapability');
+
+      adapter.callsFake(httpError(409, { message: 'Mapping pass in progress' }));
+      await assert.rejects(client.basicControl('start'), (err) => err instanceof RobotBusyError
+        && err.message === 'Robot is busy: Mapping pass in progress');
+
+      adapter.callsFake(httpError(500, 'boom'));
+      await assert.rejects(client.basicControl('start'), (err) => err.response && err.response.status === 500);
+      assert.strictEqual(client.breakerOpen, false);
+    });
+
+    it('should treat a reverse proxy without its robot as unreachable', async () => {
+      adapter.callsFake(httpError(502, 'Bad Gateway'));
+      await assert.rejects(client.locateRobot(), (err) => err instanceof RobotUnreachableError
+        && err.reason === 'Reverse proxy cannot reach the robot');
+    });
+  });
+
+  describe('events', () => {
+    it('should create the event stream once, on the API client', () => {
+      assert.strictEqual(api.events, api.events);
+      assert.strictEqual(api.events._client, clientStub);
+    });
+
+    it('should restart a running event stream when the host changes', () => {
+      const restart = sinon.stub(api.events, 'restart');
+      api.updateHost('10.0.0.2');
+      sinon.assert.calledOnce(restart);
+    });
+  });
+
   describe('updateAuth', () => {
     it('should set auth when user provided', () => {
       api.updateAuth('user', 'pass');
@@ -84,6 +293,50 @@ describe('ValetudoApi', () => {
     });
   });
 
+  describe('capability registry', () => {
+    beforeEach(() => {
+      clientStub.get.withArgs('/api/v2/robot/capabilities')
+        .resolves({ data: ['BasicControlCapability', 'LocateCapability'] });
+      clientStub.put.resolves({ data: 'OK' });
+    });
+
+    it('should treat every capability as supported until the list is loaded', () => {
+      assert.strictEqual(api.capabilitiesLoaded, false);
+      assert.strictEqual(api.supports('WaterUsageControlCapability'), true);
+    });
+
+    it('should load the list once and answer from the cache', async () => {
+      await api.loadCapabilities();
+      await api.loadCapabilities();
+      assert.strictEqual(clientStub.get.callCount, 1);
+      assert.strictEqual(api.supports('LocateCapability'), true);
+      assert.strictEqual(api.supports('WaterUsageControlCapability'), false);
+
+      await api.loadCapabilities({ refresh: true });
+      assert.strictEqual(clientStub.get.callCount, 2);
+    });
+
+    it('should refuse unsupported capabilities without a request', async () => {
+      await api.loadCapabilities();
+      await assert.rejects(() => api.setWaterUsage('high'), (err) => {
+        assert.ok(err instanceof CapabilityNotSupportedError);
+        assert.strictEqual(err.capability, 'WaterUsageControlCapability');
+        return true;
+      });
+      await assert.rejects(() => api.setToggle('CarpetModeControlCapability', true), CapabilityNotSupportedError);
+      sinon.assert.notCalled(clientStub.put);
+
+      await api.locateRobot();
+      sinon.assert.calledOnce(clientStub.put);
+    });
+
+    it('should forget the list when the host changes', async () => {
+      await api.loadCapabilities();
+      api.updateHost('10.0.0.2');
+      assert.strictEqual(api.capabilitiesLoaded, false);
+    });
+  });
+
   describe('getStateAttributes', () => {
     it('should GET /api/v2/robot/state/attributes', async () => {
       const attrs = [
@@ -298,6 +551,133 @@ describe('ValetudoApi', () => {
     });
   });
 
+  describe('virtual restrictions', () => {
+    const restrictions = {
+      virtualWalls: [{ points: { pA: { x: 10, y: 10 }, pB: { x: 10, y: 90 } } }],
+      restrictedZones: [{
+        points: { pA: { x: 0, y: 0 }, pB: { x: 50, y: 0 }, pC: { x: 50, y: 50 }, pD: { x: 0, y: 50 } },
+        type: 'mop',
+      }],
+    };
+
+    it('should GET the combined restrictions and their properties', async () => {
+      clientStub.get.onFirstCall().resolves({ data: restrictions });
+      clientStub.get.onSecondCall().resolves({ data: { supportedRestrictedZoneTypes: ['regular', 'mop'] } });
+      assert.deepStrictEqual(await api.getVirtualRestrictions(), restrictions);
+      const properties = await api.getVirtualRestrictionProperties();
+      sinon.assert.calledWith(clientStub.get.secondCall,
+        '/api/v2/robot/capabilities/CombinedVirtualRestrictionsCapability/properties');
+      assert.deepStrictEqual(properties.supportedRestrictedZoneTypes, ['regular', 'mop']);
+    });
+
+    it('should PUT walls and zones, defaulting missing lists to empty', async () => {
+      clientStub.put.resolves({ data: {} });
+      await api.setVirtualRestrictions(restrictions);
+      sinon.assert.calledWith(clientStub.put,
+        '/api/v2/robot/capabilities/CombinedVirtualRestrictionsCapability', restrictions);
+
+      await api.setVirtualRestrictions({ virtualWalls: restrictions.virtualWalls });
+      assert.deepStrictEqual(clientStub.put.secondCall.args[1].restrictedZones, []);
+    });
+  });
+
+  describe('manual control', () => {
+    it('should PUT enable, disable and movement commands', async () => {
+      clientStub.put.resolves({ data: {} });
+      await api.setManualControl(true);
+      await api.manualMove('forward');
+      await api.setManualControl(false);
+      const bodies = clientStub.put.getCalls().map((c) => c.args[1]);
+      assert.deepStrictEqual(bodies, [
+        { action: 'enable' },
+        { action: 'move', movementCommand: 'forward' },
+        { action: 'disable' },
+      ]);
+      sinon.assert.alwaysCalledWith(clientStub.put, '/api/v2/robot/capabilities/ManualControlCapability');
+    });
+
+    it('should PUT high-resolution movement vectors', async () => {
+      clientStub.put.resolves({ data: {} });
+      await api.highResolutionManualMove(0.5, -30);
+      sinon.assert.calledWith(clientStub.put,
+        '/api/v2/robot/capabilities/HighResolutionManualControlCapability',
+        { action: 'move', vector: { velocity: 0.5, angle: -30 } });
+    });
+
+    it('should read the robot position from the map', async () => {
+      clientStub.get.resolves({
+        data: { entities: [{ type: 'robot_position', points: [2500, 2600], metaData: { angle: 90 } }] },
+      });
+      assert.deepStrictEqual(await api.getRobotPosition(), { x: 2500, y: 2600, angle: 90 });
+
+      clientStub.get.resolves({ data: { entities: [] } });
+      assert.strictEqual(await api.getRobotPosition(), null);
+    });
+  });
+
+  describe('timers', () => {
+    beforeEach(() => {
+      clientStub.post = sinon.stub().resolves({ data: 'ok' });
+      clientStub.delete = sinon.stub().resolves({ data: 'ok' });
+    });
+
+    it('should list timers from both response formats', async () => {
+      const timers = { t1: { id: 't1', label: 'Morning', enabled: true } };
+      clientStub.get.resolves({ data: timers });
+      assert.deepStrictEqual(await api.getTimers(), timers);
+      clientStub.get.resolves({ data: { timers, supportedActions: ['full_cleanup'] } });
+      assert.deepStrictEqual(await api.getTimers(), timers);
+      sinon.assert.alwaysCalledWith(clientStub.get, '/api/v2/timers');
+    });
+
+    it('should create, update and delete timers', async () => {
+      await api.createTimer({ label: 'Morning' });
+      sinon.assert.calledWith(clientStub.post, '/api/v2/timers', { label: 'Morning' });
+      await api.updateTimer('t1', { label: 'Evening' });
+      sinon.assert.calledWith(clientStub.post, '/api/v2/timers/t1', { label: 'Evening', id: 't1' });
+      await api.deleteTimer('t1');
+      sinon.assert.calledWith(clientStub.delete, '/api/v2/timers/t1');
+    });
+
+    it('should enable a timer by updating it', async () => {
+      clientStub.get.resolves({ data: { t1: { id: 't1', label: 'Morning', enabled: false } } });
+      await api.setTimerEnabled('t1', true);
+      sinon.assert.calledWith(clientStub.post, '/api/v2/timers/t1', { id: 't1', label: 'Morning', enabled: true });
+      await assert.rejects(api.setTimerEnabled('t2', true), /Timer "t2" not found/);
+    });
+
+    it('should build segment timers with fan speed and water pre-actions', () => {
+      const body = ValetudoApi.buildTimer({
+        label: 'Kitchen', dow: [1], hour: 8, minute: 0, segmentIds: [17], iterations: 2, fanSpeed: 'max', waterUsage: 'low',
+      });
+      assert.deepStrictEqual(body.action, {
+        type: 'segment_cleanup',
+        params: { segment_ids: ['17'], iterations: 2, custom_order: true },
+      });
+      assert.deepStrictEqual(body.pre_actions, [
+        { type: 'fan_speed_control', params: { value: 'max' } },
+        { type: 'water_usage_control', params: { value: 'low' } },
+      ]);
+      assert.strictEqual(body.enabled, true);
+
+      const full = ValetudoApi.buildTimer({ label: 'All', dow: [0, 6], hour: 10, minute: 15 });
+      assert.deepStrictEqual(full.action, { type: 'full_cleanup', params: {} });
+      assert.deepStrictEqual(full.pre_actions, []);
+    });
+  });
+
+  describe('valetudo events', () => {
+    it('should list events and answer them', async () => {
+      const events = { e1: { __class: 'DustBinFullValetudoEvent', id: 'e1', processed: false } };
+      clientStub.get.resolves({ data: events });
+      assert.deepStrictEqual(await api.getEvents(), events);
+      sinon.assert.calledWith(clientStub.get, '/api/v2/events');
+
+      await api.interactWithEvent('e1', 'ok');
+      sinon.assert.calledWith(clientStub.put, '/api/v2/events/e1/interact', { interaction: 'ok' });
+    });
+  });
+
   describe('cleanZones', () => {
     it('should PUT zone clean request', async () => {
       const zones = [{ points: { pA: { x: 0, y: 0 }, pB: { x: 100, y: 0 }, pC: { x: 100, y: 100 }, pD: { x: 0, y: 100 } } }];
@@ -360,6 +740,48 @@ describe('ValetudoApi', () => {
     });
   });
 
+  describe('getObstacleImage', () => {
+    it('should GET the image of an obstacle as a Buffer', async () => {
+      clientStub.get.resolves({ data: new Uint8Array([0xff, 0xd8]).buffer });
+      const image = await api.getObstacleImage('a1/b');
+      assert.ok(Buffer.isBuffer(image));
+      assert.deepStrictEqual([...image], [0xff, 0xd8]);
+      sinon.assert.calledWith(
+        clientStub.get,
+        '/api/v2/robot/capabilities/ObstacleImagesCapability/img/a1%2Fb',
+        { responseType: 'arraybuffer', timeout: 30000 },
+      );
+    });
+  });
+
+  describe('network and system', () => {
+    it('should GET the Wi-Fi status', async () => {
+      clientStub.get.resolves({ data: { state: 'connected', details: { ssid: 'Home', signal: -61 } } });
+      const status = await api.getWifiStatus();
+      assert.strictEqual(status.details.signal, -61);
+      sinon.assert.calledWith(clientStub.get, '/api/v2/robot/capabilities/WifiConfigurationCapability');
+    });
+
+    it('should scan for Wi-Fi networks with an extended timeout', async () => {
+      clientStub.get.resolves({ data: [{ bssid: 'aa:bb', details: { ssid: 'Home', signal: -55 } }] });
+      const networks = await api.scanWifi();
+      assert.strictEqual(networks.length, 1);
+      sinon.assert.calledWith(clientStub.get, '/api/v2/robot/capabilities/WifiScanCapability', { timeout: 30000 });
+    });
+
+    it('should refuse a Wi-Fi scan on robots without WifiScanCapability', async () => {
+      api._capabilities = new Set(['WifiConfigurationCapability']);
+      await assert.rejects(api.scanWifi(), CapabilityNotSupportedError);
+    });
+
+    it('should GET the system host info', async () => {
+      clientStub.get.resolves({ data: { uptime: 7200, mem: { total: 500000000, free: 120000000 } } });
+      const info = await api.getHostInfo();
+      assert.strictEqual(info.uptime, 7200);
+      sinon.assert.calledWith(clientStub.get, '/api/v2/system/host/info');
+    });
+  });
+
   describe('getVersion', () => {
     it('should GET valetudo version', async () => {
       clientStub.get.resolves({ data: { release: '2026.02.0' } });
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const ValetudoEventLog = require('../lib/ValetudoEventLog');
+
+describe('ValetudoEventLog', () => {
+  let store;
+  let device;
+  let api;
+  let events;
+
+  const event = (id, className, extra = {}) => ({
+    __class: className, id, timestamp: '2026-10-19T08:00:00.000Z', processed: false, ...extra,
+  });
+
+  beforeEach(() => {
+    store = {};
+    device = {
+      getStoreValue: (key) => store[key],
+      setStoreValue: sinon.stub().callsFake(async (key, value) => { store[key] = value; }),
+    };
+    api = {
+      getEvents: sinon.stub().resolves({}),
+      interactWithEvent: sinon.stub().resolves(),
+    };
+    events = new ValetudoEventLog({ api, device, log: () => {} });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('normalize', () => {
+    it('should map known event classes to types, messages and answers', () => {
+      assert.deepStrictEqual(ValetudoEventLog.normalize(event('e1', 'PendingMapChangeValetudoEvent')), {
+        id: 'e1',
+        type: 'pending_map_change',
+        message: 'The robot wants to replace its map',
+        timestamp: '2026-10-19T08:00:00.000Z',
+        interactions: ['yes', 'no'],
+      });
+      const error = ValetudoEventLog.normalize(event('e2', 'ErrorStateValetudoEvent', { message: 'Wheel stuck' }));
+      assert.strictEqual(error.type, 'error');
+      assert.strictEqual(error.message, 'Wheel stuck');
+      assert.deepStrictEqual(error.interactions, ['ok']);
+    });
+
+    it('should derive a type from unknown event classes', () => {
+      const unknown = ValetudoEventLog.normalize({ __class: 'WaterTankEmptyValetudoEvent', id: 7 });
+      assert.strictEqual(unknown.type, 'water_tank_empty');
+      assert.strictEqual(unknown.id, '7');
+    });
+  });
+
+  describe('refresh', () => {
+    it('should report each unprocessed event once', async () => {
+      api.getEvents.resolves({
+        e1: event('e1', 'DustBinFullValetudoEvent'),
+        e2: event('e2', 'MopAttachmentReminderValetudoEvent', { processed: true }),
+      });
+      assert.strictEqual(events.available, false);
+      const first = await events.refresh();
+      assert.deepStrictEqual(first.map((e) => e.type), ['dustbin_full']);
+      assert.strictEqual(events.available, true);
+
+      api.getEvents.resolves({
+        e1: event('e1', 'DustBinFullValetudoEvent'),
+        e3: event('e3', 'ErrorStateValetudoEvent', { message: 'Bumper stuck' }),
+      });
+      const second = await events.refresh();
+      assert.deepStrictEqual(second.map((e) => e.id), ['e3']);
+      assert.deepStrictEqual(store.seen_valetudo_events, ['e1', 'e3']);
+    });
+
+    it('should not report events seen before a restart', async () => {
+      store.seen_valetudo_events = ['e1'];
+      api.getEvents.resolves({ e1: event('e1', 'DustBinFullValetudoEvent') });
+      assert.deepStrictEqual(await events.refresh(), []);
+      sinon.assert.notCalled(device.setStoreValue);
+    });
+
+    it('should forget events that are gone', async () => {
+      store.seen_valetudo_events = ['e1'];
+      assert.deepStrictEqual(await events.refresh(), []);
+      assert.deepStrictEqual(store.seen_valetudo_events, []);
+    });
+
+    it('should stay unavailable when the robot has no event log', async () => {
+      api.getEvents.rejects(new Error('Not Found'));
+      await assert.rejects(events.refresh(), /Not Found/);
+      assert.strictEqual(events.available, false);
+    });
+  });
+
+  describe('interact', () => {
+    beforeEach(async () => {
+      api.getEvents.resolves({
+        e1: event('e1', 'DustBinFullValetudoEvent'),
+        e2: event('e2', 'PendingMapChangeValetudoEvent'),
+        e3: event('e3', 'MopAttachmentReminderValetudoEvent'),
+      });
+      await events.refresh();
+    });
+
+    it('should answer an event with its default or a given interaction', async () => {
+      await events.interact('e1');
+      sinon.assert.calledWith(api.interactWithEvent, 'e1', 'ok');
+      await events.interact('e2', 'no');
+      sinon.assert.calledWith(api.interactWithEvent, 'e2', 'no');
+      assert.deepStrictEqual(events.list().map((e) => e.id), ['e3']);
+    });
+
+    it('should reject unknown events and invalid answers', async () => {
+      await assert.rejects(events.interact('e9'), /no longer pending/);
+      await assert.rejects(events.interact('e2', 'ok'), /use yes or no/);
+      sinon.assert.notCalled(api.interactWithEvent);
+    });
+
+    it('should answer all pending events of a type', async () => {
+      assert.strictEqual(await events.interactWithType('pending_map_change', 'yes'), 1);
+      sinon.assert.calledOnceWithExactly(api.interactWithEvent, 'e2', 'yes');
+      await assert.rejects(events.interactWithType('pending_map_change', 'yes'), /There is no pending map change event to answer/);
+    });
+
+    it('should dismiss everything except questions', async () => {
+      assert.strictEqual(await events.dismissAll(), 2);
+      sinon.assert.calledWith(api.interactWithEvent, 'e1', 'ok');
+      sinon.assert.calledWith(api.interactWithEvent, 'e3', 'ok');
+      assert.deepStrictEqual(events.list().map((e) => e.id), ['e2']);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const { PassThrough } = require('stream');
+const ValetudoEventStream = require('../lib/ValetudoEventStream');
+
+describe('ValetudoEventStream', () => {
+  let client;
+  let streams;
+  let events;
+
+  const send = (body, event, data) => body.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const flush = () => new Promise((resolve) => { setImmediate(resolve); });
+
+  beforeEach(() => {
+    streams = {};
+    client = {
+      get: sinon.stub().callsFake(async (path) => {
+        streams[path] = new PassThrough();
+        return { data: streams[path] };
+      }),
+    };
+    events = new ValetudoEventStream({ client, log: () => {} });
+  });
+
+  afterEach(() => {
+    events.stop();
+    sinon.restore();
+  });
+
+  describe('parseEvents', () => {
+    it('should split complete events and keep the unfinished rest', () => {
+      const { events: parsed, rest } = ValetudoEventStream.parseEvents(
+        'event: StateAttributesUpdated\ndata: [1]\n\n: keep-alive\n\nevent: MapUpdated\ndata: {"lay',
+      );
+      assert.deepStrictEqual(parsed, [{ event: 'StateAttributesUpdated', data: '[1]' }]);
+      assert.strictEqual(rest, 'event: MapUpdated\ndata: {"lay');
+    });
+
+    it('should join multi-line data and accept CRLF line endings', () => {
+      const { events: parsed } = ValetudoEventStream.parseEvents('data: {"a":\r\ndata: 1}\r\n\r\n');
+      assert.deepStrictEqual(parsed, [{ event: 'message', data: '{"a":\n1}' }]);
+    });
+  });
+
+  it('should open both streams without the request timeout', async () => {
+    events.start();
+    await flush();
+    const paths = client.get.getCalls().map((c) => c.args[0]);
+    assert.deepStrictEqual(paths, ['/api/v2/robot/state/attributes/sse', '/api/v2/robot/state/map/sse']);
+    assert.strictEqual(client.get.firstCall.args[1].responseType, 'stream');
+    assert.strictEqual(client.get.firstCall.args[1].timeout, 0);
+    assert.strictEqual(events.connected, true);
+  });
+
+  it('should translate state attributes into MQTT-style events, only on change', async () => {
+    const seen = [];
+    ['battery_level', 'battery_status', 'vacuum_state', 'vacuum_error', 'fan_speed', 'water_usage'].forEach((name) => {
+      events.on(name, (value) => seen.push([name, value]));
+    });
+    events.start();
+    await flush();
+
+    const attributes = [
+      { __class: 'BatteryStateAttribute', level: 80, flag: 'discharging' },
+      { __class: 'StatusStateAttribute', value: 'cleaning', flag: 'segment' },
+      { __class: 'PresetSelectionStateAttribute', type: 'fan_speed', value: 'High' },
+      { __class: 'PresetSelectionStateAttribute', type: 'water_grade', value: 'Low' },
+    ];
+    send(streams['/api/v2/robot/state/attributes/sse'], 'StateAttributesUpdated', attributes);
+    send(streams['/api/v2/robot/state/attributes/sse'], 'StateAttributesUpdated', attributes);
+    await flush();
+
+    assert.deepStrictEqual(seen, [
+      ['battery_level', 80],
+      ['battery_status', 'discharging'],
+      ['vacuum_state', 'cleaning'],
+      ['vacuum_error', 'none'],
+      ['fan_speed', 'high'],
+      ['water_usage', 'low'],
+    ]);
+  });
+
+  it('should report the error message of an error state', () => {
+    assert.strictEqual(ValetudoEventStream.errorDescription({ value: 'error', error: { message: 'Wheel stuck' } }), 'Wheel stuck');
+    assert.strictEqual(
+      ValetudoEventStream.errorDescription({ value: 'error', metaData: { error_description: 'Bin full' } }),
+      'Bin full',
+    );
+    assert.strictEqual(ValetudoEventStream.errorDescription({ value: 'docked' }), 'none');
+  });
+
+  it('should emit segment transitions from map updates', async () => {
+    const started = [];
+    const finished = [];
+    events.on('segment_started', (seg) => started.push(seg));
+    events.on('segment_finished', (seg) => finished.push(seg));
+    const maps = sinon.spy();
+    events.on('map', maps);
+    events.start();
+    await flush();
+
+    const map = (activeId) => ({
+      layers: [
+        { type: 'floor' },
+        { type: 'segment', metaData: { segmentId: 1, name: 'Kitchen', active: activeId === 1 } },
+        { type: 'segment', metaData: { segmentId: 2, name: 'Hall', active: activeId === 2 } },
+      ],
+    });
+    send(streams['/api/v2/robot/state/map/sse'], 'MapUpdated', map(1));
+    send(streams['/api/v2/robot/state/map/sse'], 'MapUpdated', map(2));
+    await flush();
+
+    assert.deepStrictEqual(started, [{ id: '1', name: 'Kitchen' }, { id: '2', name: 'Hall' }]);
+    assert.deepStrictEqual(finished, [{ id: '1', name: 'Kitchen' }]);
+    assert.deepStrictEqual([...events.activeSegmentIds], ['2']);
+    sinon.assert.calledTwice(maps);
+    assert.strictEqual(maps.secondCall.args[0].layers[2].metaData.active, true);
+  });
+
+  it('should follow the room the robot position lies in', async () => {
+    const entered = [];
+    const left = [];
+    events.on('entered_segment', (seg) => entered.push(seg));
+    events.on('left_segment', (seg) => left.push(seg));
+    events.start();
+    await flush();
+
+    const map = (x) => ({
+      pixelSize: 5,
+      layers: [
+        { type: 'segment', pixels: [0, 0, 1, 0], metaData: { segmentId: 1, name: 'Kitchen' } },
+        { type: 'segment', pixels: [2, 0, 3, 0], metaData: { segmentId: 2, name: 'Hall' } },
+      ],
+      entities: [{ type: 'robot_position', points: [x, 0] }],
+    });
+    send(streams['/api/v2/robot/state/map/sse'], 'MapUpdated', map(5));
+    send(streams['/api/v2/robot/state/map/sse'], 'MapUpdated', map(12));
+    await flush();
+
+    assert.deepStrictEqual(entered, [{ id: '1', name: 'Kitchen' }, { id: '2', name: 'Hall' }]);
+    assert.deepStrictEqual(left.map((seg) => seg.id), ['1']);
+    assert.strictEqual(events.currentSegment.name, 'Hall');
+  });
+
+  it('should reconnect with growing delays after failures', async () => {
+    const clock = sinon.useFakeTimers();
+    client.get.rejects(new Error('ECONNREFUSED'));
+    events.start();
+    await clock.tickAsync(0);
+    assert.strictEqual(client.get.callCount, 2);
+
+    await clock.tickAsync(1000);
+    assert.strictEqual(client.get.callCount, 4);
+    await clock.tickAsync(1000);
+    assert.strictEqual(client.get.callCount, 4); // second retry waits 2 s
+    await clock.tickAsync(1000);
+    assert.strictEqual(client.get.callCount, 6);
+  });
+
+  it('should reopen a stream that stays silent, keep-alive comments counting as data', async () => {
+    const clock = sinon.useFakeTimers();
+    events = new ValetudoEventStream({ client, log: () => {}, idleTimeoutMs: 5000 });
+    events.start();
+    await clock.tickAsync(4000);
+    streams['/api/v2/robot/state/attributes/sse'].write(': keep-alive\n\n');
+
+    await clock.tickAsync(1000);
+    await clock.tickAsync(1000);
+    assert.strictEqual(events.connected, true);
+    assert.strictEqual(client.get.callCount, 3);
+    assert.strictEqual(client.get.lastCall.args[0], '/api/v2/robot/state/map/sse');
+
+    await clock.tickAsync(3000);
+    assert.strictEqual(events.connected, false);
+    await clock.tickAsync(1000);
+    assert.strictEqual(client.get.lastCall.args[0], '/api/v2/robot/state/attributes/sse');
+    assert.strictEqual(events.connected, true);
+  });
+
+  it('should turn on TCP keep-alive for the stream sockets', async () => {
+    const socket = { setKeepAlive: sinon.spy() };
+    client.get.callsFake(async () => ({ data: Object.assign(new PassThrough(), { socket }) }));
+    events.start();
+    await flush();
+    sinon.assert.calledTwice(socket.setKeepAlive);
+    sinon.assert.calledWith(socket.setKeepAlive, true);
+  });
+
+  it('should report a dropped state stream and stop retrying once stopped', async () => {
+    const clock = sinon.useFakeTimers();
+    const disconnected = sinon.spy();
+    events.on('disconnected', disconnected);
+    events.start();
+    await clock.tickAsync(0);
+
+    streams['/api/v2/robot/state/attributes/sse'].end();
+    await clock.tickAsync(0);
+    sinon.assert.calledOnce(disconnected);
+    assert.strictEqual(events.connected, false);
+
+    events.stop();
+    await clock.tickAsync(60000);
+    assert.strictEqual(client.get.callCount, 2);
+  });
+});
@@ -75,15 +75,25 @@ module.exports = {
       return device._api.getMap();
     }
 
-    // Return cached snapshot if available
-    const snapshot = device.getMapSnapshot(floorId);
-    if (snapshot) {
-      return snapshot;
-    }
+    // Last map stored on Homey while the robot was on that floor. Floors that
+    // were never active since (e.g. detected on the robot) have none yet —
+    // return null so the widget can show a message. The restrictions shown
+    // are the ones the floor's enabled sets will apply.
+    const map = await device.getMapSnapshot(floorId);
+    return device.floorManager.overlayRestrictions(map, floorId);
+  },
+
+  async setManualControl({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    await device.setManualControl(body.enabled === true);
+    return { success: true };
+  },
 
-    // No in-memory snapshot — map files exist on robot but we can't render
-    // them without switching. Return null so the widget can show a message.
-    return null;
+  // body.direction: forward | backward | rotate_clockwise | rotate_counterclockwise
+  async manualMove({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    await device.manualMove(body.direction);
+    return { success: true };
   },
 
   async renameFloor({ homey, body }) {
@@ -105,13 +115,113 @@ module.exports = {
     return { success: true };
   },
 
+  // body.preferences: { fanSpeed, waterUsage, operationMode, carpetMode, dnd },
+  // each optional; null clears a preference
+  async setFloorPreferences({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    const preferences = await device.floorManager.setFloorPreferences(body.floorId, body.preferences || {});
+    return { success: true, preferences };
+  },
+
+  async saveRestrictionSet({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    const set = await device.saveRestrictionSet(body.name);
+    return { success: true, set };
+  },
+
+  async setRestrictionSet({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    await device.setRestrictionSetEnabled(body.floorId, body.name, body.enabled === true);
+    return { success: true };
+  },
+
+  async deleteRestrictionSet({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    await device.deleteRestrictionSet(body.floorId, body.name);
+    return { success: true };
+  },
+
+  async getFloorVersions({ homey, query }) {
+    const device = findDevice(homey, query.deviceId);
+    if (!query.floorId) {
+      throw new Error('Missing floorId');
+    }
+    return device.getFloorVersions(query.floorId);
+  },
+
+  async restoreFloorVersion({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    if (device._pendingNewFloor) {
+      throw new Error('Cannot restore a floor version while mapping is in progress');
+    }
+    const activeId = device.floorManager.getActiveFloor();
+    if (body.floorId !== activeId) {
+      await device.restoreFloorVersion(body.floorId, body.versionId);
+      return { success: true, message: 'Floor version restored' };
+    }
+    // Restoring the active floor reboots the robot — don't hold the request open.
+    // Progress is reported through the returned operation, as for a switch.
+    const operation = device.createFloorOperation('restore', body.floorId);
+    device.restoreFloorVersion(body.floorId, body.versionId, { operation }).catch((err) => {
+      if (operation.status === 'cancelled') return;
+      device.setWarning(device._sshErrorMessage(err)).catch(device.error);
+    });
+    return {
+      success: true, message: 'Restoring floor version — the robot will reboot', operation: operation.toJSON(),
+    };
+  },
+
+  async exportFloor({ homey, query }) {
+    const device = findDevice(homey, query.deviceId);
+    if (!query.floorId) {
+      throw new Error('Missing floorId');
+    }
+    const { filename, size, data } = await device.exportFloorArchive(query.floorId);
+    return { filename, size, data: data.toString('base64') };
+  },
+
+  async importFloor({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    if (!body.data) {
+      throw new Error('Missing archive data');
+    }
+    const floor = await device.importFloorArchive(Buffer.from(body.data, 'base64'), {
+      name: body.name || undefined,
+      replace: body.replace === true,
+    });
+    return { success: true, floor };
+  },
+
   async switchFloor({ homey, body }) {
     const device = findDevice(homey, body.deviceId);
     if (device._pendingNewFloor) {
       throw new Error('Cannot switch floors while mapping is in progress');
     }
-    // Fire-and-forget — switching takes time (SSH + reboot)
-    device.switchFloor(body.floorId).catch(() => {});
-    return { success: true, message: 'Floor switch initiated' };
+    // Fire-and-forget — switching takes time (SSH + reboot). Progress is
+    // reported through the returned operation (`floor_operation` realtime
+    // events and /floorOperation); the outcome also lands in `lastSwitch`.
+    const requestedAt = Date.now();
+    const operation = device.createFloorOperation('switch', body.floorId);
+    device.switchFloor(body.floorId, { operation }).catch((err) => {
+      if (operation.status === 'cancelled') return;
+      device.setWarning(device._sshErrorMessage(err)).catch(device.error);
+    });
+    return {
+      success: true, message: 'Floor switch initiated', requestedAt, operation: operation.toJSON(),
+    };
+  },
+
+  // Without operationId: the running operation, else the latest one (null if none)
+  async getFloorOperation({ homey, query }) {
+    const device = findDevice(homey, query.deviceId);
+    return device.getFloorOperation(query.operationId);
+  },
+
+  async cancelFloorOperation({ homey, body }) {
+    const device = findDevice(homey, body.deviceId);
+    if (!body.operationId) {
+      throw new Error('operationId is required');
+    }
+    return device.cancelFloorOperation(body.operationId);
   },
 };